@@ -237,6 +237,8 @@ public class AnimeThemesMapping(HttpClient httpClient, IMetadataService metadata
                 .Where(s => s?.AnidbAnimeID > 0)
                 .GroupBy(s => OverrideHelper.GetPrimary(s!.ID, metadataService))
                 .ToList();
+            var progress = TaskHelper.TrackProgress(ShokoRelayConstants.TaskAtVfsBuild);
+            progress.SetTotal(folderGroups.Count);
 
             Parallel.ForEach(
                 folderGroups,
@@ -245,6 +247,7 @@ public class AnimeThemesMapping(HttpClient httpClient, IMetadataService metadata
                 {
                     ct.ThrowIfCancellationRequested();
                     int primaryId = folderGroup.Key;
+                    progress.Advance(folderGroup.First()?.GetDisplayTitle() ?? primaryId.ToString());
                     var overrideOrder = OverrideHelper.GetGroup(primaryId, metadataService).ToList();
 
                     var primarySeries = metadataService.GetShokoSeriesByID(primaryId);
@@ -201,8 +201,9 @@ public class AnimeThemesMp3Generator(HttpClient httpClient, IMetadataService met
     /// <summary>Processes a folder (and optionally subfolders) to generate MP3s for anime themes.</summary>
     /// <param name="query">Query parameters.</param>
     /// <param name="ct">Cancellation token.</param>
+    /// <param name="progress">Optional tracker that receives per-folder progress.</param>
     /// <returns>A batch result object.</returns>
-    public async Task<ThemeMp3BatchResult> ProcessBatchAsync(AnimeThemesMp3Query query, CancellationToken ct)
+    public async Task<ThemeMp3BatchResult> ProcessBatchAsync(AnimeThemesMp3Query query, CancellationToken ct, TaskProgressTracker? progress = null)
     {
         string root = query.Path ?? "";
         if (!Directory.Exists(root))
@@ -228,12 +229,14 @@ public class AnimeThemesMp3Generator(HttpClient httpClient, IMetadataService met
         var folders = Directory.EnumerateDirectories(root, "*", SearchOption.AllDirectories).Prepend(root).Where(f => !VfsShared.IsPathIgnored(f)).ToList();
 
         var processedSeries = new ConcurrentDictionary<int, byte>();
+        progress?.SetTotal(folders.Count);
 
         await Parallel.ForEachAsync(
             folders,
             DefaultParallelOptions(ct),
             async (folder, token) =>
             {
+                progress?.Advance(Path.GetFileName(folder));
                 var res = await ProcessSingleAsync(query with { Path = folder, Batch = true }, processedSeries, token).ConfigureAwait(false);
                 lock (results)
                 {
@@ -38,8 +38,9 @@ public class AnimeThemesWebmDownloader(HttpClient httpClient, IVideoService vide
     /// <summary>Downloads AnimeThemes WebM files based on specific filters and organizes them by Year/Season.</summary>
     /// <param name="query">The search filters.</param>
     /// <param name="ct">Cancellation token.</param>
+    /// <param name="progress">Optional tracker that receives per-theme progress. The total grows as each result page is fetched.</param>
     /// <returns>A download result summary.</returns>
-    public async Task<WebmDownloadResult> DownloadAsync(AnimeThemesWebmQuery query, CancellationToken ct)
+    public async Task<WebmDownloadResult> DownloadAsync(AnimeThemesWebmQuery query, CancellationToken ct, TaskProgressTracker? progress = null)
     {
         var messages = new List<string>();
         var downloads = new List<string>();
@@ -88,6 +89,7 @@ public class AnimeThemesWebmDownloader(HttpClient httpClient, IVideoService vide
             if (resp?.Anime == null || resp.Anime.Count == 0)
                 break;
 
+            progress?.AddToTotal(resp.Anime.Sum(a => a.Animethemes?.Count ?? 0));
             foreach (var anime in resp.Anime)
             {
                 // Format the year into a decade string if before 2000, otherwise returns the exact year
@@ -98,6 +100,7 @@ public class AnimeThemesWebmDownloader(HttpClient httpClient, IVideoService vide
 
                 foreach (var theme in anime.Animethemes ?? [])
                 {
+                    progress?.Advance(anime.Name);
                     try
                     {
                         var details = await _api.FetchAnimeThemeWithArtistsAsync(theme.Id, ct).ConfigureAwait(false);
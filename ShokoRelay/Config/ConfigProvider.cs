@@ -2,13 +2,40 @@ using System.Collections;
 using System.ComponentModel;
 using System.ComponentModel.DataAnnotations;
 using System.Reflection;
+using System.Security.Cryptography;
+using System.Text;
 using System.Text.Json;
+using System.Text.Json.Nodes;
 using Microsoft.AspNetCore.Http;
 using Shoko.Abstractions.Plugin;
 using ShokoRelay.Vfs;
 
 namespace ShokoRelay.Config;
 
+/// <summary>A saved revision of the plugin configuration.</summary>
+/// <param name="Id">Sequential revision number.</param>
+/// <param name="SavedAt">When the revision was saved (UTC).</param>
+/// <param name="Config">The configuration as it was saved.</param>
+public record ConfigRevision(int Id, DateTime SavedAt, RelayConfig Config);
+
+/// <summary>A portable copy of the plugin configuration for moving settings between installations.</summary>
+/// <param name="Version">The export format version.</param>
+/// <param name="ExportedAt">When the export was created (UTC).</param>
+/// <param name="Config">The settings. Secret settings are absent unless they were included.</param>
+/// <param name="Overrides">The contents of the VFS overrides file, if any.</param>
+/// <param name="PlexToken">The Plex token, if secrets were included.</param>
+public record ConfigExport(int Version, DateTime ExportedAt, JsonObject Config, string? Overrides, string? PlexToken);
+
+/// <summary>The settings in effect when the VFS was last fully rebuilt, used to tell which rebuild settings have changed since.</summary>
+/// <param name="BuiltAt">When the build completed (UTC), or when tracking started if no build has been recorded yet.</param>
+/// <param name="Config">The settings the VFS was built with.</param>
+public record VfsBuildState(DateTime BuiltAt, RelayConfig Config);
+
+/// <summary>Records that the first-run setup wizard is no longer needed.</summary>
+/// <param name="CompletedAt">When the wizard was finished or skipped (UTC).</param>
+/// <param name="Skipped">True if the wizard was closed before its last step.</param>
+public record SetupState(DateTime CompletedAt, bool Skipped);
+
 /// <summary>
 /// Manages loading, saving, validation and normalization of the plugin configuration and Plex token/secrets file.
 /// Watches for external config changes to auto-invalidate the cache.
@@ -29,9 +56,24 @@ public class ConfigProvider
     /// <summary>File path for the Plex token secrets file.</summary>
     private readonly string _tokenPath;
 
+    /// <summary>File path for the saved configuration revisions.</summary>
+    private readonly string _historyPath;
+
+    /// <summary>File path for the settings the VFS was last fully rebuilt with.</summary>
+    private readonly string _vfsBuildPath;
+
+    /// <summary>File path for the first-run setup wizard state.</summary>
+    private readonly string _setupPath;
+
+    /// <summary>Maximum number of configuration revisions kept; older revisions are dropped first.</summary>
+    private const int MaxConfigRevisions = 25;
+
     /// <summary>Synchronization lock for thread-safe access to cached configuration state.</summary>
     private readonly Lock _settingsLock = new();
 
+    /// <summary>Serializes conditional saves so the version check and the write happen together.</summary>
+    private readonly Lock _saveLock = new();
+
     /// <summary>Cached in-memory instance of the relay configuration.</summary>
     private RelayConfig? _settings;
 
@@ -96,6 +138,9 @@ public class ConfigProvider
 
         _filePath = Path.Combine(ConfigDirectory, ShokoRelayConstants.FilePreferences);
         _tokenPath = Path.Combine(ConfigDirectory, ShokoRelayConstants.FilePlexToken);
+        _historyPath = Path.Combine(ConfigDirectory, ShokoRelayConstants.FileConfigHistory);
+        _vfsBuildPath = Path.Combine(ConfigDirectory, ShokoRelayConstants.FileVfsBuildState);
+        _setupPath = Path.Combine(ConfigDirectory, ShokoRelayConstants.FileSetupState);
 
         SetupWatcher(_filePath);
         SetupWatcher(_tokenPath);
@@ -179,7 +224,13 @@ public class ConfigProvider
             RelayConfig s;
             try
             {
-                s = File.Exists(_filePath) ? JsonSerializer.Deserialize<RelayConfig>(File.ReadAllText(_filePath), s_options) ?? new() : new();
+                if (File.Exists(_filePath) && JsonNode.Parse(File.ReadAllText(_filePath), documentOptions: new JsonDocumentOptions { AllowTrailingCommas = true }) is JsonObject json)
+                {
+                    MigrateLegacySettings(json);
+                    s = json.Deserialize<RelayConfig>(s_options) ?? new();
+                }
+                else
+                    s = new();
             }
             catch (Exception ex)
             {
@@ -231,7 +282,7 @@ public class ConfigProvider
 
         var overridableProps = typeof(RelayConfig)
             .GetProperties(BindingFlags.Public | BindingFlags.Instance)
-            .Where(p => p.CanWrite && p.PropertyType != typeof(AdvancedConfig) && p.PropertyType != typeof(AutomationConfig) && p.PropertyType != typeof(PlaybackConfig))
+            .Where(p => p.CanWrite && p.PropertyType != typeof(AdvancedConfig) && p.PropertyType != typeof(AutomationConfig) && p.PropertyType != typeof(PlaybackConfig) && p.PropertyType != typeof(DashboardConfig))
             .ToList();
 
         if (!overridableProps.Any(p => overrides.ContainsKey(p.Name)))
@@ -290,11 +341,296 @@ public class ConfigProvider
         NormalizePathMappings(settings);
         NormalizeCsvFields(settings);
         lock (_settingsLock)
+        {
+            RecordRevision(settings);
             File.WriteAllText(_filePath, JsonSerializer.Serialize(settings, s_options));
+        }
         _settings = settings;
         _cachedExtraUsers = null; // Clear the cached extra users so they are re-parsed on the next sync after settings changes
     }
 
+    /// <summary>Checks <paramref name="settings"/> against the validation attributes of every setting, including those in nested sections.</summary>
+    /// <remarks>Settings whose value matches the saved settings are not reported, so a value saved before a constraint was added does not block saving unrelated changes.</remarks>
+    /// <param name="settings">The <see cref="RelayConfig"/> instance to check.</param>
+    /// <returns>Error messages keyed by dot-notated setting path; empty when the settings are valid.</returns>
+    public Dictionary<string, string> ValidateSettings(RelayConfig settings)
+    {
+        var errors = new Dictionary<string, string>(StringComparer.Ordinal);
+        CollectValidationErrors(settings, GetSettings(), "", errors);
+        return errors;
+    }
+
+    /// <summary>Validates the properties of <paramref name="target"/> and recurses into nested setting classes.</summary>
+    /// <param name="target">The object to validate.</param>
+    /// <param name="saved">The matching object from the saved settings, whose unchanged values are not reported, or null to report every error.</param>
+    /// <param name="prefix">Path prefix for nested properties.</param>
+    /// <param name="errors">The collection receiving error messages keyed by setting path.</param>
+    private static void CollectValidationErrors(object target, object? saved, string prefix, Dictionary<string, string> errors)
+    {
+        var type = target.GetType();
+        var results = new List<ValidationResult>();
+        Validator.TryValidateObject(target, new ValidationContext(target), results, true);
+        foreach (var result in results)
+        foreach (var member in result.MemberNames)
+        {
+            if (saved != null && type.GetProperty(member) is { } changed && Equals(changed.GetValue(target), changed.GetValue(saved)))
+                continue;
+            errors.TryAdd(string.IsNullOrEmpty(prefix) ? member : $"{prefix}.{member}", result.ErrorMessage ?? "Invalid value.");
+        }
+
+        foreach (var prop in type.GetProperties(BindingFlags.Public | BindingFlags.Instance))
+        {
+            if (!prop.CanRead || !prop.CanWrite || !prop.PropertyType.IsClass || prop.PropertyType == typeof(string) || typeof(IEnumerable).IsAssignableFrom(prop.PropertyType))
+                continue;
+            if (prop.GetValue(target) is { } nested)
+                CollectValidationErrors(nested, saved == null ? null : prop.GetValue(saved), string.IsNullOrEmpty(prefix) ? prop.Name : $"{prefix}.{prop.Name}", errors);
+        }
+    }
+
+    /// <summary>Computes a version tag for the current settings, which changes whenever any saved value changes (including external edits to the file).</summary>
+    /// <returns>A short hexadecimal hash of the serialized settings.</returns>
+    public string GetSettingsETag() => Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(JsonSerializer.Serialize(GetSettings(), s_options))))[..16];
+
+    /// <summary>Saves <paramref name="settings"/> only if the stored settings still match <paramref name="expectedETag"/>, so concurrent editors cannot overwrite each other's changes.</summary>
+    /// <param name="settings">The <see cref="RelayConfig"/> instance to save.</param>
+    /// <param name="expectedETag">The version tag the caller's changes are based on, or null to save unconditionally.</param>
+    /// <returns>True if the settings were saved; false if they changed since <paramref name="expectedETag"/>.</returns>
+    public bool TrySaveSettings(RelayConfig settings, string? expectedETag)
+    {
+        lock (_saveLock)
+        {
+            if (!string.IsNullOrEmpty(expectedETag) && expectedETag != GetSettingsETag())
+                return false;
+            SaveSettings(settings);
+            return true;
+        }
+    }
+
+    #endregion
+
+    #region Revision History
+
+    /// <summary>Returns the saved configuration revisions, newest first.</summary>
+    /// <returns>A snapshot of the revisions.</returns>
+    public List<ConfigRevision> GetConfigRevisions()
+    {
+        lock (_settingsLock)
+            return [.. ReadRevisions().OrderByDescending(r => r.Id)];
+    }
+
+    /// <summary>Restores a saved revision as the current configuration. The restored settings are recorded as a new revision so the revert can itself be undone.</summary>
+    /// <param name="id">The revision number to restore.</param>
+    /// <returns>The restored settings, or null if no revision has that number.</returns>
+    public RelayConfig? RevertToRevision(int id)
+    {
+        ConfigRevision? revision;
+        lock (_settingsLock)
+            revision = ReadRevisions().FirstOrDefault(r => r.Id == id);
+        if (revision == null)
+            return null;
+        SaveSettings(revision.Config);
+        return revision.Config;
+    }
+
+    /// <summary>Reads the saved revisions, discarding the history if it is unreadable.</summary>
+    /// <returns>The revisions, oldest first.</returns>
+    private List<ConfigRevision> ReadRevisions()
+    {
+        try
+        {
+            return File.Exists(_historyPath) ? JsonSerializer.Deserialize<List<ConfigRevision>>(File.ReadAllText(_historyPath), s_options) ?? [] : [];
+        }
+        catch (Exception ex)
+        {
+            s_logger.Warn(ex, "Config: Invalid revision history -> Starting a new one");
+            return [];
+        }
+    }
+
+    /// <summary>Appends <paramref name="settings"/> to the revision history unless it matches the latest revision. Must be called while holding the settings lock and before the new settings are written.</summary>
+    /// <param name="settings">The settings being saved.</param>
+    private void RecordRevision(RelayConfig settings)
+    {
+        var revisions = ReadRevisions();
+        // Seed an empty history with the settings currently on disk so the first change can be reverted
+        if (revisions.Count == 0 && File.Exists(_filePath))
+        {
+            try
+            {
+                if (JsonSerializer.Deserialize<RelayConfig>(File.ReadAllText(_filePath), s_options) is { } previous)
+                    revisions.Add(new ConfigRevision(1, File.GetLastWriteTimeUtc(_filePath), previous));
+            }
+            catch (Exception ex)
+            {
+                s_logger.Debug(ex, "Config: Unable to seed revision history from the existing settings");
+            }
+        }
+
+        string json = JsonSerializer.Serialize(settings, s_options);
+        if (revisions.Count > 0 && JsonSerializer.Serialize(revisions[^1].Config, s_options) == json)
+            return;
+        revisions.Add(new ConfigRevision((revisions.Count > 0 ? revisions[^1].Id : 0) + 1, DateTime.UtcNow, JsonSerializer.Deserialize<RelayConfig>(json, s_options)!));
+        File.WriteAllText(_historyPath, JsonSerializer.Serialize(revisions.TakeLast(MaxConfigRevisions), s_options));
+    }
+
+    #endregion
+
+    #region VFS Build State
+
+    /// <summary>Returns the settings the VFS was last fully rebuilt with. Until a build is recorded, tracking starts from the current settings.</summary>
+    /// <returns>The recorded build state.</returns>
+    public VfsBuildState GetVfsBuildState()
+    {
+        lock (_settingsLock)
+        {
+            try
+            {
+                if (File.Exists(_vfsBuildPath) && JsonSerializer.Deserialize<VfsBuildState>(File.ReadAllText(_vfsBuildPath), s_options) is { Config: not null } state)
+                    return state;
+            }
+            catch (Exception ex)
+            {
+                s_logger.Warn(ex, "Config: Invalid VFS build state -> Tracking from the current settings");
+            }
+            return WriteVfsBuildState(SnapshotSettings());
+        }
+    }
+
+    /// <summary>Returns a detached copy of the current settings, unaffected by later saves. Take it before a build starts to record what the build used.</summary>
+    /// <returns>The copied settings.</returns>
+    public RelayConfig SnapshotSettings() => JsonSerializer.Deserialize<RelayConfig>(JsonSerializer.Serialize(GetSettings(), s_options), s_options)!;
+
+    /// <summary>Records the settings the VFS was built with, clearing any pending rebuild for them.</summary>
+    /// <param name="builtWith">The settings snapshot taken before the build started.</param>
+    public void MarkVfsBuilt(RelayConfig builtWith)
+    {
+        lock (_settingsLock)
+            WriteVfsBuildState(builtWith);
+    }
+
+    /// <summary>Writes <paramref name="settings"/> as the VFS build state. Must be called while holding the settings lock.</summary>
+    /// <param name="settings">A settings snapshot from <see cref="SnapshotSettings"/>.</param>
+    /// <returns>The written state.</returns>
+    private VfsBuildState WriteVfsBuildState(RelayConfig settings)
+    {
+        var state = new VfsBuildState(DateTime.UtcNow, settings);
+        File.WriteAllText(_vfsBuildPath, JsonSerializer.Serialize(state, s_options));
+        return state;
+    }
+
+    #endregion
+
+    #region Setup Wizard
+
+    /// <summary>Returns when the first-run setup wizard was finished or skipped.</summary>
+    /// <returns>The recorded state, or null if the wizard has not been finished yet.</returns>
+    public SetupState? GetSetupState()
+    {
+        try
+        {
+            return File.Exists(_setupPath) ? JsonSerializer.Deserialize<SetupState>(File.ReadAllText(_setupPath), s_options) : null;
+        }
+        catch (Exception ex)
+        {
+            s_logger.Warn(ex, "Config: Invalid setup state -> Treating setup as unfinished");
+            return null;
+        }
+    }
+
+    /// <summary>Records that the first-run setup wizard was finished or skipped, so it no longer opens automatically.</summary>
+    /// <param name="skipped">True if the wizard was closed before its last step.</param>
+    /// <returns>The written state.</returns>
+    public SetupState MarkSetupComplete(bool skipped)
+    {
+        var state = new SetupState(DateTime.UtcNow, skipped);
+        lock (_settingsLock)
+            File.WriteAllText(_setupPath, JsonSerializer.Serialize(state, s_options));
+        return state;
+    }
+
+    #endregion
+
+    #region Export & Import
+
+    /// <summary>The current <see cref="ConfigExport.Version"/> written by <see cref="ExportSettings"/>.</summary>
+    public const int ConfigExportVersion = 1;
+
+    /// <summary>Name of the import section holding the settings at the root of <see cref="RelayConfig"/>.</summary>
+    public const string GeneralSection = "General";
+
+    /// <summary>Builds a portable copy of the current settings.</summary>
+    /// <param name="includeSecrets">Whether to include the Plex token and settings flagged with <see cref="SecretSettingAttribute"/>.</param>
+    /// <param name="overrides">The contents of the VFS overrides file, if any.</param>
+    /// <returns>The export.</returns>
+    public ConfigExport ExportSettings(bool includeSecrets, string? overrides)
+    {
+        var config = JsonSerializer.SerializeToNode(GetSettings(), s_options)!.AsObject();
+        if (!includeSecrets)
+            RemoveSecretSettings(config, typeof(RelayConfig));
+        string token = includeSecrets ? GetPlexToken() : "";
+        return new ConfigExport(ConfigExportVersion, DateTime.UtcNow, config, string.IsNullOrEmpty(overrides) ? null : overrides, string.IsNullOrWhiteSpace(token) ? null : token);
+    }
+
+    /// <summary>Serializes a config export to the JSON written to export files.</summary>
+    /// <param name="export">The export to serialize.</param>
+    /// <returns>The indented JSON.</returns>
+    public static string SerializeConfigExport(ConfigExport export) => JsonSerializer.Serialize(export, s_options);
+
+    /// <summary>Parses the contents of an export file.</summary>
+    /// <param name="json">The file contents.</param>
+    /// <returns>The export, or null if the JSON is empty.</returns>
+    /// <exception cref="JsonException">Thrown when the contents are not a valid export.</exception>
+    public static ConfigExport? ParseConfigExport(string json)
+    {
+        var export = JsonSerializer.Deserialize<ConfigExport>(json, s_options);
+        if (export?.Config != null)
+            MigrateLegacySettings(export.Config);
+        return export;
+    }
+
+    /// <summary>Returns the import section a top-level setting belongs to: the name of its settings class, or <see cref="GeneralSection"/> for root settings.</summary>
+    /// <param name="key">The top-level property name.</param>
+    /// <returns>The section name.</returns>
+    public static string GetConfigSection(string key) =>
+        typeof(RelayConfig).GetProperty(key)?.PropertyType is { IsClass: true } type && type != typeof(string) && !typeof(IEnumerable).IsAssignableFrom(type) ? key : GeneralSection;
+
+    /// <summary>Overlays the selected sections of imported settings onto the current settings without saving them. Settings missing from the import (such as secrets left out of an export) keep their current values.</summary>
+    /// <param name="imported">The imported settings.</param>
+    /// <param name="sections">The sections to apply, or null for all of them.</param>
+    /// <returns>The merged settings.</returns>
+    /// <exception cref="JsonException">Thrown when an imported value does not match the type of its setting.</exception>
+    public RelayConfig MergeImportedSettings(JsonObject imported, IReadOnlyCollection<string>? sections)
+    {
+        var merged = JsonSerializer.SerializeToNode(GetSettings(), s_options)!.AsObject();
+        foreach (var (key, value) in imported)
+        {
+            if (sections != null && !sections.Contains(GetConfigSection(key), StringComparer.OrdinalIgnoreCase))
+                continue;
+            if (value is JsonObject section && merged[key] is JsonObject target && GetConfigSection(key) != GeneralSection)
+            {
+                foreach (var (name, setting) in section)
+                    target[name] = setting?.DeepClone();
+            }
+            else
+                merged[key] = value?.DeepClone();
+        }
+        return merged.Deserialize<RelayConfig>(s_options) ?? throw new JsonException("The imported settings are empty.");
+    }
+
+    /// <summary>Removes settings flagged with <see cref="SecretSettingAttribute"/> from serialized settings, descending into nested setting classes.</summary>
+    /// <param name="node">The serialized settings object.</param>
+    /// <param name="type">The type the object was serialized from.</param>
+    private static void RemoveSecretSettings(JsonObject node, Type type)
+    {
+        foreach (var prop in type.GetProperties(BindingFlags.Public | BindingFlags.Instance))
+        {
+            if (prop.GetCustomAttribute<SecretSettingAttribute>() != null)
+                node.Remove(prop.Name);
+            else if (node[prop.Name] is JsonObject nested && prop.PropertyType.IsClass && !typeof(IEnumerable).IsAssignableFrom(prop.PropertyType))
+                RemoveSecretSettings(nested, prop.PropertyType);
+        }
+    }
+
     #endregion
 
     #region Plex Secrets & Tokens
@@ -482,7 +818,19 @@ public class ConfigProvider
     {
         if (settings.Advanced.PathMappings.Count == 0)
             return false;
-        var norm = settings.Advanced.PathMappings.ToDictionary(
+        var norm = NormalizePathMappingEntries(settings.Advanced.PathMappings);
+        if (JsonSerializer.Serialize(settings.Advanced.PathMappings) == JsonSerializer.Serialize(norm))
+            return false;
+        settings.Advanced.PathMappings = norm;
+        return true;
+    }
+
+    /// <summary>Normalizes path mappings the way they are stored: Shoko base paths use the server's separators and Plex base paths use forward slashes.</summary>
+    /// <param name="mappings">Shoko base paths mapped to Plex base paths.</param>
+    /// <returns>The normalized mappings, in the same order.</returns>
+    /// <exception cref="ArgumentException">Thrown when two Shoko base paths normalize to the same path.</exception>
+    public static Dictionary<string, string> NormalizePathMappingEntries(IEnumerable<KeyValuePair<string, string>> mappings) =>
+        mappings.ToDictionary(
             k =>
             {
                 string n = k.Key.Replace('/', Path.DirectorySeparatorChar).Replace('\\', Path.DirectorySeparatorChar).Trim();
@@ -497,11 +845,6 @@ public class ConfigProvider
             },
             v => (TextHelper.NormalizePathForPlex(v.Value.Trim()) is var p && !p.StartsWith('/') && !p.Contains(':') && !p.StartsWith("//", StringComparison.Ordinal)) ? "/" + p : p
         );
-        if (JsonSerializer.Serialize(settings.Advanced.PathMappings) == JsonSerializer.Serialize(norm))
-            return false;
-        settings.Advanced.PathMappings = norm;
-        return true;
-    }
 
     /// <summary>Normalizes comma-separated and newline-separated settings fields by trimming and removing duplicates.</summary>
     /// <param name="s">The relay configuration instance to normalize.</param>
@@ -530,6 +873,27 @@ public class ConfigProvider
         return c;
     }
 
+    /// <summary>Settings that moved from the <c>Playback</c> section into <see cref="RelayConfig.Dashboard"/>, keyed by property name.</summary>
+    private static readonly string[] s_legacyPlaybackSettings = [nameof(DashboardConfig.TaskNotifications), nameof(DashboardConfig.Shortcuts)];
+
+    /// <summary>Moves settings saved under their former section into their current one, so settings files and exports written by older versions keep them. A value already present in the new section wins.</summary>
+    /// <param name="config">The serialized settings to migrate in place.</param>
+    private static void MigrateLegacySettings(JsonObject config)
+    {
+        if (config[nameof(RelayConfig.Playback)] is not JsonObject playback)
+            return;
+        foreach (var name in s_legacyPlaybackSettings)
+        {
+            if (!playback.TryGetPropertyValue(name, out var value))
+                continue;
+            playback.Remove(name);
+            if (config[nameof(RelayConfig.Dashboard)] is not JsonObject dashboard)
+                config[nameof(RelayConfig.Dashboard)] = dashboard = new JsonObject();
+            if (!dashboard.ContainsKey(name))
+                dashboard[name] = value;
+        }
+    }
+
     /// <summary>Applies default values to string properties on an object hierarchy where [DefaultValue] attributes exist.</summary>
     /// <param name="obj">The object to apply default values to.</param>
     private static void ApplyDefaultValues(object obj)
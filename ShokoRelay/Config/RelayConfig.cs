@@ -9,6 +9,18 @@ namespace ShokoRelay.Config;
 [AttributeUsage(AttributeTargets.Property)]
 public class VfsRebuildAttribute : Attribute { }
 
+/// <summary>Metadata attribute used to flag configuration properties holding credentials, which are left out of config exports unless secrets are included.</summary>
+[AttributeUsage(AttributeTargets.Property)]
+public class SecretSettingAttribute : Attribute { }
+
+/// <summary>Validates that every key and value of a string dictionary setting is non-empty.</summary>
+[AttributeUsage(AttributeTargets.Property)]
+public class NonEmptyEntriesAttribute : ValidationAttribute
+{
+    /// <inheritdoc />
+    public override bool IsValid(object? value) => value is not IDictionary<string, string> map || map.All(kv => !string.IsNullOrWhiteSpace(kv.Key) && !string.IsNullOrWhiteSpace(kv.Value));
+}
+
 #endregion
 
 
@@ -160,9 +172,12 @@ public class RelayConfig
     /// <summary>Automation settings.</summary>
     public AutomationConfig Automation { get; set; } = new();
 
-    /// <summary>Playback and UI settings.</summary>
+    /// <summary>Dashboard playback settings.</summary>
     public PlaybackConfig Playback { get; set; } = new();
 
+    /// <summary>Dashboard-wide preferences.</summary>
+    public DashboardConfig Dashboard { get; set; } = new();
+
     /// <summary>Advanced system settings.</summary>
     public AdvancedConfig Advanced { get; set; } = new();
 
@@ -272,6 +287,7 @@ public class AutomationConfig
     /// <summary>Additional Plex usernames for scrobble handling.</summary>
     [Display(Name = "Extra Plex Users", Description = "Comma-separated Plex usernames (stored in preferences.json)")]
     [Browsable(false)]
+    [SecretSetting]
     [DefaultValue("")]
     public string ExtraPlexUsers { get; set; } = "";
 
@@ -287,6 +303,18 @@ public class AutomationConfig
     [DefaultValue(false)]
     public bool AutoScrobble { get; set; } = false;
 
+    /// <summary>Discovered Plex libraries that every Plex task skips.</summary>
+    [Display(Name = "Disabled Plex Libraries", Description = "Comma-separated section UUIDs of discovered Plex libraries to leave out of collections, ratings, images, scans, scrobbling and every other Plex task")]
+    [Browsable(false)]
+    [DefaultValue("")]
+    public string PlexDisabledLibraries { get; set; } = "";
+
+    /// <summary>The discovered Plex server opened by the dashboard's Plex Web button.</summary>
+    [Display(Name = "Plex Web Server", Description = "ID of the discovered Plex server opened by the Plex Web button. Leave empty to use the first server with a Shoko Relay library")]
+    [Browsable(false)]
+    [DefaultValue("")]
+    public string PlexWebServerId { get; set; } = "";
+
     /// <summary>Anchor hour for scheduling.</summary>
     [Display(Name = "UTC Offset (hours)", Description = "Offset from UTC midnight used as the anchor for scheduling (-12 to +14)")]
     [Range(-12, 14, ErrorMessage = "UTC Offset must be between -12 and +14")]
@@ -315,6 +343,42 @@ public class AutomationConfig
     [DefaultValue(0)]
     public int ShokoSyncWatchedFrequencyHours { get; set; } = 0;
 
+    /// <summary>Whether scheduled Plex automation runs are paused.</summary>
+    [Display(Name = "Pause Plex Automation", Description = "Skip scheduled Plex automation runs until resumed")]
+    [Browsable(false)]
+    [DefaultValue(false)]
+    public bool PlexAutomationPaused { get; set; } = false;
+
+    /// <summary>Whether scheduled Shoko imports are paused.</summary>
+    [Display(Name = "Pause Auto Import", Description = "Skip scheduled Shoko imports until resumed")]
+    [Browsable(false)]
+    [DefaultValue(false)]
+    public bool ShokoImportPaused { get; set; } = false;
+
+    /// <summary>Whether scheduled watched-state syncs are paused.</summary>
+    [Display(Name = "Pause Auto Sync Watched", Description = "Skip scheduled watched-state syncs until resumed")]
+    [Browsable(false)]
+    [DefaultValue(false)]
+    public bool ShokoSyncWatchedPaused { get; set; } = false;
+
+    /// <summary>Time-of-day window for scheduled Plex automation runs.</summary>
+    [Display(Name = "Plex Automation Window", Description = "Only start scheduled Plex automation runs between these times (HH:mm-HH:mm, relative to the UTC offset). Leave empty to run at any time")]
+    [Browsable(false)]
+    [DefaultValue("")]
+    public string PlexAutomationWindow { get; set; } = "";
+
+    /// <summary>Time-of-day window for scheduled Shoko imports.</summary>
+    [Display(Name = "Auto Import Window", Description = "Only start scheduled Shoko imports between these times (HH:mm-HH:mm, relative to the UTC offset). Leave empty to run at any time")]
+    [Browsable(false)]
+    [DefaultValue("")]
+    public string ShokoImportWindow { get; set; } = "";
+
+    /// <summary>Time-of-day window for scheduled watched-state syncs.</summary>
+    [Display(Name = "Auto Sync Watched Window", Description = "Only start scheduled watched-state syncs between these times (HH:mm-HH:mm, relative to the UTC offset). Leave empty to run at any time")]
+    [Browsable(false)]
+    [DefaultValue("")]
+    public string ShokoSyncWatchedWindow { get; set; } = "";
+
     /// <summary>Whether to include ratings in sync tasks.</summary>
     [Display(Name = "Include Ratings", Description = "When enabled, all sync/scrobble actions will also include user ratings/votes")]
     [Browsable(false)]
@@ -362,6 +426,25 @@ public class PlaybackConfig
 
 #endregion
 
+#region Dashboard Config
+
+/// <summary>Preferences that apply across the whole dashboard.</summary>
+public class DashboardConfig
+{
+    /// <summary>Task identifiers that show a desktop notification when they finish while the dashboard tab is hidden.</summary>
+    [Display(Name = "Desktop Notifications", Description = "Comma-separated task identifiers to send browser notifications for when they complete in the background")]
+    [Browsable(false)]
+    [DefaultValue("")]
+    public string TaskNotifications { get; set; } = "";
+
+    /// <summary>Keyboard shortcut overrides keyed by command id, each holding space-separated key combinations. Commands missing from the map use their default keys.</summary>
+    [Display(Name = "Keyboard Shortcuts", Description = "Custom key bindings for dashboard, browser and player commands")]
+    [Browsable(false)]
+    public Dictionary<string, string> Shortcuts { get; set; } = [];
+}
+
+#endregion
+
 #region Advanced Config
 
 /// <summary>Low-level path and system configuration.</summary>
@@ -380,17 +463,20 @@ public class AdvancedConfig
     public string ShokoServerUrl { get; set; } = "";
 
     /// <summary>Directory mappings between Shoko and the working device.</summary>
-    [Display(Name = "Path Mappings", Description = "Mappings for working base paths to Shoko base paths. Enter one mapping per line")]
+    [Display(Name = "Path Mappings", Description = "Mappings for working base paths to Shoko base paths. The longest matching Shoko base path is used")]
+    [NonEmptyEntries(ErrorMessage = "Every path mapping needs both a working base path and a Shoko base path")]
     public Dictionary<string, string> PathMappings { get; set; } = [];
 
     /// <summary>Folders to ignore when generating the VFS.</summary>
     [Display(Name = "Folder Exclusions", Description = "Folders within Shoko destinations which you do not want VFS generation to consider. One per line")]
+    [RegularExpression(@"^[^\\/:*?""<>|]*$", ErrorMessage = "Folder Exclusions are matched against single folder names. Enter one name per line without / \\ : * ? \" < > |")]
     [DefaultValue("")]
     [VfsRebuild]
     public string FolderExclusions { get; set; } = "";
 
     /// <summary>Shoko managed folders to exclude from VFS generation.</summary>
     [Display(Name = "Managed Folder Exclusions", Description = "Shoko Managed Folder names or IDs to exclude from VFS generation. One per line")]
+    [RegularExpression(@"^[^\\/:*?""<>|]*$", ErrorMessage = "Managed Folder Exclusions are managed folder names or IDs. Enter one per line without / \\ : * ? \" < > |")]
     [DefaultValue("")]
     [VfsRebuild]
     public string ManagedFolderExclusions { get; set; } = "";
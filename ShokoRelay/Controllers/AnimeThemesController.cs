@@ -41,7 +41,7 @@ public class AnimeThemesController(
             : ExecuteTrackedTaskAsync(
                 ShokoRelayConstants.TaskAtVfsBuild,
                 (sb, r) => LogHelper.BuildAtVfsBuildReport(sb, r, filterIds ?? []),
-                () => animeThemesMapping.ApplyMappingAsync(filterIds, CancellationToken.None),
+                ct => animeThemesMapping.ApplyMappingAsync(filterIds, ct),
                 VfsShared.VfsLock
             );
 
@@ -69,7 +69,7 @@ public class AnimeThemesController(
                 );
         }
 
-        return await ExecuteTrackedTaskAsync(ShokoRelayConstants.TaskAtMapBuild, LogHelper.BuildAtVfsMapReport, () => animeThemesMapping.BuildMappingFileAsync(CancellationToken.None), VfsShared.VfsLock)
+        return await ExecuteTrackedTaskAsync(ShokoRelayConstants.TaskAtMapBuild, LogHelper.BuildAtVfsMapReport, ct => animeThemesMapping.BuildMappingFileAsync(ct), VfsShared.VfsLock)
             .ConfigureAwait(false);
     }
 
@@ -105,9 +105,9 @@ public class AnimeThemesController(
             return await ExecuteTrackedTaskAsync(
                     ShokoRelayConstants.TaskAtMp3Build,
                     LogHelper.BuildAtMp3Report,
-                    async () =>
+                    async ct =>
                     {
-                        var batch = await animeThemesMp3Generator.ProcessBatchAsync(query, CancellationToken.None).ConfigureAwait(false);
+                        var batch = await animeThemesMp3Generator.ProcessBatchAsync(query, ct, TaskHelper.TrackProgress(ShokoRelayConstants.TaskAtMp3Build)).ConfigureAwait(false);
                         foreach (var item in batch.Items.Where(i => i.Status == "ok" && !string.IsNullOrWhiteSpace(i.Folder)))
                             animeThemesMp3Generator.AddToThemeMp3Cache(item.Folder, AnimeThemesHelper.StandardizeSlug(item.Slug));
                         return batch;
@@ -156,7 +156,7 @@ public class AnimeThemesController(
     /// <returns>A task representing the result of the audit.</returns>
     [HttpGet("animethemes/mp3/audit")]
     public async Task<IActionResult> AuditAnimeThemesMp3() =>
-        await ExecuteTrackedTaskAsync(ShokoRelayConstants.TaskAtMp3Audit, LogHelper.BuildAtMp3AuditReport, () => animeThemesMp3Generator.AuditAsync(CancellationToken.None), VfsShared.VfsLock)
+        await ExecuteTrackedTaskAsync(ShokoRelayConstants.TaskAtMp3Audit, LogHelper.BuildAtMp3AuditReport, ct => animeThemesMp3Generator.AuditAsync(ct), VfsShared.VfsLock)
             .ConfigureAwait(false);
 
     /// <summary>Streams an existing Theme.mp3 with ID3 tags embedded in response headers.</summary>
@@ -438,7 +438,7 @@ public class AnimeThemesController(
 
         return string.IsNullOrWhiteSpace(query.Name) && string.IsNullOrWhiteSpace(query.Season)
             ? BadRequest(new RelayResponse<object>(Status: "error", Message: "At least one filter (Name or Season) is required."))
-            : await ExecuteTrackedTaskAsync(ShokoRelayConstants.TaskAtWebmDownload, LogHelper.BuildWebmDownloadReport, () => webmDownloader.DownloadAsync(query, CancellationToken.None), s_webmDownloadLock)
+            : await ExecuteTrackedTaskAsync(ShokoRelayConstants.TaskAtWebmDownload, LogHelper.BuildWebmDownloadReport, ct => webmDownloader.DownloadAsync(query, ct, TaskHelper.TrackProgress(ShokoRelayConstants.TaskAtWebmDownload)), s_webmDownloadLock)
                 .ConfigureAwait(false);
     }
 
@@ -30,6 +30,12 @@ public abstract class ShokoRelayBaseController(ConfigProvider configProvider, IM
     /// <summary>Returns the absolute base URL of the plugin's API on the current host.</summary>
     protected string ApiBase => $"{Request.Scheme}://{Request.Host}{ShokoRelayConstants.BasePath}";
 
+    /// <summary>Returns how the current request was triggered for the task history: <c>manual</c> when sent by the dashboard, otherwise <c>webhook</c>.</summary>
+    protected string RequestTrigger =>
+        string.Equals(Request.Headers[ShokoRelayConstants.HeaderTaskTrigger], ShokoRelayConstants.TriggerManual, StringComparison.OrdinalIgnoreCase)
+            ? ShokoRelayConstants.TriggerManual
+            : ShokoRelayConstants.TriggerWebhook;
+
     #endregion
 
     #region Data Models
@@ -46,30 +52,70 @@ public abstract class ShokoRelayBaseController(ConfigProvider configProvider, IM
 
     #region Logging Helper
 
-    /// <summary>Executes a background task with full lifecycle tracking, logging, and standardized response formatting. Supports optional concurrency locking.</summary>
+    /// <summary>Executes a cancellable background task with full lifecycle tracking, logging, run history, and standardized response formatting. Supports optional concurrency locking.</summary>
+    /// <typeparam name="T">The type of the result data.</typeparam>
+    /// <param name="taskName">Unique identifier for UI tracking.</param>
+    /// <param name="reportBuilder">Logic to generate the text report.</param>
+    /// <param name="action">The asynchronous operation to perform. Receives a token that is cancelled via <see cref="TaskHelper.CancelTask"/> and must observe it.</param>
+    /// <param name="semaphore">Optional semaphore to prevent concurrent execution of related tasks.</param>
+    /// <returns>A task representing the IActionResult containing the standardized RelayResponse.</returns>
+    protected Task<IActionResult> ExecuteTrackedTaskAsync<T>(string taskName, Action<StringBuilder, T> reportBuilder, Func<CancellationToken, Task<T>> action, SemaphoreSlim? semaphore = null) =>
+        RunTrackedTaskAsync(taskName, reportBuilder, action, true, semaphore);
+
+    /// <summary>Executes a background task that cannot be cancelled, with the same tracking as the cancellable overload. The dashboard offers no cancel control for it.</summary>
     /// <typeparam name="T">The type of the result data.</typeparam>
     /// <param name="taskName">Unique identifier for UI tracking.</param>
     /// <param name="reportBuilder">Logic to generate the text report.</param>
     /// <param name="action">The asynchronous operation to perform.</param>
     /// <param name="semaphore">Optional semaphore to prevent concurrent execution of related tasks.</param>
     /// <returns>A task representing the IActionResult containing the standardized RelayResponse.</returns>
-    protected async Task<IActionResult> ExecuteTrackedTaskAsync<T>(string taskName, Action<StringBuilder, T> reportBuilder, Func<Task<T>> action, SemaphoreSlim? semaphore = null)
+    protected Task<IActionResult> ExecuteTrackedTaskAsync<T>(string taskName, Action<StringBuilder, T> reportBuilder, Func<Task<T>> action, SemaphoreSlim? semaphore = null) =>
+        RunTrackedTaskAsync(taskName, reportBuilder, _ => action(), false, semaphore);
+
+    /// <summary>Shared implementation of the <c>ExecuteTrackedTaskAsync</c> overloads.</summary>
+    /// <typeparam name="T">The type of the result data.</typeparam>
+    /// <param name="taskName">Unique identifier for UI tracking.</param>
+    /// <param name="reportBuilder">Logic to generate the text report.</param>
+    /// <param name="action">The asynchronous operation to perform.</param>
+    /// <param name="cancellable">Whether the action observes its token. Tasks that cannot be cancelled receive <see cref="CancellationToken.None"/>.</param>
+    /// <param name="semaphore">Optional semaphore to prevent concurrent execution of related tasks.</param>
+    /// <returns>A task representing the IActionResult containing the standardized RelayResponse.</returns>
+    private async Task<IActionResult> RunTrackedTaskAsync<T>(string taskName, Action<StringBuilder, T> reportBuilder, Func<CancellationToken, Task<T>> action, bool cancellable, SemaphoreSlim? semaphore)
     {
         if (semaphore != null && !await semaphore.WaitAsync(0).ConfigureAwait(false))
             return Conflict(new RelayResponse<object>(Status: "busy", Message: "A conflicting operation is already in progress. Please wait for it to complete."));
 
-        TaskHelper.StartTask(taskName);
+        var startedAt = DateTime.UtcNow;
+        string trigger = RequestTrigger;
+        var ct = TaskHelper.StartTask(taskName, cancellable);
+        string logFile = $"{taskName}-report.log";
         try
         {
-            T result = await action().ConfigureAwait(false);
-            LogHelper.WriteReport(ConfigProvider.PluginDirectory, $"{taskName}-report.log", result, reportBuilder);
-            IActionResult actionResult = Ok(new RelayResponse<T>(Data: result, LogUrl: $"{ApiBase}/logs/{taskName}-report.log"));
+            T result = await action(ct).ConfigureAwait(false);
+
+            // Cancellable tasks that observe a cancellation without throwing stop early and return partial results, so keep the report but flag it as cancelled
+            bool cancelled = ct.IsCancellationRequested;
+            Action<StringBuilder, T> builder = cancelled ? (sb, r) => LogHelper.AppendCancelledNote(reportBuilder, sb, r) : reportBuilder;
+            LogHelper.WriteReport(ConfigProvider.PluginDirectory, logFile, result, builder);
+            IActionResult actionResult = Ok(
+                new RelayResponse<T>(Status: cancelled ? "cancelled" : "ok", Message: cancelled ? "Task was cancelled. Results are partial." : null, Data: result, LogUrl: $"{ApiBase}/logs/{logFile}")
+            );
+            TaskHistoryHelper.Record(taskName, trigger, startedAt, (actionResult as OkObjectResult)?.Value, LogHelper.GetArchivedReportName(ConfigProvider.PluginDirectory, logFile));
             TaskHelper.CompleteTask(taskName, (actionResult as OkObjectResult)?.Value!);
             return actionResult;
         }
+        catch (OperationCanceledException) when (ct.IsCancellationRequested)
+        {
+            LogHelper.WriteReport(ConfigProvider.PluginDirectory, logFile, taskName, LogHelper.BuildCancelledReport);
+            var cancelledResponse = new RelayResponse<object>(Status: "cancelled", Message: "Task was cancelled.", LogUrl: $"{ApiBase}/logs/{logFile}");
+            TaskHistoryHelper.Record(taskName, trigger, startedAt, cancelledResponse, LogHelper.GetArchivedReportName(ConfigProvider.PluginDirectory, logFile));
+            TaskHelper.CompleteTask(taskName, cancelledResponse);
+            return Ok(cancelledResponse);
+        }
         catch (Exception ex)
         {
             var err = new { status = "error", message = ex.Message };
+            TaskHistoryHelper.Record(taskName, trigger, startedAt, err);
             TaskHelper.CompleteTask(taskName, err);
             return BadRequest(new RelayResponse<object>(Status: "error", Message: ex.Message));
         }
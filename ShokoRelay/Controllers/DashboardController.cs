@@ -3,12 +3,19 @@ using System.ComponentModel;
 using System.ComponentModel.DataAnnotations;
 using System.Net;
 using System.Reflection;
+using System.Runtime.InteropServices;
+using System.Text;
+using System.Text.Json;
+using System.Text.Json.Nodes;
 using System.Text.RegularExpressions;
+using System.Threading.Channels;
 using Asp.Versioning;
+using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.AspNetCore.StaticFiles;
 using Shoko.Abstractions.Plugin;
 using Shoko.Abstractions.Web.Services;
+using ShokoRelay.Services;
 using IoFile = System.IO.File;
 
 namespace ShokoRelay.Controllers;
@@ -17,12 +24,21 @@ namespace ShokoRelay.Controllers;
 [ApiController]
 [ApiVersion(ShokoRelayConstants.ApiVersion)]
 [Route(ShokoRelayConstants.BasePath)]
-public class DashboardController(ConfigProvider configProvider, IMetadataService metadataService, PlexClient plexLibrary, IWebThemeService webThemeService, IApplicationPaths applicationPaths)
+public class DashboardController(ConfigProvider configProvider, IMetadataService metadataService, PlexClient plexLibrary, IWebThemeService webThemeService, IApplicationPaths applicationPaths, IHealthService healthService)
     : ShokoRelayBaseController(configProvider, metadataService, plexLibrary)
 {
     #region Setup
 
     private static readonly FileExtensionContentTypeProvider s_contentTypeProvider = new();
+    private static readonly JsonSerializerOptions s_eventJsonOptions = new(JsonSerializerDefaults.Web);
+    private static readonly TimeSpan s_eventKeepAlive = TimeSpan.FromSeconds(20);
+    private static readonly JsonSerializerOptions s_bundleJsonOptions = new() { WriteIndented = true };
+
+    /// <summary>How long the collection's tag counts are reused before they are counted again.</summary>
+    private static readonly TimeSpan s_tagUsageLifetime = TimeSpan.FromMinutes(5);
+
+    /// <summary>The collection's tag counts, when they were counted and the tag sources they were counted with.</summary>
+    private static (DateTime CountedAt, string Sources, Dictionary<string, int> Usage)? s_tagUsage;
 
     #endregion
 
@@ -73,34 +89,255 @@ public class DashboardController(ConfigProvider configProvider, IMetadataService
     {
         var payload = ConfigProvider.GetDashboardConfig();
         var themes = webThemeService.GetThemes(forceRefresh: false).Select(t => new { id = t.ID, name = t.Name }).ToList();
-        var path = Path.Combine(ConfigDirectory, ShokoRelayConstants.FileVfsOverrides);
+        string etag = ConfigProvider.GetSettingsETag();
+        Response.Headers.ETag = $"\"{etag}\"";
         return Ok(
             new
             {
                 payload,
-                overrides = IoFile.Exists(path) ? IoFile.ReadAllText(path) : string.Empty,
+                overrides = ReadVfsOverrides(),
                 themes,
+                etag,
             }
         );
     }
 
     /// <summary>Accepts a new configuration object and persists it to disk.</summary>
+    /// <remarks>Invalid settings are rejected with <c>400</c> and an <c>errors</c> map of messages keyed by setting path. When an <c>If-Match</c> header is sent, the save is rejected with <c>409</c> if the settings changed since that version; the response then carries the current settings so the caller can merge.</remarks>
     /// <param name="config">The configuration payload.</param>
-    /// <returns>Success or error status.</returns>
+    /// <returns>Success or error status, with the new version tag.</returns>
     [HttpPost("config")]
     public IActionResult SaveConfig([FromBody] RelayConfig config)
     {
         if (config == null)
             return BadRequest(new { status = "error", message = "Config payload is required." });
+        var errors = ConfigProvider.ValidateSettings(config);
+        if (errors.Count > 0)
+        {
+            Logger.Warn($"Dashboard: Rejected provider settings save -> {errors.Count} invalid setting(s): {string.Join(", ", errors.Keys)}");
+            return BadRequest(new { status = "error", message = $"{errors.Count} setting(s) are invalid.", errors });
+        }
+        string? expected = Request.Headers.IfMatch.FirstOrDefault()?.Trim('"');
         Logger.Info("Dashboard: Saving updated provider settings...");
-        ConfigProvider.SaveSettings(config);
-        return Ok(new { status = "ok" });
+        if (!ConfigProvider.TrySaveSettings(config, expected == "*" ? null : expected))
+        {
+            Logger.Warn("Dashboard: Rejected provider settings save -> Settings changed since they were loaded");
+            return Conflict(
+                new
+                {
+                    status = "conflict",
+                    message = "Settings were changed elsewhere since they were loaded.",
+                    payload = ConfigProvider.GetDashboardConfig(),
+                    etag = ConfigProvider.GetSettingsETag(),
+                }
+            );
+        }
+        return Ok(new { status = "ok", etag = ConfigProvider.GetSettingsETag() });
     }
 
     /// <summary>Builds and returns a JSON schema representation of the configuration properties.</summary>
-    /// <returns>A schema list for dynamic form rendering.</returns>
+    /// <remarks>The <c>constraints</c> map also covers hidden settings that the dashboard binds outside the generated form.</remarks>
+    /// <returns>A schema list for dynamic form rendering, with the validation rules of every constrained setting.</returns>
     [HttpGet("config/schema")]
-    public IActionResult GetConfigSchema() => Ok(new { properties = BuildConfigSchema(typeof(RelayConfig), "") });
+    public IActionResult GetConfigSchema() => Ok(new { properties = BuildConfigSchema(typeof(RelayConfig), ""), constraints = BuildConfigConstraints(typeof(RelayConfig), "") });
+
+    /// <summary>Returns the saved configuration revisions so changes can be compared and reverted.</summary>
+    /// <returns>The revisions, newest first.</returns>
+    [HttpGet("config/history")]
+    public IActionResult GetConfigHistory() => Ok(new RelayResponse<List<ConfigRevision>>(Data: ConfigProvider.GetConfigRevisions()));
+
+    /// <summary>Compares two configuration revisions field by field.</summary>
+    /// <param name="from">The revision to compare from; omit to use the current settings.</param>
+    /// <param name="to">The revision to compare to; omit to use the current settings.</param>
+    /// <returns>The changed fields with their display names, old and new values and whether they require a VFS rebuild.</returns>
+    [HttpGet("config/history/diff")]
+    public IActionResult GetConfigDiff([FromQuery] int? from = null, [FromQuery] int? to = null)
+    {
+        var revisions = ConfigProvider.GetConfigRevisions();
+        RelayConfig? Resolve(int? id) => id == null ? ConfigProvider.GetSettings() : revisions.FirstOrDefault(r => r.Id == id)?.Config;
+        var (fromConfig, toConfig) = (Resolve(from), Resolve(to));
+        if (fromConfig == null || toConfig == null)
+            return NotFound(new RelayResponse<object>(Status: "error", Message: $"Config revision {(fromConfig == null ? from : to)} was not found."));
+        return Ok(new RelayResponse<List<ConfigChange>>(Data: BuildConfigDiff(typeof(RelayConfig), fromConfig, toConfig, "")));
+    }
+
+    /// <summary>Restores a saved configuration revision.</summary>
+    /// <param name="id">The revision number to restore.</param>
+    /// <returns>Success or error response.</returns>
+    [HttpPost("config/history/{id:int}/revert")]
+    public IActionResult RevertConfig(int id)
+    {
+        Logger.Info("Dashboard: Reverting provider settings to revision {0}...", id);
+        return ConfigProvider.RevertToRevision(id) == null
+            ? NotFound(new RelayResponse<object>(Status: "error", Message: $"Config revision {id} was not found."))
+            : Ok(new RelayResponse<object>(Message: $"Provider settings reverted to revision {id}."));
+    }
+
+    /// <summary>Downloads the current settings, and the VFS overrides, as a JSON file that can be imported into another installation.</summary>
+    /// <param name="includeSecrets">Whether to include the Plex token and settings holding credentials (such as Plex user PINs).</param>
+    /// <returns>The export file.</returns>
+    [HttpGet("config/export")]
+    public IActionResult ExportConfig([FromQuery] bool includeSecrets = false)
+    {
+        Logger.Info($"Dashboard: Exporting provider settings{(includeSecrets ? " with secrets" : "")}...");
+        string json = ConfigProvider.SerializeConfigExport(ConfigProvider.ExportSettings(includeSecrets, ReadVfsOverrides()));
+        return File(Encoding.UTF8.GetBytes(json), "application/json", $"{ShokoRelayConstants.Name.Replace(" ", "", StringComparison.Ordinal)}-config-{DateTime.Now:yyyyMMdd-HHmmss}.json");
+    }
+
+    /// <summary>Compares an export file (sent as the request body) with the current settings without applying it.</summary>
+    /// <returns>The changes grouped by import section, with the validation errors the imported settings would cause.</returns>
+    [HttpPost("config/import/preview")]
+    public async Task<IActionResult> PreviewConfigImport()
+    {
+        var (export, merged, error) = await ReadConfigImportAsync(null);
+        if (error != null)
+            return error;
+
+        var sections = BuildConfigDiff(typeof(RelayConfig), ConfigProvider.GetSettings(), merged, "")
+            .GroupBy(c => ConfigProvider.GetConfigSection(c.Path.Split('.')[0]))
+            .Select(g => new ConfigImportSection(g.Key, [.. g]))
+            .ToList();
+        string overrides = ReadVfsOverrides();
+        if (export!.Overrides != null && export.Overrides != overrides)
+            sections.Add(new ConfigImportSection(OverridesSection, [new ConfigChange("Overrides", "VFS Overrides", DescribeLines(overrides), DescribeLines(export.Overrides), true)]));
+        if (!string.IsNullOrWhiteSpace(export.PlexToken) && export.PlexToken != ConfigProvider.GetPlexToken())
+            sections.Add(new ConfigImportSection(PlexTokenSection, [new ConfigChange("PlexToken", "Plex Token", string.IsNullOrWhiteSpace(ConfigProvider.GetPlexToken()) ? null : "(linked)", "(imported)", false)]));
+
+        return Ok(new RelayResponse<ConfigImportPreview>(Data: new ConfigImportPreview(export.Version, export.ExportedAt, sections, ConfigProvider.ValidateSettings(merged!))));
+    }
+
+    /// <summary>Applies the selected sections of an export file (sent as the request body) to the current settings.</summary>
+    /// <remarks>The imported settings are saved as a new revision, so an import can be reverted from the settings history.</remarks>
+    /// <param name="sections">Comma-separated import sections to apply, as returned by the preview.</param>
+    /// <returns>Success or error status; invalid settings are returned as an <c>errors</c> map keyed by setting path.</returns>
+    [HttpPost("config/import")]
+    public async Task<IActionResult> ImportConfig([FromQuery] string? sections = null)
+    {
+        var selected = (sections ?? "").Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries).ToHashSet(StringComparer.OrdinalIgnoreCase);
+        if (selected.Count == 0)
+            return BadRequest(new RelayResponse<object>(Status: "error", Message: "Select at least one section to import."));
+
+        var (export, merged, error) = await ReadConfigImportAsync(selected);
+        if (error != null)
+            return error;
+        var errors = ConfigProvider.ValidateSettings(merged!);
+        if (errors.Count > 0)
+            return BadRequest(new { status = "error", message = $"{errors.Count} imported setting(s) are invalid.", errors });
+
+        Logger.Info($"Dashboard: Importing provider settings -> {string.Join(", ", selected)}");
+        ConfigProvider.SaveSettings(merged!);
+        if (selected.Contains(OverridesSection) && export!.Overrides != null)
+            IoFile.WriteAllText(Path.Combine(ConfigDirectory, ShokoRelayConstants.FileVfsOverrides), export.Overrides);
+        bool tokenImported = selected.Contains(PlexTokenSection) && !string.IsNullOrWhiteSpace(export!.PlexToken);
+        if (tokenImported)
+            ConfigProvider.UpdatePlexTokenInfo(token: export!.PlexToken);
+        return Ok(new RelayResponse<object>(Message: $"Imported {string.Join(", ", selected)}.", Data: new { tokenImported }));
+    }
+
+    /// <summary>Lists the tags that exist across the Shoko collection, for the Tag Blacklist autocomplete.</summary>
+    /// <param name="search">Text the tag names must contain; omit to list the most used tags.</param>
+    /// <param name="limit">Maximum number of tags to return.</param>
+    /// <returns>The matching tags with the number of series carrying each, names starting with <paramref name="search"/> first.</returns>
+    [HttpGet("config/tags")]
+    public IActionResult GetTags([FromQuery] string? search = null, [FromQuery] int limit = 20)
+    {
+        search = search?.Trim() ?? "";
+        var tags = GetTagUsage()
+            .Where(t => t.Key.Contains(search, StringComparison.OrdinalIgnoreCase))
+            .OrderByDescending(t => search.Length > 0 && t.Key.StartsWith(search, StringComparison.OrdinalIgnoreCase))
+            .ThenByDescending(t => t.Value)
+            .ThenBy(t => t.Key, StringComparer.OrdinalIgnoreCase)
+            .Take(Math.Clamp(limit, 1, 100))
+            .Select(t => new TagUsage(t.Key, t.Value))
+            .ToList();
+        return Ok(new RelayResponse<List<TagUsage>>(Data: tags));
+    }
+
+    /// <summary>Counts how many series each Tag Blacklist entry would remove a tag from, before the blacklist is saved.</summary>
+    /// <param name="tags">The blacklist entries.</param>
+    /// <returns>The entries in the same order, with the number of series carrying each.</returns>
+    [HttpPost("config/tags/preview")]
+    public IActionResult PreviewTagBlacklist([FromBody] List<string> tags)
+    {
+        var usage = GetTagUsage();
+        var preview = (tags ?? []).Select(t => t.Trim()).Select(t => new TagUsage(t, usage.GetValueOrDefault(t))).ToList();
+        return Ok(new RelayResponse<List<TagUsage>>(Data: preview));
+    }
+
+    /// <summary>Lists the settings that require a VFS rebuild and have changed since the VFS was last fully rebuilt.</summary>
+    /// <returns>When the last full build completed and the pending setting changes.</returns>
+    [HttpGet("config/rebuild")]
+    public IActionResult GetPendingRebuild()
+    {
+        var state = ConfigProvider.GetVfsBuildState();
+        var changes = BuildConfigDiff(typeof(RelayConfig), state.Config, ConfigProvider.GetSettings(), "").Where(c => c.Rebuild).ToList();
+        return Ok(new RelayResponse<PendingRebuild>(Data: new PendingRebuild(state.BuiltAt, changes)));
+    }
+
+    /// <summary>Maps a Shoko file path with the real path mapping logic, reporting which mapping applied.</summary>
+    /// <param name="request">The Shoko path to test and, optionally, unsaved mappings to test it against.</param>
+    /// <returns>The matched mapping (if any) and the resulting working path.</returns>
+    [HttpPost("config/path-mappings/test")]
+    public IActionResult TestPathMapping([FromBody] PathMappingTestRequest request)
+    {
+        if (string.IsNullOrWhiteSpace(request?.Path))
+            return BadRequest(new RelayResponse<object>(Status: "error", Message: "Enter a Shoko file path to test."));
+
+        Dictionary<string, string> mappings;
+        try
+        {
+            mappings = ConfigProvider.NormalizePathMappingEntries(request.Mappings ?? ConfigProvider.GetSettings().Advanced.PathMappings);
+        }
+        catch (ArgumentException)
+        {
+            return BadRequest(new RelayResponse<object>(Status: "error", Message: "Two path mappings share the same Shoko base path."));
+        }
+
+        var (shokoBasePath, result) = PlexClient.TestShokoPathMapping(mappings, request.Path.Trim());
+        int index = shokoBasePath == null ? -1 : mappings.Keys.ToList().IndexOf(shokoBasePath);
+        return Ok(new RelayResponse<PathMappingTestResult>(Data: new PathMappingTestResult(index, shokoBasePath, shokoBasePath == null ? null : mappings[shokoBasePath], result)));
+    }
+
+    /// <summary>Reports what the first-run setup wizard needs: whether it should open and how far the install is configured.</summary>
+    /// <returns>The setup state, the Shoko server URLs and the Plex libraries discovered so far.</returns>
+    [HttpGet("config/setup")]
+    public IActionResult GetSetupStatus()
+    {
+        var state = ConfigProvider.GetSetupState();
+        bool hasToken = !string.IsNullOrWhiteSpace(ConfigProvider.GetPlexToken());
+        var libraries = ConfigProvider.GetPlexDiscoveredLibraries().Select(l => new SetupLibrary(l.Title, l.Type, l.ServerName)).ToList();
+        var status = new SetupStatus(state == null && !hasToken, state?.CompletedAt, ConfigProvider.GetSettings().Advanced.ShokoServerUrl, ConfigProvider.ServerBaseUrl, hasToken, libraries);
+        return Ok(new RelayResponse<SetupStatus>(Data: status));
+    }
+
+    /// <summary>Checks that Shoko Relay answers at a Shoko server URL, the way Plex will reach it.</summary>
+    /// <param name="url">The Shoko server URL to check; omit to check the URL currently in use.</param>
+    /// <returns>Whether the URL answered with this plugin's provider descriptor, and the version it reported.</returns>
+    [HttpGet("config/setup/shoko-url")]
+    public async Task<IActionResult> TestShokoServerUrl([FromQuery] string? url = null)
+    {
+        string baseUrl = string.IsNullOrWhiteSpace(url) ? ConfigProvider.ServerBaseUrl : url.Trim().TrimEnd('/');
+        if (!Uri.TryCreate(baseUrl, UriKind.Absolute, out var uri) || (uri.Scheme != Uri.UriSchemeHttp && uri.Scheme != Uri.UriSchemeHttps))
+            return BadRequest(new RelayResponse<object>(Status: "error", Message: "Enter a full URL starting with http:// or https://"));
+
+        return Ok(new RelayResponse<ShokoUrlTest>(Data: await healthService.TestShokoUrlAsync(baseUrl, HttpContext.RequestAborted).ConfigureAwait(false)));
+    }
+
+    /// <summary>Records that the first-run setup wizard was finished or skipped, so it no longer opens by itself.</summary>
+    /// <param name="skipped">True if the wizard was closed before its last step.</param>
+    /// <returns>When the wizard was completed.</returns>
+    [HttpPost("config/setup/complete")]
+    public IActionResult CompleteSetup([FromQuery] bool skipped = false)
+    {
+        var state = ConfigProvider.MarkSetupComplete(skipped);
+        Logger.Info(skipped ? "Config: Setup wizard skipped" : "Config: Setup wizard completed");
+        return Ok(new RelayResponse<SetupState>(Data: state));
+    }
+
+    /// <summary>A Shoko file path to run through the path mappings.</summary>
+    /// <param name="Path">The Shoko file path.</param>
+    /// <param name="Mappings">Shoko base paths mapped to working base paths; omit to use the saved mappings.</param>
+    public record PathMappingTestRequest(string Path, Dictionary<string, string>? Mappings = null);
 
     /// <summary>Generates and serves a dynamically mapped CSS file combining the selected Shoko WebUI theme with custom Relay variables.</summary>
     /// <returns>A dynamic CSS stylesheet content result.</returns>
@@ -186,40 +423,178 @@ public class DashboardController(ConfigProvider configProvider, IMetadataService
     [HttpGet("tasks/active")]
     public IActionResult GetActiveTasks() => Ok(TaskHelper.ActiveTasks.Keys);
 
+    /// <summary>Returns the running tasks that can be cancelled, so the dashboard only offers a cancel control for them.</summary>
+    [HttpGet("tasks/cancellable")]
+    public IActionResult GetCancellableTasks() => Ok(TaskHelper.ActiveTasks.Keys.Where(TaskHelper.IsCancellable));
+
     /// <summary>Returns results of tasks completed since the last check.</summary>
     [HttpGet("tasks/completed")]
     public IActionResult GetCompletedTasks() => Ok(TaskHelper.TaskResults);
 
+    /// <summary>Returns the latest progress snapshots for running tasks that report processed/total counts.</summary>
+    [HttpGet("tasks/progress")]
+    public IActionResult GetTaskProgress() => Ok(TaskHelper.Progress);
+
     /// <summary>Acknowledges and clears a completed task result so it isn't displayed again.</summary>
     /// <param name="taskName">The unique identifier for the task.</param>
     [HttpPost("tasks/clear/{taskName}")]
     public IActionResult ClearTaskResult(string taskName)
     {
-        TaskHelper.TaskResults.TryRemove(taskName, out _);
+        TaskHelper.ClearTask(taskName);
         return Ok();
     }
 
+    /// <summary>Returns the recorded run history of managed tasks, newest first, with links to each run's report while it still exists.</summary>
+    /// <param name="task">Optional task identifier to filter by.</param>
+    /// <param name="limit">Maximum number of runs to return.</param>
+    [HttpGet("tasks/history")]
+    public IActionResult GetTaskHistory([FromQuery] string? task = null, [FromQuery] int limit = 200)
+    {
+        var runs = TaskHistoryHelper
+            .GetRuns(task)
+            .Take(Math.Clamp(limit, 1, 1000))
+            .Select(r =>
+            {
+                string? logFile = r.LogFile != null ? LogHelper.FindRunReport(ConfigProvider.PluginDirectory, r.LogFile) : null;
+                return new
+                {
+                    taskName = r.TaskName,
+                    friendlyName = FriendlyTaskName(r.TaskName),
+                    trigger = r.Trigger,
+                    startedAt = r.StartedAt,
+                    endedAt = r.EndedAt,
+                    durationSeconds = r.DurationSeconds,
+                    status = r.Status,
+                    counts = r.Counts,
+                    message = r.Message,
+                    logUrl = logFile != null ? $"{ApiBase}/logs/{logFile}" : null,
+                };
+            })
+            .ToList();
+        var tasks = TaskHistoryHelper.GetRuns().Select(r => r.TaskName).Distinct().Order(StringComparer.Ordinal).Select(t => new { task = t, friendlyName = FriendlyTaskName(t) }).ToList();
+        return Ok(new { runs, tasks });
+    }
+
+    /// <summary>Returns the live log lines of a running (or most recently finished) task, allowing the dashboard log viewer to tail it.</summary>
+    /// <param name="taskName">The unique identifier for the task.</param>
+    /// <param name="since">The sequence number of the first line to return.</param>
+    [HttpGet("tasks/live/{taskName}")]
+    public IActionResult GetTaskLiveLog(string taskName, [FromQuery] int since = 0)
+    {
+        var (lines, next) = TaskHelper.ReadLiveLog(taskName, since);
+        return Ok(new { active = TaskHelper.ActiveTasks.ContainsKey(taskName), progress = TaskHelper.ReportsProgress(taskName), next, lines });
+    }
+
+    /// <summary>Requests cancellation of a running task. The task finishes with a <c>cancelled</c> status once it reaches a safe stopping point.</summary>
+    /// <param name="taskName">The unique identifier for the task.</param>
+    [HttpPost("tasks/cancel/{taskName}")]
+    public IActionResult CancelTask(string taskName) =>
+        TaskHelper.CancelTask(taskName)
+            ? Ok(new RelayResponse<object>(Message: "Cancellation requested."))
+            : NotFound(new RelayResponse<object>(Status: "error", Message: "Task is not running or cannot be cancelled."));
+
+    /// <summary>Streams task lifecycle events to the dashboard as Server-Sent Events, replacing the need to poll the active and completed task endpoints.</summary>
+    /// <param name="cancellationToken">Signalled when the client disconnects.</param>
+    /// <remarks>A <c>snapshot</c> event containing the active and cancellable tasks, stored results and progress is sent first, followed by <c>started</c>, <c>progress</c>, <c>cancelling</c>, <c>finished</c>, <c>completed</c>, <c>cleared</c> and <c>recorded</c> events as they occur.</remarks>
+    [HttpGet("tasks/events")]
+    public async Task GetTaskEvents(CancellationToken cancellationToken)
+    {
+        Response.Headers.ContentType = "text/event-stream";
+        Response.Headers.CacheControl = "no-cache";
+        Response.Headers["X-Accel-Buffering"] = "no"; // Stop reverse proxies from buffering the stream
+
+        var channel = Channel.CreateUnbounded<TaskEvent>(new UnboundedChannelOptions { SingleReader = true });
+        void OnTaskChanged(TaskEvent evt) => channel.Writer.TryWrite(evt);
+        TaskHelper.TaskChanged += OnTaskChanged;
+
+        try
+        {
+            await WriteTaskEventAsync("snapshot", new { active = TaskHelper.ActiveTasks.Keys.ToArray(), completed = TaskHelper.TaskResults, progress = TaskHelper.Progress, cancellable = TaskHelper.ActiveTasks.Keys.Where(TaskHelper.IsCancellable).ToArray(), cancelling = TaskHelper.ActiveTasks.Keys.Where(TaskHelper.IsCancelling).ToArray() }, cancellationToken);
+            while (!cancellationToken.IsCancellationRequested)
+            {
+                using var keepAliveCts = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+                keepAliveCts.CancelAfter(s_eventKeepAlive);
+                try
+                {
+                    var evt = await channel.Reader.ReadAsync(keepAliveCts.Token);
+                    await WriteTaskEventAsync(evt.Type, evt, cancellationToken);
+                }
+                catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+                {
+                    await Response.WriteAsync(": keep-alive\n\n", cancellationToken);
+                    await Response.Body.FlushAsync(cancellationToken);
+                }
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // Client disconnected
+        }
+        finally
+        {
+            TaskHelper.TaskChanged -= OnTaskChanged;
+            channel.Writer.TryComplete();
+        }
+    }
+
     #endregion
 
     #region Logs
 
-    /// <summary>Returns a JSON list of all currently generated task logs that exist on disk.</summary>
-    /// <returns>A list of log file metadata objects.</returns>
+    /// <summary>Returns a page of the task reports that exist on disk, newest first, optionally filtered to a single task.</summary>
+    /// <param name="page">The 1-based page number.</param>
+    /// <param name="pageSize">The number of reports per page.</param>
+    /// <param name="task">Optional task identifier to filter by.</param>
+    /// <returns>The requested page of report metadata, the total match count and the task types that have reports.</returns>
     [HttpGet("logs/list")]
-    public IActionResult GetLogsList()
-    {
-        string logsDir = Path.Combine(ConfigProvider.PluginDirectory, "logs");
-        return !Directory.Exists(logsDir)
-            ? Ok(new { logs = Array.Empty<object>() })
-            : Ok(
-                Directory
-                    .EnumerateFiles(logsDir, "*-report.log")
-                    .Select(Path.GetFileName)
-                    .OfType<string>()
-                    .OrderBy(f => f)
-                    .Select(file => new { name = file, friendlyName = TagHelper.TitleCase(file.Replace("-report.log", "", StringComparison.Ordinal).Replace("-", " ", StringComparison.Ordinal)) })
-                    .ToList()
-            );
+    public IActionResult GetLogsList([FromQuery] int page = 1, [FromQuery] int pageSize = 25, [FromQuery] string? task = null)
+    {
+        var reports = LogHelper.ListReports(ConfigProvider.PluginDirectory);
+        var tasks = reports.Select(r => r.Task).Distinct(StringComparer.Ordinal).OrderBy(t => t, StringComparer.Ordinal).Select(t => new { task = t, friendlyName = FriendlyTaskName(t) }).ToList();
+        List<LogReport> filtered = string.IsNullOrWhiteSpace(task) ? reports : [.. reports.Where(r => string.Equals(r.Task, task, StringComparison.Ordinal))];
+
+        pageSize = Math.Clamp(pageSize, 1, 200);
+        page = Math.Max(1, page);
+        var logs = filtered
+            .Skip((page - 1) * pageSize)
+            .Take(pageSize)
+            .Select(r => new { name = r.Name, friendlyName = FriendlyTaskName(r.Task), task = r.Task, date = r.Date, size = r.Size, latest = r.Name == $"{r.Task}-report.log" })
+            .ToList();
+        return Ok(new { logs, total = filtered.Count, page, pageSize, tasks });
+    }
+
+    /// <summary>Deletes a single task report.</summary>
+    /// <param name="fileName">The report filename.</param>
+    [HttpPost("logs/delete/{fileName}")]
+    public IActionResult DeleteLog(string fileName)
+    {
+        var path = LogHelper.ResolveReportPath(ConfigProvider.PluginDirectory, fileName);
+        if (path == null)
+            return NotFound(new RelayResponse<object>(Status: "error", Message: "Report not found."));
+        IoFile.Delete(path);
+        return Ok(new RelayResponse<object>(Message: $"Deleted {fileName}."));
+    }
+
+    /// <summary>Deletes every task report older than the given number of days.</summary>
+    /// <param name="days">Reports older than this many days are removed.</param>
+    [HttpPost("logs/prune")]
+    public IActionResult PruneLogs([FromQuery] int days)
+    {
+        if (days < 1)
+            return BadRequest(new RelayResponse<object>(Status: "error", Message: "days must be at least 1."));
+        var deleted = LogHelper.DeleteReportsOlderThan(ConfigProvider.PluginDirectory, days);
+        return Ok(new RelayResponse<List<string>>(Message: $"Deleted {deleted.Count} report(s) older than {days} day(s).", Data: deleted));
+    }
+
+    /// <summary>Downloads the selected task reports as a single zip archive.</summary>
+    /// <param name="files">The report filenames to include.</param>
+    [HttpPost("logs/archive")]
+    public IActionResult DownloadLogArchive([FromBody] string[] files)
+    {
+        var paths = (files ?? []).Distinct(StringComparer.Ordinal).Select(f => LogHelper.ResolveReportPath(ConfigProvider.PluginDirectory, f)).OfType<string>().ToList();
+        if (paths.Count == 0)
+            return BadRequest(new RelayResponse<object>(Status: "error", Message: "No valid reports selected."));
+        return File(LogHelper.BuildReportArchive(paths), "application/zip", $"{ShokoRelayConstants.Name.Replace(" ", "", StringComparison.Ordinal)}-logs-{DateTime.Now:yyyyMMdd-HHmmss}.zip");
     }
 
     /// <summary>Serves report files from the plugin's logs directory without allowing browser caching.</summary>
@@ -243,6 +618,99 @@ public class DashboardController(ConfigProvider configProvider, IMetadataService
 
     #endregion
 
+    #region Automation Schedule
+
+    /// <summary>Returns the state of each scheduled automation job (last run, last result and next run).</summary>
+    /// <returns>The scheduled jobs.</returns>
+    [HttpGet("automation/schedule")]
+    public IActionResult GetAutomationSchedule() => Ok(new RelayResponse<List<ScheduledJobStatus>>(Data: ShokoRelay.GetAutomationSchedule()));
+
+    #endregion
+
+    #region Diagnostics
+
+    /// <summary>Runs every health check: Shoko reachability, the Plex token and servers, FFmpeg, and write access to the config directory and VFS roots.</summary>
+    /// <returns>The overall status and one pass, warn or fail result per check.</returns>
+    [HttpGet("health")]
+    public async Task<IActionResult> GetHealth()
+    {
+        var report = await healthService.CheckAsync(HttpContext.RequestAborted).ConfigureAwait(false);
+        return Ok(new RelayResponse<HealthReport>(Data: report));
+    }
+
+    /// <summary>Runs every health check and downloads the report as a JSON bundle for support requests, with the environment, the settings (without secrets) and the automation schedule.</summary>
+    /// <returns>The bundle file.</returns>
+    [HttpGet("health/bundle")]
+    public async Task<IActionResult> DownloadHealthBundle()
+    {
+        Logger.Info("Dashboard: Building diagnostics bundle...");
+        var report = await healthService.CheckAsync(HttpContext.RequestAborted).ConfigureAwait(false);
+        var environment = new DiagnosticsEnvironment(ShokoRelayConstants.Version, RuntimeInformation.OSDescription, RuntimeInformation.FrameworkDescription, RuntimeInformation.ProcessArchitecture.ToString(), ConfigProvider.ServerBaseUrl);
+        var bundle = new DiagnosticsBundle(report, environment, ConfigProvider.ExportSettings(false, null).Config, ShokoRelay.GetAutomationSchedule());
+        string json = JsonSerializer.Serialize(bundle, s_bundleJsonOptions);
+        return File(Encoding.UTF8.GetBytes(json), "application/json", $"{ShokoRelayConstants.Name.Replace(" ", "", StringComparison.Ordinal)}-diagnostics-{DateTime.Now:yyyyMMdd-HHmmss}.json");
+    }
+
+    #endregion
+
+    #region Pipelines
+
+    /// <summary>Returns the saved task pipelines.</summary>
+    /// <returns>The pipelines in their saved order.</returns>
+    [HttpGet("pipelines")]
+    public IActionResult GetPipelines()
+    {
+        var path = Path.Combine(ConfigDirectory, ShokoRelayConstants.FileTaskPipelines);
+        try
+        {
+            return Ok(new RelayResponse<List<TaskPipeline>>(Data: IoFile.Exists(path) ? JsonSerializer.Deserialize<List<TaskPipeline>>(IoFile.ReadAllText(path)) ?? [] : []));
+        }
+        catch (Exception ex)
+        {
+            Logger.Warn(ex, "Dashboard: Failed to read {0}", path);
+            return BadRequest(new RelayResponse<object>(Status: "error", Message: $"Failed to read saved pipelines: {ex.Message}"));
+        }
+    }
+
+    /// <summary>Replaces the saved task pipelines.</summary>
+    /// <param name="pipelines">The full list of pipelines to save.</param>
+    /// <returns>Success or error response.</returns>
+    [HttpPost("pipelines")]
+    public IActionResult SavePipelines([FromBody] List<TaskPipeline> pipelines)
+    {
+        pipelines ??= [];
+        var names = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+        foreach (var pipeline in pipelines)
+        {
+            if (pipeline == null)
+                return BadRequest(new RelayResponse<object>(Status: "error", Message: "Every pipeline must be an object."));
+            if (string.IsNullOrWhiteSpace(pipeline.Name))
+                return BadRequest(new RelayResponse<object>(Status: "error", Message: "Every pipeline needs a name."));
+            if (!names.Add(pipeline.Name.Trim()))
+                return BadRequest(new RelayResponse<object>(Status: "error", Message: $"Duplicate pipeline name: {pipeline.Name}"));
+            if (pipeline.Steps is not { Count: > 0 } || pipeline.Steps.Any(st => string.IsNullOrWhiteSpace(st?.Action)))
+                return BadRequest(new RelayResponse<object>(Status: "error", Message: $"Pipeline '{pipeline.Name}' needs at least one step and every step needs an action."));
+        }
+
+        Logger.Info("Dashboard: Saving {0} task pipeline(s)...", pipelines.Count);
+        var normalized = pipelines.Select(pl => pl with { Name = pl.Name.Trim(), Steps = [.. pl.Steps.Select(st => st with { Action = st.Action.Trim(), Params = string.IsNullOrWhiteSpace(st.Params) ? null : st.Params.Trim().TrimStart('?', '&') })] }).ToList();
+        IoFile.WriteAllText(Path.Combine(ConfigDirectory, ShokoRelayConstants.FileTaskPipelines), JsonSerializer.Serialize(normalized, new JsonSerializerOptions { WriteIndented = true }));
+        return Ok(new RelayResponse<List<TaskPipeline>>(Data: normalized));
+    }
+
+    /// <summary>A saved sequence of dashboard task actions that are run one after another.</summary>
+    /// <param name="Name">Display name of the pipeline.</param>
+    /// <param name="Steps">The ordered steps.</param>
+    public record TaskPipeline(string Name, List<TaskPipelineStep> Steps);
+
+    /// <summary>A single step of a <see cref="TaskPipeline"/>.</summary>
+    /// <param name="Action">The id of the dashboard task button (a <c>data-relay-endpoint</c> action) the step runs.</param>
+    /// <param name="Params">Optional query string merged into the action's endpoint query, replacing parameters of the same name.</param>
+    /// <param name="ContinueOnError">Whether the pipeline moves on to the next step when this one fails.</param>
+    public record TaskPipelineStep(string Action, string? Params = null, bool ContinueOnError = false);
+
+    #endregion
+
     #region Internal Helpers
 
     /// <summary>Serves a razor template page from the dashboard directory, processing constants and injecting the base path.</summary>
@@ -268,6 +736,20 @@ public class DashboardController(ConfigProvider configProvider, IMetadataService
         return Content(html, "text/html");
     }
 
+    /// <summary>Converts a task identifier into a title cased display name.</summary>
+    /// <param name="task">The task identifier.</param>
+    private static string FriendlyTaskName(string task) => TagHelper.TitleCase(task.Replace("-", " ", StringComparison.Ordinal));
+
+    /// <summary>Writes a single named Server-Sent Event and flushes it to the client.</summary>
+    /// <param name="eventName">The SSE event name.</param>
+    /// <param name="payload">The object serialized as the event data.</param>
+    /// <param name="ct">Cancellation token.</param>
+    private async Task WriteTaskEventAsync(string eventName, object payload, CancellationToken ct)
+    {
+        await Response.WriteAsync($"event: {eventName}\ndata: {JsonSerializer.Serialize(payload, s_eventJsonOptions)}\n\n", ct);
+        await Response.Body.FlushAsync(ct);
+    }
+
     /// <summary>Schema definition for a configuration property.</summary>
     /// <param name="Path">The JSON path to the property.</param>
     /// <param name="Type">The UI data type.</param>
@@ -277,7 +759,79 @@ public class DashboardController(ConfigProvider configProvider, IMetadataService
     /// <param name="EnumValues">Possible values for enums.</param>
     /// <param name="Advanced">Whether this is an advanced setting.</param>
     /// <param name="Rebuild">Whether the setting requires a VFS rebuild.</param>
-    private sealed record ConfigPropertySchema(string Path, string Type, string? Display, string? Description, object? DefaultValue, object? EnumValues, bool Advanced, bool Rebuild);
+    /// <param name="Constraints">The validation rules for the setting, if any.</param>
+    private sealed record ConfigPropertySchema(string Path, string Type, string? Display, string? Description, object? DefaultValue, object? EnumValues, bool Advanced, bool Rebuild, ConfigConstraints? Constraints);
+
+    /// <summary>Validation rules for a configuration property, mirroring the attributes enforced when saving.</summary>
+    /// <param name="Min">The inclusive minimum for numbers.</param>
+    /// <param name="Max">The inclusive maximum for numbers.</param>
+    /// <param name="Integer">Whether a number must be whole.</param>
+    /// <param name="Pattern">A regular expression the whole value must match.</param>
+    /// <param name="Required">Whether the value must not be empty.</param>
+    /// <param name="MaxLength">The maximum text length.</param>
+    /// <param name="JsonSchema">A JSON schema describing the shape of a json value.</param>
+    /// <param name="Message">The error message shown when any rule fails.</param>
+    private sealed record ConfigConstraints(double? Min, double? Max, bool Integer, string? Pattern, bool Required, int? MaxLength, object? JsonSchema, string? Message);
+
+    /// <summary>Reads the validation attributes of a configuration property into a <see cref="ConfigConstraints"/> descriptor.</summary>
+    /// <param name="prop">The property to inspect.</param>
+    /// <param name="propType">The property type with any nullable wrapper removed.</param>
+    /// <returns>The constraints, or null when the property has none.</returns>
+    private static ConfigConstraints? BuildConstraints(PropertyInfo prop, Type propType)
+    {
+        var range = prop.GetCustomAttribute<RangeAttribute>();
+        var regex = prop.GetCustomAttribute<RegularExpressionAttribute>();
+        var required = prop.GetCustomAttribute<RequiredAttribute>();
+        var length = prop.GetCustomAttribute<StringLengthAttribute>();
+        var entries = prop.GetCustomAttribute<NonEmptyEntriesAttribute>();
+        bool integer = propType.IsPrimitive && propType != typeof(bool) && propType != typeof(char) && propType != typeof(float) && propType != typeof(double);
+        object? jsonSchema = typeof(IDictionary).IsAssignableFrom(propType)
+            ? new
+            {
+                type = "object",
+                propertyNames = new { minLength = entries != null ? 1 : 0 },
+                additionalProperties = new { type = "string", minLength = entries != null ? 1 : 0 },
+            }
+            : null;
+        if (range == null && regex == null && required == null && length == null && jsonSchema == null && !integer)
+            return null;
+
+        string? message = new ValidationAttribute?[] { range, regex, required, length, entries }.FirstOrDefault(a => a?.ErrorMessage != null)?.ErrorMessage;
+        return new ConfigConstraints(
+            range == null ? null : Convert.ToDouble(range.Minimum),
+            range == null ? null : Convert.ToDouble(range.Maximum),
+            integer,
+            regex?.Pattern,
+            required != null,
+            length?.MaximumLength,
+            jsonSchema,
+            message
+        );
+    }
+
+    /// <summary>Recursively collects the validation rules of every constrained setting, including those hidden from the generated form.</summary>
+    /// <param name="type">The type to reflect over.</param>
+    /// <param name="prefix">Path prefix for nested properties.</param>
+    /// <returns>The constraints keyed by dot-notated setting path.</returns>
+    private static Dictionary<string, ConfigConstraints> BuildConfigConstraints(Type type, string prefix)
+    {
+        var map = new Dictionary<string, ConfigConstraints>();
+        foreach (var prop in type.GetProperties(BindingFlags.Public | BindingFlags.Instance))
+        {
+            if (!prop.CanRead || !prop.CanWrite)
+                continue;
+            string path = string.IsNullOrWhiteSpace(prefix) ? prop.Name : $"{prefix}.{prop.Name}";
+            Type propType = Nullable.GetUnderlyingType(prop.PropertyType) ?? prop.PropertyType;
+            if (propType.IsClass && propType != typeof(string) && !typeof(IEnumerable).IsAssignableFrom(propType))
+            {
+                foreach (var (nestedPath, nested) in BuildConfigConstraints(propType, path))
+                    map[nestedPath] = nested;
+            }
+            else if (!propType.IsEnum && BuildConstraints(prop, propType) is { } constraints)
+                map[path] = constraints;
+        }
+        return map;
+    }
 
     /// <summary>Recursively builds a list of property metadata descriptors from a type to expose as a JSON schema.</summary>
     /// <param name="type">The type to reflect over and parse.</param>
@@ -287,6 +841,7 @@ public class DashboardController(ConfigProvider configProvider, IMetadataService
     private static List<ConfigPropertySchema> BuildConfigSchema(Type type, string prefix, bool isAdvancedBranch = false)
     {
         var props = new List<ConfigPropertySchema>();
+        object? defaults = Activator.CreateInstance(type); // Supplies the defaults of dictionary settings, which cannot carry a [DefaultValue]
         foreach (var prop in type.GetProperties(BindingFlags.Public | BindingFlags.Instance))
         {
             if (!prop.CanRead || !prop.CanWrite)
@@ -301,6 +856,11 @@ public class DashboardController(ConfigProvider configProvider, IMetadataService
             var display = prop.GetCustomAttribute<DisplayAttribute>();
             var defaultValue = prop.GetCustomAttribute<DefaultValueAttribute>()?.Value;
             Type propType = Nullable.GetUnderlyingType(prop.PropertyType) ?? prop.PropertyType;
+            if (defaultValue is Enum)
+                defaultValue = Convert.ToInt32(defaultValue); // Match the numeric values used by EnumValues and the saved settings
+            else if (defaultValue == null && typeof(IDictionary).IsAssignableFrom(propType))
+                defaultValue = prop.GetValue(defaults);
+            var constraints = BuildConstraints(prop, propType);
 
             if (propType.IsEnum)
             {
@@ -313,21 +873,190 @@ public class DashboardController(ConfigProvider configProvider, IMetadataService
                         return new { name = propType.GetField(memberName)?.GetCustomAttribute<DisplayAttribute>()?.Name ?? memberName, value = iv };
                     })
                     .ToArray();
-                props.Add(new ConfigPropertySchema(path, "enum", display?.Name, display?.Description, defaultValue, values, isAdvanced, needsRebuild));
+                props.Add(new ConfigPropertySchema(path, "enum", display?.Name, display?.Description, defaultValue, values, isAdvanced, needsRebuild, null));
             }
             else if (propType == typeof(bool))
-                props.Add(new ConfigPropertySchema(path, "bool", display?.Name, display?.Description, defaultValue, null, isAdvanced, needsRebuild));
+                props.Add(new ConfigPropertySchema(path, "bool", display?.Name, display?.Description, defaultValue, null, isAdvanced, needsRebuild, constraints));
             else if (propType == typeof(string))
-                props.Add(new ConfigPropertySchema(path, "string", display?.Name, display?.Description, defaultValue, null, isAdvanced, needsRebuild));
+                props.Add(new ConfigPropertySchema(path, "string", display?.Name, display?.Description, defaultValue, null, isAdvanced, needsRebuild, constraints));
             else if (propType.IsPrimitive || propType == typeof(decimal))
-                props.Add(new ConfigPropertySchema(path, "number", display?.Name, display?.Description, defaultValue, null, isAdvanced, needsRebuild));
+                props.Add(new ConfigPropertySchema(path, "number", display?.Name, display?.Description, defaultValue, null, isAdvanced, needsRebuild, constraints));
             else if (typeof(IDictionary).IsAssignableFrom(propType))
-                props.Add(new ConfigPropertySchema(path, "json", display?.Name, display?.Description, defaultValue, null, isAdvanced, needsRebuild));
+                props.Add(new ConfigPropertySchema(path, "json", display?.Name, display?.Description, defaultValue, null, isAdvanced, needsRebuild, constraints));
             else if (propType.IsClass)
                 props.AddRange(BuildConfigSchema(propType, path, isAdvanced));
         }
         return props;
     }
 
+    /// <summary>Import section holding the VFS overrides file.</summary>
+    private const string OverridesSection = "Overrides";
+
+    /// <summary>Import section holding the Plex token.</summary>
+    private const string PlexTokenSection = "PlexToken";
+
+    /// <summary>The changes an import would make to one section of the settings.</summary>
+    /// <param name="Name">The import section name.</param>
+    /// <param name="Changes">The settings that would change.</param>
+    private sealed record ConfigImportSection(string Name, List<ConfigChange> Changes);
+
+    /// <summary>A preview of the changes an export file would make when imported.</summary>
+    /// <param name="Version">The export format version.</param>
+    /// <param name="ExportedAt">When the export was created (UTC).</param>
+    /// <param name="Sections">The changes grouped by import section.</param>
+    /// <param name="Errors">Validation errors the imported settings would cause, keyed by setting path.</param>
+    private sealed record ConfigImportPreview(int Version, DateTime ExportedAt, List<ConfigImportSection> Sections, Dictionary<string, string> Errors);
+
+    /// <summary>How far the install is configured, for the first-run setup wizard.</summary>
+    /// <param name="Required">True if the wizard should open by itself: it has never been finished or skipped and Plex is not linked.</param>
+    /// <param name="CompletedAt">When the wizard was finished or skipped (UTC), if it was.</param>
+    /// <param name="ShokoServerUrl">The Shoko Server URL setting; empty when the URL is detected automatically.</param>
+    /// <param name="EffectiveServerUrl">The Shoko server URL currently in use.</param>
+    /// <param name="HasToken">Whether a Plex token is saved.</param>
+    /// <param name="Libraries">The Plex libraries using the Shoko Relay agent.</param>
+    private sealed record SetupStatus(bool Required, DateTime? CompletedAt, string ShokoServerUrl, string EffectiveServerUrl, bool HasToken, List<SetupLibrary> Libraries);
+
+    /// <summary>A Plex library found by discovery.</summary>
+    /// <param name="Title">The library title.</param>
+    /// <param name="Type">The library type (show or movie).</param>
+    /// <param name="ServerName">The Plex server the library is on.</param>
+    private sealed record SetupLibrary(string Title, string Type, string ServerName);
+
+    /// <summary>The server environment included in a diagnostics bundle.</summary>
+    /// <param name="Version">The Shoko Relay version.</param>
+    /// <param name="OperatingSystem">The operating system Shoko Server runs on.</param>
+    /// <param name="Runtime">The .NET runtime running Shoko Server.</param>
+    /// <param name="Architecture">The process architecture.</param>
+    /// <param name="ServerBaseUrl">The Shoko server URL given to Plex.</param>
+    private sealed record DiagnosticsEnvironment(string Version, string OperatingSystem, string Runtime, string Architecture, string ServerBaseUrl);
+
+    /// <summary>A downloadable diagnostics bundle for support requests.</summary>
+    /// <param name="Report">The health check results.</param>
+    /// <param name="Environment">The server environment.</param>
+    /// <param name="Settings">The current settings, without the Plex token or other secrets.</param>
+    /// <param name="Schedule">The state of each scheduled automation job.</param>
+    private sealed record DiagnosticsBundle(HealthReport Report, DiagnosticsEnvironment Environment, JsonObject Settings, List<ScheduledJobStatus> Schedule);
+
+    /// <summary>A tag and how widely it is used across the collection.</summary>
+    /// <param name="Name">The tag name, title-cased as it appears in Plex.</param>
+    /// <param name="Series">The number of series carrying the tag.</param>
+    private sealed record TagUsage(string Name, int Series);
+
+    /// <summary>The rebuild settings changed since the VFS was last fully rebuilt.</summary>
+    /// <param name="BuiltAt">When the last full build completed (UTC), or when tracking started.</param>
+    /// <param name="Changes">The changed settings, from the values the VFS was built with to the current ones.</param>
+    private sealed record PendingRebuild(DateTime BuiltAt, List<ConfigChange> Changes);
+
+    /// <summary>The outcome of running a Shoko path through the path mappings.</summary>
+    /// <param name="Index">The position of the mapping that applied in the tested mappings, or -1 if none did.</param>
+    /// <param name="ShokoBasePath">The normalized Shoko base path of the mapping that applied, or null if none did.</param>
+    /// <param name="WorkingBasePath">The working base path of the mapping that applied, or null if none did.</param>
+    /// <param name="Result">The mapped working path, or the original path when no mapping applied.</param>
+    private sealed record PathMappingTestResult(int Index, string? ShokoBasePath, string? WorkingBasePath, string Result);
+
+    /// <summary>Reads the VFS overrides file.</summary>
+    /// <returns>The file contents, or an empty string if it does not exist.</returns>
+    private string ReadVfsOverrides()
+    {
+        var path = Path.Combine(ConfigDirectory, ShokoRelayConstants.FileVfsOverrides);
+        return IoFile.Exists(path) ? IoFile.ReadAllText(path) : string.Empty;
+    }
+
+    /// <summary>Describes multi-line text by its number of non-empty lines.</summary>
+    /// <param name="text">The text to describe.</param>
+    /// <returns>The description, or null for empty text.</returns>
+    private static string? DescribeLines(string? text)
+    {
+        int count = (text ?? "").Split('\n').Count(l => !string.IsNullOrWhiteSpace(l));
+        return count == 0 ? null : $"{count} line(s)";
+    }
+
+    /// <summary>Reads an export file from the request body and merges the selected sections onto the current settings.</summary>
+    /// <param name="sections">The sections to merge, or null for all of them.</param>
+    /// <returns>The export and merged settings, or an error response if the body is not a usable export.</returns>
+    private async Task<(ConfigExport? Export, RelayConfig? Merged, IActionResult? Error)> ReadConfigImportAsync(IReadOnlyCollection<string>? sections)
+    {
+        using var sr = new StreamReader(Request.Body);
+        string body = await sr.ReadToEndAsync(HttpContext.RequestAborted).ConfigureAwait(false);
+        try
+        {
+            var export = ConfigProvider.ParseConfigExport(body);
+            if (export?.Config == null)
+                return (null, null, BadRequest(new RelayResponse<object>(Status: "error", Message: "The file is not a Shoko Relay config export.")));
+            if (export.Version > ConfigProvider.ConfigExportVersion)
+                return (null, null, BadRequest(new RelayResponse<object>(Status: "error", Message: $"The export was created by a newer version of {ShokoRelayConstants.Name} (format {export.Version}).")));
+            return (export, ConfigProvider.MergeImportedSettings(export.Config, sections), null);
+        }
+        catch (JsonException ex)
+        {
+            return (null, null, BadRequest(new RelayResponse<object>(Status: "error", Message: $"The file could not be read as a config export: {ex.Message}")));
+        }
+    }
+
+    /// <summary>A single setting that differs between two configuration revisions.</summary>
+    /// <param name="Path">Dot-notated property path.</param>
+    /// <param name="Display">Friendly display name.</param>
+    /// <param name="From">The formatted value in the older revision.</param>
+    /// <param name="To">The formatted value in the newer revision.</param>
+    /// <param name="Rebuild">Whether the setting requires a VFS rebuild.</param>
+    private sealed record ConfigChange(string Path, string Display, string? From, string? To, bool Rebuild);
+
+    /// <summary>Recursively compares the properties of two configuration objects, descending into nested setting classes.</summary>
+    /// <param name="type">The type being compared.</param>
+    /// <param name="from">The older object.</param>
+    /// <param name="to">The newer object.</param>
+    /// <param name="prefix">Path prefix for nested properties.</param>
+    /// <returns>The settings whose values differ.</returns>
+    private static List<ConfigChange> BuildConfigDiff(Type type, object? from, object? to, string prefix)
+    {
+        var changes = new List<ConfigChange>();
+        foreach (var prop in type.GetProperties(BindingFlags.Public | BindingFlags.Instance))
+        {
+            if (!prop.CanRead || !prop.CanWrite)
+                continue;
+            string path = string.IsNullOrWhiteSpace(prefix) ? prop.Name : $"{prefix}.{prop.Name}";
+            object? fromValue = from == null ? null : prop.GetValue(from);
+            object? toValue = to == null ? null : prop.GetValue(to);
+            Type propType = Nullable.GetUnderlyingType(prop.PropertyType) ?? prop.PropertyType;
+
+            if (propType.IsClass && propType != typeof(string) && !typeof(IDictionary).IsAssignableFrom(propType))
+            {
+                changes.AddRange(BuildConfigDiff(propType, fromValue, toValue, path));
+                continue;
+            }
+            string? fromText = FormatConfigValue(fromValue);
+            string? toText = FormatConfigValue(toValue);
+            if (fromText != toText)
+                changes.Add(new ConfigChange(path, prop.GetCustomAttribute<DisplayAttribute>()?.Name ?? prop.Name, fromText, toText, prop.GetCustomAttribute<VfsRebuildAttribute>() != null));
+        }
+        return changes;
+    }
+
+    /// <summary>Returns the number of series carrying each tag, counting them again once the cached counts expire or the tag sources change.</summary>
+    /// <returns>The series count per tag name.</returns>
+    private Dictionary<string, int> GetTagUsage()
+    {
+        var settings = ConfigProvider.GetSettings();
+        string sources = $"{settings.TagSources}:{settings.MinimumTagWeight}";
+        if (s_tagUsage is { } cached && cached.Sources == sources && DateTime.UtcNow - cached.CountedAt < s_tagUsageLifetime)
+            return cached.Usage;
+        var usage = TagHelper.GetTagUsage(MetadataService.GetAllShokoSeries() ?? []);
+        s_tagUsage = (DateTime.UtcNow, sources, usage);
+        return usage;
+    }
+
+    /// <summary>Formats a setting value for display, using display names for enum members and sorted entries for dictionaries.</summary>
+    /// <param name="value">The setting value.</param>
+    /// <returns>The formatted value, or null when unset.</returns>
+    private static string? FormatConfigValue(object? value) =>
+        value switch
+        {
+            null => null,
+            string s => s,
+            Enum e => e.GetType().GetField(e.ToString())?.GetCustomAttribute<DisplayAttribute>()?.Name ?? e.ToString(),
+            IDictionary d => string.Join(", ", d.Keys.Cast<object>().Select(k => $"{k} = {d[k]}").Order()),
+            _ => JsonSerializer.Serialize(value),
+        };
+
     #endregion
 }
@@ -57,7 +57,7 @@ public class PlexController(
 
     /// <summary>Initiates the PIN‑based Plex authentication flow.</summary>
     /// <param name="cancellationToken">Cancellation token.</param>
-    /// <returns>Auth response containing code and URL.</returns>
+    /// <returns>Auth response containing the code, URL and seconds until the PIN expires.</returns>
     [HttpGet("plex/auth")]
     public async Task<IActionResult> StartPlexAuth(CancellationToken cancellationToken = default)
     {
@@ -68,6 +68,7 @@ public class PlexController(
                 return StatusCode(502, new RelayResponse<object>(Status: "error", Message: "Plex response missing id/code."));
 
             string authUrl = plexAuth.BuildAuthUrl(pin.Code, ShokoRelayConstants.Name);
+            int? expiresIn = pin.ExpiresAt is { } expiresAt ? (int)Math.Max(0, (expiresAt - DateTimeOffset.UtcNow).TotalSeconds) : pin.ExpiresIn;
             return Ok(
                 new RelayResponse<object>(
                     Data: new
@@ -75,6 +76,7 @@ public class PlexController(
                         pinId = pin.Id,
                         code = pin.Code,
                         authUrl,
+                        expiresIn,
                     }
                 )
             );
@@ -88,7 +90,7 @@ public class PlexController(
     /// <summary>Polls the Plex authentication status for a previously created PIN.</summary>
     /// <param name="pinId">PIN ID.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
-    /// <returns>Status response.</returns>
+    /// <returns>Status response: <c>pending</c> until the PIN is claimed, <c>expired</c> once it can no longer be claimed, or <c>tokenSaved</c> data after a successful sign in.</returns>
     [HttpGet("plex/auth/status")]
     public async Task<IActionResult> GetPlexAuthStatus([FromQuery] string pinId, CancellationToken cancellationToken = default)
     {
@@ -98,6 +100,8 @@ public class PlexController(
         try
         {
             var pin = await plexAuth.GetPinAsync(pinId, cancellationToken).ConfigureAwait(false);
+            if (pin is null || (string.IsNullOrWhiteSpace(pin.AuthToken) && pin.IsExpired))
+                return Ok(new RelayResponse<object>(Status: "expired", Message: "The Plex PIN has expired."));
             if (string.IsNullOrWhiteSpace(pin.AuthToken))
                 return Ok(new RelayResponse<object>(Status: "pending"));
 
@@ -192,6 +196,23 @@ public class PlexController(
         return Ok(new RelayResponse<object>(Data: new { triggered = triggeredCount }));
     }
 
+    /// <summary>Triggers a full scan of every discovered Shoko library in Plex, e.g. after the first VFS build.</summary>
+    /// <returns>A response containing the number of libraries that accepted the scan request.</returns>
+    [HttpGet("plex/library/scan")]
+    public async Task<IActionResult> ScanPlexLibraries()
+    {
+        if (!PlexLibrary.IsEnabled)
+            return BadRequest(new RelayResponse<object>(Status: "error", Message: "Plex is not configured."));
+
+        var targets = PlexLibrary.GetConfiguredTargets();
+        int triggeredCount = 0;
+        foreach (var target in targets)
+            if (await PlexLibrary.RefreshSectionAsync(target, HttpContext.RequestAborted).ConfigureAwait(false))
+                triggeredCount++;
+
+        return Ok(new RelayResponse<object>(Message: $"Scan requested for {triggeredCount} of {targets.Count} libraries.", Data: new { triggered = triggeredCount, total = targets.Count }));
+    }
+
     /// <summary>Triggers a manual metadata refresh in Plex for a comma-separated list of series IDs.</summary>
     /// <param name="filter">Optional comma-separated list of Shoko or AniDB series IDs to filter the operation.</param>
     /// <returns>A task representing the result of the metadata refresh.</returns>
@@ -260,7 +281,7 @@ public class PlexController(
             : ExecuteTrackedTaskAsync(
                 ShokoRelayConstants.TaskPlexCollectionsBuild,
                 LogHelper.BuildCollectionsReport,
-                () => collectionService.BuildCollectionsAsync(seriesList, assignment, clean, CancellationToken.None),
+                ct => collectionService.BuildCollectionsAsync(seriesList, assignment, clean, ct),
                 SyncHelper.SyncLock
             );
 
@@ -274,7 +295,7 @@ public class PlexController(
             : ExecuteTrackedTaskAsync(
                 ShokoRelayConstants.TaskPlexRatingsApply,
                 LogHelper.BuildRatingsReport,
-                () => criticRatingService.ApplyRatingsAsync(seriesList.Where(s => s != null).Select(s => s!.ID), CancellationToken.None),
+                ct => criticRatingService.ApplyRatingsAsync(seriesList.Where(s => s != null).Select(s => s!.ID), ct),
                 SyncHelper.SyncLock
             );
 
@@ -287,7 +308,7 @@ public class PlexController(
             : ExecuteTrackedTaskAsync(
                 ShokoRelayConstants.TaskPlexImagesSync,
                 LogHelper.BuildImageSyncReport,
-                () => imageSyncService.SyncImagesAsync(cancellationToken: CancellationToken.None),
+                ct => imageSyncService.SyncImagesAsync(cancellationToken: ct),
                 SyncHelper.SyncLock
             );
 
@@ -300,17 +321,17 @@ public class PlexController(
             : ExecuteTrackedTaskAsync(
                 ShokoRelayConstants.TaskPlexAutomationRun,
                 (sb, r) => LogHelper.BuildPlexAutomationReport(sb, r, ApiBase),
-                async () =>
+                async ct =>
                 {
                     var sw = Stopwatch.StartNew();
                     var allSeries = MetadataService.GetAllShokoSeries()?.Cast<IShokoSeries?>().ToList() ?? [];
 
                     var swCollections = Stopwatch.StartNew();
-                    var collectionRes = await collectionService.BuildCollectionsAsync(allSeries, cancellationToken: CancellationToken.None).ConfigureAwait(false);
+                    var collectionRes = await collectionService.BuildCollectionsAsync(allSeries, cancellationToken: ct).ConfigureAwait(false);
                     swCollections.Stop();
 
                     var swRatings = Stopwatch.StartNew();
-                    var ratingRes = await criticRatingService.ApplyRatingsAsync(null, cancellationToken: CancellationToken.None).ConfigureAwait(false);
+                    var ratingRes = await criticRatingService.ApplyRatingsAsync(null, cancellationToken: ct).ConfigureAwait(false);
                     swRatings.Stop();
 
                     TimeSpan? imageSyncElapsed = null;
@@ -318,7 +339,7 @@ public class PlexController(
                     if (Settings.Advanced.EnableImageSync)
                     {
                         var swImages = Stopwatch.StartNew();
-                        imageSyncRes = await imageSyncService.SyncImagesAsync(cancellationToken: CancellationToken.None).ConfigureAwait(false);
+                        imageSyncRes = await imageSyncService.SyncImagesAsync(cancellationToken: ct).ConfigureAwait(false);
                         swImages.Stop();
                         imageSyncElapsed = swImages.Elapsed;
                     }
@@ -331,7 +352,7 @@ public class PlexController(
                         var swTrash = Stopwatch.StartNew();
                         foreach (var target in PlexLibrary.GetConfiguredTargets())
                         {
-                            var (_, _, msg) = await PlexLibrary.EmptyTrashWithSafetyAsync(target, threshold, false, CancellationToken.None).ConfigureAwait(false);
+                            var (_, _, msg) = await PlexLibrary.EmptyTrashWithSafetyAsync(target, threshold, false, ct).ConfigureAwait(false);
                             trashMessages.Add($"[{target.Title}] {msg}");
                         }
                         swTrash.Stop();
@@ -444,6 +465,9 @@ public class PlexController(
             return Ok(new { status = "ignored", reason });
         }
 
+        if (PlexLibrary.IsSectionDisabled(evt.Server?.Uuid, evt.Metadata.LibrarySectionId))
+            return Ok(new { status = "ignored", reason = "library_disabled" });
+
         int? shokoEpisodeId = PlexHelper.ExtractShokoEpisodeIdFromGuid(evt.Metadata.Guid);
         if (!shokoEpisodeId.HasValue)
             return Ok(new { status = "ignored", reason = "no_shoko_guid" });
@@ -45,13 +45,15 @@ public class ShokoController(
         : ExecuteTrackedTaskAsync(
             ShokoRelayConstants.TaskVfsBuild,
             LogHelper.BuildVfsReport,
-            async () =>
+            async ct =>
             {
-                var result = filterIds.Count > 0 ? vfsBuilder.Build(filterIds, clean) : vfsBuilder.Build((int?)null, clean);
+                var progress = TaskHelper.TrackProgress(ShokoRelayConstants.TaskVfsBuild);
+                var builtWith = ConfigProvider.SnapshotSettings(); // Taken up front so settings saved during the build stay pending
+                var result = filterIds.Count > 0 ? vfsBuilder.Build(filterIds, clean, progress, ct) : vfsBuilder.Build((int?)null, clean, progress, ct);
 
                 // Restore AnimeThemes links after the VFS build (filtered or global) if a mapping file exists
                 if (IoFile.Exists(Path.Combine(ConfigDirectory, ShokoRelayConstants.FileAtMapping)))
-                    await atMapping.ApplyMappingAsync(filterIds.Count > 0 ? filterIds : null, CancellationToken.None).ConfigureAwait(false);
+                    await atMapping.ApplyMappingAsync(filterIds.Count > 0 ? filterIds : null, ct).ConfigureAwait(false);
 
                 // Trigger standard debounced Plex updates if this is a targeted manual rebuild
                 if (PlexLibrary.IsEnabled && filterIds.Count > 0)
@@ -60,6 +62,10 @@ public class ShokoController(
                         vfsWatcher.TriggerPlexUpdates(id);
                 }
 
+                // A full clean build without errors applies every setting it started with, so nothing from them is left pending a rebuild
+                if (clean && filterIds.Count == 0 && !ct.IsCancellationRequested && result.Errors.Count == 0)
+                    ConfigProvider.MarkVfsBuilt(builtWith);
+
                 return result;
             },
             VfsShared.VfsLock
@@ -69,7 +75,7 @@ public class ShokoController(
     /// <returns>A task representing the result of the audit operation.</returns>
     [HttpGet("vfs/audit")]
     public async Task<IActionResult> AuditVfs() =>
-        await ExecuteTrackedTaskAsync(ShokoRelayConstants.TaskVfsAudit, LogHelper.BuildVfsAuditReport, () => Task.Run(() => vfsBuilder.Audit(CancellationToken.None)), VfsShared.VfsLock).ConfigureAwait(false);
+        await ExecuteTrackedTaskAsync(ShokoRelayConstants.TaskVfsAudit, LogHelper.BuildVfsAuditReport, ct => Task.Run(() => vfsBuilder.Audit(ct)), VfsShared.VfsLock).ConfigureAwait(false);
 
     /// <summary>Updates the local VFS overrides CSV file.</summary>
     /// <param name="content">Raw CSV text.</param>
@@ -90,6 +96,27 @@ public class ShokoController(
         }
     }
 
+    /// <summary>Counts the Shoko files and folders each Folder Exclusions entry would exclude from the VFS, before the exclusions are saved.</summary>
+    /// <param name="names">The folder names to check.</param>
+    /// <returns>The entries in the same order, with the number of matched folders and files and a few of the matched folders.</returns>
+    [HttpPost("vfs/exclusions/preview")]
+    public IActionResult PreviewFolderExclusions([FromBody] List<string> names)
+    {
+        names = [.. (names ?? []).Select(n => n.Trim())];
+        var found = VfsShared.FindExcludedPaths((videoService.GetAllVideoFiles() ?? []).Select(f => f.Path), names);
+        var preview = names
+            .Select(n => found.TryGetValue(n, out var f) ? new FolderExclusionPreview(n, f.Folders.Count, f.Files, [.. f.Folders.Order(VfsShared.PathComparer).Take(3)]) : new FolderExclusionPreview(n, 0, 0, []))
+            .ToList();
+        return Ok(new RelayResponse<List<FolderExclusionPreview>>(Data: preview));
+    }
+
+    /// <summary>The VFS content a Folder Exclusions entry would exclude.</summary>
+    /// <param name="Name">The folder name.</param>
+    /// <param name="Folders">The number of distinct folders with that name.</param>
+    /// <param name="Files">The number of Shoko files inside those folders.</param>
+    /// <param name="Examples">Up to three of the matched folders.</param>
+    public record FolderExclusionPreview(string Name, int Folders, int Files, List<string> Examples);
+
     /// <summary>Returns a hierarchical representation of the VFS structure grouped by import root friendly names.</summary>
     /// <returns>A JSON object containing the folder and file hierarchy.</returns>
     [HttpGet("vfs/tree")]
@@ -206,7 +233,7 @@ public class ShokoController(
         ExecuteTrackedTaskAsync(
             ShokoRelayConstants.TaskShokoPurgeMissing,
             (sb, r) => LogHelper.BuildPurgeMissingReport(sb, r.DryRun, r.Removed, r.PlexRemoved, r.PlexMessages),
-            async () =>
+            async ct =>
             {
                 List<string> removed = [];
                 if (!trashOnly)
@@ -220,7 +247,7 @@ public class ShokoController(
                 {
                     foreach (var target in PlexLibrary.GetConfiguredTargets())
                     {
-                        var (_, trashed, message) = await PlexLibrary.EmptyTrashWithSafetyAsync(target, effThreshold, dryRun).ConfigureAwait(false);
+                        var (_, trashed, message) = await PlexLibrary.EmptyTrashWithSafetyAsync(target, effThreshold, dryRun, ct).ConfigureAwait(false);
                         plexMessages.Add($"[{target.Title}] {message}");
                         if (trashed.Count > 0)
                             plexRemoved.AddRange(trashed.Select(i => $"[{target.Title}] {i}"));
@@ -234,13 +261,31 @@ public class ShokoController(
             VfsShared.VfsLock
         );
 
+    /// <summary>Purges only the selected missing files, e.g. the rows checked in a dry run preview. Plex trash is not emptied.</summary>
+    /// <param name="paths">The file paths to purge. Paths that are no longer missing are left alone.</param>
+    /// <returns>A task representing the result of the purge operation.</returns>
+    [HttpPost("shoko/purge-missing/apply")]
+    public Task<IActionResult> PurgeSelectedMissingFiles([FromBody] string[] paths) =>
+        paths is not { Length: > 0 }
+            ? Task.FromResult<IActionResult>(BadRequest(new RelayResponse<object>(Status: "error", Message: "No files selected.")))
+            : ExecuteTrackedTaskAsync(
+                ShokoRelayConstants.TaskShokoPurgeMissing,
+                (sb, r) => LogHelper.BuildPurgeMissingReport(sb, r.DryRun, r.Removed, r.PlexRemoved, r.PlexMessages),
+                async () =>
+                {
+                    List<string> removed = [.. await shokoImportService.PurgeMissingFilesAsync(false, paths).ConfigureAwait(false)];
+                    return new PurgeMissingResult(false, false, removed.Count, removed, [], [$"Applied {removed.Count} of {paths.Length} selected file(s). Plex trash was not emptied."]);
+                },
+                VfsShared.VfsLock
+            );
+
     /// <summary>Triggers an import scan in Shoko.</summary>
     /// <returns>Scanned folder list.</returns>
     [HttpPost("shoko/import")]
     public async Task<IActionResult> RunShokoImport()
     {
         Logger.Info("Shoko: Import scan triggered manually");
-        var scanned = await shokoImportService.TriggerImportAsync().ConfigureAwait(false);
+        var scanned = await TrackImportAsync().ConfigureAwait(false);
         return Ok(new RelayResponse<object>(Data: new { scanned, scannedCount = scanned?.Count ?? 0 }));
     }
 
@@ -249,7 +294,7 @@ public class ShokoController(
     [HttpGet("shoko/import/start")]
     public async Task<IActionResult> StartShokoImportNow()
     {
-        var scanned = await shokoImportService.TriggerImportAsync().ConfigureAwait(false);
+        var scanned = await TrackImportAsync().ConfigureAwait(false);
         MarkImportRunNow();
         var freqHours = Settings.Automation.ShokoImportFrequencyHours;
         return Ok(
@@ -265,6 +310,24 @@ public class ShokoController(
         );
     }
 
+    /// <summary>Triggers an import scan and records it in the task history with the same counts as a scheduled import.</summary>
+    /// <returns>The scanned folder list.</returns>
+    private async Task<IReadOnlyList<string>> TrackImportAsync()
+    {
+        var run = await TaskHistoryHelper
+            .TrackAsync(
+                ShokoRelayConstants.TaskShokoImport,
+                RequestTrigger,
+                async () =>
+                {
+                    var scanned = await shokoImportService.TriggerImportAsync().ConfigureAwait(false);
+                    return new { ScannedCount = scanned.Count, Scanned = scanned };
+                }
+            )
+            .ConfigureAwait(false);
+        return run.Scanned;
+    }
+
     #endregion
 
     #region Watched Sync
@@ -289,21 +352,30 @@ public class ShokoController(
         [FromQuery] bool import = false,
         [FromQuery] SyncUserType? users = null,
         [FromQuery] string? libraryName = null
+    ) => RunWatchedSync(dryRun, sinceHours, ratings, progress, import, users, libraryName, null);
+
+    /// <summary>Synchronizes only the selected watched-state changes, e.g. the rows checked in a dry run preview. Pass the same options as the dry run so the same items are evaluated.</summary>
+    /// <param name="keys">The <c>Key</c> values of the selected changes.</param>
+    /// <param name="sinceHours">Optional lookback window in hours to limit processed items.</param>
+    /// <param name="ratings">Whether to include ratings in the sync. Defaults to configuration.</param>
+    /// <param name="progress">Whether to include playback progress in the sync. Defaults to configuration.</param>
+    /// <param name="import">Direction: <c>true</c> for Plex←Shoko (Import to Plex), <c>false</c> for Plex→Shoko (Sync to Shoko).</param>
+    /// <param name="users">Optional override for the sync users configuration. Defaults to configuration.</param>
+    /// <param name="libraryName">Optional filter to restrict sync to a specific Plex library by name.</param>
+    /// <returns>A task representing the result of the synchronization.</returns>
+    [HttpPost("sync-watched/apply")]
+    public Task<IActionResult> SyncSelectedPlexWatched(
+        [FromBody] string[] keys,
+        [FromQuery] int? sinceHours = null,
+        [FromQuery] bool? ratings = null,
+        [FromQuery] bool? progress = null,
+        [FromQuery] bool import = false,
+        [FromQuery] SyncUserType? users = null,
+        [FromQuery] string? libraryName = null
     ) =>
-        !PlexLibrary.IsEnabled
-            ? Task.FromResult<IActionResult>(BadRequest(new RelayResponse<object>(Status: "error", Message: "Plex configuration missing.")))
-            : ExecuteTrackedTaskAsync(
-                ShokoRelayConstants.TaskShokoSyncWatched,
-                (sb, r) => LogHelper.BuildSyncWatchedReport(sb, r, r.Direction, r.DryRun, ratings ?? Settings.Automation.ShokoSyncWatchedIncludeRatings),
-                async () =>
-                {
-                    var result = import
-                        ? await syncToPlexService.SyncWatchedAsync(dryRun, sinceHours, ratings, users, libraryName, cancellationToken: CancellationToken.None).ConfigureAwait(false)
-                        : await watchedSyncService.SyncWatchedAsync(dryRun, sinceHours, ratings, progress, users, libraryName, cancellationToken: CancellationToken.None).ConfigureAwait(false);
-                    return result with { Direction = import ? "Plex<-Shoko" : "Plex->Shoko" };
-                },
-                SyncHelper.SyncLock
-            );
+        keys is not { Length: > 0 }
+            ? Task.FromResult<IActionResult>(BadRequest(new RelayResponse<object>(Status: "error", Message: "No changes selected.")))
+            : RunWatchedSync(false, sinceHours, ratings, progress, import, users, libraryName, keys.ToHashSet(StringComparer.Ordinal));
 
     /// <summary>Triggers immediate sync and resets schedule.</summary>
     /// <returns>Trigger result.</returns>
@@ -313,7 +385,9 @@ public class ShokoController(
         int freqHours = Settings.Automation.ShokoSyncWatchedFrequencyHours;
         try
         {
-            var result = await watchedSyncService.SyncWatchedAsync(false, freqHours, cancellationToken: CancellationToken.None).ConfigureAwait(false);
+            var result = await TaskHistoryHelper
+                .TrackAsync(ShokoRelayConstants.TaskShokoSyncWatched, RequestTrigger, () => watchedSyncService.SyncWatchedAsync(false, freqHours, cancellationToken: CancellationToken.None))
+                .ConfigureAwait(false);
             MarkSyncRunNow();
             return Ok(
                 new RelayResponse<object>(
@@ -333,6 +407,32 @@ public class ShokoController(
         }
     }
 
+    /// <summary>Runs a tracked watched-state sync in the requested direction.</summary>
+    /// <param name="dryRun">Whether to skip writes.</param>
+    /// <param name="sinceHours">Optional lookback window in hours.</param>
+    /// <param name="ratings">Whether to include ratings.</param>
+    /// <param name="progress">Whether to include playback progress (Plex→Shoko only).</param>
+    /// <param name="import">Whether to sync Shoko into Plex instead of Plex into Shoko.</param>
+    /// <param name="users">Optional sync users override.</param>
+    /// <param name="libraryName">Optional Plex library filter.</param>
+    /// <param name="onlyChanges">Optional change keys to restrict the sync to.</param>
+    /// <returns>A task representing the result of the synchronization.</returns>
+    private Task<IActionResult> RunWatchedSync(bool dryRun, int? sinceHours, bool? ratings, bool? progress, bool import, SyncUserType? users, string? libraryName, IReadOnlySet<string>? onlyChanges) =>
+        !PlexLibrary.IsEnabled
+            ? Task.FromResult<IActionResult>(BadRequest(new RelayResponse<object>(Status: "error", Message: "Plex configuration missing.")))
+            : ExecuteTrackedTaskAsync(
+                ShokoRelayConstants.TaskShokoSyncWatched,
+                (sb, r) => LogHelper.BuildSyncWatchedReport(sb, r, r.Direction, r.DryRun, ratings ?? Settings.Automation.ShokoSyncWatchedIncludeRatings),
+                async ct =>
+                {
+                    var result = import
+                        ? await syncToPlexService.SyncWatchedAsync(dryRun, sinceHours, ratings, users, libraryName, onlyChanges, ct).ConfigureAwait(false)
+                        : await watchedSyncService.SyncWatchedAsync(dryRun, sinceHours, ratings, progress, users, libraryName, onlyChanges, ct).ConfigureAwait(false);
+                    return result with { Direction = import ? "Plex<-Shoko" : "Plex->Shoko" };
+                },
+                SyncHelper.SyncLock
+            );
+
     #endregion
 
     #region Source Linking
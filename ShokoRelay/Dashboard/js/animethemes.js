@@ -173,7 +173,7 @@
       const meta = [album, slug].filter(Boolean).join(" \u2014 ");
       if (meta) html += `<small class="np-line">${meta}</small>`;
       dismissNowPlaying();
-      nowPlayingToast = showToast(html, "info", 0);
+      nowPlayingToast = showToast(html, "info", 0, { record: false });
     } catch {}
   }
 
@@ -3,7 +3,7 @@
  * @description Logic for the Shoko Relay VFS Browser, providing a hierarchical view of the virtual filesystem.
  */
 (() => {
-  const { base, el, fetchJson, showToast, toastOperation, getData, initSearchInteractions, TOAST_MS } = window._sr;
+  const { base, configUrl, el, fetchJson, showToast, toastOperation, getData, unwrapConfig, initSearchInteractions, applyShortcutConfig, TOAST_MS } = window._sr;
   const vfsTree = el("tree");
   const uiFilter = el("filter");
   const uiFilterClear = el("filter-clear");
@@ -32,14 +32,9 @@
    */
   async function refreshSeries(id) {
     const label = `VFS [${id}]`;
-    const taskName = window._sr.tasks.vfsBuild;
 
-    showToast(`${label}: Refreshing...`, "info", TOAST_MS);
+    showToast(`${label}: Refreshing...`, "info", TOAST_MS, { record: false });
     const res = await fetchJson(`${base}/vfs?run=true&clean=false&filter=${id}`);
-
-    // Immediately clear the task result on the server. This prevents syncActiveTasks in script.js from showing a redundant fallback toast for this operation.
-    if (taskName) await fetch(`${base}/tasks/clear/${taskName}`, { method: "POST" });
-
     toastOperation(res, label, { hideOnSucceed: TOAST_MS });
 
     if (res.ok) await loadVfsTree(false); // Reload the tree data in-place without showing the full loading spinner
@@ -394,7 +389,7 @@
           const physicalPath = parts.join("/");
 
           const label = `Theme MP3 [${g.id}]`;
-          showToast(`${label}: Generating...`, "info", TOAST_MS);
+          showToast(`${label}: Generating...`, "info", TOAST_MS, { record: false });
 
           const res = await fetchJson(`${base}/animethemes/mp3?path=${encodeURIComponent(physicalPath)}`);
           toastOperation(res, label, { hideOnSucceed: TOAST_MS });
@@ -434,6 +429,8 @@
 
   (async () => {
     await loadVfsTree(true);
+    const cfgRes = await fetchJson(configUrl);
+    if (cfgRes.ok) applyShortcutConfig(unwrapConfig(getData(cfgRes)));
   })();
   // #endregion
 })();
@@ -8,34 +8,175 @@
   const { base, configUrl, el, TOAST_MS, fetchJson, showToast, toastOperation, saveSettings, getData, openModal } = window._sr;
 
   const MANAGED_TASK_IDS = Object.values(window._sr?.tasks || {});
+  const TASK_POLL_MS = 3000;
+  const RECONNECT_MIN_MS = 1000;
+  const RECONNECT_MAX_MS = 60000;
+
+  let lastActiveTasks = [];
+  let cancellableTasks = [];
+  let taskStream = null;
+  let pollTimer = null;
+  let reconnectDelay = RECONNECT_MIN_MS;
+  let popoverTask = null;
+  const taskProgress = {};
+
+  /** Tasks started by a request from this tab that is still in flight. The caller shows their result once the request returns. */
+  const ownedTasks = new Set();
+
+  /** Tasks whose latest result was shown by the caller that started them, mapped to whether it has been acknowledged. Cleared when the task starts again. */
+  const shownResults = new Map();
 
   // #region Helpers
   /**
-   * Toggle a button's loading state by adding/removing a spinner overlay.
+   * Toggle a button's loading state by adding/removing a spinner overlay. Managed task buttons stay clickable (aria-disabled) so their cancel control can be used, which is only shown while the server reports the task as cancellable.
    * @param {HTMLElement} btn - The button element to modify.
    * @param {boolean} isLoading - Whether to enable or disable the loading state.
    * @returns {void}
    */
   function setButtonLoading(btn, isLoading) {
     if (!btn) return;
+    const isManaged = MANAGED_TASK_IDS.includes(btn.id);
     btn.classList.toggle("loading", isLoading);
-    isLoading ? btn.setAttribute("disabled", "") : btn.removeAttribute("disabled");
+    if (isLoading) btn.setAttribute(isManaged ? "aria-disabled" : "disabled", isManaged ? "true" : "");
+    else ["disabled", "aria-disabled"].forEach((attr) => btn.removeAttribute(attr));
     if (isLoading && !btn.querySelector(".button-spinner")) {
       const s = document.createElement("span");
       s.className = "button-spinner";
       s.innerHTML = '<svg class="icon-svg"><use href="img/icons.svg#loading"></use></svg>';
       btn.appendChild(s);
-    } else if (!isLoading) btn.querySelector(".button-spinner")?.remove();
+    } else if (!isLoading) {
+      btn.classList.remove("cancelling");
+      btn.querySelector(".button-spinner")?.remove();
+      btn.querySelector(".button-progress")?.remove();
+      btn.querySelector(".button-cancel")?.remove();
+    }
+    if (isLoading && !cancellableTasks.includes(btn.id)) btn.querySelector(".button-cancel")?.remove();
+    else if (isLoading && isManaged && !btn.querySelector(".button-cancel")) {
+      const c = document.createElement("span");
+      c.className = "button-cancel";
+      c.setAttribute("role", "button");
+      c.setAttribute("aria-label", "Cancel task");
+      c.title = "Cancel task";
+      c.textContent = "×";
+      btn.appendChild(c);
+    }
   }
 
   /**
-   * Polls the server for active tasks and completed results, synchronizing the UI button states and disabling sub-tasks during automation runs.
+   * Returns the display label of a task, which also prefixes its toasts so the start and result of one task share a notification centre entry.
+   * @param {string} taskName - The task identifier (the id of its button).
+   * @returns {string} The button's data-relay-label, or the task name with spaces.
+   */
+  function taskLabel(taskName) {
+    return el(taskName)?.dataset.relayLabel || taskName.replace(/-/g, " ");
+  }
+
+  /**
+   * Requests cancellation of a running managed task.
+   * @param {HTMLElement} btn - The loading task button (its id is the task name).
    * @returns {Promise<void>}
    */
-  async function syncActiveTasks() {
-    const res = await fetchJson(base + "/tasks/active");
-    if (!res.ok) return;
-    const activeTasks = getData(res) || [];
+  async function cancelTask(btn) {
+    if (!btn || btn.classList.contains("cancelling")) return;
+    const label = taskLabel(btn.id);
+    const res = await fetchJson(base + `/tasks/cancel/${btn.id}`, { method: "POST" });
+    if (res.ok) {
+      btn.classList.add("cancelling");
+      showToast(`${label}: Cancelling...`, "warning", TOAST_MS);
+    } else toastOperation(res, `${label} Cancel`);
+  }
+
+  /**
+   * Formats a duration in seconds as m:ss or h:mm:ss.
+   * @param {number} seconds - The duration to format.
+   * @returns {string} The formatted duration.
+   */
+  function formatDuration(seconds) {
+    const total = Math.max(0, Math.round(seconds));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = String(total % 60).padStart(2, "0");
+    return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${sec}` : `${m}:${sec}`;
+  }
+
+  /**
+   * Stores a task's progress snapshot and updates the progress bar on its button.
+   * @param {string} taskName - The task identifier (matches the button id).
+   * @param {{processed: number, total: number, currentItem: ?string, elapsedSeconds: number, etaSeconds: ?number}|null} progress - The snapshot, or null to clear it.
+   * @returns {void}
+   */
+  function applyTaskProgress(taskName, progress) {
+    if (progress) taskProgress[taskName] = progress;
+    else delete taskProgress[taskName];
+
+    const btn = el(taskName);
+    if (!btn) return;
+    let bar = btn.querySelector(".button-progress");
+    if (!progress || !btn.classList.contains("loading")) {
+      bar?.remove();
+    } else {
+      if (!bar) {
+        bar = document.createElement("span");
+        bar.className = "button-progress";
+        btn.appendChild(bar);
+      }
+      bar.style.width = `${progress.total > 0 ? Math.min(100, (progress.processed / progress.total) * 100) : 0}%`;
+    }
+    if (popoverTask === taskName) renderTaskPopover(btn);
+  }
+
+  /**
+   * Renders (or hides) the task details popover anchored to a loading task button.
+   * @param {HTMLElement|null} btn - The task button to describe, or null to hide the popover.
+   * @returns {void}
+   */
+  function renderTaskPopover(btn) {
+    let pop = el("task-popover");
+    const progress = btn ? taskProgress[btn.id] : null;
+    if (!btn || !progress || !btn.classList.contains("loading")) {
+      pop?.classList.remove("show");
+      popoverTask = null;
+      return;
+    }
+    if (!pop) {
+      pop = document.createElement("div");
+      pop.id = "task-popover";
+      pop.className = "task-popover";
+      pop.setAttribute("role", "status");
+      document.body.appendChild(pop);
+    }
+
+    const { processed, total, currentItem, elapsedSeconds, etaSeconds } = progress;
+    const percent = total > 0 ? Math.floor((processed / total) * 100) : 0;
+    pop.replaceChildren();
+    const title = document.createElement("strong");
+    title.textContent = taskLabel(btn.id);
+    const count = document.createElement("div");
+    count.textContent = `${processed} / ${total} (${percent}%)`;
+    const item = document.createElement("div");
+    item.className = "task-popover-item";
+    item.textContent = currentItem || "Preparing...";
+    const time = document.createElement("small");
+    time.textContent = `Elapsed ${formatDuration(elapsedSeconds)}${etaSeconds != null ? ` · ETA ${formatDuration(etaSeconds)}` : ""}`;
+    pop.append(title, count, item, time);
+
+    const rect = btn.getBoundingClientRect();
+    pop.style.left = `${Math.round(rect.left + window.scrollX)}px`;
+    pop.style.top = `${Math.round(rect.bottom + window.scrollY + 8)}px`;
+    pop.classList.add("show");
+    popoverTask = btn.id;
+  }
+
+  /**
+   * Synchronizes the managed task button states with the given list of running tasks, disabling sub-tasks during automation runs.
+   * @param {string[]} activeTasks - Identifiers of the tasks currently running on the server.
+   * @param {string[]} [cancellable] - Identifiers of the running tasks that can be cancelled. Defaults to the last known list.
+   * @returns {void}
+   */
+  function applyActiveTasks(activeTasks, cancellable = cancellableTasks) {
+    lastActiveTasks = activeTasks;
+    cancellableTasks = cancellable;
+    Object.keys(taskProgress).forEach((id) => !activeTasks.includes(id) && applyTaskProgress(id, null));
     const isAutoRunning = activeTasks.includes(window._sr.tasks.plexAutomationRun);
     const isPlexLinked = !!window._sr.isPlexLinked;
 
@@ -53,64 +194,162 @@
         }
       }
     });
+  }
 
-    const completeRes = await fetchJson(base + "/tasks/completed");
-    const completeData = getData(completeRes);
-    if (completeRes.ok && completeData) {
-      let hasNewLogs = false;
-      for (const [taskName, result] of Object.entries(completeData)) {
-        const btn = el(taskName);
-        if (btn?.classList.contains("clicking")) continue;
-        const isOk = (result.status || result.Status || "").toLowerCase() === "ok";
+  /**
+   * Displays toasts for completed task results and acknowledges them on the server.
+   * @param {Object<string, Object>} completeData - Map of task identifiers to their stored results.
+   * @returns {Promise<void>}
+   */
+  async function handleCompletedTasks(completeData) {
+    let hasNewLogs = false;
+    for (const [taskName, result] of Object.entries(completeData || {})) {
+      if (ownedTasks.has(taskName) || shownResults.get(taskName)) continue; // Held back until the caller's request returns, or already acknowledged
+      const btn = el(taskName);
+      const status = (result.status || result.Status || "").toLowerCase();
+      const isOk = status === "ok" || status === "cancelled";
+      window._sr.notifyTaskCompleted?.(taskName, { ok: isOk, data: result }); // Also covers runs started from this tab, whose own toast comes from the request
+      if (taskName === window._sr.tasks.vfsBuild) window._sr.refreshRebuildState?.();
+      if (shownResults.has(taskName)) shownResults.set(taskName, true);
+      else {
         const fInput = btn?.dataset.relayPersistIfEmpty ? document.querySelector(btn.dataset.relayPersistIfEmpty) : null;
-
-        toastOperation({ ok: isOk, data: result }, taskName.replace(/-/g, " "), { hideOnSucceed: fInput?.value?.trim() ? TOAST_MS : 0 });
-        await fetch(base + `/tasks/clear/${taskName}`, { method: "POST" });
-        hasNewLogs = true;
-        if (taskName === window._sr.tasks.plexAuthRefresh) window._sr.refreshPlexState?.();
+        toastOperation({ ok: isOk, data: result }, taskLabel(taskName), { hideOnSucceed: fInput?.value?.trim() ? TOAST_MS : 0 });
       }
-      if (hasNewLogs) loadLogs();
+      await fetch(base + `/tasks/clear/${taskName}`, { method: "POST" });
+      hasNewLogs = true;
+      if (taskName === window._sr.tasks.plexAuthRefresh) window._sr.refreshPlexState?.();
+    }
+    if (hasNewLogs) {
+      window._sr.loadLogs?.();
+      window._sr.loadHistory?.();
     }
   }
 
   /**
-   * Fetches the list of generated task logs from the server and renders them as clickable links.
+   * Reads the stored task results and shows or acknowledges them.
    * @returns {Promise<void>}
    */
-  async function loadLogs() {
-    const logsList = el("logs-list");
-    if (!logsList) return;
+  async function syncCompletedTasks() {
+    const res = await fetchJson(base + "/tasks/completed");
+    const completeData = getData(res);
+    if (res.ok && completeData) await handleCompletedTasks(completeData);
+  }
 
-    const res = await fetchJson(base + "/logs/list");
-    if (res.ok) {
-      const files = getData(res) || [];
-      if (files.length > 0) {
-        logsList.innerHTML = "";
-        files.forEach((f) => {
-          const li = document.createElement("li");
-          li.className = "log-item";
-
-          const link = document.createElement("a");
-          link.href = `${base}/logs/${f.name}`;
-          link.target = "_blank";
-          link.rel = "noopener noreferrer";
-          link.textContent = f.friendlyName;
-          link.className = "log-link";
-
-          const small = document.createElement("small");
-          small.textContent = ` (${f.name})`;
-
-          li.append(link, small);
-          logsList.appendChild(li);
-        });
-      } else {
-        logsList.innerHTML = '<li class="placeholder">No log reports generated yet. Click any "Generate" or automation button on the dashboard to start a task.</li>';
-      }
-    } else {
-      logsList.innerHTML = '<li class="placeholder">Failed to load task logs list from server.</li>';
+  /**
+   * Runs a request that starts a tracked task whose result the caller shows itself, so the pushed result is not shown a second time.
+   * Once the request returns, the stored results are read again to acknowledge it and to show any other results that arrived meanwhile.
+   * @param {string} taskName - The task identifier.
+   * @param {Function} request - Async function sending the request. It may return the normalized response.
+   * @returns {Promise<*>} The value returned by the request.
+   */
+  async function trackTaskRequest(taskName, request) {
+    ownedTasks.add(taskName);
+    let res;
+    try {
+      return (res = await request());
+    } finally {
+      ownedTasks.delete(taskName);
+      // A busy response means another run is in progress, and its result still has to be shown
+      if (res?.status !== 409) shownResults.set(taskName, false);
+      await syncCompletedTasks();
     }
   }
 
+  /**
+   * Polls the server for active tasks and completed results. Used as the fallback whenever the task event stream is unavailable.
+   * @returns {Promise<void>}
+   */
+  async function syncActiveTasks() {
+    const res = await fetchJson(base + "/tasks/active");
+    if (!res.ok) return;
+    const activeTasks = getData(res) || [];
+    activeTasks.forEach((taskName) => shownResults.delete(taskName));
+    const cancellableRes = activeTasks.length > 0 ? await fetchJson(base + "/tasks/cancellable") : null;
+    applyActiveTasks(activeTasks, (cancellableRes?.ok && getData(cancellableRes)) || []);
+    if (activeTasks.length > 0) {
+      const progressRes = await fetchJson(base + "/tasks/progress");
+      if (progressRes.ok) Object.entries(getData(progressRes) || {}).forEach(([taskName, progress]) => applyTaskProgress(taskName, progress));
+    }
+    await syncCompletedTasks();
+  }
+
+  /**
+   * Refreshes the task button states, reusing the last pushed state while the event stream is connected.
+   * @returns {void}
+   */
+  function refreshTaskStates() {
+    if (taskStream?.readyState === EventSource.OPEN) applyActiveTasks(lastActiveTasks);
+    else syncActiveTasks();
+  }
+
+  /**
+   * Starts the polling fallback loop if it is not already running.
+   * @returns {void}
+   */
+  function startPolling() {
+    if (pollTimer) return;
+    pollTimer = setInterval(syncActiveTasks, TASK_POLL_MS);
+    syncActiveTasks();
+  }
+
+  /**
+   * Stops the polling fallback loop.
+   * @returns {void}
+   */
+  function stopPolling() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  /**
+   * Subscribes to the server's task event stream. Falls back to polling while disconnected and reconnects with exponential backoff.
+   * @returns {void}
+   */
+  function connectTaskEvents() {
+    if (!("EventSource" in window)) return startPolling();
+
+    taskStream = new EventSource(base + "/tasks/events");
+    taskStream.onopen = () => {
+      stopPolling();
+      reconnectDelay = RECONNECT_MIN_MS;
+    };
+    taskStream.addEventListener("snapshot", (e) => {
+      const { active, cancellable, completed, progress, cancelling } = JSON.parse(e.data);
+      applyActiveTasks(active || [], cancellable || []);
+      (cancelling || []).forEach((taskName) => el(taskName)?.classList.add("cancelling"));
+      Object.entries(progress || {}).forEach(([taskName, p]) => applyTaskProgress(taskName, p));
+      handleCompletedTasks(completed);
+    });
+    taskStream.addEventListener("progress", (e) => {
+      const evt = JSON.parse(e.data);
+      applyTaskProgress(evt.taskName, evt.result);
+    });
+    taskStream.addEventListener("cancelling", (e) => el(JSON.parse(e.data).taskName)?.classList.add("cancelling"));
+    taskStream.addEventListener("recorded", () => {
+      window._sr.loadHistory?.();
+      window._sr.loadSchedule?.();
+    });
+    ["started", "finished", "cleared"].forEach((type) =>
+      taskStream.addEventListener(type, (e) => {
+        const evt = JSON.parse(e.data);
+        if (type === "started") shownResults.delete(evt.taskName); // A new run produces a result nobody has shown yet
+        applyActiveTasks(evt.active || [], evt.cancellable || []);
+      }),
+    );
+    taskStream.addEventListener("completed", (e) => {
+      const evt = JSON.parse(e.data);
+      applyActiveTasks(evt.active || [], evt.cancellable || []);
+      handleCompletedTasks({ [evt.taskName]: evt.result });
+    });
+    taskStream.onerror = () => {
+      taskStream.close();
+      taskStream = null;
+      startPolling();
+      setTimeout(connectTaskEvents, reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_MS);
+    };
+  }
+
   /**
    * Core logic to wrap an async action with loading states and task management.
    * @param {HTMLElement} btn - The button element trigger.
@@ -118,19 +357,76 @@
    * @returns {Promise<void>}
    */
   async function runAction(btn, handler) {
-    if (!btn || btn.classList.contains("clicking")) return;
+    if (!btn || btn.classList.contains("clicking") || btn.classList.contains("loading")) return;
     btn.classList.add("clicking");
     setButtonLoading(btn, true);
     const taskId = btn.id;
     try {
-      await handler(btn);
-      if (taskId && MANAGED_TASK_IDS.includes(taskId)) await fetch(base + `/tasks/clear/${taskId}`, { method: "POST" });
+      if (taskId && MANAGED_TASK_IDS.includes(taskId)) await trackTaskRequest(taskId, () => handler(btn));
+      else await handler(btn);
     } finally {
       btn.classList.remove("clicking");
       if (taskId && !MANAGED_TASK_IDS.includes(taskId)) setTimeout(() => setButtonLoading(btn, false), TOAST_MS);
-      else syncActiveTasks();
-      loadLogs();
+      else refreshTaskStates();
+      window._sr.loadLogs?.();
+    }
+  }
+
+  /**
+   * Calls a button's relay endpoint, appending its dynamic parameters, and toasts the result.
+   * @param {HTMLElement} btn - The button carrying the data-relay-* attributes.
+   * @param {{forceDryRun?: boolean, params?: string, label?: string}} [options] - Dry run override, extra query parameters (replacing any with the same name) and an alternative toast label.
+   * @returns {Promise<{ok: boolean, data: any}>} The normalized response.
+   */
+  async function callEndpoint(btn, { forceDryRun = false, params = "", label = taskLabel(btn.id) } = {}) {
+    let endpoint = btn.dataset.relayEndpoint;
+    const paramFnName = btn.dataset.relayParams;
+    const method = btn.dataset.relayMethod || "GET";
+    const persistAttr = btn.dataset.relayPersist === "true";
+    const persistIfEmptySelector = btn.dataset.relayPersistIfEmpty;
+
+    if (forceDryRun) endpoint = endpoint.replace(/dryRun=false/i, "dryRun=true");
+    let url = base + endpoint;
+    if (paramFnName && typeof window._sr[paramFnName] === "function") {
+      const ps = window._sr[paramFnName]();
+      url += (url.includes("?") ? "&" : "?") + ps.toString();
     }
+    if (params) {
+      const [path, query = ""] = url.split("?");
+      const merged = new URLSearchParams(query);
+      new URLSearchParams(params).forEach((v, k) => merged.set(k, v));
+      url = merged.toString() ? `${path}?${merged}` : path;
+    }
+    let hideOnSucceed = persistAttr || forceDryRun ? 0 : TOAST_MS;
+    if (persistIfEmptySelector) {
+      const input = document.querySelector(persistIfEmptySelector);
+      if (input && !input.value.trim()) hideOnSucceed = 0;
+    }
+    showToast(`${label}${forceDryRun ? " (Dry Run)" : ""}: Processing...`, "info", TOAST_MS, { record: false });
+    const res = await fetchJson(url, { method });
+    toastOperation(res, label, { hideOnSucceed });
+    if (btn.id === window._sr.tasks.plexAuthRefresh && res.ok) window._sr.refreshPlexState?.();
+    return res;
+  }
+
+  /**
+   * Shows the shared confirmation modal without the dry run option.
+   * @param {string} message - The confirmation message (HTML).
+   * @param {string} buttonLabel - The label for the confirm button.
+   * @param {Function} onConfirm - Called when the action is confirmed.
+   * @returns {void}
+   */
+  function confirmAction(message, buttonLabel, onConfirm) {
+    const execBtn = el("confirm-exec");
+    el("confirm-message").innerHTML = message;
+    execBtn.textContent = buttonLabel;
+    el("confirm-dry").style.display = "none";
+    const close = openModal(el("confirm-modal"));
+    el("confirm-cancel").onclick = close;
+    execBtn.onclick = () => {
+      close();
+      onConfirm();
+    };
   }
 
   /**
@@ -151,7 +447,13 @@
   // #region Global Exports
   Object.assign(window._sr, {
     runAction,
+    trackTaskRequest,
+    taskLabel,
+    callEndpoint,
+    confirmAction,
+    activeTasks: () => lastActiveTasks,
     initToggle,
+    formatDuration,
     setButtonLoading,
     withButtonAction: (btn, handler) => {
       const elBtn = typeof btn === "string" ? el(btn) : btn;
@@ -161,35 +463,32 @@
   // #endregion
 
   // #region Global Dispatcher
+  document.addEventListener(
+    "click",
+    (e) => {
+      const cancel = e.target.closest(".button-cancel");
+      if (!cancel) return;
+      e.preventDefault();
+      e.stopPropagation(); // Capture phase: keep the click from re-triggering the task button's own handlers
+      cancelTask(cancel.closest("button"));
+    },
+    true,
+  );
+
+  document.addEventListener("mouseover", (e) => {
+    const btn = e.target.closest?.("button.loading");
+    if (btn?.id !== popoverTask) renderTaskPopover(btn && taskProgress[btn.id] ? btn : null);
+  });
+
   document.addEventListener("click", (e) => {
     const target = e.target.closest("[data-relay-endpoint], [data-relay-action]");
-    if (!target) return;
+    if (!target || target.classList.contains("loading")) return;
 
     const action = async (btn, forceDryRun = false) => {
-      let endpoint = btn.dataset.relayEndpoint;
       const actionKey = btn.dataset.relayAction;
-      const label = btn.dataset.relayLabel;
-      const paramFnName = btn.dataset.relayParams;
-      const method = btn.dataset.relayMethod || "GET";
-      const persistAttr = btn.dataset.relayPersist === "true";
-      const persistIfEmptySelector = btn.dataset.relayPersistIfEmpty;
-
-      if (endpoint) {
-        if (forceDryRun) endpoint = endpoint.replace(/dryRun=false/i, "dryRun=true");
-        let url = base + endpoint;
-        if (paramFnName && typeof window._sr[paramFnName] === "function") {
-          const ps = window._sr[paramFnName]();
-          url += (url.includes("?") ? "&" : "?") + ps.toString();
-        }
-        let hideOnSucceed = persistAttr || forceDryRun ? 0 : TOAST_MS;
-        if (persistIfEmptySelector) {
-          const input = document.querySelector(persistIfEmptySelector);
-          if (input && !input.value.trim()) hideOnSucceed = 0;
-        }
-        showToast(`${label}${forceDryRun ? " (Dry Run)" : ""}: Processing...`, "info", TOAST_MS);
-        const res = await fetchJson(url, { method });
-        toastOperation(res, label, { hideOnSucceed });
-        if (btn.id === window._sr.tasks.plexAuthRefresh && res.ok) window._sr.refreshPlexState?.();
+      if (btn.dataset.relayEndpoint) {
+        const res = await callEndpoint(btn, { forceDryRun });
+        if (forceDryRun && res.ok && btn.dataset.relayPreview) window._sr.showDryRunPreview?.(btn.dataset.relayPreview, res);
       } else if (actionKey) {
         const handler = window._sr.actions[actionKey];
         if (handler) await handler(btn);
@@ -221,7 +520,5 @@
   // #endregion
 
   // Lifecycle Execution
-  setInterval(syncActiveTasks, 3000);
-  syncActiveTasks();
-  loadLogs();
+  connectTaskEvents();
 })();
@@ -0,0 +1,150 @@
+/**
+ * @file health.js
+ * @description System health panel and header badge backed by the server's diagnostics checks (Shoko reachability, Plex token and servers, FFmpeg, config directory and VFS roots), refreshed every few minutes and downloadable as a support bundle.
+ */
+(() => {
+  const { base, el, fetchJson, getData, showToast, toastOperation } = window._sr;
+
+  /** How often the checks are run again while the dashboard is visible. */
+  const REFRESH_MS = 5 * 60000;
+
+  /** Display text for each check status. */
+  const STATUS_TEXT = { pass: "Pass", warn: "Warn", fail: "Fail" };
+
+  const details = el("health-details");
+  const list = el("health-list");
+  const badge = el("health-badge");
+
+  /**
+   * The outcome of a single diagnostics check.
+   * @typedef {{Id: string, Name: string, Status: string, Details: string, Fix: ?string}} HealthCheck
+   */
+
+  /** @type {{checkedAt: ?string, loading: boolean}} */
+  const state = { checkedAt: null, loading: false };
+
+  // #region Rendering
+  /**
+   * Updates the header badge with the overall status and the number of checks that need attention.
+   * @param {{Status: string, Checks: HealthCheck[]}} report - The health report.
+   * @returns {void}
+   */
+  function renderBadge(report) {
+    const failing = report.Checks.filter((c) => c.Status === "fail").length;
+    const warning = report.Checks.filter((c) => c.Status === "warn").length;
+    const text = failing ? `${failing} Failing` : warning ? `${warning} Warning${warning === 1 ? "" : "s"}` : "Healthy";
+    badge.className = `health-badge ${report.Status}`;
+    el("health-badge-text").textContent = text;
+    badge.title = `System Health: ${text}`;
+    badge.hidden = false;
+  }
+
+  /**
+   * Renders one row per check, with the suggested fix for checks that did not pass.
+   * @param {HealthCheck[]} checks - The check results.
+   * @returns {void}
+   */
+  function renderChecks(checks) {
+    list.replaceChildren(
+      ...checks.map((check) => {
+        const li = document.createElement("li");
+        li.className = `health-check ${check.Status}`;
+        const status = document.createElement("span");
+        status.className = "health-status";
+        status.textContent = STATUS_TEXT[check.Status] || check.Status;
+        const body = document.createElement("div");
+        const name = document.createElement("strong");
+        name.textContent = check.Name;
+        const text = document.createElement("small");
+        text.textContent = check.Details;
+        body.append(name, text);
+        if (check.Fix) {
+          const fix = document.createElement("small");
+          fix.className = "health-fix";
+          fix.textContent = check.Fix;
+          body.appendChild(fix);
+        }
+        li.append(status, body);
+        return li;
+      }),
+    );
+  }
+
+  /**
+   * Shows when the checks last ran.
+   * @returns {void}
+   */
+  function renderCheckedAt() {
+    el("health-checked").textContent = state.checkedAt ? `Last checked ${new Date(state.checkedAt).toLocaleString()}` : "Not checked yet.";
+  }
+  // #endregion
+
+  // #region Loading
+  /**
+   * Runs the checks on the server and updates the panel and header badge.
+   * @param {boolean} [manual] - True when started from the Check Now button, to report a failed request.
+   * @returns {Promise<void>}
+   */
+  async function loadHealth(manual = false) {
+    if (!details || state.loading) return;
+    state.loading = true;
+    try {
+      const res = await fetchJson(`${base}/health`);
+      const report = getData(res);
+      if (!res.ok || !report) {
+        if (manual) toastOperation(res, "System Health");
+        return;
+      }
+      state.checkedAt = report.CheckedAt;
+      renderBadge(report);
+      renderChecks(report.Checks || []);
+      renderCheckedAt();
+    } finally {
+      state.loading = false;
+    }
+  }
+
+  /**
+   * Runs the checks on the server and downloads the report as a JSON support bundle.
+   * @returns {Promise<void>}
+   */
+  async function downloadBundle() {
+    try {
+      const res = await fetch(`${base}/health/bundle`);
+      if (!res.ok) return showToast("System Health: Failed to build the diagnostics bundle.", "error");
+      const fileName = res.headers.get("Content-Disposition")?.match(/filename="?([^";]+)"?/)?.[1] || "diagnostics.json";
+      const url = URL.createObjectURL(await res.blob());
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = fileName;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch {
+      showToast("System Health: Failed to build the diagnostics bundle.", "error");
+    }
+  }
+  // #endregion
+
+  // #region Event Wiring
+  if (details) {
+    const refreshBtn = el("health-refresh");
+    const downloadBtn = el("health-download");
+    refreshBtn.onclick = () => window._sr.runAction(refreshBtn, () => loadHealth(true));
+    downloadBtn.onclick = () => window._sr.runAction(downloadBtn, downloadBundle);
+    badge.onclick = () => {
+      details.open = true;
+      details.scrollIntoView({ behavior: "smooth", block: "start" });
+    };
+    // Checks reach Plex and Shoko over the network, so skip them while the dashboard is in a background tab
+    setInterval(() => !document.hidden && loadHealth(), REFRESH_MS);
+    document.addEventListener("visibilitychange", () => {
+      if (!document.hidden && state.checkedAt && Date.now() - new Date(state.checkedAt) > REFRESH_MS) loadHealth();
+    });
+    loadHealth();
+  }
+  // #endregion
+
+  // #region Global Exports
+  Object.assign(window._sr, { loadHealth });
+  // #endregion
+})();
@@ -0,0 +1,173 @@
+/**
+ * @file history.js
+ * @description Task run history panel with per-task duration and error count charts.
+ */
+(() => {
+  const { base, el, fetchJson, getData } = window._sr;
+
+  const CHART_RUNS = 50;
+  const CHART_W = 600;
+  const CHART_H = 120;
+  const SVG_NS = "http://www.w3.org/2000/svg";
+
+  const details = el("history-details");
+  const list = el("history-list");
+  const chart = el("history-chart");
+  const filter = el("history-task-filter");
+
+  /** @type {{task: string, stale: boolean}} */
+  const state = { task: "", stale: true };
+
+  // #region Helpers
+  /**
+   * Creates an SVG element with the given attributes.
+   * @param {string} tag - The SVG tag name.
+   * @param {Object<string, string|number>} attrs - Attributes to set.
+   * @param {string} [title] - Optional tooltip text.
+   * @returns {SVGElement} The new element.
+   */
+  function svg(tag, attrs, title) {
+    const node = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([k, v]) => node.setAttribute(k, v));
+    if (title) {
+      const t = document.createElementNS(SVG_NS, "title");
+      t.textContent = title;
+      node.appendChild(t);
+    }
+    return node;
+  }
+
+  /**
+   * Formats a run's counts the same way as the result toasts (errors are only listed when non-zero).
+   * @param {Object<string, number>} counts - The run's summary counts.
+   * @returns {string} The summary text.
+   */
+  function formatCounts(counts) {
+    return Object.entries(counts || {})
+      .filter(([label, n]) => label !== "errors" || n > 0)
+      .map(([label, n]) => `${label}: ${n}`)
+      .join(", ");
+  }
+  // #endregion
+
+  // #region Rendering
+  /**
+   * Rebuilds the task filter options, keeping the current selection when it still has runs.
+   * @param {{task: string, friendlyName: string}[]} tasks - The task types that have runs.
+   * @returns {void}
+   */
+  function renderTaskFilter(tasks) {
+    filter.replaceChildren(new Option("All Tasks", ""), ...tasks.map((t) => new Option(t.friendlyName, t.task)));
+    filter.value = tasks.some((t) => t.task === state.task) ? state.task : "";
+  }
+
+  /**
+   * Renders the run table, newest first.
+   * @param {Object[]} runs - The recorded runs.
+   * @returns {void}
+   */
+  function renderRuns(runs) {
+    list.replaceChildren();
+    if (!runs.length) {
+      list.innerHTML = '<tr><td colspan="7" class="placeholder">No task runs recorded yet.</td></tr>';
+      return;
+    }
+    runs.forEach((run) => {
+      const tr = document.createElement("tr");
+      const cells = [new Date(run.startedAt).toLocaleString(), run.friendlyName, run.trigger, window._sr.formatDuration(run.durationSeconds), run.status, formatCounts(run.counts) || run.message || ""];
+      cells.forEach((text, i) => {
+        const td = document.createElement("td");
+        td.textContent = text;
+        if (i === 4) td.className = `history-status ${run.status}`;
+        tr.appendChild(td);
+      });
+
+      const logCell = document.createElement("td");
+      if (run.logUrl) {
+        const link = document.createElement("a");
+        link.href = run.logUrl;
+        link.target = "_blank";
+        link.rel = "noopener noreferrer";
+        link.className = "log-link";
+        link.textContent = "view";
+        logCell.appendChild(link);
+      }
+      tr.appendChild(logCell);
+      list.appendChild(tr);
+    });
+  }
+
+  /**
+   * Draws duration bars and an error count line for the most recent runs of the selected task, oldest on the left.
+   * @param {Object[]} runs - The recorded runs of the selected task, newest first.
+   * @returns {void}
+   */
+  function renderChart(runs) {
+    chart.replaceChildren();
+    if (!state.task || runs.length < 2) {
+      chart.innerHTML = `<small class="placeholder">${state.task ? "At least two runs are needed to chart a trend." : "Select a task to chart its duration and error count over time."}</small>`;
+      return;
+    }
+
+    const points = runs.slice(0, CHART_RUNS).reverse();
+    const maxDuration = Math.max(...points.map((r) => r.durationSeconds), 1);
+    const maxErrors = Math.max(...points.map((r) => r.counts?.errors || 0), 1);
+    const step = CHART_W / points.length;
+    const root = svg("svg", { viewBox: `0 0 ${CHART_W} ${CHART_H}`, preserveAspectRatio: "none", role: "img", "aria-label": "Duration and error count per run" });
+
+    const line = [];
+    points.forEach((run, i) => {
+      const h = Math.max(1, (run.durationSeconds / maxDuration) * (CHART_H - 10));
+      const tip = `${new Date(run.startedAt).toLocaleString()}\nDuration: ${window._sr.formatDuration(run.durationSeconds)}\nErrors: ${run.counts?.errors || 0}\nStatus: ${run.status}`;
+      root.appendChild(svg("rect", { class: `history-bar ${run.status}`, x: i * step + step * 0.15, y: CHART_H - h, width: step * 0.7, height: h }, tip));
+      line.push(`${i * step + step / 2},${CHART_H - 4 - ((run.counts?.errors || 0) / maxErrors) * (CHART_H - 14)}`);
+    });
+    root.appendChild(svg("polyline", { class: "history-errors", points: line.join(" ") }));
+
+    const legend = document.createElement("small");
+    legend.className = "history-legend";
+    legend.innerHTML = `<span class="history-key duration"></span>Duration (max ${window._sr.formatDuration(maxDuration)}) <span class="history-key errors"></span>Errors (max ${maxErrors})`;
+    chart.append(root, legend);
+  }
+  // #endregion
+
+  // #region Loading
+  /**
+   * Fetches and renders the task history. Deferred until the panel is opened so closed panels don't poll the server.
+   * @returns {Promise<void>}
+   */
+  async function loadHistory() {
+    if (!details) return;
+    if (!details.open) {
+      state.stale = true;
+      return;
+    }
+    state.stale = false;
+
+    const query = state.task ? `?task=${encodeURIComponent(state.task)}` : "";
+    const res = await fetchJson(`${base}/tasks/history${query}`);
+    if (!res.ok) {
+      list.innerHTML = '<tr><td colspan="7" class="placeholder">Failed to load task history from server.</td></tr>';
+      return;
+    }
+    const data = getData(res) || {};
+    renderTaskFilter(data.tasks || []);
+    renderRuns(data.runs || []);
+    renderChart(data.runs || []);
+  }
+  // #endregion
+
+  // #region Event Wiring
+  if (details) {
+    details.addEventListener("toggle", () => details.open && state.stale && loadHistory());
+    filter.onchange = () => {
+      state.task = filter.value;
+      loadHistory();
+    };
+  }
+  // #endregion
+
+  // #region Global Exports
+  Object.assign(window._sr, { loadHistory });
+  // #endregion
+})();
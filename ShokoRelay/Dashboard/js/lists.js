@@ -0,0 +1,250 @@
+/**
+ * @file lists.js
+ * @description Chip editor for list settings (Tag Blacklist, Folder Exclusions) that shows what each entry matches as it is typed, with optional autocomplete suggestions.
+ */
+(() => {
+  const { fetchJson, getData, getValueByPath, setValueByPath, saveSettings, validateConfigValue, setFieldError } = window._sr;
+
+  /** Delay before the typed text is previewed or looked up, so requests are not sent on every keystroke. */
+  const INPUT_DELAY_MS = 250;
+
+  /**
+   * How a list setting is stored, previewed and suggested.
+   * @typedef {Object} ListEditorOptions
+   * @property {string} separator - The character separating entries in the saved value (also accepted while typing).
+   * @property {string} joiner - The text joining entries when the value is saved.
+   * @property {string} placeholder - The input placeholder.
+   * @property {string} previewUrl - Endpoint that receives the entries as a JSON array and returns one match object per entry, each with a Name.
+   * @property {(match: Object) => string} describe - Formats a match object for display.
+   * @property {(match: Object) => boolean} matched - Whether an entry matches anything.
+   * @property {string} [suggestUrl] - Endpoint returning suggestions for the `search` query, each with a Name.
+   */
+
+  // #region Helpers
+  /**
+   * Splits a saved or pasted value into trimmed, non-empty entries.
+   * @param {string} value - The text to split.
+   * @param {string} separator - The entry separator.
+   * @returns {string[]} The entries.
+   */
+  const splitEntries = (value, separator) =>
+    String(value ?? "")
+      .split(separator === "\n" ? /\r?\n/ : separator)
+      .map((s) => s.trim())
+      .filter(Boolean);
+
+  /**
+   * Checks whether a list already contains an entry, ignoring case as the server does.
+   * @param {string[]} entries - The entries.
+   * @param {string} entry - The entry to look for.
+   * @returns {boolean} True if the entry is present.
+   */
+  const hasEntry = (entries, entry) => entries.some((e) => e.toLowerCase() === entry.toLowerCase());
+  // #endregion
+
+  // #region Editor
+  /**
+   * Renders a chip editor into a settings field, saving the entries whenever they are added or removed.
+   * @param {HTMLElement} wrap - The setting's field container.
+   * @param {{Path: string}} p - The setting's schema entry.
+   * @param {Object} config - The loaded settings.
+   * @param {ListEditorOptions} opts - How the list is stored, previewed and suggested.
+   * @returns {void}
+   */
+  function renderListEditor(wrap, p, config, opts) {
+    const editor = document.createElement("div");
+    editor.className = "list-editor";
+    editor.innerHTML = `<ul class="chip-list"><li class="chip-entry"><input type="text" class="chip-input" autocomplete="off" /></li></ul>
+      <ul class="chip-suggestions" role="listbox" hidden></ul><small class="list-editor-hint" aria-live="polite"></small>`;
+    wrap.appendChild(editor);
+
+    const list = editor.querySelector(".chip-list");
+    const input = editor.querySelector(".chip-input");
+    const suggestions = editor.querySelector(".chip-suggestions");
+    const hint = editor.querySelector(".list-editor-hint");
+    input.placeholder = opts.placeholder;
+    input.dataset.configBinding = p.Path;
+    input.setAttribute("aria-label", p.Display || p.Path);
+
+    /** @type {{entries: string[], matches: Map<string, Object>, preview: number, suggest: number, timer: ?number, active: number}} */
+    const state = { entries: splitEntries(getValueByPath(config, p.Path), opts.separator), matches: new Map(), preview: 0, suggest: 0, timer: null, active: -1 };
+
+    const renderChips = () => {
+      list.querySelectorAll(".chip").forEach((chip) => chip.remove());
+      state.entries.forEach((entry) => {
+        const chip = document.createElement("li");
+        chip.className = "chip";
+        const name = document.createElement("span");
+        name.textContent = entry;
+        const count = document.createElement("small");
+        const match = state.matches.get(entry.toLowerCase());
+        if (match) {
+          count.textContent = opts.describe(match);
+          chip.classList.toggle("unused", !opts.matched(match));
+          if (!opts.matched(match)) chip.title = "Matches nothing in the collection";
+        }
+        const remove = document.createElement("button");
+        remove.type = "button";
+        remove.textContent = "×";
+        remove.title = `Remove ${entry}`;
+        remove.setAttribute("aria-label", `Remove ${entry}`);
+        remove.onclick = () => {
+          state.entries = state.entries.filter((e) => e !== entry);
+          commit();
+          input.focus();
+        };
+        chip.append(name, count, remove);
+        input.parentElement.before(chip);
+      });
+    };
+
+    const save = async () => {
+      const val = state.entries.join(opts.joiner);
+      const error = validateConfigValue(p.Path, val);
+      setFieldError(input, error);
+      if (error) return;
+      setValueByPath(config, p.Path, val);
+      await saveSettings(config);
+    };
+
+    const commit = () => {
+      renderChips();
+      preview();
+      save();
+    };
+
+    /**
+     * Adds the given text as one or more entries, skipping duplicates.
+     * @param {string} text - The typed or pasted text.
+     * @returns {boolean} True if any entry was added.
+     */
+    const addEntries = (text) => {
+      const added = splitEntries(text, opts.separator).filter((e, i, all) => !hasEntry(state.entries, e) && !hasEntry(all.slice(0, i), e));
+      state.entries.push(...added);
+      input.value = "";
+      hideSuggestions();
+      if (added.length) commit();
+      return added.length > 0;
+    };
+
+    /**
+     * Asks the server what each entry and the typed text match, then updates the chips and the hint line.
+     * @returns {Promise<void>}
+     */
+    async function preview() {
+      const request = ++state.preview;
+      const typed = input.value.trim();
+      const names = typed && !hasEntry(state.entries, typed) ? [...state.entries, typed] : state.entries;
+      if (!names.length) {
+        hint.textContent = "";
+        return;
+      }
+      const res = await fetchJson(opts.previewUrl, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(names) });
+      if (request !== state.preview) return;
+      if (!res.ok) {
+        hint.textContent = "";
+        return;
+      }
+      const matches = getData(res) || [];
+      state.matches = new Map(matches.map((m) => [m.Name.toLowerCase(), m]));
+      renderChips();
+      const unused = state.entries.filter((e) => state.matches.has(e.toLowerCase()) && !opts.matched(state.matches.get(e.toLowerCase()))).length;
+      const typedMatch = typed ? state.matches.get(typed.toLowerCase()) : null;
+      hint.textContent = typedMatch ? `"${typed}" matches ${opts.describe(typedMatch)}.` : unused ? `${unused} entr${unused === 1 ? "y matches" : "ies match"} nothing.` : "";
+    }
+
+    /**
+     * Hides the suggestion list.
+     * @returns {void}
+     */
+    function hideSuggestions() {
+      state.suggest++;
+      state.active = -1;
+      suggestions.hidden = true;
+      suggestions.replaceChildren();
+    }
+
+    /**
+     * Highlights a suggestion for keyboard selection.
+     * @param {number} index - The suggestion index, wrapping at either end.
+     * @returns {void}
+     */
+    function setActive(index) {
+      const items = [...suggestions.children];
+      if (!items.length) return;
+      state.active = (index + items.length) % items.length;
+      items.forEach((item, i) => item.setAttribute("aria-selected", String(i === state.active)));
+    }
+
+    /**
+     * Lists the suggestions matching the typed text that are not already entries.
+     * @returns {Promise<void>}
+     */
+    async function suggest() {
+      const request = ++state.suggest;
+      const typed = input.value.trim();
+      if (!typed) return hideSuggestions();
+      const res = await fetchJson(`${opts.suggestUrl}?search=${encodeURIComponent(typed)}`);
+      if (request !== state.suggest || !res.ok) return;
+      const items = (getData(res) || []).filter((s) => !hasEntry(state.entries, s.Name));
+      state.active = -1;
+      suggestions.replaceChildren(
+        ...items.map((s) => {
+          const li = document.createElement("li");
+          li.setAttribute("role", "option");
+          li.textContent = s.Name;
+          const count = document.createElement("small");
+          count.textContent = opts.describe(s);
+          li.appendChild(count);
+          // Add on mousedown so the input keeps focus
+          li.onmousedown = (e) => {
+            e.preventDefault();
+            addEntries(s.Name);
+          };
+          return li;
+        }),
+      );
+      suggestions.hidden = !items.length;
+    }
+
+    list.onclick = (e) => e.target === list && input.focus();
+    input.oninput = () => {
+      if (input.value.includes(opts.separator)) return addEntries(input.value);
+      clearTimeout(state.timer);
+      state.timer = setTimeout(() => {
+        preview();
+        if (opts.suggestUrl) suggest();
+      }, INPUT_DELAY_MS);
+    };
+    input.onkeydown = (e) => {
+      const open = !suggestions.hidden;
+      if (e.key === "ArrowDown" && open) setActive(state.active + 1);
+      else if (e.key === "ArrowUp" && open) setActive(state.active - 1);
+      else if (e.key === "Escape" && open) hideSuggestions();
+      else if (e.key === "Enter") addEntries(open && state.active >= 0 ? suggestions.children[state.active].firstChild.textContent : input.value);
+      else if (e.key === "Backspace" && !input.value && state.entries.length) {
+        state.entries.pop();
+        return commit();
+      } else return;
+      e.preventDefault();
+    };
+    input.onpaste = (e) => {
+      const text = e.clipboardData?.getData("text") || "";
+      if (!text.includes(opts.separator) && !text.includes("\n")) return;
+      e.preventDefault();
+      addEntries(`${input.value}${opts.separator}${text.replace(/\r?\n/g, opts.separator)}`);
+    };
+    input.onblur = () => {
+      hideSuggestions();
+      if (input.value.trim()) addEntries(input.value);
+    };
+
+    renderChips();
+    preview();
+  }
+  // #endregion
+
+  // #region Global Exports
+  Object.assign(window._sr, { renderListEditor });
+  // #endregion
+})();
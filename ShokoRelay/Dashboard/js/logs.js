@@ -0,0 +1,590 @@
+/**
+ * @file logs.js
+ * @description Task report list management and the in-dashboard log viewer with search, severity filtering, collapsible blocks and live follow mode.
+ */
+(() => {
+  const { base, el, fetchJson, getData, openModal, showToast, toastOperation } = window._sr;
+
+  const FOLLOW_MS = 2000;
+  const LIST_PAGE_SIZE = 20;
+  const LEVELS = ["error", "warning", "info"];
+
+  const modal = el("log-viewer-modal");
+  const content = el("log-viewer-content");
+  const searchInput = el("log-search");
+  const searchCount = el("log-search-count");
+  const followBtn = el("log-follow");
+
+  /** @type {{fileName: string, taskName: string, text: string, lines: Object[], matches: HTMLElement[], current: number, liveNext: number, isLive: boolean, timer: ?number}} */
+  const state = { fileName: "", taskName: "", text: "", lines: [], matches: [], current: -1, liveNext: 0, isLive: false, noProgressNoted: false, timer: null };
+
+  /** @type {{page: number, task: string, total: number, selected: Set<string>}} */
+  const listState = { page: 1, task: "", total: 0, selected: new Set() };
+
+  // #region Helpers
+  /**
+   * Classifies a single report line into a display kind and severity level.
+   * @param {string} line - The raw line text.
+   * @param {number} index - The line's position in the report.
+   * @returns {{text: string, indent: number, kind: string, level: string}} The parsed line.
+   */
+  function parseLine(line, index) {
+    const indent = line.length - line.trimStart().length;
+    const body = line.trim().replace(/^-\s+/, "");
+    let kind = "line";
+    if (index === 0 && / - .+ v\d/.test(line)) kind = "title";
+    else if (/^-{10,}$/.test(body)) kind = "rule";
+    else if (/^\S.*?\s+:\s/.test(body) && indent > 0) kind = "stat";
+    else if (/:$/.test(body)) kind = "section";
+
+    let level = "meta";
+    if (kind === "line" && body) {
+      if (/^(ERROR|FAILED)\b|\bFailed\b|\berror\b/.test(body)) level = "error";
+      else if (/^(SKIPPED|WARN|WARNING|CANCELLED|REMOVED)\b/.test(body)) level = "warning";
+      else level = "info";
+    }
+    return { text: line, indent, kind, level };
+  }
+
+  /**
+   * Appends text to a parent element, wrapping case-insensitive matches of the search query in mark elements.
+   * @param {HTMLElement} parent - The element to append to.
+   * @param {string} text - The text to append.
+   * @param {string} [className] - Optional class for a wrapping span.
+   * @returns {void}
+   */
+  function appendText(parent, text, className) {
+    const target = className ? document.createElement("span") : parent;
+    if (className) {
+      target.className = className;
+      parent.appendChild(target);
+    }
+    const query = searchInput.value.trim().toLowerCase();
+    if (!query) {
+      target.append(text);
+      return;
+    }
+
+    const lower = text.toLowerCase();
+    let pos = 0;
+    for (let i = lower.indexOf(query); i !== -1; i = lower.indexOf(query, pos)) {
+      target.append(text.slice(pos, i));
+      const mark = document.createElement("mark");
+      mark.className = "log-match";
+      mark.textContent = text.slice(i, i + query.length);
+      target.appendChild(mark);
+      pos = i + query.length;
+    }
+    target.append(text.slice(pos));
+  }
+
+  /**
+   * Appends text with tags (ERROR:, SKIPPED: ...), bracketed prefixes and report URLs highlighted.
+   * @param {HTMLElement} parent - The element to append to.
+   * @param {string} text - The text to tokenize.
+   * @param {string} [className] - Optional class for plain text segments.
+   * @returns {void}
+   */
+  function appendTokens(parent, text, className) {
+    const re = /(\b[A-Z]{4,}:)|(\[[^\]]*\])|(https?:\/\/\S+\/logs\/[\w.-]+\.log)/g;
+    let pos = 0;
+    for (const m of text.matchAll(re)) {
+      appendText(parent, text.slice(pos, m.index), className);
+      if (m[3]) {
+        const link = document.createElement("a");
+        link.href = m[3];
+        link.className = "log-link";
+        appendText(link, m[3]);
+        parent.appendChild(link);
+      } else appendText(parent, m[0], m[1] ? "log-tag" : "log-bracket");
+      pos = m.index + m[0].length;
+    }
+    appendText(parent, text.slice(pos), className);
+  }
+
+  /**
+   * Renders the highlighted content of one line into its element.
+   * @param {HTMLElement} row - The line element.
+   * @param {{text: string, kind: string}} line - The parsed line.
+   * @returns {void}
+   */
+  function renderLineContent(row, line) {
+    row.replaceChildren();
+    const { text, kind } = line;
+    if (kind !== "stat") return appendTokens(row, text);
+
+    const idx = text.indexOf(":");
+    const value = text.slice(idx + 1);
+    appendText(row, text.slice(0, idx), "log-key");
+    appendText(row, ":");
+    appendTokens(row, value, /^\s*[\d.]+(s|ms|%)?\s*$/.test(value) ? "log-number" : "log-value");
+  }
+
+  /**
+   * Builds the report DOM. Lines that own more-indented lines, or section lines ending with a colon, become collapsible blocks.
+   * @param {string} text - The full report text.
+   * @returns {void}
+   */
+  function renderLog(text) {
+    state.text = text;
+    state.lines = text.replace(/\r/g, "").replace(/\n$/, "").split("\n").map(parseLine);
+    content.replaceChildren();
+
+    const stack = [{ indent: -1, colon: false, container: content }];
+    const nextIndent = (i) => {
+      for (let j = i + 1; j < state.lines.length; j++) if (state.lines[j].text.trim()) return state.lines[j].indent;
+      return -1;
+    };
+
+    state.lines.forEach((line, i) => {
+      const isBlank = !line.text.trim();
+      if (isBlank) {
+        // A blank line ends any colon-section whose children sit at the same indent as its header
+        while (stack.length > 1 && stack.at(-1).colon && stack.at(-1).childIndent === stack.at(-1).indent) stack.pop();
+      } else {
+        while (stack.length > 1) {
+          const top = stack.at(-1);
+          const isSameIndentChild = top.colon && line.indent === top.indent && line.kind !== "section" && (top.childIndent === undefined || top.childIndent === line.indent);
+          if (line.indent > top.indent || isSameIndentChild) break;
+          stack.pop();
+        }
+      }
+
+      const parent = stack.at(-1);
+      if (!isBlank && parent.childIndent === undefined) parent.childIndent = line.indent;
+
+      const row = document.createElement("div");
+      row.className = `log-line log-${line.kind} log-level-${line.level}`;
+      line.el = row;
+      renderLineContent(row, line);
+
+      const isHeader = !isBlank && line.kind !== "title" && line.kind !== "rule" && (line.kind === "section" || nextIndent(i) > line.indent);
+      if (isHeader) {
+        const block = document.createElement("details");
+        block.className = "log-block";
+        block.open = true;
+        const summary = document.createElement("summary");
+        summary.appendChild(row);
+        block.appendChild(summary);
+        parent.container.appendChild(block);
+        stack.push({ indent: line.indent, colon: line.kind === "section", container: block });
+      } else parent.container.appendChild(row);
+    });
+
+    applyFilters();
+    runSearch(false);
+  }
+
+  /**
+   * Hides lines whose severity toggle is off. Structural lines (titles, stats, section headers) always stay visible.
+   * @returns {void}
+   */
+  function applyFilters() {
+    const enabled = LEVELS.filter((lvl) => el(`log-filter-${lvl}`)?.getAttribute("aria-pressed") === "true");
+    state.lines.forEach((line) => line.el?.classList.toggle("log-hidden", line.level !== "meta" && !enabled.includes(line.level)));
+  }
+
+  /**
+   * Re-highlights search matches across all lines and optionally jumps to the first one.
+   * @param {boolean} [jump=true] - Whether to scroll to the first match.
+   * @returns {void}
+   */
+  function runSearch(jump = true) {
+    state.lines.forEach((line) => line.el && renderLineContent(line.el, line));
+    state.matches = [...content.querySelectorAll("mark.log-match")].filter((m) => !m.closest(".log-hidden"));
+    state.current = state.matches.length > 0 ? 0 : -1;
+    if (jump) focusMatch(0);
+    else updateSearchCount();
+  }
+
+  /**
+   * Moves the current search match by an offset, expanding collapsed blocks and scrolling it into view.
+   * @param {number} offset - Relative move (-1 previous, 1 next, 0 current).
+   * @returns {void}
+   */
+  function focusMatch(offset) {
+    const total = state.matches.length;
+    if (total === 0) return updateSearchCount();
+    state.matches[state.current]?.classList.remove("current");
+    state.current = (state.current + offset + total) % total;
+    const mark = state.matches[state.current];
+    mark.classList.add("current");
+    for (let d = mark.closest("details"); d; d = d.parentElement.closest("details")) d.open = true;
+    mark.scrollIntoView({ block: "center" });
+    updateSearchCount();
+  }
+
+  /**
+   * Updates the "current/total" search match counter.
+   * @returns {void}
+   */
+  function updateSearchCount() {
+    searchCount.textContent = `${state.matches.length ? state.current + 1 : 0}/${state.matches.length}`;
+  }
+
+  /**
+   * Appends live log lines (streamed while the task is running) to the viewer.
+   * @param {string[]} lines - The new lines.
+   * @returns {void}
+   */
+  function appendLiveLines(lines) {
+    lines.forEach((text) => {
+      const line = parseLine(text.replace(/^\d{2}:\d{2}:\d{2} /, ""), -1);
+      line.text = text;
+      const row = document.createElement("div");
+      row.className = `log-line log-live log-level-${line.level}`;
+      line.el = row;
+      renderLineContent(row, line);
+      state.lines.push(line);
+      content.appendChild(row);
+    });
+    if (lines.length > 0) applyFilters();
+  }
+  // #endregion
+
+  // #region Follow Mode
+  /**
+   * Polls either the live task log (while the task runs) or the report file (once finished) and scrolls to the end.
+   * @returns {Promise<void>}
+   */
+  async function followTick() {
+    if (!modal.classList.contains("open")) return stopFollow();
+
+    const res = await fetchJson(`${base}/tasks/live/${encodeURIComponent(state.taskName)}?since=${state.liveNext}`);
+    const live = res.ok ? getData(res) : null;
+    if (live?.active) {
+      if (!state.isLive) {
+        state.isLive = true;
+        state.noProgressNoted = false;
+        state.lines = [];
+        content.replaceChildren();
+      }
+      state.liveNext = live.next;
+      appendLiveLines(live.lines || []);
+      if (!live.progress && !state.noProgressNoted) {
+        state.noProgressNoted = true;
+        appendLiveLines([`${new Date().toTimeString().slice(0, 8)} This task does not report progress, so only its log output is shown. Its report will open here once it completes.`]);
+      }
+    } else {
+      const wasLive = state.isLive;
+      state.isLive = false;
+      state.liveNext = 0;
+      const text = await fetchReport();
+      if (text != null && (wasLive || text !== state.text)) renderLog(text);
+    }
+    content.parentElement.scrollTop = content.parentElement.scrollHeight;
+  }
+
+  /**
+   * Starts follow mode.
+   * @returns {void}
+   */
+  function startFollow() {
+    followBtn.setAttribute("aria-pressed", "true");
+    if (state.timer) return;
+    state.timer = setInterval(followTick, FOLLOW_MS);
+    followTick();
+  }
+
+  /**
+   * Stops follow mode.
+   * @returns {void}
+   */
+  function stopFollow() {
+    followBtn.setAttribute("aria-pressed", "false");
+    clearInterval(state.timer);
+    state.timer = null;
+  }
+  // #endregion
+
+  // #region Viewer
+  /**
+   * Fetches the current report file text.
+   * @returns {Promise<?string>} The report text, or null if it could not be loaded.
+   */
+  async function fetchReport() {
+    try {
+      const res = await fetch(`${base}/logs/${encodeURIComponent(state.fileName)}`, { cache: "no-store" });
+      return res.ok ? await res.text() : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Opens the log viewer for a report file. Follow mode is enabled automatically when the report's task is still running.
+   * @param {string} fileName - The report file name (e.g. "shoko-vfs-build-report.log").
+   * @returns {Promise<void>}
+   */
+  async function openLogViewer(fileName) {
+    if (!modal) return;
+    stopFollow();
+    Object.assign(state, { fileName, taskName: fileName.replace(/-report\.log$/, ""), text: "", lines: [], liveNext: 0, isLive: false });
+    el("log-viewer-title").textContent = fileName;
+    el("log-viewer-raw").href = `${base}/logs/${encodeURIComponent(fileName)}`;
+    content.replaceChildren();
+    const close = openModal(modal);
+    el("log-viewer-close").onclick = close;
+
+    const live = getData(await fetchJson(`${base}/tasks/live/${encodeURIComponent(state.taskName)}?since=0`));
+    if (live?.active) return startFollow();
+
+    const text = await fetchReport();
+    if (text == null) {
+      close();
+      showToast(`Failed to load log: ${fileName}`, "error");
+      return;
+    }
+    renderLog(text);
+  }
+  // #endregion
+
+  // #region Log List
+  /**
+   * Formats a byte count as a short human-readable size.
+   * @param {number} bytes - The size in bytes.
+   * @returns {string} The formatted size.
+   */
+  function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  /**
+   * Builds a single report row with a selection checkbox, a viewer link and a delete button.
+   * @param {{name: string, friendlyName: string, date: string, size: number, latest: boolean}} report - The report metadata.
+   * @returns {HTMLLIElement} The list item.
+   */
+  function buildLogItem(report) {
+    const li = document.createElement("li");
+    li.className = "log-item";
+    li.innerHTML = `<label class="shoko-checkbox" title="Select"><input type="checkbox" />
+      <span class="shoko-checkbox-icon" aria-hidden="true"><svg class="unchecked"><use href="img/icons.svg#checkbox-blank-circle-outline"></use></svg><svg class="checked"><use href="img/icons.svg#checkbox-marked-circle-outline"></use></svg></span></label>`;
+
+    const checkbox = li.querySelector("input");
+    checkbox.checked = listState.selected.has(report.name);
+    checkbox.onchange = () => {
+      if (checkbox.checked) listState.selected.add(report.name);
+      else listState.selected.delete(report.name);
+      updateSelectionControls();
+    };
+
+    const link = document.createElement("a");
+    link.href = `${base}/logs/${encodeURIComponent(report.name)}`;
+    link.target = "_blank";
+    link.rel = "noopener noreferrer";
+    link.textContent = new Date(report.date).toLocaleTimeString();
+    link.className = "log-link";
+
+    const small = document.createElement("small");
+    small.textContent = `${report.latest ? "latest · " : ""}${formatSize(report.size)} (${report.name})`;
+
+    const del = document.createElement("button");
+    del.className = "img-btn log-delete";
+    del.type = "button";
+    del.title = "Delete Report";
+    del.setAttribute("aria-label", "Delete Report");
+    del.innerHTML = '<svg class="icon-svg"><use href="img/icons.svg#close"></use></svg>';
+    del.onclick = () => window._sr.confirmAction(`Delete <b>${report.name}</b>?`, "Delete", () => deleteLog(report.name));
+
+    li.append(checkbox.closest("label"), link, small, del);
+    return li;
+  }
+
+  /**
+   * Renders a page of reports grouped by date, then by task type, newest first. Each task gets one header per day, so archived runs sit under their task's latest report.
+   * @param {Object[]} logs - The report metadata for the current page.
+   * @returns {void}
+   */
+  function renderLogList(logs) {
+    const logsList = el("logs-list");
+    logsList.replaceChildren();
+    const days = new Map();
+    logs.forEach((report) => {
+      const day = new Date(report.date).toLocaleDateString(undefined, { weekday: "short", year: "numeric", month: "short", day: "numeric" });
+      if (!days.has(day)) days.set(day, new Map());
+      const tasks = days.get(day);
+      if (!tasks.has(report.task)) tasks.set(report.task, []);
+      tasks.get(report.task).push(report);
+    });
+    days.forEach((tasks, day) => {
+      const dayHeader = document.createElement("li");
+      dayHeader.className = "log-group-date";
+      dayHeader.textContent = day;
+      logsList.appendChild(dayHeader);
+      tasks.forEach((reports) => {
+        const taskHeader = document.createElement("li");
+        taskHeader.className = "log-group-task";
+        taskHeader.textContent = reports[0].friendlyName;
+        logsList.append(taskHeader, ...reports.map((report) => buildLogItem(report)));
+      });
+    });
+  }
+
+  /**
+   * Rebuilds the task filter options, keeping the current selection when it still has reports.
+   * @param {{task: string, friendlyName: string}[]} tasks - The task types that have reports.
+   * @returns {void}
+   */
+  function renderTaskFilter(tasks) {
+    const select = el("logs-task-filter");
+    select.replaceChildren(new Option("All Tasks", ""), ...tasks.map((t) => new Option(t.friendlyName, t.task)));
+    select.value = tasks.some((t) => t.task === listState.task) ? listState.task : "";
+  }
+
+  /**
+   * Updates the pager text and button states for the current page.
+   * @returns {void}
+   */
+  function updatePager() {
+    const pages = Math.max(1, Math.ceil(listState.total / LIST_PAGE_SIZE));
+    el("logs-page-info").textContent = `Page ${listState.page} of ${pages} (${listState.total} reports)`;
+    el("logs-prev").disabled = listState.page <= 1;
+    el("logs-next").disabled = listState.page >= pages;
+  }
+
+  /**
+   * Enables the download button only while reports are selected and shows the selection count.
+   * @returns {void}
+   */
+  function updateSelectionControls() {
+    const btn = el("logs-download");
+    btn.disabled = listState.selected.size === 0;
+    btn.textContent = listState.selected.size ? `Download (${listState.selected.size})` : "Download";
+  }
+
+  /**
+   * Fetches the current page of task reports from the server and renders it.
+   * @returns {Promise<void>}
+   */
+  async function loadLogs() {
+    const logsList = el("logs-list");
+    if (!logsList) return;
+
+    const query = new URLSearchParams({ page: listState.page, pageSize: LIST_PAGE_SIZE });
+    if (listState.task) query.set("task", listState.task);
+    const res = await fetchJson(`${base}/logs/list?${query}`);
+    if (!res.ok) {
+      logsList.innerHTML = '<li class="placeholder">Failed to load task logs list from server.</li>';
+      return;
+    }
+
+    const data = getData(res) || {};
+    listState.total = data.total || 0;
+    renderTaskFilter(data.tasks || []);
+    if (listState.page > 1 && !data.logs?.length && listState.total > 0) {
+      listState.page = Math.ceil(listState.total / LIST_PAGE_SIZE);
+      return loadLogs();
+    }
+
+    if (data.logs?.length) renderLogList(data.logs);
+    else logsList.innerHTML = '<li class="placeholder">No log reports generated yet. Click any "Generate" or automation button on the dashboard to start a task.</li>';
+    updatePager();
+    updateSelectionControls();
+  }
+
+  /**
+   * Deletes a single report and refreshes the list.
+   * @param {string} fileName - The report file name.
+   * @returns {Promise<void>}
+   */
+  async function deleteLog(fileName) {
+    const res = await fetchJson(`${base}/logs/delete/${encodeURIComponent(fileName)}`, { method: "POST" });
+    toastOperation(res, "Delete Report");
+    listState.selected.delete(fileName);
+    await loadLogs();
+  }
+
+  /**
+   * Deletes every report older than the number of days entered in the prune field.
+   * @returns {void}
+   */
+  function pruneLogs() {
+    const days = parseInt(el("logs-prune-days").value, 10);
+    if (!(days >= 1)) return showToast("Enter a number of days of at least 1.", "warning");
+    window._sr.confirmAction(`Delete all task reports older than <b>${days}</b> day(s)?`, "Delete Reports", async () => {
+      const res = await fetchJson(`${base}/logs/prune?days=${days}`, { method: "POST" });
+      toastOperation(res, "Delete Old Reports");
+      (getData(res) || []).forEach((name) => listState.selected.delete(name));
+      await loadLogs();
+    });
+  }
+
+  /**
+   * Downloads the selected reports as a single zip archive.
+   * @returns {Promise<void>}
+   */
+  async function downloadSelectedLogs() {
+    if (!listState.selected.size) return;
+    try {
+      const res = await fetch(`${base}/logs/archive`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify([...listState.selected]) });
+      if (!res.ok) return showToast("Failed to build the log archive.", "error");
+      const fileName = res.headers.get("Content-Disposition")?.match(/filename="?([^";]+)"?/)?.[1] || "logs.zip";
+      const url = URL.createObjectURL(await res.blob());
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = fileName;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch {
+      showToast("Failed to build the log archive.", "error");
+    }
+  }
+  // #endregion
+
+  // #region Event Wiring
+  if (modal) {
+    searchInput.addEventListener("input", () => runSearch());
+    searchInput.addEventListener("keydown", (e) => {
+      if (e.key !== "Enter") return;
+      e.preventDefault();
+      focusMatch(e.shiftKey ? -1 : 1);
+    });
+    el("log-search-prev").onclick = () => focusMatch(-1);
+    el("log-search-next").onclick = () => focusMatch(1);
+    LEVELS.forEach((lvl) => {
+      const btn = window._sr.initToggle(`log-filter-${lvl}`, true);
+      btn?.addEventListener("click", () => {
+        applyFilters();
+        runSearch(false);
+      });
+    });
+    followBtn.onclick = () => (state.timer ? stopFollow() : startFollow());
+  }
+
+  if (el("logs-list")) {
+    el("logs-task-filter").onchange = (e) => {
+      Object.assign(listState, { task: e.target.value, page: 1 });
+      loadLogs();
+    };
+    el("logs-prev").onclick = () => {
+      listState.page--;
+      loadLogs();
+    };
+    el("logs-next").onclick = () => {
+      listState.page++;
+      loadLogs();
+    };
+    el("logs-download").onclick = downloadSelectedLogs;
+    el("logs-prune").onclick = pruneLogs;
+  }
+
+  // Open "view log" links (toasts, the logs list and links inside reports) in the viewer. Modified clicks keep the default new-tab behaviour.
+  document.addEventListener("click", (e) => {
+    const link = e.target.closest("a.log-link");
+    if (!link || !modal || e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey) return;
+    const match = link.getAttribute("href")?.match(/\/logs\/([^/?#]+\.log)$/);
+    if (!match) return;
+    e.preventDefault();
+    e.stopPropagation();
+    openLogViewer(decodeURIComponent(match[1]));
+  });
+  // #endregion
+
+  // #region Global Exports
+  Object.assign(window._sr, { openLogViewer, loadLogs });
+  // #endregion
+
+  loadLogs();
+})();
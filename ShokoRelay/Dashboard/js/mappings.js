@@ -0,0 +1,238 @@
+/**
+ * @file mappings.js
+ * @description Row-based Path Mappings editor with duplicate and overlap checks and a live tester that runs a Shoko path through the server's mapping logic.
+ */
+(() => {
+  const { configUrl, fetchJson, getData, getValueByPath, setValueByPath, saveSettings, validateConfigValue, setFieldError, toastOperation } = window._sr;
+
+  /**
+   * A mapping row as entered in the editor.
+   * @typedef {{working: string, shoko: string, row: HTMLLIElement}} MappingRow
+   */
+
+  // #region Helpers
+  /**
+   * Normalizes a base path for comparison: forward slashes, no trailing slash and case-insensitive, matching how the server looks mappings up.
+   * @param {string} path - The base path.
+   * @returns {string} The comparable path.
+   */
+  const comparablePath = (path) => path.trim().replace(/\\/g, "/").replace(/\/+$/, "").toLowerCase();
+
+  /**
+   * Checks whether one base path contains another.
+   * @param {string} parent - The comparable parent path.
+   * @param {string} child - The comparable child path.
+   * @returns {boolean} True if the child path is inside the parent path.
+   */
+  const containsPath = (parent, child) => child.length > parent.length && child.startsWith(parent) && (parent.endsWith("/") || child[parent.length] === "/");
+
+  /**
+   * Reads the editor rows, skipping rows with both paths empty.
+   * @param {HTMLOListElement} list - The rows list.
+   * @returns {MappingRow[]} The rows, in order.
+   */
+  const readRows = (list) =>
+    [...list.children]
+      .map((row) => ({ working: row.querySelector(".path-mapping-working").value.trim(), shoko: row.querySelector(".path-mapping-shoko").value.trim(), row }))
+      .filter((m) => m.working || m.shoko);
+
+  /**
+   * Converts rows to the saved mappings object (Shoko base path to working base path), keeping the row order.
+   * @param {MappingRow[]} rows - The rows.
+   * @returns {Object<string, string>} The mappings.
+   */
+  const toMappings = (rows) => Object.fromEntries(rows.map((m) => [m.shoko, m.working]));
+
+  /**
+   * Shows or clears a row's inline error. Rows keep their own error note since every row shares the setting's field container.
+   * @param {MappingRow} m - The row.
+   * @param {string} message - The error message, or an empty string to clear it.
+   * @returns {void}
+   */
+  function setRowError(m, message) {
+    const invalid = message ? m.row.querySelector(`.path-mapping-${!m.working ? "working" : "shoko"}`) : null;
+    m.row.querySelectorAll("input").forEach((input) => {
+      input.classList.toggle("invalid", input === invalid);
+      input.setAttribute("aria-invalid", String(input === invalid));
+    });
+    let note = m.row.querySelector(".field-error");
+    if (!message) return note?.remove();
+    if (!note) {
+      note = document.createElement("small");
+      note.className = "field-error";
+      note.setAttribute("role", "alert");
+      m.row.appendChild(note);
+    }
+    note.textContent = message;
+  }
+  // #endregion
+
+  // #region Checks
+  /**
+   * Flags incomplete and duplicate rows inline and notes mappings nested inside another.
+   * @param {MappingRow[]} rows - The rows.
+   * @param {HTMLElement} notes - The element listing overlap notes.
+   * @returns {boolean} True if every row can be saved.
+   */
+  function checkRows(rows, notes) {
+    let valid = true;
+    const seen = new Map();
+    rows.forEach((m) => {
+      const key = comparablePath(m.shoko);
+      let error = !m.working ? "Enter a working base path." : !m.shoko ? "Enter a Shoko base path." : "";
+      if (!error && seen.has(key)) error = `Duplicate of mapping ${seen.get(key) + 1}.`;
+      if (m.shoko && !seen.has(key)) seen.set(key, rows.indexOf(m));
+      setRowError(m, error);
+      if (error) valid = false;
+    });
+
+    const overlaps = [];
+    rows.forEach((a, i) =>
+      rows.forEach((b, j) => {
+        if (i !== j && a.shoko && b.shoko && containsPath(comparablePath(a.shoko), comparablePath(b.shoko)))
+          overlaps.push(`Mapping ${j + 1} is inside mapping ${i + 1}; files under ${b.shoko} use mapping ${j + 1}.`);
+      }),
+    );
+    notes.replaceChildren(
+      ...overlaps.map((text) => {
+        const note = document.createElement("small");
+        note.textContent = text;
+        return note;
+      }),
+    );
+    return valid;
+  }
+  // #endregion
+
+  // #region Tester
+  /**
+   * Runs a Shoko path through the current (possibly unsaved) rows on the server and highlights the mapping that applied.
+   * @param {HTMLOListElement} list - The rows list.
+   * @param {HTMLInputElement} input - The test path input.
+   * @param {HTMLElement} output - The element showing the result.
+   * @returns {Promise<void>}
+   */
+  async function testPath(list, input, output) {
+    [...list.children].forEach((row) => row.classList.remove("matched"));
+    if (!input.value.trim()) {
+      output.textContent = "Enter a Shoko file path to test.";
+      return;
+    }
+    output.textContent = "Testing...";
+
+    const rows = readRows(list).filter((m) => m.working && m.shoko);
+    const res = await fetchJson(`${configUrl}/path-mappings/test`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ Path: input.value.trim(), Mappings: toMappings(rows) }),
+    });
+    if (!res.ok) {
+      output.textContent = "";
+      return toastOperation(res, "Path Mapping Test");
+    }
+
+    const data = getData(res) || {};
+    if (data.Index < 0) {
+      output.textContent = `No mapping applies, so the path is used as is: ${data.Result}`;
+      return;
+    }
+    rows[data.Index]?.row.classList.add("matched");
+    output.textContent = `Mapping ${data.Index + 1} applies (${data.ShokoBasePath} → ${data.WorkingBasePath}): ${data.Result}`;
+  }
+  // #endregion
+
+  // #region Editor
+  /**
+   * Builds an editor row with move and remove controls.
+   * @param {string} working - The working base path.
+   * @param {string} shoko - The Shoko base path.
+   * @param {Function} onChange - Called after the row is reordered or removed.
+   * @returns {HTMLLIElement} The row.
+   */
+  function buildRow(working, shoko, onChange) {
+    const li = document.createElement("li");
+    li.className = "path-mapping-row";
+    [
+      ["path-mapping-working", "Working Base Path", working],
+      ["path-mapping-shoko", "Shoko Base Path", shoko],
+    ].forEach(([className, placeholder, value]) => {
+      const input = document.createElement("input");
+      input.type = "text";
+      input.className = className;
+      input.placeholder = placeholder;
+      input.setAttribute("aria-label", placeholder);
+      input.value = value;
+      li.appendChild(input);
+    });
+
+    const controls = document.createElement("span");
+    controls.className = "pipeline-editor-controls";
+    [
+      ["▲", "Move Up", () => li.previousElementSibling?.before(li)],
+      ["▼", "Move Down", () => li.nextElementSibling?.after(li)],
+      ["×", "Remove Mapping", () => li.remove()],
+    ].forEach(([text, title, move]) => {
+      const b = document.createElement("button");
+      b.type = "button";
+      b.className = "cancel";
+      b.textContent = text;
+      b.title = title;
+      b.onclick = () => {
+        move();
+        onChange();
+      };
+      controls.appendChild(b);
+    });
+    li.appendChild(controls);
+    return li;
+  }
+
+  /**
+   * Renders the Path Mappings editor into a settings field, saving the rows in order whenever they are valid.
+   * @param {HTMLElement} wrap - The setting's field container.
+   * @param {{Path: string}} p - The setting's schema entry.
+   * @param {Object} config - The loaded settings.
+   * @returns {void}
+   */
+  function renderPathMappings(wrap, p, config) {
+    const editor = document.createElement("div");
+    editor.className = "path-mappings";
+    editor.innerHTML = `<div class="path-mapping-head"><small>Working Base Path</small><small>Shoko Base Path</small></div>
+      <ol class="path-mapping-rows"></ol><div class="path-mapping-notes"></div>
+      <button type="button" class="path-mapping-add">Add Mapping</button>
+      <div class="path-mapping-tester"><input type="text" class="path-mapping-test" placeholder="Test a Shoko file path, e.g. /mnt/anime/Show/Episode 01.mkv" aria-label="Shoko file path to test" /><button type="button">Test</button></div>
+      <small class="path-mapping-result" aria-live="polite"></small>`;
+    wrap.appendChild(editor);
+
+    const list = editor.querySelector(".path-mapping-rows");
+    const notes = editor.querySelector(".path-mapping-notes");
+    const testInput = editor.querySelector(".path-mapping-test");
+    const output = editor.querySelector(".path-mapping-result");
+
+    const save = async () => {
+      const rows = readRows(list);
+      if (!checkRows(rows, notes)) return;
+      const val = toMappings(rows);
+      const error = validateConfigValue(p.Path, val);
+      setFieldError(list.querySelector("input"), error);
+      if (error) return;
+      setValueByPath(config, p.Path, val);
+      await saveSettings(config);
+    };
+
+    const add = (working = "", shoko = "") => list.appendChild(buildRow(working, shoko, save));
+    Object.entries(getValueByPath(config, p.Path) || {}).forEach(([shoko, working]) => add(working, shoko));
+    if (!list.children.length) add();
+    checkRows(readRows(list), notes);
+
+    list.onchange = save;
+    editor.querySelector(".path-mapping-add").onclick = () => add().querySelector("input").focus();
+    editor.querySelector(".path-mapping-tester button").onclick = () => testPath(list, testInput, output);
+    testInput.onkeydown = (e) => e.key === "Enter" && (e.preventDefault(), testPath(list, testInput, output));
+  }
+  // #endregion
+
+  // #region Global Exports
+  Object.assign(window._sr, { renderPathMappings });
+  // #endregion
+})();
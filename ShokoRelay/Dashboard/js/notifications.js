@@ -0,0 +1,151 @@
+/**
+ * @file notifications.js
+ * @description Opt-in browser desktop notifications for tasks that complete while the dashboard tab is hidden.
+ */
+(() => {
+  const { el, openModal, showToast, summarizeResult, TOAST_MS } = window._sr;
+
+  const CONFIG_PATH = "Dashboard.TaskNotifications";
+  const supported = "Notification" in window;
+
+  const modal = el("notify-modal");
+  const taskList = el("notify-tasks");
+
+  /** @type {{config: ?Object, persist: ?Function, enabled: Set<string>}} */
+  const state = { config: null, persist: null, enabled: new Set() };
+
+  // #region Helpers
+  /**
+   * Converts a task identifier to the title cased name used by the task history.
+   * @param {string} taskName - The task identifier.
+   * @returns {string} The friendly name.
+   */
+  const friendlyName = (taskName) => taskName.replace(/-/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
+
+  /**
+   * Describes the browser's notification permission for the settings modal.
+   * @returns {void}
+   */
+  function renderPermission() {
+    const text = !supported
+      ? "This browser does not support desktop notifications."
+      : Notification.permission === "granted"
+        ? "Notifications are allowed for this dashboard."
+        : Notification.permission === "denied"
+          ? "Notifications are blocked for this site. Allow them in the browser's site settings to use this feature."
+          : "The browser will ask for permission when the first task is enabled.";
+    el("notify-permission").textContent = text;
+  }
+
+  /**
+   * Saves the opted-in task list to the configuration.
+   * @returns {Promise<void>}
+   */
+  async function saveEnabled() {
+    if (!state.config) return;
+    window._sr.setValueByPath(state.config, CONFIG_PATH, [...state.enabled].join(","));
+    await state.persist(state.config);
+  }
+  // #endregion
+
+  // #region Settings
+  /**
+   * Toggles notifications for a task, requesting permission the first time one is enabled.
+   * @param {HTMLInputElement} box - The task's checkbox.
+   * @returns {Promise<void>}
+   */
+  async function toggleTask(box) {
+    if (box.checked && Notification.permission !== "granted") {
+      const permission = await Notification.requestPermission();
+      renderPermission();
+      if (permission !== "granted") {
+        box.checked = false;
+        showToast("Desktop Notifications: Permission was not granted.", "warning", TOAST_MS);
+        return;
+      }
+    }
+    if (box.checked) state.enabled.add(box.value);
+    else state.enabled.delete(box.value);
+    await saveEnabled();
+  }
+
+  /**
+   * Renders one styled checkbox per managed task.
+   * @returns {void}
+   */
+  function renderTasks() {
+    taskList.replaceChildren();
+    Object.values(window._sr.tasks).forEach((taskName) => {
+      const label = document.createElement("label");
+      label.className = "shoko-checkbox";
+      label.innerHTML = `<input type="checkbox" />
+        <span class="shoko-checkbox-icon" aria-hidden="true">
+          <svg class="unchecked"><use href="img/icons.svg#checkbox-blank-circle-outline"></use></svg>
+          <svg class="checked"><use href="img/icons.svg#checkbox-marked-circle-outline"></use></svg>
+        </span>
+        <span class="shoko-checkbox-text"><span class="shoko-checkbox-title"></span></span>`;
+      const box = label.querySelector("input");
+      box.value = taskName;
+      box.checked = state.enabled.has(taskName);
+      box.disabled = !supported || !state.config || Notification.permission === "denied";
+      box.onchange = () => toggleTask(box);
+      label.querySelector(".shoko-checkbox-title").textContent = friendlyName(taskName);
+      taskList.appendChild(label);
+    });
+  }
+  // #endregion
+
+  // #region Notifications
+  /**
+   * Shows a desktop notification for a completed task if it is opted in and the dashboard tab is hidden.
+   * Clicking the notification focuses the dashboard and opens the task's log in the viewer.
+   * @param {string} taskName - The task identifier.
+   * @param {{ok: boolean, data: any}} res - The normalized task result.
+   * @returns {void}
+   */
+  function notifyTaskCompleted(taskName, res) {
+    if (!supported || !document.hidden || Notification.permission !== "granted" || !state.enabled.has(taskName)) return;
+    const { text, errorCount } = summarizeResult(res);
+    const status = (res.data?.status || res.data?.Status || "").toLowerCase();
+    const outcome = status === "cancelled" ? "Cancelled" : !res.ok ? "Failed" : errorCount > 0 ? "Completed with Errors" : "Completed";
+    const summary = res.data?.message || res.data?.Message || text || outcome;
+    const body = /errors: \d+/.test(summary) ? summary : `${summary}\nErrors: ${errorCount}`;
+
+    const notification = new Notification(`${friendlyName(taskName)}: ${outcome}`, { body, tag: taskName, icon: "favicon.ico" });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+      const logUrl = res.data?.logUrl || res.data?.LogUrl;
+      const match = logUrl?.match(/\/logs\/([^/?#]+\.log)$/);
+      if (match) window._sr.openLogViewer?.(decodeURIComponent(match[1]));
+    };
+  }
+  // #endregion
+
+  // #region Event Wiring
+  if (modal) {
+    el("notify-open").onclick = () => {
+      renderPermission();
+      renderTasks();
+      el("notify-close").onclick = openModal(modal);
+    };
+  }
+  // #endregion
+
+  // #region Global Exports
+  Object.assign(window._sr, {
+    notifyTaskCompleted,
+    initNotifications: (cfg, persist) => {
+      state.config = cfg;
+      state.persist = persist;
+      const saved = window._sr.getValueByPath(cfg, CONFIG_PATH) || "";
+      state.enabled = new Set(
+        saved
+          .split(",")
+          .map((t) => t.trim())
+          .filter(Boolean),
+      );
+    },
+  });
+  // #endregion
+})();
@@ -0,0 +1,220 @@
+/**
+ * @file palette.js
+ * @description Ctrl+K command palette that fuzzy searches dashboard actions, provider settings and recent log reports.
+ */
+(() => {
+  const { base, el, fetchJson, getData, openModal, registerShortcuts } = window._sr;
+
+  const MAX_RESULTS = 50;
+  const RECENT_LOGS = 25;
+
+  const modal = el("palette-modal");
+  const input = el("palette-input");
+  const results = el("palette-results");
+
+  /**
+   * A palette command.
+   * @typedef {{kind: string, label: string, detail: string, disabled?: boolean, run: Function}} PaletteEntry
+   */
+
+  /** @type {{entries: PaletteEntry[], matches: PaletteEntry[], index: number, close: ?Function}} */
+  const state = { entries: [], matches: [], index: 0, close: null };
+
+  // #region Sources
+  /**
+   * Builds an entry for every relay action button, run by clicking the button so it goes through the global dispatcher (confirm modals, dry runs and task states included).
+   * @returns {PaletteEntry[]} The action entries.
+   */
+  function actionEntries() {
+    return [...document.querySelectorAll("[data-relay-endpoint], [data-relay-action]")].map((btn) => ({
+      kind: "Action",
+      label: btn.dataset.relayLabel || btn.title || btn.textContent.trim(),
+      detail: [btn.closest("section")?.querySelector("h2")?.textContent.trim(), btn.dataset.relayConfirmDry === "true" ? "Dry Run Available" : ""].filter(Boolean).join(" · "),
+      disabled: btn.disabled || btn.classList.contains("loading"),
+      run: () => btn.click(),
+    }));
+  }
+
+  /**
+   * Builds an entry for every provider setting in the config schema, which scrolls to and focuses its field.
+   * @returns {PaletteEntry[]} The setting entries.
+   */
+  function settingEntries() {
+    return (window._sr.configSchema || []).map((p) => ({
+      kind: "Setting",
+      label: p.Display || p.Path.split(".").pop(),
+      detail: [p.Advanced ? "Advanced Settings" : "Provider Settings", p.Description].filter(Boolean).join(" · "),
+      run: () => focusSetting(p.Path),
+    }));
+  }
+
+  /**
+   * Fetches the most recent task reports and builds an entry for each, which opens it in the log viewer.
+   * @returns {Promise<PaletteEntry[]>} The log entries.
+   */
+  async function logEntries() {
+    const res = await fetchJson(`${base}/logs/list?page=1&pageSize=${RECENT_LOGS}`);
+    if (!res.ok) return [];
+    return (getData(res)?.logs || []).map((log) => ({
+      kind: "Log",
+      label: `${log.friendlyName} Report`,
+      detail: `${new Date(log.date).toLocaleString()} · ${log.name}`,
+      run: () => window._sr.openLogViewer?.(log.name),
+    }));
+  }
+
+  /**
+   * Reveals a provider setting's field, opening the Advanced Settings section when needed.
+   * @param {string} path - The setting's config path.
+   * @returns {void}
+   */
+  function focusSetting(path) {
+    const wrap = document.querySelector(`#config-form [data-config-path="${CSS.escape(path)}"]`);
+    if (!wrap) return;
+    const details = wrap.closest("details");
+    if (details && !details.open) details.open = true;
+    wrap.scrollIntoView({ behavior: "smooth", block: "center" });
+    wrap.querySelector("input, select, textarea")?.focus({ preventScroll: true });
+    wrap.classList.remove("palette-highlight");
+    void wrap.offsetWidth; // Restart the highlight animation when the same setting is picked twice
+    wrap.classList.add("palette-highlight");
+  }
+  // #endregion
+
+  // #region Search
+  /**
+   * Scores how well a query fuzzy-matches a text: every query character must appear in order, with bonuses for consecutive characters and word starts.
+   * @param {string} query - The lowercase search text.
+   * @param {string} text - The text to match against.
+   * @returns {number} The score, or -1 when the text does not match.
+   */
+  function fuzzyScore(query, text) {
+    const hay = text.toLowerCase();
+    if (!query) return 0;
+    const direct = hay.indexOf(query);
+    if (direct >= 0) return 1000 - direct;
+    let score = 0;
+    let pos = -1;
+    for (const ch of query) {
+      if (ch === " ") continue;
+      const next = hay.indexOf(ch, pos + 1);
+      if (next < 0) return -1;
+      score += next === pos + 1 ? 5 : next === 0 || /[\s\-_.·(]/.test(hay[next - 1]) ? 3 : 1;
+      pos = next;
+    }
+    return score;
+  }
+
+  /**
+   * Filters and ranks the entries for the current query. Labels outrank details, which are only searched as a fallback.
+   * @returns {void}
+   */
+  function search() {
+    const query = input.value.trim().toLowerCase();
+    state.matches = state.entries
+      .map((entry) => {
+        const label = fuzzyScore(query, `${entry.kind} ${entry.label}`);
+        return { entry, score: label >= 0 ? label * 2 : fuzzyScore(query, entry.detail) };
+      })
+      .filter((m) => m.score >= 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_RESULTS)
+      .map((m) => m.entry);
+    state.index = 0;
+    render();
+  }
+  // #endregion
+
+  // #region Rendering
+  /**
+   * Renders the matching entries and highlights the selected one.
+   * @returns {void}
+   */
+  function render() {
+    results.replaceChildren();
+    if (!state.matches.length) {
+      results.innerHTML = '<li class="placeholder">No matching commands.</li>';
+      return;
+    }
+    state.matches.forEach((entry, i) => {
+      const li = document.createElement("li");
+      li.className = `palette-item${i === state.index ? " selected" : ""}${entry.disabled ? " disabled" : ""}`;
+      li.setAttribute("role", "option");
+      li.setAttribute("aria-selected", String(i === state.index));
+      li.innerHTML = '<span class="palette-kind"></span><span class="palette-label"></span><small class="palette-detail"></small>';
+      li.querySelector(".palette-kind").textContent = entry.kind;
+      li.querySelector(".palette-label").textContent = entry.label;
+      li.querySelector(".palette-detail").textContent = entry.detail;
+      li.onmousemove = () => select(i);
+      li.onclick = () => execute(i);
+      results.appendChild(li);
+    });
+  }
+
+  /**
+   * Moves the selection to an entry and keeps it in view.
+   * @param {number} i - The entry index.
+   * @returns {void}
+   */
+  function select(i) {
+    if (i === state.index || !state.matches.length) return;
+    state.index = (i + state.matches.length) % state.matches.length;
+    results.querySelectorAll(".palette-item").forEach((li, n) => {
+      li.classList.toggle("selected", n === state.index);
+      li.setAttribute("aria-selected", String(n === state.index));
+    });
+    results.children[state.index]?.scrollIntoView({ block: "nearest" });
+  }
+  // #endregion
+
+  // #region Palette
+  /**
+   * Closes the palette and runs the chosen entry.
+   * @param {number} i - The entry index.
+   * @returns {void}
+   */
+  function execute(i) {
+    const entry = state.matches[i];
+    if (!entry || entry.disabled) return;
+    state.close?.();
+    entry.run();
+  }
+
+  /**
+   * Opens the palette with freshly collected entries. Log reports are appended once they have loaded.
+   * @returns {void}
+   */
+  function openPalette() {
+    if (!modal || modal.classList.contains("open")) return;
+    state.entries = [...actionEntries(), ...settingEntries()];
+    input.value = "";
+    search();
+    state.close = openModal(modal);
+    logEntries().then((logs) => {
+      if (!modal.classList.contains("open")) return;
+      state.entries.push(...logs);
+      search();
+    });
+  }
+  // #endregion
+
+  // #region Event Wiring
+  if (modal) {
+    input.oninput = search;
+    input.onkeydown = (e) => {
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        select(state.index + (e.key === "ArrowDown" ? 1 : -1));
+      } else if (e.key === "Enter") {
+        e.preventDefault();
+        execute(state.index);
+      }
+    };
+    registerShortcuts([{ id: "dashboard.palette", label: "Command Palette", group: "Dashboard", keys: ["Ctrl+K"], allowInInputs: true, run: openPalette }]);
+  }
+  // #endregion
+
+  // #region Global Exports
+  Object.assign(window._sr, { openPalette });
+  // #endregion
+})();
@@ -0,0 +1,303 @@
+/**
+ * @file pipelines.js
+ * @description Saved task pipelines that run dashboard actions one after another with per-step stop/continue-on-error handling.
+ */
+(() => {
+  const { base, el, escapeHtml, fetchJson, getData, openModal, showToast, summarizeResult, TOAST_MS } = window._sr;
+
+  const IDLE_POLL_MS = 1000;
+  const STATUS_LABELS = { pending: "Pending", running: "Running", ok: "Done", error: "Failed", skipped: "Skipped" };
+
+  const select = el("pipeline-select");
+  const stepList = el("pipeline-steps");
+  const runBtn = el("pipeline-run");
+  const stopBtn = el("pipeline-stop");
+  const editorModal = el("pipeline-modal");
+  const editorSteps = el("pipeline-editor-steps");
+
+  /** @type {{Name: string, Steps: {Action: string, Params: ?string, ContinueOnError: boolean}[]}[]} */
+  let pipelines = [];
+  /** @type {{name: string, stop: boolean, done: boolean, steps: {status: string, text: string, seconds: ?number}[]}|null} */
+  let run = null;
+
+  // #region Helpers
+  /**
+   * Lists the dashboard actions that can be used as pipeline steps (every identified button with a relay endpoint).
+   * @returns {{id: string, label: string}[]} The available actions.
+   */
+  function getActions() {
+    return [...document.querySelectorAll("button[data-relay-endpoint][id]")].map((btn) => ({ id: btn.id, label: btn.dataset.relayLabel || btn.title || btn.textContent.trim() }));
+  }
+
+  /**
+   * Resolves the display label of a step's action.
+   * @param {string} action - The action's button id.
+   * @returns {string} The label, or the id when the action is not on this dashboard.
+   */
+  function actionLabel(action) {
+    return getActions().find((a) => a.id === action)?.label || action;
+  }
+
+  /**
+   * Returns the currently selected pipeline.
+   * @returns {Object|undefined} The pipeline, if any are saved.
+   */
+  function selectedPipeline() {
+    return pipelines.find((p) => p.Name === select.value);
+  }
+
+  /**
+   * Resolves once the given task is no longer reported as active by the server.
+   * @param {string} taskId - The task identifier (matches the button id).
+   * @returns {Promise<void>}
+   */
+  async function waitForIdle(taskId) {
+    while (window._sr.activeTasks().includes(taskId)) await new Promise((r) => setTimeout(r, IDLE_POLL_MS));
+  }
+  // #endregion
+
+  // #region Rendering
+  /**
+   * Rebuilds the pipeline selector, keeping the current selection when it still exists.
+   * @param {string} [preferred] - A pipeline name to select instead of the current one.
+   * @returns {void}
+   */
+  function renderSelect(preferred) {
+    const current = preferred ?? select.value;
+    select.replaceChildren(...pipelines.map((p) => new Option(p.Name, p.Name)));
+    if (!pipelines.length) select.appendChild(new Option("No saved pipelines", ""));
+    select.value = pipelines.some((p) => p.Name === current) ? current : pipelines[0]?.Name || "";
+    renderSteps();
+  }
+
+  /**
+   * Renders the selected pipeline's steps along with their status from the current or last run.
+   * @returns {void}
+   */
+  function renderSteps() {
+    const pipeline = selectedPipeline();
+    const isRunning = !!run && !run.done;
+    stepList.replaceChildren();
+    runBtn.disabled = !pipeline || isRunning;
+    stopBtn.disabled = !isRunning || run.stop;
+    ["pipeline-edit", "pipeline-delete"].forEach((id) => (el(id).disabled = !pipeline || isRunning));
+    select.disabled = isRunning;
+    if (!pipeline) {
+      stepList.innerHTML = '<li class="placeholder">Create a pipeline to run several actions in sequence.</li>';
+      return;
+    }
+
+    const statuses = run?.name === pipeline.Name ? run.steps : [];
+    pipeline.Steps.forEach((step, i) => {
+      const state = statuses[i] || { status: "pending", text: "" };
+      const li = document.createElement("li");
+      li.className = `pipeline-step ${state.status}`;
+
+      const name = document.createElement("span");
+      name.className = "pipeline-step-name";
+      name.textContent = actionLabel(step.Action);
+      if (step.Params) {
+        const params = document.createElement("small");
+        params.textContent = ` ?${step.Params}`;
+        name.appendChild(params);
+      }
+
+      const status = document.createElement("span");
+      status.className = "pipeline-step-status";
+      status.textContent = STATUS_LABELS[state.status] + (state.seconds != null ? ` (${window._sr.formatDuration(state.seconds)})` : "");
+      status.title = [state.text, step.ContinueOnError ? "Continues on error" : "Stops on error"].filter(Boolean).join("\n");
+      li.append(name, status);
+      stepList.appendChild(li);
+    });
+  }
+  // #endregion
+
+  // #region Execution
+  /**
+   * Runs a single step through the shared action machinery and waits for its task to finish.
+   * @param {{Action: string, Params: ?string}} step - The step to run.
+   * @param {string} pipelineName - The pipeline name (used to prefix the toasts).
+   * @returns {Promise<{ok: boolean, text: string}>} Whether the step succeeded, with a summary.
+   */
+  async function runStep(step, pipelineName) {
+    const btn = el(step.Action);
+    if (!btn?.dataset.relayEndpoint) return { ok: false, text: "Action is not available on this dashboard." };
+    if (btn.disabled) return { ok: false, text: "Action is currently unavailable." };
+
+    await waitForIdle(btn.id);
+    let res = null;
+    await window._sr.runAction(btn, async (b) => {
+      res = await window._sr.callEndpoint(b, { params: step.Params || "", label: `${pipelineName}: ${actionLabel(step.Action)}` });
+    });
+    if (!res) return { ok: false, text: "Action is already running." };
+    await waitForIdle(btn.id);
+
+    const status = String(res.data?.Status ?? res.data?.status ?? "").toLowerCase();
+    const { text } = summarizeResult(res);
+    return { ok: res.ok && status !== "error" && status !== "cancelled", text: text || res.data?.Message || res.data?.message || "" };
+  }
+
+  /**
+   * Runs every step of a pipeline in order. A failed step skips the remaining steps unless it is set to continue on error.
+   * @param {Object} pipeline - The pipeline to run.
+   * @returns {Promise<void>}
+   */
+  async function runPipeline(pipeline) {
+    run = { name: pipeline.Name, stop: false, done: false, steps: pipeline.Steps.map(() => ({ status: "pending", text: "" })) };
+    renderSteps();
+
+    let halted = false;
+    for (const [i, step] of pipeline.Steps.entries()) {
+      if (halted || run.stop) {
+        run.steps[i] = { status: "skipped", text: run.stop ? "Pipeline was stopped." : "Skipped after a failed step." };
+        continue;
+      }
+      const startedAt = Date.now();
+      run.steps[i] = { status: "running", text: "" };
+      renderSteps();
+      const outcome = await runStep(step, pipeline.Name);
+      run.steps[i] = { status: outcome.ok ? "ok" : "error", text: outcome.text, seconds: (Date.now() - startedAt) / 1000 };
+      if (!outcome.ok && !step.ContinueOnError) halted = true;
+      renderSteps();
+    }
+
+    const failed = run.steps.filter((s) => s.status === "error").length;
+    const skipped = run.steps.filter((s) => s.status === "skipped").length;
+    showToast(`Pipeline ${pipeline.Name}: ${failed ? `${failed} step(s) failed` : "Completed"}${skipped ? `, ${skipped} skipped` : ""}`, failed ? "error" : "success", failed ? 0 : TOAST_MS);
+    run.done = true;
+    renderSteps();
+  }
+  // #endregion
+
+  // #region Persistence
+  /**
+   * Loads the saved pipelines from the server.
+   * @returns {Promise<void>}
+   */
+  async function loadPipelines() {
+    const res = await fetchJson(`${base}/pipelines`);
+    pipelines = res.ok ? getData(res) || [] : [];
+    renderSelect();
+  }
+
+  /**
+   * Saves the full pipeline list, replacing the stored one.
+   * @param {Object[]} list - The pipelines to store.
+   * @param {string} [selectName] - The pipeline to select afterwards.
+   * @returns {Promise<boolean>} True when the server accepted the list.
+   */
+  async function savePipelines(list, selectName) {
+    const res = await fetchJson(`${base}/pipelines`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(list) });
+    if (!res.ok) {
+      window._sr.toastOperation(res, "Save Pipelines");
+      return false;
+    }
+    pipelines = getData(res) || list;
+    renderSelect(selectName);
+    return true;
+  }
+  // #endregion
+
+  // #region Editor
+  /**
+   * Builds an editor row for a step.
+   * @param {{Action: string, Params: ?string, ContinueOnError: boolean}} step - The step to edit.
+   * @returns {HTMLLIElement} The row.
+   */
+  function buildEditorRow(step) {
+    const li = document.createElement("li");
+    li.className = "pipeline-editor-step";
+
+    const action = document.createElement("select");
+    action.className = "pipeline-action";
+    action.title = "Action";
+    const actions = getActions();
+    if (step.Action && !actions.some((a) => a.id === step.Action)) actions.push({ id: step.Action, label: `${step.Action} (unavailable)` });
+    action.append(...actions.map((a) => new Option(a.label, a.id)));
+    action.value = step.Action || actions[0]?.id || "";
+
+    const params = document.createElement("input");
+    params.type = "text";
+    params.className = "pipeline-params";
+    params.placeholder = "Parameters (e.g. dryRun=true)";
+    params.value = step.Params || "";
+
+    const cont = document.createElement("label");
+    cont.className = "shoko-checkbox";
+    cont.title = "Continue the pipeline when this step fails";
+    cont.innerHTML = `<input type="checkbox" class="pipeline-continue" />
+      <span class="shoko-checkbox-icon" aria-hidden="true"><svg class="unchecked"><use href="img/icons.svg#checkbox-blank-circle-outline"></use></svg><svg class="checked"><use href="img/icons.svg#checkbox-marked-circle-outline"></use></svg></span> Continue on error`;
+    cont.querySelector("input").checked = !!step.ContinueOnError;
+
+    const controls = document.createElement("span");
+    controls.className = "pipeline-editor-controls";
+    [
+      ["▲", "Move Up", () => li.previousElementSibling?.before(li)],
+      ["▼", "Move Down", () => li.nextElementSibling?.after(li)],
+      ["×", "Remove Step", () => li.remove()],
+    ].forEach(([text, title, onclick]) => {
+      const b = document.createElement("button");
+      b.type = "button";
+      b.className = "cancel";
+      b.textContent = text;
+      b.title = title;
+      b.onclick = onclick;
+      controls.appendChild(b);
+    });
+
+    li.append(action, params, cont, controls);
+    return li;
+  }
+
+  /**
+   * Opens the editor for a new or existing pipeline.
+   * @param {Object} [pipeline] - The pipeline to edit; omitted to create a new one.
+   * @returns {void}
+   */
+  function openEditor(pipeline) {
+    const originalName = pipeline?.Name;
+    el("pipeline-name").value = originalName || "";
+    editorSteps.replaceChildren(...(pipeline?.Steps || [{ Action: "", Params: "", ContinueOnError: false }]).map(buildEditorRow));
+    const close = openModal(editorModal);
+
+    el("pipeline-add-step").onclick = () => editorSteps.appendChild(buildEditorRow({ Action: "", Params: "", ContinueOnError: false }));
+    el("pipeline-cancel").onclick = close;
+    el("pipeline-save").onclick = async () => {
+      const name = el("pipeline-name").value.trim();
+      const steps = [...editorSteps.children].map((li) => ({
+        Action: li.querySelector(".pipeline-action").value,
+        Params: li.querySelector(".pipeline-params").value.trim() || null,
+        ContinueOnError: li.querySelector(".pipeline-continue").checked,
+      }));
+      if (!name || !steps.length) return showToast("A pipeline needs a name and at least one step.", "warning", TOAST_MS);
+      if (pipelines.some((p) => p.Name.toLowerCase() === name.toLowerCase() && p.Name !== originalName)) return showToast(`A pipeline named ${name} already exists.`, "warning", TOAST_MS);
+
+      const list = originalName ? pipelines.map((p) => (p.Name === originalName ? { Name: name, Steps: steps } : p)) : [...pipelines, { Name: name, Steps: steps }];
+      if (await savePipelines(list, name)) close();
+    };
+  }
+  // #endregion
+
+  // #region Event Wiring
+  if (select) {
+    select.onchange = renderSteps;
+    el("pipeline-new").onclick = () => openEditor();
+    el("pipeline-edit").onclick = () => selectedPipeline() && openEditor(selectedPipeline());
+    el("pipeline-delete").onclick = () => {
+      const pipeline = selectedPipeline();
+      if (pipeline) window._sr.confirmAction(`Delete the <b>${escapeHtml(pipeline.Name)}</b> pipeline?`, "Delete", () => savePipelines(pipelines.filter((p) => p !== pipeline)));
+    };
+    runBtn.onclick = () => {
+      const pipeline = selectedPipeline();
+      if (pipeline) window._sr.confirmAction(`Run the <b>${escapeHtml(pipeline.Name)}</b> pipeline (${pipeline.Steps.length} step(s))?`, "Run", () => runPipeline(pipeline));
+    };
+    stopBtn.onclick = () => {
+      if (!run || run.done) return;
+      run.stop = true;
+      showToast(`Pipeline ${run.name}: Stopping after the current step...`, "warning", TOAST_MS);
+      renderSteps();
+    };
+    loadPipelines();
+  }
+  // #endregion
+})();
@@ -3,7 +3,23 @@
  * @description Logic for the Shoko Relay stand-alone AnimeThemes VFS video player.
  */
 (() => {
-  const { base, configUrl, el, fetchJson, unwrapConfig, setValueByPath, openModal, updatePlaybackTooltip, saveSettings, getData, initSearchInteractions } = window._sr;
+  const {
+    base,
+    configUrl,
+    el,
+    fetchJson,
+    unwrapConfig,
+    setValueByPath,
+    openModal,
+    updatePlaybackTooltip,
+    saveSettings,
+    getData,
+    initSearchInteractions,
+    registerShortcuts,
+    applyShortcutConfig,
+    renderShortcutHelp,
+    resetShortcuts,
+  } = window._sr;
 
   // DOM Elements - UI Indicators
   const playerTime = el("time-display");
@@ -811,41 +827,58 @@
       };
     }
 
-    window.addEventListener("keydown", (e) => {
-      if (document.activeElement.tagName === "INPUT" || document.activeElement.tagName === "TEXTAREA") return;
-      // prettier-ignore
-      const handledKeys = [
-        " ", "k", "K", "ArrowLeft", "ArrowRight", "j", "J", "l", "L", ",", ".", "b", "B", "n", "N", ";", "'",
-        "ArrowDown", "ArrowUp", "m", "M", "f", "F", "v", "V", "r", "R", "g", "G", "h", "H", "?", "q", "Q"
-      ];
-      if (!handledKeys.includes(e.key)) return;
-      e.preventDefault();
-      const isShuffle = playerModeBtn?.getAttribute("data-mode") === "shuffle";
-      // prettier-ignore
-      switch (e.key) {
-        case " ": case "k": case "K": if (playerVideo.src) { if (playerVideo.ended) { playerVideo.currentTime = 0; playerVideo.play(); } else { playerVideo.paused ? playerVideo.play() : playerVideo.pause(); } } else playMove(isShuffle, 1); break;
-        case "ArrowLeft": if (playerVideo.src) { playerVideo.currentTime -= 5; syncProgressUI(); } break;
-        case "ArrowRight": if (playerVideo.src) { playerVideo.currentTime += 5; syncProgressUI(); } break;
-        case "j": case "J": if (playerVideo.src) { playerVideo.currentTime -= 10; syncProgressUI(); } break;
-        case "l": case "L": if (playerVideo.src) { playerVideo.currentTime += 10; syncProgressUI(); } break;
-        case ",": if (playerVideo.src) { playerVideo.pause(); playerVideo.currentTime = Math.max(0, playerVideo.currentTime - 1 / 24); } break;
-        case ".": if (playerVideo.src) { playerVideo.pause(); playerVideo.currentTime = Math.min(playerVideo.duration, playerVideo.currentTime + 1 / 24); } break;
-        case "b": case "B": playMove(isShuffle, -1); break;
-        case "n": case "N": playMove(isShuffle, 1); break;
-        case ";": updateMode(1); break;
-        case "'": toggleFolderView(); break;
-        case "ArrowDown": playerVideo.volume = Math.max(0, playerVideo.volume - 0.1); break;
-        case "ArrowUp": playerVideo.volume = Math.min(1, playerVideo.volume + 0.1); break;
-        case "m": case "M": if (playerVideo.src) playerVideo.muted = !playerVideo.muted; break;
-        case "f": case "F": toggleFullscreen(); break;
-        case "v": case "V": toggleVideo(); break;
-        case "r": case "R": if (playerVideo.src) { playerVideo.currentTime = 0; playerVideo.play().catch(() => {}); } break;
-        case "g": case "G": locateCurrentInTree(); break;
-        case "h": case "H": const hItem = webmTreeData.find((i) => i.path === currentWebmPath); if (hItem) toggleFavourite(hItem.videoId); break;
-        case "?": toggleHelpModal(); break;
-        case "q": case "Q": playerCloseBtn?.click(); break;
-      }
-    });
+    /**
+     * Seeks the current video by a number of seconds and syncs the progress bar.
+     * @param {number} seconds - The offset in seconds.
+     * @returns {void}
+     */
+    const seekBy = (seconds) => {
+      if (!playerVideo.src) return;
+      playerVideo.currentTime += seconds;
+      syncProgressUI();
+    };
+
+    /**
+     * Pauses the current video and steps it by a single frame (assuming 24fps).
+     * @param {number} direction - 1 to step forward, -1 to step back.
+     * @returns {void}
+     */
+    const stepFrame = (direction) => {
+      if (!playerVideo.src) return;
+      playerVideo.pause();
+      playerVideo.currentTime = direction < 0 ? Math.max(0, playerVideo.currentTime - 1 / 24) : Math.min(playerVideo.duration, playerVideo.currentTime + 1 / 24);
+    };
+
+    const isShuffle = () => playerModeBtn?.getAttribute("data-mode") === "shuffle";
+
+    // prettier-ignore
+    registerShortcuts([
+      { id: "player.playPause", label: "Play / Pause", keys: ["Space", "K"], run: () => { if (playerVideo.src) { if (playerVideo.ended) { playerVideo.currentTime = 0; playerVideo.play(); } else { playerVideo.paused ? playerVideo.play() : playerVideo.pause(); } } else playMove(isShuffle(), 1); } },
+      { id: "player.seekBack", label: "Seek -5s", keys: ["ArrowLeft"], run: () => seekBy(-5) },
+      { id: "player.seekForward", label: "Seek +5s", keys: ["ArrowRight"], run: () => seekBy(5) },
+      { id: "player.seekBackLong", label: "Seek -10s", keys: ["J"], run: () => seekBy(-10) },
+      { id: "player.seekForwardLong", label: "Seek +10s", keys: ["L"], run: () => seekBy(10) },
+      { id: "player.frameBack", label: "Seek -1 Frame", keys: [","], run: () => stepFrame(-1) },
+      { id: "player.frameForward", label: "Seek +1 Frame", keys: ["."], run: () => stepFrame(1) },
+      { id: "player.previous", label: "Prev Theme", keys: ["B"], run: () => playMove(isShuffle(), -1) },
+      { id: "player.next", label: "Next Theme", keys: ["N"], run: () => playMove(isShuffle(), 1) },
+      { id: "player.mode", label: "Switch Playback Mode", keys: [";"], run: () => updateMode(1) },
+      { id: "player.folderView", label: "Tree Mode Toggle", keys: ["'"], run: toggleFolderView },
+      { id: "player.volumeDown", label: "Volume Down", keys: ["ArrowDown"], run: () => (playerVideo.volume = Math.max(0, playerVideo.volume - 0.1)) },
+      { id: "player.volumeUp", label: "Volume Up", keys: ["ArrowUp"], run: () => (playerVideo.volume = Math.min(1, playerVideo.volume + 0.1)) },
+      { id: "player.mute", label: "Toggle Mute", keys: ["M"], run: () => playerVideo.src && (playerVideo.muted = !playerVideo.muted) },
+      { id: "player.fullscreen", label: "Toggle Fullscreen", keys: ["F"], run: toggleFullscreen },
+      { id: "player.video", label: "Toggle Video", keys: ["V"], run: toggleVideo },
+      { id: "player.restart", label: "Restart Theme", keys: ["R"], run: () => { if (playerVideo.src) { playerVideo.currentTime = 0; playerVideo.play().catch(() => {}); } } },
+      { id: "player.locate", label: "Locate in Tree", keys: ["G"], run: locateCurrentInTree },
+      { id: "player.favourite", label: "Toggle Favourite", keys: ["H"], run: () => { const item = webmTreeData.find((i) => i.path === currentWebmPath); if (item) toggleFavourite(item.videoId); } },
+      { id: "player.help", label: "Toggle Help", keys: ["?"], run: toggleHelpModal },
+      { id: "player.close", label: "Close Session", keys: ["Q"], run: () => playerCloseBtn?.click() },
+    ].map((c) => ({ ...c, group: "Player" })));
+
+    renderShortcutHelp(el("player-shortcuts"), ["Player"]);
+    renderShortcutHelp(el("player-filter-shortcuts"), ["Filter"]);
+    el("player-shortcuts-reset").onclick = () => resetShortcuts(["Player", "Filter"]);
 
     (async () => {
       if (playerTree) playerTree.innerHTML = '<div class="placeholder"><svg class="loading-spinner"><use href="img/icons.svg#loading"></use></svg><div>Loading video tree...</div></div>';
@@ -877,10 +910,13 @@
           setTimeout(locateCurrentInTree, 500);
         }
       }
-      if (cfgRes.ok && playerModeBtn) {
-        const mode = unwrapConfig(getData(cfgRes)).Playback.AnimeThemesWebmMode || "off";
-        playerModeBtn.setAttribute("data-mode", mode);
-        updatePlaybackTooltip(playerModeBtn);
+      if (cfgRes.ok) {
+        const config = unwrapConfig(getData(cfgRes));
+        applyShortcutConfig(config);
+        if (playerModeBtn) {
+          playerModeBtn.setAttribute("data-mode", config.Playback.AnimeThemesWebmMode || "off");
+          updatePlaybackTooltip(playerModeBtn);
+        }
       }
       syncVolumeUI();
     })();
@@ -3,21 +3,46 @@
  * @description Dedicated logic for the Plex Auth and Automations on the Shoko Relay dashboard.
  */
 (() => {
-  const { base, configUrl, el, fetchJson, unwrapConfig, saveSettings, getData, withButtonAction } = window._sr;
+  const { base, configUrl, el, fetchJson, unwrapConfig, saveSettings, getData, withButtonAction, openModal, getValueByPath, setValueByPath, renderQrSvg, toastOperation } = window._sr;
+
+  /** Setting holding the comma-separated section UUIDs of the disabled Plex libraries. */
+  const DISABLED_LIBRARIES_PATH = "Automation.PlexDisabledLibraries";
+
+  /** Setting holding the ID of the server opened by the Plex Web button. */
+  const WEB_SERVER_PATH = "Automation.PlexWebServerId";
+
+  /** How often a pending Plex sign in is checked. */
+  const PLEX_POLL_MS = 2000;
+
+  /** PIN lifetime assumed when Plex does not report one. */
+  const PIN_FALLBACK_SECONDS = 1800;
 
   let plexPinId = "";
   let plexPollTimer = null;
+  let plexCountdownTimer = null;
+  let plexSettings = null;
+  let closeTargets = null;
 
   // #region Helpers
   /**
-   * Stops the active Plex authentication polling timer.
+   * Stops the active Plex authentication polling and countdown timers.
    * @returns {void}
    */
   function stopPlexPolling() {
-    if (plexPollTimer) {
-      clearInterval(plexPollTimer);
-      plexPollTimer = null;
-    }
+    clearInterval(plexPollTimer);
+    clearInterval(plexCountdownTimer);
+    plexPollTimer = plexCountdownTimer = null;
+  }
+
+  /**
+   * Abandons the pending PIN and hides the sign in panel.
+   * @returns {void}
+   */
+  function clearPlexPin() {
+    stopPlexPolling();
+    plexPinId = "";
+    const pinPanel = el("plex-pin");
+    if (pinPanel) pinPanel.hidden = true;
   }
 
   /**
@@ -25,53 +50,138 @@
    * @returns {void}
    */
   function setPlexStartAction() {
-    stopPlexPolling();
+    clearPlexPin();
     const authAction = el("plex-auth-action");
     if (authAction) authAction.querySelectorAll(".plex-auth-state").forEach((e) => (e.style.display = e.tagName === "BUTTON" ? "" : "none"));
-    el("plex-login")?.remove();
     withButtonAction("plex-start", startPlexAuth);
   }
+
+  /**
+   * Formats the time left before a PIN expires.
+   * @param {number} ms - Milliseconds left.
+   * @returns {string} The time as m:ss.
+   */
+  const formatCountdown = (ms) => {
+    const seconds = Math.ceil(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+  };
+
+  /**
+   * Reads the section UUIDs of the disabled Plex libraries.
+   * @param {Object} settings - The loaded settings.
+   * @returns {Set<string>} The disabled section UUIDs.
+   */
+  const getDisabledLibraries = (settings) =>
+    new Set(
+      String(settings.Automation?.PlexDisabledLibraries || "")
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean),
+    );
+
+  /**
+   * Groups the discovered libraries by server, including discovered servers without a Shoko Relay library.
+   * @param {Object} plex - The PlexLibrary section of the dashboard config.
+   * @returns {{Id: string, Name: string, Url: string, Libraries: Object[]}[]} The servers, in discovery order.
+   */
+  function groupServers(plex) {
+    const servers = new Map((plex.DiscoveredServers || []).map((s) => [s.Id, { Id: s.Id, Name: s.Name, Url: s.PreferredUri, Libraries: [] }]));
+    (plex.DiscoveredLibraries || []).forEach((l) => {
+      if (!servers.has(l.ServerId)) servers.set(l.ServerId, { Id: l.ServerId, Name: l.ServerName, Url: l.ServerUrl, Libraries: [] });
+      servers.get(l.ServerId).Libraries.push(l);
+    });
+    return [...servers.values()];
+  }
+
+  /**
+   * Picks the server opened by the Plex Web button: the chosen one, else the first with a Shoko Relay library, else the first discovered.
+   * @param {{Id: string, Url: string, Libraries: Object[]}[]} servers - The grouped servers.
+   * @param {Object} settings - The loaded settings.
+   * @returns {?{Id: string, Name: string, Url: string}} The server, or null if none has an address.
+   */
+  function resolveWebServer(servers, settings) {
+    const withUrl = servers.filter((s) => s.Url);
+    return withUrl.find((s) => s.Id === settings.Automation?.PlexWebServerId) || withUrl.find((s) => s.Libraries.length) || withUrl[0] || null;
+  }
   // #endregion
 
   // #region Logic
   /**
-   * Initiate the Plex OAuth flow and start polling for status.
+   * Initiate the Plex OAuth flow, show the link code, QR code and expiry countdown, and start polling for status.
    * @returns {Promise<void>}
    */
   async function startPlexAuth() {
     const res = await fetchJson(base + "/plex/auth");
     const d = getData(res);
 
-    if (!res.ok || !d?.pinId || !d?.authUrl) return setPlexStartAction();
+    if (!res.ok || !d?.pinId || !d?.authUrl) {
+      if (!res.ok) toastOperation(res, "Plex Auth");
+      return setPlexStartAction();
+    }
 
+    stopPlexPolling();
     plexPinId = d.pinId;
-    const authAction = el("plex-auth-action");
-    if (authAction) {
-      // Hide the initial buttons while the login link is active
-      authAction.querySelectorAll(".plex-auth-state").forEach((e) => (e.style.display = "none"));
-
-      // Create or update the login link
-      let loginLink = el("plex-login");
-      if (!loginLink) {
-        loginLink = document.createElement("a");
-        loginLink.id = "plex-login";
-        loginLink.target = "_blank";
-        authAction.appendChild(loginLink);
-      }
-      loginLink.href = d.authUrl;
-      loginLink.textContent = "Login";
+    const expiresAt = Date.now() + (d.expiresIn || PIN_FALLBACK_SECONDS) * 1000;
+
+    // Hide the initial buttons while the sign in is pending
+    el("plex-auth-action")
+      ?.querySelectorAll(".plex-auth-state")
+      .forEach((e) => (e.style.display = "none"));
+
+    const qr = el("plex-pin-qr");
+    try {
+      qr.innerHTML = renderQrSvg(d.authUrl);
+    } catch {
+      qr.replaceChildren();
     }
+    el("plex-pin-code").textContent = d.code;
+    const loginLink = el("plex-login");
+    loginLink.href = d.authUrl;
+    loginLink.hidden = false;
+    el("plex-pin-retry").hidden = true;
+    el("plex-pin-status").classList.remove("expired");
+    el("plex-pin").hidden = false;
+
+    const tick = () => {
+      const left = expiresAt - Date.now();
+      if (left <= 0) return expirePlexPin();
+      el("plex-pin-status").textContent = `Expires in ${formatCountdown(left)}`;
+    };
+    tick();
+    plexCountdownTimer = setInterval(tick, 1000);
+    plexPollTimer = setInterval(() => pollPlexPin(d.pinId), PLEX_POLL_MS);
+  }
+
+  /**
+   * Checks whether the pending PIN has been claimed. On success the new libraries are loaded and listed in the Libraries modal.
+   * @param {string} pinId - The PIN being waited on.
+   * @returns {Promise<void>}
+   */
+  async function pollPlexPin(pinId) {
+    const res = await fetchJson(`${base}/plex/auth/status?pinId=${encodeURIComponent(pinId)}`);
+    // Ignore answers for a PIN that was cancelled or replaced while the request was in flight
+    if (pinId !== plexPinId) return;
+    if (res.data?.Status === "expired") return expirePlexPin();
+    if (!res.ok || !getData(res)?.tokenSaved) return;
 
+    clearPlexPin();
+    await refreshPlexState();
+    openLibraryTargets();
+  }
+
+  /**
+   * Stops waiting on an expired PIN and offers to start a new sign in.
+   * @returns {void}
+   */
+  function expirePlexPin() {
     stopPlexPolling();
-    plexPollTimer = setInterval(async () => {
-      const sRes = await fetchJson(`${base}/plex/auth/status?pinId=${encodeURIComponent(plexPinId)}`);
-      const sData = getData(sRes);
-
-      if (sRes.ok && sData?.tokenSaved) {
-        stopPlexPolling();
-        refreshPlexState();
-      }
-    }, 2000);
+    plexPinId = "";
+    el("plex-pin-qr").replaceChildren();
+    el("plex-login").hidden = true;
+    el("plex-pin-retry").hidden = false;
+    const status = el("plex-pin-status");
+    status.textContent = "PIN expired, try again.";
+    status.classList.add("expired");
   }
 
   /**
@@ -98,28 +208,43 @@
     b("plex-scan-vfs", "Automation.ScanOnVfsRefresh", "check");
     b("plex-scrobble", "Automation.AutoScrobble", "check");
 
+    // Keep the start button hidden while a sign in is pending
+    const isPending = !isLinked && el("plex-pin")?.hidden === false;
     const authAction = el("plex-auth-action");
-    if (authAction) authAction.querySelectorAll(".plex-auth-state").forEach((e) => (e.style.display = (isLinked ? e.tagName === "DIV" : e.tagName === "BUTTON") ? "" : "none"));
+    if (authAction) authAction.querySelectorAll(".plex-auth-state").forEach((e) => (e.style.display = !isPending && (isLinked ? e.tagName === "DIV" : e.tagName === "BUTTON") ? "" : "none"));
 
     if (!isLinked) {
       withButtonAction("plex-start", startPlexAuth);
     } else {
-      el("plex-login")?.remove();
+      clearPlexPin();
       const unlinkBtn = el("plex-unlink");
       if (unlinkBtn) unlinkBtn.onclick = unlinkPlex;
     }
 
+    plexSettings = settings;
+    renderTargetState(settings);
+  }
+
+  /**
+   * Updates the library count and the Plex Web App link from the discovered targets.
+   * @param {Object} settings - The loaded settings.
+   * @returns {void}
+   */
+  function renderTargetState(settings) {
+    const plex = settings.PlexLibrary || {};
+    const libraries = plex.DiscoveredLibraries || [];
+    const disabled = getDisabledLibraries(settings);
     const libStatus = el("plex-libraries-status");
     if (libStatus) {
-      const count = (plex.DiscoveredLibraries || []).length;
+      const count = libraries.length;
+      const enabled = libraries.filter((l) => !disabled.has(l.Uuid)).length;
       let text = "(No Libraries Detected)";
-      if (count === 1) text = "(1 Library)";
-      else if (count > 1) text = `(${count} Libraries)`;
+      if (count === 1) text = enabled ? "(1 Library)" : "(1 Library, Disabled)";
+      else if (count > 1) text = enabled === count ? `(${count} Libraries)` : `(${enabled} of ${count} Libraries)`;
       libStatus.textContent = text;
     }
 
-    // Resolve the Plex Web App link dynamically from discovered targets
-    const plexWebUrl = plex.DiscoveredLibraries?.[0]?.ServerUrl || plex.DiscoveredServers?.[0]?.PreferredUri || "";
+    const plexWebUrl = resolveWebServer(groupServers(plex), settings)?.Url || "";
     const webLink = el("plex-web-link");
     if (webLink) {
       webLink.onclick = () => plexWebUrl && window.open(plexWebUrl, "_blank", "noopener,noreferrer");
@@ -137,7 +262,105 @@
   }
   // #endregion
 
+  // #region Library Targets
+  /**
+   * Saves a targeting setting and updates the library count and Plex Web link. A failed save restores the previous value and redraws the toggles to match it.
+   * @param {string} path - The setting path.
+   * @param {string} value - The new value.
+   * @returns {Promise<void>}
+   */
+  async function saveTarget(path, value) {
+    const previous = getValueByPath(plexSettings, path);
+    setValueByPath(plexSettings, path, value);
+    const res = await saveSettings(plexSettings);
+    if (res?.ok) return renderTargetState(plexSettings);
+    setValueByPath(plexSettings, path, previous);
+    renderLibraryTargets();
+  }
+
+  /**
+   * Builds the table row for a discovered library with its target toggle.
+   * @param {Object} library - The discovered library.
+   * @param {Set<string>} disabled - The disabled section UUIDs, updated when the toggle changes.
+   * @returns {HTMLTableRowElement} The row.
+   */
+  function renderLibraryRow(library, disabled) {
+    const tr = document.createElement("tr");
+    tr.classList.toggle("disabled", disabled.has(library.Uuid));
+    const toggle = document.createElement("td");
+    toggle.innerHTML = `<label class="shoko-checkbox" title="Use as a target"><input type="checkbox" />
+      <span class="shoko-checkbox-icon" aria-hidden="true"><svg class="unchecked"><use href="img/icons.svg#checkbox-blank-circle-outline"></use></svg><svg class="checked"><use href="img/icons.svg#checkbox-marked-circle-outline"></use></svg></span></label>`;
+    const box = toggle.querySelector("input");
+    box.checked = !disabled.has(library.Uuid);
+    box.setAttribute("aria-label", `Use ${library.Title} as a target`);
+    box.onchange = () => {
+      if (box.checked) disabled.delete(library.Uuid);
+      else disabled.add(library.Uuid);
+      tr.classList.toggle("disabled", !box.checked);
+      saveTarget(DISABLED_LIBRARIES_PATH, [...disabled].join(","));
+    };
+    tr.appendChild(toggle);
+    [library.Title, library.Type, library.Id, (library.Locations || []).join(", ")].forEach((text) => {
+      const td = document.createElement("td");
+      td.textContent = text ?? "";
+      tr.appendChild(td);
+    });
+    tr.lastChild.title = tr.lastChild.textContent;
+    return tr;
+  }
+
+  /**
+   * Lists each discovered server with its address and Shoko Relay libraries, with a Plex Web choice per server and a target toggle per library.
+   * @returns {void}
+   */
+  function renderLibraryTargets() {
+    const wrap = el("plex-targets");
+    const servers = groupServers(plexSettings.PlexLibrary || {});
+    if (!servers.length) {
+      wrap.innerHTML = '<small class="placeholder">No Plex servers have been discovered. Use the Refresh Plex Libraries button to discover them.</small>';
+      return;
+    }
+    const disabled = getDisabledLibraries(plexSettings);
+    const web = resolveWebServer(servers, plexSettings);
+    wrap.replaceChildren(
+      ...servers.map((server) => {
+        const block = document.createElement("section");
+        block.className = "plex-target-server";
+        block.innerHTML = `<div class="plex-target-head"><label title="Open this server with the Plex Web button"><input type="radio" name="plex-web-server" /> <strong></strong></label><small></small></div>
+          <table class="history-table plex-target-table"><thead><tr><th></th><th>Library</th><th>Type</th><th>Section</th><th>Locations</th></tr></thead><tbody></tbody></table>`;
+        const radio = block.querySelector("input");
+        radio.checked = server === web;
+        radio.disabled = !server.Url;
+        radio.onchange = () => saveTarget(WEB_SERVER_PATH, server.Id);
+        block.querySelector("strong").textContent = server.Name || server.Id;
+        block.querySelector("small").textContent = server.Url || "No address discovered";
+        const body = block.querySelector("tbody");
+        if (server.Libraries.length) body.replaceChildren(...server.Libraries.map((l) => renderLibraryRow(l, disabled)));
+        else body.innerHTML = '<tr><td colspan="5" class="placeholder">No libraries use the Shoko Relay agent.</td></tr>';
+        return block;
+      }),
+    );
+  }
+
+  /**
+   * Opens the Plex Libraries modal with the latest discovered targets.
+   * @returns {void}
+   */
+  function openLibraryTargets() {
+    if (!plexSettings) return;
+    renderLibraryTargets();
+    closeTargets = openModal(el("plex-targets-modal"));
+  }
+  // #endregion
+
   // Initialization
+  withButtonAction("plex-pin-retry", startPlexAuth);
+  const pinCancelBtn = el("plex-pin-cancel");
+  if (pinCancelBtn) pinCancelBtn.onclick = setPlexStartAction;
+  const targetsBtn = el("plex-libraries-open");
+  if (targetsBtn) targetsBtn.onclick = openLibraryTargets;
+  const targetsCloseBtn = el("plex-targets-close");
+  if (targetsCloseBtn) targetsCloseBtn.onclick = () => closeTargets?.();
   window._sr.refreshPlexState = refreshPlexState;
   refreshPlexState();
 })();
@@ -0,0 +1,177 @@
+/**
+ * @file preview.js
+ * @description Structured dry run previews that list the individual changes a task would make and apply only the selected ones.
+ */
+(() => {
+  const { base, el, fetchJson, getData, openModal, showToast, toastOperation, TOAST_MS } = window._sr;
+
+  const modal = el("preview-modal");
+  const head = el("preview-head");
+  const rows = el("preview-rows");
+  const applyBtn = el("preview-apply");
+
+  /**
+   * Formats a season/episode pair as SxxExx.
+   * @param {?number} season - The season number.
+   * @param {?number} episode - The episode number.
+   * @returns {string} The formatted coordinates.
+   */
+  const formatEpisode = (season, episode) => `S${String(season ?? 0).padStart(2, "0")}E${String(episode ?? 0).padStart(2, "0")}`;
+
+  /**
+   * Sends the selected change keys to an apply endpoint.
+   * @param {string} path - The endpoint path (including any query string).
+   * @param {string[]} keys - The selected keys.
+   * @returns {Promise<{ok: boolean, data: any}>} The normalized response.
+   */
+  const postSelection = (path, keys) => fetchJson(base + path, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(keys) });
+
+  /**
+   * Preview definitions keyed by the value of a button's data-relay-preview attribute.
+   * Each one maps a dry run result to table rows (identified by the key the apply endpoint expects) and applies a selection.
+   * @type {Object<string, {title: string, task: string, columns: string[], rows: Function, notes: Function, apply: Function}>}
+   */
+  const PREVIEWS = {
+    "purge-missing": {
+      title: "Purge Missing Files",
+      task: window._sr.tasks.shokoPurgeMissing,
+      columns: ["File"],
+      rows: (d) => (d.Removed || []).map((path) => ({ key: path, cells: [path] })),
+      notes: (d) => d.PlexMessages || [],
+      apply: (keys) => postSelection("/shoko/purge-missing/apply", keys),
+    },
+    "sync-watched": {
+      title: "Sync Watched States",
+      task: window._sr.tasks.shokoSyncWatched,
+      columns: ["User", "Library", "Series", "Episode", "Change", "Last Viewed"],
+      rows: (d) =>
+        Object.values(d.PerUserChanges || {})
+          .flat()
+          .map((c) => ({
+            key: c.Key,
+            cells: [
+              c.PlexUser,
+              c.LibraryName || "",
+              c.SeriesTitle || "",
+              formatEpisode(c.SeasonNumber, c.EpisodeNumber),
+              c.Reason === "progress_updated" ? "Update progress in Shoko" : `Mark watched in ${d.Direction === "Plex<-Shoko" ? "Plex" : "Shoko"}`,
+              c.LastViewedAt ? new Date(c.LastViewedAt).toLocaleString() : "",
+            ],
+          })),
+      notes: (d) => (d.VotesFound ? [`Ratings are only synced for the selected items (${d.VotesUpdated} would change).`] : []),
+      apply: (keys, query) => postSelection(`/sync-watched/apply?${query}`, keys),
+    },
+  };
+
+  // #region Rendering
+  /**
+   * Renders the header row with a select-all checkbox.
+   * @param {string[]} columns - The column titles.
+   * @returns {HTMLInputElement} The select-all checkbox.
+   */
+  function renderHead(columns) {
+    const tr = document.createElement("tr");
+    const th = document.createElement("th");
+    th.innerHTML = '<input type="checkbox" title="Select All" checked />';
+    tr.appendChild(th);
+    columns.forEach((c) => {
+      const cell = document.createElement("th");
+      cell.textContent = c;
+      tr.appendChild(cell);
+    });
+    head.replaceChildren(tr);
+    return th.querySelector("input");
+  }
+
+  /**
+   * Renders one row per change, all selected by default.
+   * @param {{key: string, cells: string[]}[]} items - The changes.
+   * @param {number} columnCount - The number of data columns.
+   * @returns {void}
+   */
+  function renderRows(items, columnCount) {
+    rows.replaceChildren();
+    if (!items.length) {
+      rows.innerHTML = `<tr><td colspan="${columnCount + 1}" class="placeholder">No changes would be made.</td></tr>`;
+      return;
+    }
+    items.forEach(({ key, cells }) => {
+      const tr = document.createElement("tr");
+      const check = document.createElement("td");
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.checked = true;
+      box.value = key;
+      check.appendChild(box);
+      tr.appendChild(check);
+      cells.forEach((text) => {
+        const td = document.createElement("td");
+        td.textContent = text;
+        td.title = text;
+        tr.appendChild(td);
+      });
+      rows.appendChild(tr);
+    });
+  }
+
+  /**
+   * Returns the keys of the checked rows.
+   * @returns {string[]} The selected keys.
+   */
+  const selectedKeys = () => [...rows.querySelectorAll("input:checked")].map((b) => b.value);
+  // #endregion
+
+  // #region Preview
+  /**
+   * Shows the changes from a dry run response and lets the user apply a subset of them.
+   * @param {string} kind - The preview definition key (see PREVIEWS).
+   * @param {{ok: boolean, data: any}} res - The dry run response.
+   * @param {URLSearchParams} [query] - The options used for the dry run, passed on to the apply endpoint so the same items are evaluated.
+   * @returns {void}
+   */
+  function showDryRunPreview(kind, res, query = new URLSearchParams()) {
+    const preview = PREVIEWS[kind];
+    if (!preview || !modal) return;
+    const d = getData(res) || {};
+    const items = preview.rows(d).filter((i) => i.key);
+
+    el("preview-title").textContent = `${preview.title}: Dry Run Preview`;
+    el("preview-summary").textContent = [`${items.length} change(s) would be made.`, ...preview.notes(d)].join(" ");
+    const selectAll = renderHead(preview.columns);
+    renderRows(items, preview.columns.length);
+
+    const updateSelection = () => {
+      const count = selectedKeys().length;
+      applyBtn.disabled = count === 0;
+      applyBtn.textContent = `Apply Selected (${count})`;
+      selectAll.checked = count === items.length && count > 0;
+      selectAll.indeterminate = count > 0 && count < items.length;
+    };
+    selectAll.onchange = () => {
+      rows.querySelectorAll("input").forEach((b) => (b.checked = selectAll.checked));
+      updateSelection();
+    };
+    rows.onchange = updateSelection;
+    updateSelection();
+
+    const close = openModal(modal);
+    el("preview-cancel").onclick = close;
+    applyBtn.onclick = () => {
+      const keys = selectedKeys();
+      const taskBtn = el(preview.task);
+      if (taskBtn?.classList.contains("loading")) return showToast(`${preview.title}: A run is already in progress.`, "warning", TOAST_MS);
+      close();
+      const handler = async () => {
+        showToast(`${preview.title}: Applying ${keys.length} selected change(s)...`, "info", TOAST_MS);
+        toastOperation(await preview.apply(keys, query), `${preview.title} (Selected)`, { hideOnSucceed: 0 });
+      };
+      if (taskBtn) window._sr.runAction(taskBtn, handler);
+      else handler();
+    };
+  }
+  // #endregion
+
+  // #region Global Exports
+  Object.assign(window._sr, { showDryRunPreview });
+  // #endregion
+})();
@@ -0,0 +1,378 @@
+/**
+ * @file qr.js
+ * @description Minimal QR code encoder (byte mode, error correction level M) rendering to SVG, used to show sign in links that can be scanned with a phone without sending them to a third party service.
+ * Adapted from the QR Code generator library by Project Nayuki (https://www.nayuki.io/page/qr-code-generator-library), reduced to the parts needed here.
+ *
+ * Copyright (c) Project Nayuki. (MIT License)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ * - The above copyright notice and this permission notice shall be included in
+ *   all copies or substantial portions of the Software.
+ * - The Software is provided "as is", without warranty of any kind, express or
+ *   implied, including but not limited to the warranties of merchantability,
+ *   fitness for a particular purpose and noninfringement. In no event shall the
+ *   authors or copyright holders be liable for any claim, damages or other
+ *   liability, whether in an action of contract, tort or otherwise, arising from,
+ *   out of or in connection with the Software or the use or other dealings in the
+ *   Software.
+ */
+(() => {
+  /** Error correction codewords per block for level M, indexed by version. */
+  const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+
+  /** Error correction blocks for level M, indexed by version. */
+  const ECC_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+
+  /** Format information bits identifying level M. */
+  const ECC_FORMAT_BITS = 0;
+
+  /** Penalty weights from the QR specification, used to pick the most readable mask. */
+  const PENALTY = { run: 3, block: 3, finder: 40, balance: 10 };
+
+  /** The eight data masks, as predicates over module coordinates. */
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+  ];
+
+  /** Light/dark patterns counted by the finder-like penalty, in both directions. */
+  const FINDER_LIKE = ["10111010000", "00001011101"];
+
+  const getBit = (value, i) => ((value >>> i) & 1) !== 0;
+
+  // #region Sizing
+  /**
+   * Counts the modules available for data and error correction in a version.
+   * @param {number} ver - The QR version (1-40).
+   * @returns {number} The number of modules.
+   */
+  function getNumRawDataModules(ver) {
+    let result = (16 * ver + 128) * ver + 64;
+    if (ver >= 2) {
+      const numAlign = Math.floor(ver / 7) + 2;
+      result -= (25 * numAlign - 10) * numAlign - 55;
+      if (ver >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  /**
+   * Counts the data codewords a version holds at level M.
+   * @param {number} ver - The QR version (1-40).
+   * @returns {number} The number of 8-bit data codewords.
+   */
+  const getNumDataCodewords = (ver) => Math.floor(getNumRawDataModules(ver) / 8) - ECC_CODEWORDS_PER_BLOCK[ver] * ECC_BLOCKS[ver];
+
+  /**
+   * Lists the centre coordinates of the alignment patterns of a version.
+   * @param {number} ver - The QR version (1-40).
+   * @param {number} size - The width of the symbol in modules.
+   * @returns {number[]} The coordinates, in ascending order.
+   */
+  function getAlignmentPositions(ver, size) {
+    if (ver === 1) return [];
+    const numAlign = Math.floor(ver / 7) + 2;
+    const step = Math.floor((ver * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+    return result;
+  }
+  // #endregion
+
+  // #region Error Correction
+  /**
+   * Multiplies two elements of GF(2^8) modulo the QR polynomial.
+   * @param {number} x - The first factor.
+   * @param {number} y - The second factor.
+   * @returns {number} The product.
+   */
+  function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11d);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  /**
+   * Builds the Reed-Solomon generator polynomial of a degree, highest term omitted.
+   * @param {number} degree - The number of error correction codewords.
+   * @returns {number[]} The coefficients.
+   */
+  function rsDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        result[j] = gfMultiply(result[j], root);
+        if (j + 1 < degree) result[j] ^= result[j + 1];
+      }
+      root = gfMultiply(root, 0x02);
+    }
+    return result;
+  }
+
+  /**
+   * Computes the error correction codewords of a block.
+   * @param {number[]} data - The data codewords.
+   * @param {number[]} divisor - The generator polynomial.
+   * @returns {number[]} The error correction codewords.
+   */
+  function rsRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const b of data) {
+      const factor = b ^ result.shift();
+      result.push(0);
+      divisor.forEach((coef, i) => (result[i] ^= gfMultiply(coef, factor)));
+    }
+    return result;
+  }
+
+  /**
+   * Splits the data into blocks, appends their error correction and interleaves them.
+   * @param {number[]} data - The data codewords.
+   * @param {number} ver - The QR version.
+   * @returns {number[]} The final codeword sequence.
+   */
+  function addEccAndInterleave(data, ver) {
+    const numBlocks = ECC_BLOCKS[ver];
+    const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ver];
+    const rawCodewords = Math.floor(getNumRawDataModules(ver) / 8);
+    const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+    const divisor = rsDivisor(blockEccLen);
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+      const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+      k += dat.length;
+      const ecc = rsRemainder(dat, divisor);
+      if (i < numShortBlocks) dat.push(0);
+      blocks.push(dat.concat(ecc));
+    }
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        // Skip the padding codeword added to the short blocks
+        if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+      });
+    }
+    return result;
+  }
+  // #endregion
+
+  // #region Encoding
+  /**
+   * Encodes text as byte mode data codewords in the smallest version that fits.
+   * @param {string} text - The text to encode.
+   * @returns {{ver: number, codewords: number[]}} The version and padded data codewords.
+   */
+  function encodeData(text) {
+    const bytes = new TextEncoder().encode(text);
+    let ver = 1;
+    for (; ver <= 40; ver++) if (4 + (ver < 10 ? 8 : 16) + bytes.length * 8 <= getNumDataCodewords(ver) * 8) break;
+    if (ver > 40) throw new RangeError("Text is too long for a QR code.");
+
+    const bits = [];
+    const append = (value, len) => {
+      for (let i = len - 1; i >= 0; i--) bits.push(getBit(value, i) ? 1 : 0);
+    };
+    append(0x4, 4);
+    append(bytes.length, ver < 10 ? 8 : 16);
+    bytes.forEach((b) => append(b, 8));
+
+    const capacity = getNumDataCodewords(ver) * 8;
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - (bits.length % 8)) % 8);
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) append(pad, 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+    return { ver, codewords };
+  }
+
+  /**
+   * Builds the module grid for a version, drawing the function patterns and the codewords.
+   * @param {number} ver - The QR version.
+   * @param {number[]} codewords - The interleaved codewords.
+   * @returns {{size: number, modules: boolean[][], isFunction: boolean[][], setFunction: function(number, number, boolean): void}} The grid.
+   */
+  function buildGrid(ver, codewords) {
+    const size = ver * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+      modules[y][x] = dark;
+      isFunction[y][x] = true;
+    };
+
+    for (let i = 0; i < size; i++) {
+      setFunction(6, i, i % 2 === 0);
+      setFunction(i, 6, i % 2 === 0);
+    }
+    [
+      [3, 3],
+      [size - 4, 3],
+      [3, size - 4],
+    ].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, dist !== 2 && dist !== 4);
+        }
+      }
+    });
+    const align = getAlignmentPositions(ver, size);
+    const last = align.length - 1;
+    align.forEach((cx, i) =>
+      align.forEach((cy, j) => {
+        // The corners already hold finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) for (let dx = -2; dx <= 2; dx++) setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }),
+    );
+    // Reserve the format areas, they are drawn once the mask is chosen
+    drawFormatBits({ size, setFunction }, 0);
+    if (ver >= 7) {
+      let rem = ver;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+      const bits = (ver << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        setFunction(a, b, getBit(bits, i));
+        setFunction(b, a, getBit(bits, i));
+      }
+    }
+
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const y = ((right + 1) & 2) === 0 ? size - 1 - vert : vert;
+          if (!isFunction[y][x] && i < codewords.length * 8) {
+            modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+            i++;
+          }
+        }
+      }
+    }
+    return { size, modules, isFunction, setFunction };
+  }
+
+  /**
+   * Draws both copies of the format information for a mask, and the dark module.
+   * @param {{size: number, setFunction: function(number, number, boolean): void}} grid - The grid.
+   * @param {number} mask - The mask index.
+   * @returns {void}
+   */
+  function drawFormatBits({ size, setFunction }, mask) {
+    const data = (ECC_FORMAT_BITS << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i++) setFunction(8, i, getBit(bits, i));
+    setFunction(8, 7, getBit(bits, 6));
+    setFunction(8, 8, getBit(bits, 7));
+    setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, getBit(bits, i));
+
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, getBit(bits, i));
+    setFunction(8, size - 8, true);
+  }
+
+  /**
+   * Toggles the data modules matching a mask. Applying the same mask twice undoes it.
+   * @param {{size: number, modules: boolean[][], isFunction: boolean[][]}} grid - The grid.
+   * @param {number} mask - The mask index.
+   * @returns {void}
+   */
+  function applyMask({ size, modules, isFunction }, mask) {
+    for (let y = 0; y < size; y++) for (let x = 0; x < size; x++) if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+  }
+
+  /**
+   * Scores how hard a masked grid is to read, following the four penalty rules of the QR specification.
+   * @param {{size: number, modules: boolean[][]}} grid - The grid.
+   * @returns {number} The penalty, lower is better.
+   */
+  function getPenalty({ size, modules }) {
+    let result = 0;
+    const lines = [...modules.map((row) => row.map(Number).join("")), ...modules.map((_, x) => modules.map((row) => Number(row[x])).join(""))];
+    lines.forEach((line) => {
+      (line.match(/0{5,}|1{5,}/g) || []).forEach((run) => (result += PENALTY.run + run.length - 5));
+      FINDER_LIKE.forEach((pattern) => {
+        for (let i = line.indexOf(pattern); i !== -1; i = line.indexOf(pattern, i + 1)) result += PENALTY.finder;
+      });
+    });
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const c = modules[y][x];
+          if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) result += PENALTY.block;
+        }
+      }
+    }
+    const total = size * size;
+    result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * PENALTY.balance;
+    return result;
+  }
+  // #endregion
+
+  // #region Rendering
+  /**
+   * Encodes text as a QR code and renders it as SVG markup with a quiet zone.
+   * @param {string} text - The text to encode, such as a sign in URL.
+   * @returns {string} The SVG markup.
+   */
+  function renderQrSvg(text) {
+    const { ver, codewords } = encodeData(text);
+    const grid = buildGrid(ver, addEccAndInterleave(codewords, ver));
+
+    let bestMask = 0;
+    let minPenalty = Infinity;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+      applyMask(grid, mask);
+      drawFormatBits(grid, mask);
+      const penalty = getPenalty(grid);
+      if (penalty < minPenalty) {
+        bestMask = mask;
+        minPenalty = penalty;
+      }
+      applyMask(grid, mask);
+    }
+    applyMask(grid, bestMask);
+    drawFormatBits(grid, bestMask);
+
+    const border = 4;
+    const dimension = grid.size + border * 2;
+    let path = "";
+    grid.modules.forEach((row, y) => row.forEach((dark, x) => dark && (path += `M${x + border},${y + border}h1v1h-1z`)));
+    return `<svg class="qr-code" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges" role="img" aria-label="QR code"><rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+  }
+  // #endregion
+
+  // #region Global Exports
+  Object.assign(window._sr, { renderQrSvg });
+  // #endregion
+})();
@@ -0,0 +1,140 @@
+/**
+ * @file revisions.js
+ * @description Settings history modal that compares saved configuration revisions field by field and reverts to an earlier one.
+ */
+(() => {
+  const { configUrl, el, fetchJson, getData, openModal, showToast, toastOperation, setIfNotEmpty, TOAST_MS } = window._sr;
+
+  const modal = el("config-history-modal");
+  const fromSelect = el("config-history-from");
+  const toSelect = el("config-history-to");
+  const diffBody = el("config-diff-body");
+  const note = el("config-history-note");
+  const revertBtn = el("config-history-revert");
+
+  /**
+   * A setting that differs between two revisions.
+   * @typedef {{Path: string, Display: string, From: ?string, To: ?string, Rebuild: boolean}} ConfigChange
+   */
+
+  /** @type {{revisions: {Id: number, SavedAt: string}[], request: number, close: ?Function}} */
+  const state = { revisions: [], request: 0, close: null };
+
+  // #region Helpers
+  /**
+   * Fetches the settings that differ between two revisions.
+   * @param {string|number} from - The older revision id, or an empty string for the current settings.
+   * @param {string|number} to - The newer revision id, or an empty string for the current settings.
+   * @returns {Promise<?ConfigChange[]>} The changes, or null if the request failed.
+   */
+  async function fetchDiff(from, to) {
+    const ps = new URLSearchParams();
+    setIfNotEmpty(ps, "from", from);
+    setIfNotEmpty(ps, "to", to);
+    const res = await fetchJson(`${configUrl}/history/diff?${ps}`);
+    if (!res.ok) {
+      toastOperation(res, "Settings History");
+      return null;
+    }
+    return getData(res) || [];
+  }
+
+  /**
+   * Formats a setting value for the diff table.
+   * @param {?string} value - The formatted server value.
+   * @returns {string} The display text.
+   */
+  const formatValue = (value) => (value == null ? "—" : value === "" ? "(empty)" : value);
+  // #endregion
+
+  // #region Rendering
+  /**
+   * Renders the differences between the selected revisions and notes any that need a VFS rebuild.
+   * @returns {Promise<void>}
+   */
+  async function renderDiff() {
+    const request = ++state.request;
+    revertBtn.disabled = state.revisions.length < 2;
+    diffBody.innerHTML = '<tr><td colspan="3" class="placeholder">Loading...</td></tr>';
+    const changes = await fetchDiff(fromSelect.value, toSelect.value);
+    if (request !== state.request || !changes) return;
+
+    if (!changes.length) {
+      diffBody.innerHTML = '<tr><td colspan="3" class="placeholder">No differences between these revisions.</td></tr>';
+      note.textContent = state.revisions.length < 2 ? "No earlier revisions yet. A revision is recorded each time the settings are saved." : "";
+      return;
+    }
+    diffBody.replaceChildren(
+      ...changes.map((c) => {
+        const tr = document.createElement("tr");
+        [`${c.Display}${c.Rebuild ? " ⟳" : ""}`, formatValue(c.From), formatValue(c.To)].forEach((text) => {
+          const td = document.createElement("td");
+          td.textContent = text;
+          tr.appendChild(td);
+        });
+        tr.firstChild.title = c.Path;
+        return tr;
+      }),
+    );
+    note.textContent = changes.some((c) => c.Rebuild) ? "Settings marked ⟳ require a VFS rebuild to take effect." : "";
+  }
+  // #endregion
+
+  // #region Revert
+  /**
+   * Confirms and restores the "From" revision, listing any reverted settings that require a VFS rebuild.
+   * @returns {Promise<void>}
+   */
+  async function revert() {
+    const id = fromSelect.value;
+    if (!id) return;
+    const changes = await fetchDiff("", id);
+    if (!changes) return;
+    if (!changes.length) {
+      showToast(`Settings Revert: Revision #${id} matches the current settings.`, "info", TOAST_MS);
+      return;
+    }
+    const rebuild = changes.filter((c) => c.Rebuild).map((c) => c.Display);
+    const rebuildNote = rebuild.length ? `<br /><br />These settings require a VFS rebuild afterwards: <strong>${rebuild.join(", ")}</strong>` : "";
+
+    state.close?.();
+    window._sr.confirmAction(`Revert ${changes.length} setting(s) to revision #${id}?${rebuildNote}`, "Revert", async () => {
+      const res = await fetchJson(`${configUrl}/history/${id}/revert`, { method: "POST" });
+      if (res.ok && rebuild.length) toastOperation(res, "Settings Revert", { summary: `Restored revision #${id}. Rebuild the VFS to apply: ${rebuild.join(", ")}`, type: "warning", hideOnSucceed: 0 });
+      else toastOperation(res, "Settings Revert");
+      if (res.ok) window._sr.loadConfig?.();
+    });
+  }
+  // #endregion
+
+  // #region Modal
+  /**
+   * Loads the saved revisions and opens the modal comparing the two most recent ones.
+   * @returns {Promise<void>}
+   */
+  async function openHistory() {
+    const res = await fetchJson(`${configUrl}/history`);
+    if (!res.ok) {
+      toastOperation(res, "Settings History");
+      return;
+    }
+    state.revisions = getData(res) || [];
+    const options = () => state.revisions.map((r, i) => new Option(`#${r.Id} · ${new Date(r.SavedAt).toLocaleString()}${i === 0 ? " (Latest)" : ""}`, r.Id));
+    fromSelect.replaceChildren(...options());
+    toSelect.replaceChildren(...options());
+    fromSelect.value = String(state.revisions[1]?.Id ?? state.revisions[0]?.Id ?? "");
+    toSelect.value = String(state.revisions[0]?.Id ?? "");
+    state.close = openModal(modal);
+    el("config-history-close").onclick = state.close;
+    await renderDiff();
+  }
+  // #endregion
+
+  // #region Event Wiring
+  if (modal) {
+    el("config-history-open").onclick = openHistory;
+    fromSelect.onchange = toSelect.onchange = renderDiff;
+    revertBtn.onclick = revert;
+  }
+  // #endregion
+})();
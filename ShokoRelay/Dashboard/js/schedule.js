@@ -0,0 +1,227 @@
+/**
+ * @file schedule.js
+ * @description Automation schedule panel with last/next run details, live countdowns, pause/resume, time-of-day windows and run-now controls.
+ */
+(() => {
+  const { base, el, fetchJson, getData, showToast, toastOperation, TOAST_MS } = window._sr;
+
+  const REFRESH_MS = 60000;
+  const WINDOW_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d\s*-\s*([01]?\d|2[0-3]):[0-5]\d$/;
+
+  /** Config key prefix and run-now endpoint for each scheduled job, keyed by task name. */
+  const JOBS = {
+    [window._sr.tasks.shokoSyncWatched]: { prefix: "ShokoSyncWatched", runPath: "/sync-watched/start" },
+    [window._sr.tasks.plexAutomationRun]: { prefix: "PlexAutomation" },
+    [window._sr.tasks.shokoImport]: { prefix: "ShokoImport", runPath: "/shoko/import/start" },
+  };
+
+  const details = el("schedule-details");
+  const list = el("schedule-list");
+
+  /** @type {{config: ?Object, persist: ?Function, stale: boolean, refreshTimer: ?number, tickTimer: ?number}} */
+  const state = { config: null, persist: null, stale: true, refreshTimer: null, tickTimer: null };
+
+  // #region Helpers
+  /**
+   * Formats the time until a date as a countdown, including days for long intervals.
+   * @param {string} iso - The target time.
+   * @returns {string} The countdown text.
+   */
+  function formatCountdown(iso) {
+    const seconds = Math.max(0, (new Date(iso) - Date.now()) / 1000);
+    if (seconds < 1) return "Due now";
+    const days = Math.floor(seconds / 86400);
+    return `in ${days > 0 ? `${days}d ` : ""}${window._sr.formatDuration(seconds % 86400)}`;
+  }
+
+  /**
+   * Summarizes a job's last result.
+   * @param {Object} job - The scheduled job state.
+   * @returns {string} The summary text.
+   */
+  function formatLastResult(job) {
+    if (!job.LastStatus) return "";
+    const counts = Object.entries(job.LastCounts || {})
+      .filter(([label, n]) => label !== "errors" || n > 0)
+      .map(([label, n]) => `${label}: ${n}`)
+      .join(", ");
+    return [job.LastStatus, counts || job.LastMessage].filter(Boolean).join(" · ");
+  }
+
+  /**
+   * Updates a job's automation setting and persists the configuration.
+   * @param {string} key - The AutomationConfig property name.
+   * @param {*} value - The new value.
+   * @returns {Promise<void>}
+   */
+  async function saveJobSetting(key, value) {
+    if (!state.config) return;
+    window._sr.setValueByPath(state.config, `Automation.${key}`, value);
+    const res = await state.persist(state.config);
+    if (res?.ok) loadSchedule();
+  }
+  // #endregion
+
+  // #region Rendering
+  /**
+   * Builds the pause/resume and run-now buttons for a job.
+   * @param {Object} job - The scheduled job state.
+   * @param {{prefix: string, runPath: ?string}} meta - The job's config prefix and run-now endpoint.
+   * @returns {HTMLTableCellElement} The actions cell.
+   */
+  function buildActions(job, meta) {
+    const td = document.createElement("td");
+    td.className = "schedule-actions";
+
+    const pause = document.createElement("button");
+    pause.type = "button";
+    pause.className = "cancel";
+    pause.textContent = job.Paused ? "Resume" : "Pause";
+    pause.title = job.Paused ? "Resume scheduled runs" : "Skip scheduled runs until resumed";
+    pause.disabled = !job.FrequencyHours || !state.config;
+    pause.onclick = () => saveJobSetting(`${meta.prefix}Paused`, !job.Paused);
+
+    const run = document.createElement("button");
+    run.type = "button";
+    run.textContent = "Run Now";
+    run.title = "Run now; the next scheduled run follows one interval after this run";
+    run.onclick = () => {
+      if (!meta.runPath) return el(job.TaskName)?.click(); // Plex automation runs through its managed task button
+      window._sr.runAction(run, async () => {
+        const res = await fetchJson(base + meta.runPath);
+        toastOperation(res, job.Name, { hideOnSucceed: TOAST_MS });
+        loadSchedule();
+      });
+    };
+
+    td.append(pause, run);
+    return td;
+  }
+
+  /**
+   * Builds the editable time-of-day window cell for a job.
+   * @param {Object} job - The scheduled job state.
+   * @param {{prefix: string}} meta - The job's config prefix.
+   * @returns {HTMLTableCellElement} The window cell.
+   */
+  function buildWindow(job, meta) {
+    const td = document.createElement("td");
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "schedule-window";
+    input.placeholder = "Any time";
+    input.title = "Only start scheduled runs between these times, e.g. 02:00-06:00";
+    input.value = job.Window || "";
+    input.disabled = !state.config;
+    input.onchange = () => {
+      const value = input.value.trim().replace(/\s*-\s*/, "-");
+      if (value && !WINDOW_PATTERN.test(value)) {
+        showToast(`${job.Name}: Use HH:mm-HH:mm for the window (e.g. 02:00-06:00).`, "error", TOAST_MS);
+        input.value = job.Window || "";
+        return;
+      }
+      input.value = value;
+      saveJobSetting(`${meta.prefix}Window`, value);
+    };
+    td.appendChild(input);
+    return td;
+  }
+
+  /**
+   * Renders one row per scheduled job.
+   * @param {Object[]} jobs - The scheduled job states.
+   * @returns {void}
+   */
+  function renderJobs(jobs) {
+    list.replaceChildren();
+    jobs.forEach((job) => {
+      const meta = JOBS[job.TaskName];
+      if (!meta) return;
+      const tr = document.createElement("tr");
+      tr.classList.toggle("paused", job.Paused);
+
+      const cells = [job.Name, job.FrequencyHours ? `${job.FrequencyHours}h` : "Disabled", job.LastRunAt ? new Date(job.LastRunAt).toLocaleString() : "Never", formatLastResult(job)];
+      cells.forEach((text, i) => {
+        const td = document.createElement("td");
+        td.textContent = text;
+        if (i === 3) {
+          td.className = `history-status ${job.LastStatus || ""}`;
+          td.title = job.LastMessage || "";
+        }
+        tr.appendChild(td);
+      });
+
+      const next = document.createElement("td");
+      if (job.Paused) next.textContent = "Paused";
+      else if (!job.NextRunAt) next.textContent = "—";
+      else {
+        next.title = new Date(job.NextRunAt).toLocaleString();
+        next.className = "schedule-countdown";
+        next.dataset.at = job.NextRunAt;
+        next.textContent = formatCountdown(job.NextRunAt);
+      }
+      tr.append(next, buildWindow(job, meta), buildActions(job, meta));
+      list.appendChild(tr);
+    });
+  }
+
+  /**
+   * Refreshes every visible countdown.
+   * @returns {void}
+   */
+  function tick() {
+    list.querySelectorAll(".schedule-countdown").forEach((td) => (td.textContent = formatCountdown(td.dataset.at)));
+  }
+  // #endregion
+
+  // #region Loading
+  /**
+   * Fetches and renders the schedule. Deferred until the panel is opened so closed panels don't poll the server.
+   * @returns {Promise<void>}
+   */
+  async function loadSchedule() {
+    if (!details) return;
+    if (!details.open) {
+      state.stale = true;
+      return;
+    }
+    state.stale = false;
+    const res = await fetchJson(`${base}/automation/schedule`);
+    if (!res.ok) {
+      list.innerHTML = '<tr><td colspan="7" class="placeholder">Failed to load the automation schedule from server.</td></tr>';
+      return;
+    }
+    renderJobs(getData(res) || []);
+  }
+
+  /**
+   * Starts or stops the countdown and refresh timers to match the panel's open state.
+   * @returns {void}
+   */
+  function syncTimers() {
+    clearInterval(state.tickTimer);
+    clearInterval(state.refreshTimer);
+    state.tickTimer = state.refreshTimer = null;
+    if (!details.open) return;
+    state.tickTimer = setInterval(tick, 1000);
+    state.refreshTimer = setInterval(loadSchedule, REFRESH_MS);
+    if (state.stale) loadSchedule();
+  }
+  // #endregion
+
+  // #region Event Wiring
+  if (details) details.addEventListener("toggle", syncTimers);
+  // #endregion
+
+  // #region Global Exports
+  Object.assign(window._sr, {
+    loadSchedule,
+    initSchedule: (cfg, persist) => {
+      state.config = cfg;
+      state.persist = persist;
+      state.stale = true;
+      loadSchedule();
+    },
+  });
+  // #endregion
+})();
@@ -13,25 +13,28 @@
   /** Standardized labels for playback controls used by both MP3 and Video players. */
   const PLAYBACK_LABELS = { loop: "Loop", shuffle: "Shuffle", next: "Next", off: "Once", idle: "Play", playing: "Next" };
 
+  /** Header identifying requests sent from the UI so the server records the task runs they start as manual. */
+  const TRIGGER_HEADERS = { "X-Relay-Trigger": "manual" };
+
   // #region Helpers
   /**
-   * Fetch a URL and parse the response as JSON, returning a normalized result object.
+   * Fetch a URL and parse the response as JSON, returning a normalized result object. Requests are tagged as manually triggered for the task history.
    * @param {string} url - The URL to fetch.
    * @param {RequestInit} [opts] - Optional fetch options.
-   * @returns {Promise<{ok: boolean, data: *}>} Normalized response.
+   * @returns {Promise<{ok: boolean, status: number, data: *}>} Normalized response.
    */
   async function fetchJson(url, opts) {
     try {
-      const res = await fetch(url, opts);
+      const res = await fetch(url, { ...opts, headers: { ...TRIGGER_HEADERS, ...Object.fromEntries(new Headers(opts?.headers)) } }); // Headers instances and header arrays do not spread, so normalize them first
       const text = await res.text();
       try {
-        return { ok: res.ok, data: JSON.parse(text) };
+        return { ok: res.ok, status: res.status, data: JSON.parse(text) };
       } catch {
-        return { ok: res.ok, data: text };
+        return { ok: res.ok, status: res.status, data: text };
       }
     } catch (e) {
       console.error("fetchJson error for", url, e);
-      return { ok: false, data: { error: String(e), message: e?.message ?? String(e), url } };
+      return { ok: false, status: 0, data: { error: String(e), message: e?.message ?? String(e), url } };
     }
   }
 
@@ -45,6 +48,13 @@
     return d?.Data !== undefined ? d.Data : d?.data !== undefined ? d.data : d;
   }
 
+  /**
+   * Escapes text so it can be placed inside HTML markup, such as a confirmation message.
+   * @param {*} text - The text to escape.
+   * @returns {string} The escaped text.
+   */
+  const escapeHtml = (text) => String(text ?? "").replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
   /**
    * Build a human-readable summary string and error count from common API response fields.
    * @param {Object} res - The response object.
@@ -83,15 +93,33 @@
   }
 
   /**
-   * Displays a toast notification.
+   * Derives the operation a toast belongs to from its "Label: message" prefix, ignoring the Failed/(Dry Run)/(Selected) variants of the label.
+   * @param {string} message - HTML message content.
+   * @returns {string} The source label, or an empty string for toasts without one.
+   */
+  function toastSource(message) {
+    const text = String(message).replace(/<[^>]*>/g, "");
+    const i = text.indexOf(": ");
+    return i > 0 && i <= 60
+      ? text
+          .slice(0, i)
+          .replace(/(?: Failed| \((?:Dry Run|Selected)\))+$/, "")
+          .trim()
+      : "";
+  }
+
+  /**
+   * Displays a toast notification. Every toast is passed to the notification centre when one is loaded, grouped by the operation it belongs to.
    * @param {string} message - HTML message content.
    * @param {"info"|"success"|"warning"|"error"} [type="info"] - Toast severity.
    * @param {number} [timeout=5000] - Auto-dismiss delay in ms.
+   * @param {{record?: boolean}} [opts] - Set record to false for transient toasts that should not be kept in the notification centre.
    * @returns {HTMLElement|null} The toast element.
    */
-  function showToast(message, type = "info", timeout = 5000) {
+  function showToast(message, type = "info", timeout = 5000, { record = true } = {}) {
     const container = el("toast-container");
     if (!container) return null;
+    if (record) window._sr.recordToast?.({ message, type: type || "info", source: toastSource(message) });
     const t = document.createElement("div");
     t.className = `toast ${type || "info"}`;
     t.tabIndex = 0;
@@ -131,7 +159,8 @@
 
     if (res.ok) {
       const display = summary || res.data?.message || res.data?.Message || (res.data?.status !== "ok" ? res.data?.status : null) || text || "Complete";
-      const toastType = type || (errorCount > 0 ? "error" : "success");
+      const isCancelled = (res.data?.status || res.data?.Status) === "cancelled";
+      const toastType = type || (isCancelled ? "warning" : errorCount > 0 ? "error" : "success");
       const persistence = errorCount > 0 ? 0 : (hideOnSucceed ?? (logUrl ? 0 : TOAST_MS)); // Always persist if there are errors. Otherwise, respect the hideOnSucceed override.
       showToast(`${label}: ${display} ${logLink}`, toastType, persistence);
     } else {
@@ -181,25 +210,534 @@
     }
   }
 
+  /** The last queued settings save. Saves from this tab run one at a time, so each is sent with the version returned by the one before it. */
+  let saveQueue = Promise.resolve();
+
+  /**
+   * Persists the plugin configuration to the server. Configs loaded through unwrapConfig are saved conditionally on the version they were loaded at,
+   * and a rejected save is merged with the newer server settings rather than overwriting them. Invalid settings reported by the server are marked on their fields.
+   * @param {Object} config - The configuration object to save.
+   * @returns {Promise<Object>} The server response.
+   */
+  function saveSettings(config) {
+    const res = saveQueue.then(() => sendSettings(config));
+    saveQueue = res.catch(() => {});
+    return res;
+  }
+
   /**
-   * Persists the plugin configuration to the server.
+   * Sends a settings save right away. Only called from the save queue, or from a merge that already holds its place in it.
    * @param {Object} config - The configuration object to save.
    * @returns {Promise<Object>} The server response.
    */
-  async function saveSettings(config) {
-    const cleanCfg = JSON.parse(JSON.stringify(config));
-    delete cleanCfg.PlexLibrary;
-    delete cleanCfg.PlexAuth;
+  async function sendSettings(config) {
+    const cleanCfg = cleanConfig(config);
+    const version = configVersions.get(config);
     const res = await fetchJson(configUrl, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: { "Content-Type": "application/json", ...(version?.etag && { "If-Match": `"${version.etag}"` }) },
       body: JSON.stringify(cleanCfg),
     });
+    if (res.status === 409 && version) return mergeConfigConflict(config, res.data);
+    if (res.ok && version) configVersions.set(config, { etag: res.data?.etag, base: cleanCfg });
+    if (res.ok) window._sr.refreshRebuildState?.();
+    if (res.status === 400 && res.data?.errors) showConfigErrors(res.data.errors);
     if (!res.ok) toastOperation(res, "Settings Save");
     return res;
   }
   // #endregion
 
+  // #region Config Versions
+  /** Config objects loaded from the server, mapped to the version tag and the values they were loaded with. */
+  const configVersions = new WeakMap();
+
+  /**
+   * Extracts the settings from a config response and remembers the version they were loaded at, so saves can detect changes made elsewhere.
+   * @param {Object} data - The config response body, or the settings themselves.
+   * @returns {Object} The settings.
+   */
+  function unwrapConfig(data) {
+    const config = data?.payload !== undefined ? data.payload || {} : data || {};
+    if (data?.etag) configVersions.set(config, { etag: data.etag, base: cleanConfig(config) });
+    return config;
+  }
+
+  /**
+   * Copies a config without the read-only Plex state the server adds to it.
+   * @param {Object} config - The configuration object.
+   * @returns {Object} The savable copy.
+   */
+  function cleanConfig(config) {
+    const clean = JSON.parse(JSON.stringify(config));
+    delete clean.PlexLibrary;
+    delete clean.PlexAuth;
+    return clean;
+  }
+
+  /**
+   * Flattens a config into serialized values keyed by setting path. Sections are expanded one level, so dictionaries such as path mappings are compared whole.
+   * @param {Object} config - The configuration object.
+   * @returns {Object<string, string>} The serialized values.
+   */
+  function flattenConfig(config) {
+    const out = {};
+    Object.entries(config || {}).forEach(([key, value]) => {
+      if (value && typeof value === "object" && !Array.isArray(value)) Object.entries(value).forEach(([k, v]) => (out[`${key}.${k}`] = JSON.stringify(v)));
+      else out[key] = JSON.stringify(value);
+    });
+    return out;
+  }
+
+  /**
+   * Merges a rejected save into the newer server settings. Settings changed only locally are applied, settings changed only elsewhere are kept,
+   * and the user picks a value for settings changed on both sides. The caller's config is updated in place and saved again.
+   * @param {Object} config - The configuration object that failed to save.
+   * @param {{payload: Object, etag: string}} data - The conflict response with the current server settings.
+   * @returns {Promise<Object>} The response of the merged save.
+   */
+  async function mergeConfigConflict(config, data) {
+    const latest = cleanConfig(data?.payload || {});
+    const local = cleanConfig(config);
+    const [base, mine, theirs] = [configVersions.get(config).base, local, latest].map(flattenConfig);
+    const apply = [];
+    const conflicts = [];
+    let changedElsewhere = false;
+    new Set([...Object.keys(base), ...Object.keys(mine), ...Object.keys(theirs)]).forEach((path) => {
+      const otherChanged = theirs[path] !== base[path];
+      changedElsewhere ||= otherChanged;
+      if (mine[path] === base[path] || mine[path] === theirs[path]) return;
+      (otherChanged ? conflicts : apply).push(path);
+    });
+
+    const keepMine = conflicts.length ? await promptConfigConflicts(conflicts, local, latest) : [];
+    [...apply, ...keepMine].forEach((path) => window._sr.setValueByPath(latest, path, window._sr.getValueByPath(local, path)));
+    Object.assign(config, latest);
+    configVersions.set(config, { etag: data?.etag, base: cleanConfig(data?.payload || {}) });
+    if (changedElsewhere && !conflicts.length) showToast("Settings Save: Merged with changes saved in another tab or window.", "info", TOAST_MS);
+
+    const res = await sendSettings(config);
+    if (res.ok && changedElsewhere) window._sr.loadConfig?.(); // Refresh the settings form with the values changed elsewhere
+    return res;
+  }
+
+  /**
+   * Lazily builds the shared merge prompt so every page that saves settings can show it.
+   * @returns {HTMLElement} The modal overlay.
+   */
+  function conflictModal() {
+    let modal = el("config-conflict-modal");
+    if (modal) return modal;
+    modal = document.createElement("div");
+    modal.id = "config-conflict-modal";
+    modal.className = "modal-overlay";
+    modal.setAttribute("aria-hidden", "true");
+    modal.setAttribute("role", "dialog");
+    modal.setAttribute("aria-modal", "true");
+    modal.innerHTML = `<div class="modal confirmation" role="document">
+        <header>Settings Conflict</header>
+        <div class="modal-body">
+          <small>These settings were changed in another tab or window after this page loaded them. Choose the value to keep for each one; every other change is merged automatically.</small>
+          <table class="conflict-table">
+            <thead><tr><th>Setting</th><th>Yours</th><th>Saved Elsewhere</th></tr></thead>
+            <tbody></tbody>
+          </table>
+        </div>
+        <footer>
+          <button class="danger" data-choice="selected">Save Selected</button>
+          <button class="cancel" data-choice="theirs">Keep All Saved</button>
+        </footer>
+      </div>`;
+    document.body.appendChild(modal);
+    return modal;
+  }
+
+  /**
+   * Asks which value to keep for each setting changed both here and elsewhere. Dismissing the prompt keeps the values saved elsewhere.
+   * @param {string[]} paths - The conflicting setting paths.
+   * @param {Object} local - This page's settings.
+   * @param {Object} latest - The settings saved elsewhere.
+   * @returns {Promise<string[]>} The paths whose local value should be kept.
+   */
+  function promptConfigConflicts(paths, local, latest) {
+    const modal = conflictModal();
+    const format = (v) => (v == null ? "—" : v === "" ? "(empty)" : typeof v === "string" ? v : JSON.stringify(v));
+    modal.querySelector("tbody").replaceChildren(
+      ...paths.map((path, i) => {
+        const tr = document.createElement("tr");
+        const name = document.createElement("td");
+        name.textContent = window._sr.configSchema?.find((p) => p.Path === path)?.Display || path;
+        name.title = path;
+        tr.appendChild(name);
+        [
+          ["mine", local],
+          ["theirs", latest],
+        ].forEach(([choice, source]) => {
+          const td = document.createElement("td");
+          td.innerHTML = `<label><input type="radio" name="conflict-${i}" value="${choice}"${choice === "mine" ? " checked" : ""} /> <span></span></label>`;
+          td.querySelector("span").textContent = format(window._sr.getValueByPath(source, path));
+          tr.appendChild(td);
+        });
+        return tr;
+      }),
+    );
+
+    return new Promise((resolve) => {
+      let done = false;
+      const close = openModal(modal);
+      const finish = (keep) => {
+        if (done) return;
+        done = true;
+        close();
+        document.removeEventListener("keydown", onKey);
+        resolve(keep);
+      };
+      const onKey = (e) => e.key === "Escape" && finish([]);
+      document.addEventListener("keydown", onKey);
+      modal.onclick = (e) => e.target === modal && finish([]);
+      modal.querySelector('[data-choice="theirs"]').onclick = () => finish([]);
+      modal.querySelector('[data-choice="selected"]').onclick = () => finish(paths.filter((_, i) => modal.querySelector(`input[name="conflict-${i}"]:checked`)?.value === "mine"));
+    });
+  }
+  // #endregion
+
+  // #region Config Validation
+  /**
+   * Validation rules for a setting, as reported by the config schema.
+   * @typedef {{Min: ?number, Max: ?number, Integer: boolean, Pattern: ?string, Required: boolean, MaxLength: ?number, JsonSchema: ?Object, Message: ?string}} ConfigConstraints
+   */
+
+  /**
+   * Checks a value against the subset of JSON schema used by the config schema (object and string types, minimum lengths and additional properties).
+   * @param {*} value - The value to check.
+   * @param {Object} schema - The JSON schema.
+   * @param {string} [name="Value"] - How the value is named in the error message.
+   * @returns {string} The error message, or an empty string if the value matches.
+   */
+  function checkJsonSchema(value, schema, name = "Value") {
+    if (schema.type === "string") {
+      if (typeof value !== "string") return `${name} must be text.`;
+      return schema.minLength && value.trim().length < schema.minLength ? `${name} must not be empty.` : "";
+    }
+    if (schema.type !== "object") return "";
+    if (!value || typeof value !== "object" || Array.isArray(value)) return `${name} must be an object.`;
+    for (const [key, v] of Object.entries(value)) {
+      if (schema.propertyNames?.minLength && key.trim().length < schema.propertyNames.minLength) return "Keys must not be empty.";
+      const error = schema.additionalProperties ? checkJsonSchema(v, schema.additionalProperties, `"${key}"`) : "";
+      if (error) return error;
+    }
+    return "";
+  }
+
+  /**
+   * Validates a setting value against the constraints loaded from the config schema, mirroring the checks the server applies when saving.
+   * @param {string} path - The setting's config path.
+   * @param {*} value - The new value.
+   * @returns {string} The error message, or an empty string if the value is valid or the setting has no constraints.
+   */
+  function validateConfigValue(path, value) {
+    /** @type {?ConfigConstraints} */
+    const c = window._sr.configConstraints?.[path];
+    if (!c) return "";
+    const fail = (fallback) => c.Message || fallback;
+    const text = value == null ? "" : String(value);
+    if (c.Required && !text.trim()) return fail("This setting is required.");
+    if (typeof value === "number") {
+      if (!Number.isFinite(value)) return "Enter a number.";
+      if (c.Integer && !Number.isInteger(value)) return fail("Enter a whole number.");
+      if ((c.Min != null && value < c.Min) || (c.Max != null && value > c.Max)) return fail(`Enter a value between ${c.Min ?? "-∞"} and ${c.Max ?? "∞"}.`);
+    }
+    if (c.Pattern && typeof value === "string" && value && !new RegExp(`^(?:${c.Pattern})$`).test(value)) return fail("The value is not in the expected format.");
+    if (c.MaxLength != null && text.length > c.MaxLength) return fail(`Enter at most ${c.MaxLength} characters.`);
+    if (c.JsonSchema) {
+      const error = checkJsonSchema(value, c.JsonSchema);
+      if (error) return c.Message || error;
+    }
+    return "";
+  }
+
+  /**
+   * Shows or clears an inline error below a settings field.
+   * @param {?HTMLElement} input - The field's input element.
+   * @param {string} message - The error message, or an empty string to clear it.
+   * @returns {void}
+   */
+  function setFieldError(input, message) {
+    if (!input) return;
+    const holder = input.closest("[data-config-path]") || input.parentElement;
+    let note = holder.querySelector(":scope > .field-error");
+    input.classList.toggle("invalid", !!message);
+    input.setAttribute("aria-invalid", String(!!message));
+    if (!message) {
+      note?.remove();
+      return;
+    }
+    if (!note) {
+      note = document.createElement("small");
+      note.className = "field-error";
+      note.setAttribute("role", "alert");
+      holder.appendChild(note);
+    }
+    note.textContent = message;
+  }
+
+  /**
+   * Maps per-field errors returned by the server onto the settings inputs bound to those paths.
+   * @param {Object<string, string>} errors - Error messages keyed by setting path.
+   * @returns {void}
+   */
+  function showConfigErrors(errors) {
+    Object.entries(errors || {}).forEach(([path, message]) => {
+      const escaped = CSS.escape(path);
+      const input = document.querySelector(`[data-config-binding="${escaped}"]`) || document.querySelector(`[data-config-path="${escaped}"]`)?.querySelector("input, select, textarea");
+      setFieldError(input, message);
+    });
+  }
+  // #endregion
+
+  // #region Keyboard Shortcuts
+  const SHORTCUTS_PATH = "Dashboard.Shortcuts";
+  const KEY_SYMBOLS = { Space: "␣", ArrowLeft: "←", ArrowRight: "→", ArrowUp: "↑", ArrowDown: "↓", Escape: "Esc" };
+  const UNBIND_KEYS = ["Backspace", "Delete"];
+
+  /**
+   * A command that can be bound to keys.
+   * @typedef {{id: string, label: string, group: string, keys: string[], run: Function, allowInInputs?: boolean}} ShortcutCommand
+   */
+
+  /** @type {{commands: Map<string, ShortcutCommand>, overrides: Object<string, string>, config: ?Object, persist: ?Function, capturing: ?Function, views: Map<HTMLElement, string[]>}} */
+  const shortcuts = { commands: new Map(), overrides: {}, config: null, persist: null, capturing: null, views: new Map() };
+
+  /**
+   * Converts a key event to a binding such as "K", "?", "Space" or "Ctrl+K". Letters are case-insensitive and Shift is only recorded for named keys, since it is already part of printable characters.
+   * @param {KeyboardEvent} e - The key event.
+   * @returns {string} The binding, or an empty string for a lone modifier key.
+   */
+  function eventCombo(e) {
+    if (["Control", "Shift", "Alt", "Meta"].includes(e.key)) return "";
+    const key = e.key === " " ? "Space" : e.key.length === 1 ? e.key.toUpperCase() : e.key;
+    const mods = [e.ctrlKey || e.metaKey ? "Ctrl" : "", e.altKey ? "Alt" : "", e.shiftKey && key.length > 1 ? "Shift" : ""].filter(Boolean);
+    return [...mods, key].join("+");
+  }
+
+  /**
+   * Formats a binding for display, using symbols for arrows and the space bar.
+   * @param {string} combo - The binding.
+   * @returns {string} The display text.
+   */
+  const formatCombo = (combo) =>
+    combo
+      .split(/\+(?=.)/)
+      .map((k) => KEY_SYMBOLS[k] || k)
+      .join("+");
+
+  /**
+   * Returns the keys currently bound to a command, preferring the user's override over the defaults.
+   * @param {string} id - The command id.
+   * @returns {string[]} The bindings.
+   */
+  function shortcutKeys(id) {
+    const override = shortcuts.overrides[id];
+    if (typeof override === "string") return override.split(" ").filter(Boolean);
+    return shortcuts.commands.get(id)?.keys || [];
+  }
+
+  /**
+   * Finds the registered command bound to a key, ignoring one command.
+   * @param {string} combo - The binding.
+   * @param {string} [exceptId] - A command id to skip.
+   * @returns {?ShortcutCommand} The bound command.
+   */
+  const findShortcut = (combo, exceptId) => [...shortcuts.commands.values()].find((c) => c.id !== exceptId && shortcutKeys(c.id).includes(combo)) || null;
+
+  /**
+   * Registers commands with the shortcut registry. Registering an id again replaces the earlier command.
+   * @param {ShortcutCommand[]} commands - The commands to register.
+   * @returns {void}
+   */
+  function registerShortcuts(commands) {
+    commands.forEach((c) => shortcuts.commands.set(c.id, c));
+    refreshShortcutHelp();
+  }
+
+  /**
+   * Loads the user's binding overrides from the configuration and enables rebinding in the help lists.
+   * Pages that do not keep a live configuration omit the persist function, in which case changes are saved onto a freshly fetched copy so other settings are not overwritten.
+   * @param {Object} config - The plugin configuration.
+   * @param {Function} [persist] - Saves the configuration.
+   * @returns {void}
+   */
+  function applyShortcutConfig(config, persist) {
+    shortcuts.config = config;
+    shortcuts.persist = persist || null;
+    shortcuts.overrides = { ...(window._sr.getValueByPath(config, SHORTCUTS_PATH) || {}) };
+    refreshShortcutHelp();
+  }
+
+  /**
+   * Stores the overrides in the configuration and saves it. Bindings that match a command's defaults are not stored.
+   * @returns {Promise<void>}
+   */
+  async function saveShortcuts() {
+    Object.keys(shortcuts.overrides).forEach((id) => {
+      const cmd = shortcuts.commands.get(id);
+      if (cmd && shortcuts.overrides[id] === cmd.keys.join(" ")) delete shortcuts.overrides[id];
+    });
+    refreshShortcutHelp();
+    if (!shortcuts.config) return;
+    window._sr.setValueByPath(shortcuts.config, SHORTCUTS_PATH, { ...shortcuts.overrides });
+    if (shortcuts.persist) {
+      await shortcuts.persist(shortcuts.config);
+      return;
+    }
+    const res = await fetchJson(configUrl);
+    if (!res.ok) {
+      toastOperation(res, "Keyboard Shortcuts");
+      return;
+    }
+    const latest = window._sr.unwrapConfig(getData(res));
+    window._sr.setValueByPath(latest, SHORTCUTS_PATH, { ...shortcuts.overrides });
+    await saveSettings(latest);
+  }
+
+  /**
+   * Restores the default keys of every command in the given groups.
+   * @param {string[]} groups - The command groups to reset.
+   * @returns {Promise<void>}
+   */
+  async function resetShortcuts(groups) {
+    shortcuts.commands.forEach((c) => groups.includes(c.group) && delete shortcuts.overrides[c.id]);
+    await saveShortcuts();
+    showToast("Keyboard Shortcuts: Defaults restored.", "success", TOAST_MS);
+  }
+
+  /**
+   * Waits for the next key press and binds it to a command in place of an existing key. Escape cancels and Backspace or Delete removes the key.
+   * A key already bound to another command is rejected so that bindings never conflict.
+   * @param {string} id - The command id.
+   * @param {string} previous - The binding being replaced, or an empty string to add one.
+   * @param {HTMLElement} kbd - The key element that was clicked.
+   * @returns {void}
+   */
+  function captureShortcut(id, previous, kbd) {
+    shortcuts.capturing?.();
+    kbd.textContent = "…";
+    kbd.classList.add("capturing");
+
+    const stop = () => {
+      document.removeEventListener("keydown", onKey, true);
+      shortcuts.capturing = null;
+      refreshShortcutHelp();
+    };
+    const onKey = (e) => {
+      const combo = eventCombo(e);
+      if (!combo) return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      stop();
+      if (combo === "Escape") return;
+      const keys = shortcutKeys(id).filter((k) => k !== previous);
+      if (!UNBIND_KEYS.includes(combo)) {
+        const owner = findShortcut(combo, id);
+        if (owner) {
+          showToast(`Keyboard Shortcuts: ${formatCombo(combo)} is already bound to "${owner.label}".`, "warning", TOAST_MS);
+          return;
+        }
+        keys.splice(previous ? shortcutKeys(id).indexOf(previous) : keys.length, 0, combo);
+      }
+      shortcuts.overrides[id] = [...new Set(keys)].join(" ");
+      saveShortcuts();
+    };
+    document.addEventListener("keydown", onKey, true);
+    shortcuts.capturing = stop;
+  }
+
+  /**
+   * Builds the help list item for a command, with one key element per binding. Keys are clickable for rebinding once the configuration has loaded.
+   * @param {ShortcutCommand} cmd - The command.
+   * @param {Set<string>} conflicts - Bindings shared by more than one command.
+   * @returns {HTMLLIElement} The list item.
+   */
+  function renderShortcutItem(cmd, conflicts) {
+    const li = document.createElement("li");
+    li.dataset.shortcut = cmd.id;
+    const keys = shortcutKeys(cmd.id);
+    const editable = !!shortcuts.config;
+    [...keys, ...(editable || !keys.length ? [""] : [])].forEach((combo) => {
+      const kbd = document.createElement("kbd");
+      kbd.textContent = combo ? formatCombo(combo) : editable ? "+" : "—";
+      if (conflicts.has(combo)) {
+        kbd.classList.add("conflict");
+        kbd.title = `Also bound to "${findShortcut(combo, cmd.id)?.label}"`;
+      }
+      if (editable) {
+        kbd.classList.add("rebindable");
+        kbd.tabIndex = 0;
+        kbd.title ||= combo ? "Click to Rebind" : "Click to Add a Key";
+        kbd.onclick = () => captureShortcut(cmd.id, combo, kbd);
+        kbd.onkeydown = (e) => e.key === "Enter" && captureShortcut(cmd.id, combo, kbd);
+      }
+      li.appendChild(kbd);
+    });
+    const label = document.createElement("small");
+    label.textContent = cmd.label;
+    li.appendChild(label);
+    return li;
+  }
+
+  /**
+   * Generates the help list for the registered commands in the given groups and keeps it updated as bindings change.
+   * A list container receives the items ahead of any static entries it already has, while any other container is filled with two balanced columns.
+   * @param {HTMLElement} container - The element to render into.
+   * @param {string[]} groups - The command groups to show.
+   * @returns {void}
+   */
+  function renderShortcutHelp(container, groups) {
+    if (!container) return;
+    shortcuts.views.set(container, groups);
+    const commands = [...shortcuts.commands.values()].filter((c) => groups.includes(c.group));
+    const counts = new Map();
+    shortcuts.commands.forEach((c) => shortcutKeys(c.id).forEach((k) => counts.set(k, (counts.get(k) || 0) + 1)));
+    const conflicts = new Set([...counts].filter(([, n]) => n > 1).map(([k]) => k));
+    const items = commands.map((c) => renderShortcutItem(c, conflicts));
+
+    if (container.tagName === "UL") {
+      container.querySelectorAll(":scope > li[data-shortcut]").forEach((li) => li.remove());
+      container.prepend(...items);
+      return;
+    }
+    const half = Math.ceil(items.length / 2);
+    const columns = [items.slice(0, half), items.slice(half)].map((column) => {
+      const ul = document.createElement("ul");
+      ul.className = "help-list";
+      ul.append(...column);
+      return ul;
+    });
+    container.replaceChildren(...columns);
+  }
+
+  /**
+   * Re-renders every generated help list, skipping the refresh while a key is being captured.
+   * @returns {void}
+   */
+  function refreshShortcutHelp() {
+    if (shortcuts.capturing) return;
+    shortcuts.views.forEach((groups, container) => renderShortcutHelp(container, groups));
+  }
+
+  // Single dispatcher for every page; fields keep their keys unless a command opts in (e.g. Ctrl+K)
+  document.addEventListener("keydown", (e) => {
+    if (shortcuts.capturing || e.defaultPrevented || e.isComposing) return;
+    const combo = eventCombo(e);
+    if (!combo) return;
+    const active = document.activeElement;
+    const typing = active && (["INPUT", "TEXTAREA", "SELECT"].includes(active.tagName) || active.isContentEditable);
+    const cmd = findShortcut(combo);
+    if (!cmd || (typing && !cmd.allowInInputs)) return;
+    e.preventDefault();
+    cmd.run(e);
+  });
+  // #endregion
+
   // #region Global Object
   // Populate shared global object IMMEDIATELY so feature scripts can destructure it
   window._sr = Object.assign(window._sr || {}, {
@@ -213,10 +751,17 @@
     openModal,
     updatePlaybackTooltip,
     getData,
+    escapeHtml,
     saveSettings,
     summarizeResult,
+    registerShortcuts,
+    applyShortcutConfig,
+    renderShortcutHelp,
+    resetShortcuts,
+    validateConfigValue,
+    setFieldError,
     actions: {},
-    unwrapConfig: (data) => (data?.payload !== undefined ? data.payload || {} : data || {}),
+    unwrapConfig,
     getValueByPath: (obj, path) => path.split(".").reduce((o, k) => o?.[k], obj),
     setValueByPath: (obj, path, value) => {
       const parts = path.split("."),
@@ -227,11 +772,16 @@
     bindConfig: (target, path, config, persistFn, type = "text") => {
       const e = typeof target === "string" ? el(target) : target;
       if (!e) return;
+      e.dataset.configBinding = path;
       const val = window._sr.getValueByPath(config, path);
       if (type === "check") e.checked = !!val;
       else e.value = val ?? "";
+      setFieldError(e, "");
       e.onchange = async () => {
-        let newVal = type === "check" ? e.checked : type === "number" ? Number(e.value) || 0 : e.value;
+        let newVal = type === "check" ? e.checked : type === "number" ? (e.value.trim() ? Number(e.value) : 0) : e.value;
+        const error = type === "number" && !Number.isFinite(newVal) ? "Enter a number." : validateConfigValue(path, newVal);
+        setFieldError(e, error);
+        if (error) return; // Keep invalid values out of the config until the field is corrected
         window._sr.setValueByPath(config, path, newVal);
         await persistFn(config);
       };
@@ -3,7 +3,53 @@
  * @description Dedicated logic for building and persisting the Provider Settings form on the Shoko Relay dashboard.
  */
 (() => {
-  const { configUrl, el, fetchJson, showToast, getValueByPath, setValueByPath, openModal, bindConfig, unwrapConfig, saveSettings } = window._sr;
+  const {
+    base,
+    configUrl,
+    el,
+    fetchJson,
+    showToast,
+    getValueByPath,
+    setValueByPath,
+    openModal,
+    bindConfig,
+    unwrapConfig,
+    saveSettings,
+    validateConfigValue,
+    setFieldError,
+    renderPathMappings,
+    renderListEditor,
+    registerShortcuts,
+    applyShortcutConfig,
+    renderShortcutHelp,
+    resetShortcuts,
+    initToggle,
+    TOAST_MS,
+  } = window._sr;
+
+  /** How the list settings edited as chips are stored, previewed and suggested. */
+  const LIST_EDITORS = {
+    TagBlacklist: {
+      separator: ",",
+      joiner: ", ",
+      placeholder: "Add a tag",
+      previewUrl: `${configUrl}/tags/preview`,
+      suggestUrl: `${configUrl}/tags`,
+      describe: (m) => `${m.Series} series`,
+      matched: (m) => m.Series > 0,
+    },
+    FolderExclusions: {
+      separator: "\n",
+      joiner: "\n",
+      placeholder: "Add a folder name",
+      previewUrl: `${base}/vfs/exclusions/preview`,
+      describe: (m) => `${m.Folders} folder${m.Folders === 1 ? "" : "s"}, ${m.Files} file${m.Files === 1 ? "" : "s"}`,
+      matched: (m) => m.Files > 0,
+    },
+  };
+
+  /** The loaded settings and schema used by the search, changed filter and resets. */
+  const formState = { config: null, schema: [] };
 
   // #region Config Helpers
   /**
@@ -88,10 +134,14 @@
     if (!el("config-form")) return;
     const [schemaRes, configRes] = await Promise.all([fetchJson(configUrl + "/schema"), fetchJson(configUrl)]);
     if (!schemaRes.ok || !configRes.ok) return showToast("Failed To Load Config", "error", 0);
+    window._sr.refreshRebuildState?.();
 
     const schema = schemaRes.data.properties || [];
+    window._sr.configSchema = schema;
+    window._sr.configConstraints = schemaRes.data.constraints || {};
     const rawCfg = configRes.data || {};
     const config = unwrapConfig(rawCfg);
+    Object.assign(formState, { config, schema });
     const overridesBtn = el("vfs-overrides");
 
     el("config-form").innerHTML = "";
@@ -106,6 +156,7 @@
 
     schema.forEach((p) => {
       const wrap = document.createElement("div");
+      wrap.dataset.configPath = p.Path;
       if (p.Rebuild) wrap.classList.add("vfs-rebuild");
       const label = document.createElement("label");
       const value = getValueByPath(config, p.Path);
@@ -128,8 +179,7 @@
         // Custom save handler to force-reload the dynamic theme stylesheet instantly on dropdown change
         const customSave = async (cfg) => {
           await saveSettings(cfg);
-          const link = document.querySelector('link[href*="theme.css"]');
-          if (link) link.href = `../theme.css?t=${new Date().getTime()}`;
+          reloadTheme();
         };
 
         bindConfig(input, p.Path, config, customSave, "text");
@@ -145,29 +195,15 @@
       } else if (p.Path.endsWith("PathMappings")) {
         label.innerHTML = `<span>${p.Display || p.Path.split(".").pop()}</span>${p.Description ? `<small>${p.Description}</small>` : ""}`;
         wrap.appendChild(label);
-        const mappingContainer = document.createElement("div");
-        mappingContainer.innerHTML = `<div class="full"><div><small>Working Base Paths</small><textarea id="path-mappings-left"></textarea></div><div><small>Shoko Base Paths</small><textarea id="path-mappings-right"></textarea></div></div>`;
-        wrap.appendChild(mappingContainer);
-        const l = mappingContainer.querySelector("#path-mappings-left");
-        const r = mappingContainer.querySelector("#path-mappings-right");
-        const m = value || {};
-        const keys = Object.keys(m).sort();
-        l.value = keys.map((k) => m[k]).join("\n");
-        r.value = keys.join("\n");
-        l.onchange = r.onchange = async () => {
-          const val = {};
-          const lLines = l.value.split("\n");
-          const rLines = r.value.split("\n");
-          lLines.forEach((lv, idx) => {
-            if (lv.trim() && rLines[idx]?.trim()) val[rLines[idx].trim()] = lv.trim();
-          });
-          setValueByPath(config, p.Path, val);
-          await saveSettings(config);
-        };
+        renderPathMappings(wrap, p, config);
+      } else if (p.Path.endsWith("TagBlacklist") || p.Path.endsWith(".FolderExclusions")) {
+        label.innerHTML = `<span>${p.Display || p.Path.split(".").pop()}</span>${p.Description ? `<small>${p.Description}</small>` : ""}`;
+        wrap.appendChild(label);
+        renderListEditor(wrap, p, config, LIST_EDITORS[p.Path.split(".").pop()]);
       } else {
         label.innerHTML = `<span>${p.Display || p.Path.split(".").pop()}</span>${p.Description ? `<small>${p.Description}</small>` : ""}`;
         wrap.appendChild(label);
-        input = document.createElement(p.Type === "enum" ? "select" : p.Type === "json" || p.Path.endsWith("TagBlacklist") || p.Path.endsWith("FolderExclusions") ? "textarea" : "input");
+        input = document.createElement(p.Type === "enum" ? "select" : p.Type === "json" || p.Path.endsWith("ManagedFolderExclusions") ? "textarea" : "input");
         if (p.Type === "enum") {
           (p.EnumValues || []).forEach((ev) => {
             const opt = new Option(ev.name, ev.value);
@@ -182,27 +218,45 @@
         }
         wrap.appendChild(input);
 
-        // Custom validation for ShokoServerUrl
+        // Trim trailing slashes from ShokoServerUrl before validating it
         if (p.Path.endsWith("ShokoServerUrl")) {
           input.value = value ?? "";
+          input.dataset.configBinding = p.Path;
           input.onchange = async () => {
-            const urlRegex = /^https?:\/\/[a-zA-Z0-9.-]+(:\d+)?$/;
             const cleanVal = input.value.trim().replace(/\/+$/, "");
-            if (cleanVal && !urlRegex.test(cleanVal)) {
-              showToast("Invalid Shoko URL. Use http(s)://HOST:PORT", "error", 5000);
-              input.value = getValueByPath(config, p.Path) || "";
-              return;
-            }
+            const error = validateConfigValue(p.Path, cleanVal);
+            setFieldError(input, error);
+            if (error) return;
             input.value = cleanVal;
             setValueByPath(config, p.Path, cleanVal);
             await saveSettings(config);
           };
+        } else if (p.Type === "json") {
+          input.value = JSON.stringify(value ?? {}, null, 2);
+          input.dataset.configBinding = p.Path;
+          input.onchange = async () => {
+            let parsed;
+            try {
+              parsed = JSON.parse(input.value || "{}");
+            } catch (e) {
+              setFieldError(input, `Invalid JSON: ${e.message}`);
+              return;
+            }
+            const error = validateConfigValue(p.Path, parsed);
+            setFieldError(input, error);
+            if (error) return;
+            setValueByPath(config, p.Path, parsed);
+            await saveSettings(config);
+          };
         } else bindConfig(input, p.Path, config, saveSettings, p.Type === "bool" ? "check" : p.Type === "number" ? "number" : "text");
       }
+      if (p.DefaultValue != null) wrap.appendChild(resetButton(p));
       (p.Advanced ? advContent : el("config-form")).appendChild(wrap);
     });
 
-    if (advContent.children.length > 1) {
+    el("config-form").appendChild(sectionReset(false));
+    advContent.insertBefore(sectionReset(true), advContent.children[1] || null); // Directly below the divider
+    if (advContent.children.length > 2) {
       el("config-form").appendChild(advSection);
       advSection.appendChild(advContent);
       initDetailsAnimation(advSection, advContent);
@@ -230,18 +284,182 @@
     b("sync-users", "Automation.ShokoSyncWatchedUserType", "number");
     b("plex-scrobble", "Automation.AutoScrobble", "check");
     window._sr.initAtConfig?.(config, saveSettings);
+    window._sr.initSchedule?.(config, saveSettings);
+    window._sr.initNotifications?.(config, saveSettings);
+    applyShortcutConfig(config, saveSettings);
     window._sr.updateControlStates(config);
+    el("config-form").onchange = markModified;
+    filterSettings();
+  }
+  // #endregion
+
+  // #region Search & Defaults
+  /**
+   * Force-reloads the dynamic theme stylesheet after the selected theme changes.
+   * @returns {void}
+   */
+  function reloadTheme() {
+    const link = document.querySelector('link[href*="theme.css"]');
+    if (link) link.href = `../theme.css?t=${new Date().getTime()}`;
+  }
+
+  /**
+   * Serializes a setting value for comparison, ignoring the key order of dictionaries.
+   * @param {*} value - The setting value.
+   * @returns {string} The comparable text.
+   */
+  const comparable = (value) => (value && typeof value === "object" ? JSON.stringify(Object.entries(value).sort()) : String(value ?? ""));
+
+  /**
+   * Returns whether a setting differs from its default value. Settings without a known default are never treated as changed.
+   * @param {Object} p - The setting's schema entry.
+   * @returns {boolean} True if the setting has been changed.
+   */
+  const isModified = (p) => p.DefaultValue != null && comparable(getValueByPath(formState.config, p.Path)) !== comparable(p.DefaultValue);
+
+  /**
+   * Formats a setting's default value for the reset button tooltip.
+   * @param {Object} p - The setting's schema entry.
+   * @returns {string} The display text.
+   */
+  function formatDefault(p) {
+    if (p.Type === "enum") return p.EnumValues?.find((ev) => String(ev.value) === String(p.DefaultValue))?.name ?? String(p.DefaultValue);
+    if (p.Type === "bool") return p.DefaultValue ? "On" : "Off";
+    if (p.Type === "json") return Object.keys(p.DefaultValue).length ? JSON.stringify(p.DefaultValue) : "None";
+    return p.DefaultValue === "" ? "Empty" : String(p.DefaultValue);
+  }
+
+  /**
+   * Builds the button that resets a single setting to its default.
+   * @param {Object} p - The setting's schema entry.
+   * @returns {HTMLButtonElement} The reset button.
+   */
+  function resetButton(p) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "img-btn config-reset";
+    btn.title = `Reset to Default (${formatDefault(p)})`;
+    btn.setAttribute("aria-label", `Reset ${p.Display || p.Path} to Default`);
+    btn.innerHTML = '<svg class="icon-svg"><use href="img/icons.svg#refresh"></use></svg>';
+    btn.onclick = () => resetSettings([p], p.Display || p.Path);
+    return btn;
+  }
+
+  /**
+   * Returns the schema entries of a form section.
+   * @param {boolean} advanced - True for Advanced Settings, false for the main Provider Settings.
+   * @returns {Object[]} The section's schema entries.
+   */
+  const sectionProps = (advanced) => formState.schema.filter((p) => !!p.Advanced === advanced);
+
+  /**
+   * Builds the button that resets every changed setting of a form section to its default.
+   * @param {boolean} advanced - True for Advanced Settings, false for the main Provider Settings.
+   * @returns {HTMLDivElement} The button's container.
+   */
+  function sectionReset(advanced) {
+    const label = advanced ? "Advanced Settings" : "Provider Settings";
+    const wrap = document.createElement("div");
+    wrap.className = "config-section-reset";
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "cancel";
+    btn.dataset.advanced = String(advanced);
+    btn.textContent = `Reset ${label}`;
+    btn.onclick = () => resetSettings(sectionProps(advanced), label);
+    wrap.appendChild(btn);
+    return wrap;
+  }
+
+  /**
+   * Resets settings to their defaults and reloads the form. Resetting more than one setting asks for confirmation first.
+   * @param {Object[]} props - The schema entries to reset; those already at their default are skipped.
+   * @param {string} label - How the settings are named in the confirmation and toast.
+   * @returns {Promise<void>}
+   */
+  async function resetSettings(props, label) {
+    const changed = props.filter(isModified);
+    if (!changed.length) return;
+    const apply = async () => {
+      changed.forEach((p) => setValueByPath(formState.config, p.Path, structuredClone(p.DefaultValue)));
+      const res = await saveSettings(formState.config);
+      if (res.ok) {
+        const rebuild = changed.some((p) => p.Rebuild) ? " Rebuild the VFS to apply the settings marked ⟳." : "";
+        showToast(`Settings Reset: ${label} reset to default.${rebuild}`, rebuild ? "warning" : "success", TOAST_MS);
+        if (changed.some((p) => p.Path.endsWith("SelectedTheme"))) reloadTheme();
+      }
+      await loadConfig();
+    };
+    if (changed.length === 1) return apply();
+    const names = changed.map((p) => p.Display || p.Path).join(", ");
+    window._sr.confirmAction(`Reset ${changed.length} ${label} to their defaults?<br /><br /><strong>${names}</strong>`, "Reset", apply);
+  }
+
+  /**
+   * Marks the settings that differ from their defaults and enables the section reset buttons that have something to reset.
+   * @returns {void}
+   */
+  function markModified() {
+    const form = el("config-form");
+    formState.schema.forEach((p) => form.querySelector(`[data-config-path="${CSS.escape(p.Path)}"]`)?.classList.toggle("modified", isModified(p)));
+    form.querySelectorAll(".config-section-reset button").forEach((btn) => (btn.disabled = !sectionProps(btn.dataset.advanced === "true").some(isModified)));
+  }
+
+  /**
+   * Shows only the settings matching every search term (by display name, path or description) and, when enabled, only those changed from their defaults.
+   * Advanced Settings are expanded while a filter matches something inside them and hidden while nothing inside matches.
+   * @returns {void}
+   */
+  function filterSettings() {
+    const form = el("config-form");
+    if (!form || !formState.config) return;
+    markModified();
+    const terms = (el("config-search")?.value || "").trim().toLowerCase().split(/\s+/).filter(Boolean);
+    const changedOnly = el("config-modified-only")?.getAttribute("aria-pressed") === "true";
+    const filtering = terms.length > 0 || changedOnly;
+    let matches = 0;
+    let advancedMatches = 0;
+    formState.schema.forEach((p) => {
+      const wrap = form.querySelector(`[data-config-path="${CSS.escape(p.Path)}"]`);
+      if (!wrap) return;
+      const text = [p.Display, p.Path, p.Description].filter(Boolean).join(" ").toLowerCase();
+      wrap.hidden = !(terms.every((t) => text.includes(t)) && (!changedOnly || isModified(p)));
+      if (wrap.hidden) return;
+      matches++;
+      if (p.Advanced) advancedMatches++;
+    });
+    const advanced = form.querySelector(":scope > details");
+    if (advanced) {
+      advanced.hidden = filtering && !advancedMatches;
+      if (filtering && advancedMatches) advanced.open = true;
+    }
+    el("config-search-empty").hidden = matches > 0;
   }
   // #endregion
 
   // #region Initialization
   // Help Modal Logic
   const helpBtn = el("settings-help-open");
-  if (helpBtn)
+  if (helpBtn) {
+    let closeHelp = null;
     helpBtn.onclick = () => {
       const modal = el("settings-help-modal");
-      openModal(modal);
+      closeHelp = openModal(modal);
     };
+    el("setup-open").onclick = () => {
+      closeHelp?.();
+      window._sr.openSetupWizard?.();
+    };
+    registerShortcuts([{ id: "dashboard.help", label: "Settings Help", group: "Dashboard", keys: ["?"], run: () => !el("settings-help-modal").classList.contains("open") && helpBtn.click() }]);
+    renderShortcutHelp(el("dashboard-shortcuts"), ["Dashboard"]);
+    el("dashboard-shortcuts-reset").onclick = () => resetShortcuts(["Dashboard"]);
+  }
+
+  const searchInput = el("config-search");
+  if (searchInput) {
+    searchInput.oninput = filterSettings;
+    initToggle("config-modified-only", false)?.addEventListener("click", filterSettings);
+  }
 
   loadConfig();
 
@@ -249,4 +467,8 @@
   const logsContent = logsDetails?.querySelector(".details-content");
   if (logsDetails && logsContent) initDetailsAnimation(logsDetails, logsContent);
   // #endregion
+
+  // #region Global Exports
+  Object.assign(window._sr, { loadConfig });
+  // #endregion
 })();
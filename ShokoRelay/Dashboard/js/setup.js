@@ -0,0 +1,346 @@
+/**
+ * @file setup.js
+ * @description First-run setup wizard that walks a new install through the Shoko server URL, path mappings, Plex sign in, library discovery and the first VFS build, checking each step with the server.
+ */
+(() => {
+  const { base, configUrl, el, fetchJson, getData, openModal, unwrapConfig, setValueByPath, saveSettings, validateConfigValue, setFieldError, renderPathMappings, showToast, toastOperation, TOAST_MS } =
+    window._sr;
+
+  /** How often the Plex sign in is checked while waiting for the user to finish it. */
+  const PLEX_POLL_MS = 2000;
+
+  const modal = el("setup-modal");
+  const steps = modal ? [...modal.querySelectorAll(".setup-step")] : [];
+  const progress = el("setup-progress");
+  const status = el("setup-status");
+  const backBtn = el("setup-back");
+  const nextBtn = el("setup-next");
+  const shokoInput = el("setup-shoko-url");
+
+  /**
+   * How far the install is configured, as reported by the server.
+   * @typedef {{Required: boolean, CompletedAt: ?string, ShokoServerUrl: string, EffectiveServerUrl: string, HasToken: boolean, Libraries: {Title: string, Type: string, ServerName: string}[]}} SetupStatus
+   */
+
+  /** @type {{step: number, config: ?Object, setup: ?SetupStatus, close: ?Function, pollTimer: ?number, noLibrariesConfirmed: boolean, built: boolean}} */
+  const state = { step: 0, config: null, setup: null, close: null, pollTimer: null, noLibrariesConfirmed: false, built: false };
+
+  // #region Helpers
+  /**
+   * Shows a message below the current step.
+   * @param {string} text - The message, or an empty string to clear it.
+   * @param {string} [type] - "ok" or "error" to colour the message.
+   * @returns {void}
+   */
+  function setStatus(text, type = "") {
+    status.textContent = text;
+    status.className = `setup-status${type ? ` ${type}` : ""}`;
+  }
+
+  /**
+   * Reloads the setup state from the server.
+   * @returns {Promise<?SetupStatus>} The state, or null if the request failed.
+   */
+  async function refreshSetup() {
+    const res = await fetchJson(`${configUrl}/setup`);
+    if (!res.ok) return null;
+    return (state.setup = getData(res));
+  }
+
+  /**
+   * Stops waiting for the Plex sign in.
+   * @returns {void}
+   */
+  function stopPlexPolling() {
+    clearInterval(state.pollTimer);
+    state.pollTimer = null;
+  }
+  // #endregion
+
+  // #region Shoko Server URL
+  /**
+   * Asks the server to reach Shoko Relay through the entered URL, or the detected one when it is empty.
+   * @returns {Promise<boolean>} True if Shoko Relay answered.
+   */
+  async function testShokoUrl() {
+    const url = shokoInput.value.trim().replace(/\/+$/, "");
+    const error = validateConfigValue("Advanced.ShokoServerUrl", url);
+    setFieldError(shokoInput, error);
+    if (error) return false;
+    setStatus(`Checking ${url || state.setup.EffectiveServerUrl}...`);
+    const res = await fetchJson(`${configUrl}/setup/shoko-url?url=${encodeURIComponent(url)}`);
+    const data = getData(res);
+    if (!res.ok || !data?.Reachable) {
+      setStatus(`${data?.Url || url}: ${data?.Message || res.data?.Message || "The URL could not be checked."}`, "error");
+      return false;
+    }
+    setStatus(`${data.Url}: ${data.Message}`, "ok");
+    return true;
+  }
+
+  /**
+   * Saves the Shoko Server URL once Shoko Relay answers at it.
+   * @returns {Promise<boolean>} True if the step is complete.
+   */
+  async function completeShoko() {
+    if (!(await testShokoUrl())) return false;
+    const url = shokoInput.value.trim().replace(/\/+$/, "");
+    if (url === (state.config.Advanced?.ShokoServerUrl || "")) return true;
+    setValueByPath(state.config, "Advanced.ShokoServerUrl", url);
+    return (await saveSettings(state.config)).ok;
+  }
+  // #endregion
+
+  // #region Path Mappings
+  /**
+   * Saves the path mappings and checks that the server accepted them. Saves run in order, so this also waits for any autosave still in flight.
+   * @returns {Promise<boolean>} True if the mappings are valid and stored.
+   */
+  async function completePathMappings() {
+    if (el("setup-path-mappings").querySelector(".field-error")) return false;
+    if ((await saveSettings(state.config)).ok) return true;
+    setStatus("The path mappings could not be saved. Fix the marked fields and try again.", "error");
+    return false;
+  }
+  // #endregion
+
+  // #region Plex
+  /**
+   * Starts the Plex PIN sign in and waits for it to be completed in the opened Plex tab.
+   * @returns {Promise<void>}
+   */
+  async function linkPlex() {
+    const res = await fetchJson(`${base}/plex/auth`);
+    const d = getData(res);
+    if (!res.ok || !d?.pinId || !d?.authUrl) return toastOperation(res, "Plex Auth");
+
+    const login = el("setup-plex-login");
+    login.href = d.authUrl;
+    login.hidden = false;
+    setStatus(`Sign in to Plex in the opened tab (code ${d.code}). This step continues once it is done.`);
+    window.open(d.authUrl, "_blank", "noopener,noreferrer");
+
+    stopPlexPolling();
+    state.pollTimer = setInterval(async () => {
+      if (!modal.classList.contains("open")) return stopPlexPolling();
+      const sRes = await fetchJson(`${base}/plex/auth/status?pinId=${encodeURIComponent(d.pinId)}`);
+      if (sRes.data?.Status === "expired") {
+        stopPlexPolling();
+        login.hidden = true;
+        return setStatus("The Plex PIN expired before the sign in was finished. Use Link Plex Account to try again.", "error");
+      }
+      if (!sRes.ok || !getData(sRes)?.tokenSaved) return;
+      stopPlexPolling();
+      login.hidden = true;
+      window._sr.refreshPlexState?.();
+      await refreshSetup();
+      showStep(state.step);
+    }, PLEX_POLL_MS);
+  }
+
+  /**
+   * Checks that a Plex token has been saved.
+   * @returns {Promise<boolean>} True if Plex is linked.
+   */
+  async function completePlex() {
+    if ((await refreshSetup())?.HasToken) return true;
+    setStatus("Link a Plex account to continue, or skip the setup to use Shoko Relay without Plex.", "error");
+    return false;
+  }
+
+  /**
+   * Lists the discovered Plex libraries.
+   * @returns {void}
+   */
+  function renderLibraries() {
+    const libraries = state.setup?.Libraries || [];
+    state.noLibrariesConfirmed = false;
+    el("setup-libraries").replaceChildren(
+      ...libraries.map((l) => {
+        const li = document.createElement("li");
+        const code = document.createElement("code");
+        code.textContent = l.Type || "show";
+        const small = document.createElement("small");
+        small.textContent = `${l.Title} (${l.ServerName})`;
+        li.append(code, small);
+        return li;
+      }),
+    );
+    if (libraries.length) setStatus(`Found ${libraries.length} librar${libraries.length === 1 ? "y" : "ies"} using the Shoko Relay agent.`, "ok");
+    else setStatus("No Plex libraries use the Shoko Relay agent yet. Create one in Plex, then discover it here.", "error");
+  }
+
+  /**
+   * Checks that a library was discovered. Continuing without one needs a second click, as nothing is synced with Plex until a library is found.
+   * @returns {Promise<boolean>} True if a library was found or continuing without one was confirmed.
+   */
+  async function completeLibraries() {
+    if (state.setup?.Libraries?.length || state.noLibrariesConfirmed) return true;
+    state.noLibrariesConfirmed = true;
+    setStatus("No library was found, so nothing will be synced with Plex. Click Next again to continue anyway and discover them later from the Plex section.", "error");
+    return false;
+  }
+
+  /**
+   * Rediscovers the Plex servers and libraries through the dashboard's discovery task, then lists the libraries found.
+   * @returns {Promise<void>}
+   */
+  async function discoverLibraries() {
+    const btn = el(window._sr.tasks.plexAuthRefresh);
+    setStatus("Discovering Plex libraries...");
+    if (btn) await window._sr.runAction(btn, (b) => window._sr.callEndpoint(b));
+    else await fetchJson(`${base}/plex/auth/refresh`, { method: "POST" });
+    await refreshSetup();
+    renderLibraries();
+  }
+  // #endregion
+
+  // #region Finish
+  /**
+   * Runs the first full VFS build, asks Plex to scan the discovered libraries and records the setup as complete.
+   * A retry after the setup failed to be recorded skips the build that already succeeded.
+   * @returns {Promise<boolean>} True if the build succeeded and the setup was recorded.
+   */
+  async function finish() {
+    if (!state.built) {
+      const btn = el(window._sr.tasks.vfsBuild);
+      let build = null;
+      setStatus("Generating the VFS...");
+      await window._sr.runAction(btn, async (b) => (build = await window._sr.callEndpoint(b, { params: "filter=&clean=true" })));
+      if (!build) {
+        setStatus("A VFS build is already running. Finish the setup once it completes.", "error");
+        return false;
+      }
+      if (!build.ok) {
+        setStatus("The VFS build failed. Check its notification and log, then try again.", "error");
+        return false;
+      }
+      state.built = true;
+
+      if (state.setup?.Libraries?.length) {
+        const scan = await fetchJson(`${base}/plex/library/scan`);
+        toastOperation(scan, "Plex Library Scan");
+      }
+    }
+
+    const res = await fetchJson(`${configUrl}/setup/complete`, { method: "POST" });
+    if (!res.ok) {
+      setStatus("The VFS was generated, but the setup could not be recorded as complete. Click Finish to try again.", "error");
+      return false;
+    }
+    showToast("Setup Wizard: Setup complete.", "success", TOAST_MS);
+    return true;
+  }
+  // #endregion
+
+  // #region Navigation
+  /** Per-step handlers: `enter` prepares the step when it is shown, `next` checks it before moving on. */
+  const STEP_HANDLERS = [
+    {
+      enter: () => {
+        shokoInput.value = state.config.Advanced?.ShokoServerUrl || "";
+        shokoInput.placeholder = `Detected: ${state.setup.EffectiveServerUrl}`;
+      },
+      next: completeShoko,
+    },
+    {
+      enter: () => {
+        const wrap = el("setup-path-mappings");
+        wrap.replaceChildren();
+        renderPathMappings(wrap, { Path: "Advanced.PathMappings" }, state.config);
+      },
+      next: completePathMappings,
+    },
+    {
+      enter: () => {
+        el("setup-plex-link").textContent = state.setup.HasToken ? "Link a Different Account" : "Link Plex Account";
+        if (state.setup.HasToken) setStatus("Plex is linked.", "ok");
+      },
+      next: completePlex,
+    },
+    { enter: renderLibraries, next: completeLibraries },
+    { enter: () => {}, next: finish },
+  ];
+
+  /**
+   * Shows a step and updates the progress list and buttons.
+   * @param {number} index - The step index.
+   * @returns {void}
+   */
+  function showStep(index) {
+    state.step = index;
+    setStatus("");
+    steps.forEach((s, i) => (s.hidden = i !== index));
+    [...progress.children].forEach((li, i) => {
+      li.classList.toggle("done", i < index);
+      li.classList.toggle("current", i === index);
+      li.toggleAttribute("aria-current", i === index);
+    });
+    backBtn.disabled = index === 0;
+    nextBtn.textContent = index === steps.length - 1 ? "Finish" : "Next";
+    STEP_HANDLERS[index].enter();
+  }
+
+  /**
+   * Checks the current step with the server and moves on, closing the wizard after the last step.
+   * @returns {Promise<void>}
+   */
+  async function next() {
+    nextBtn.disabled = backBtn.disabled = true;
+    try {
+      if (!(await STEP_HANDLERS[state.step].next())) return;
+      if (state.step < steps.length - 1) return showStep(state.step + 1);
+      close();
+    } finally {
+      nextBtn.disabled = false;
+      backBtn.disabled = state.step === 0;
+    }
+  }
+
+  /**
+   * Closes the wizard and reloads the settings form with anything it saved.
+   * @returns {void}
+   */
+  function close() {
+    stopPlexPolling();
+    state.close?.();
+    window._sr.loadConfig?.();
+  }
+
+  /**
+   * Opens the wizard at its first step with the current settings.
+   * @returns {Promise<void>}
+   */
+  async function openSetupWizard() {
+    if (!modal) return;
+    const [configRes, setup] = await Promise.all([fetchJson(configUrl), refreshSetup()]);
+    if (!configRes.ok || !setup) return showToast("Setup Wizard: Failed to load the current settings.", "error", TOAST_MS);
+    state.config = unwrapConfig(configRes.data);
+    state.built = false;
+    state.close = openModal(modal);
+    showStep(0);
+  }
+  // #endregion
+
+  // #region Event Wiring
+  if (modal) {
+    backBtn.onclick = () => state.step > 0 && showStep(state.step - 1);
+    nextBtn.onclick = next;
+    el("setup-shoko-test").onclick = testShokoUrl;
+    shokoInput.onkeydown = (e) => e.key === "Enter" && (e.preventDefault(), testShokoUrl());
+    el("setup-plex-link").onclick = linkPlex;
+    el("setup-discover").onclick = discoverLibraries;
+    el("setup-skip").onclick = async () => {
+      const res = await fetchJson(`${configUrl}/setup/complete?skipped=true`, { method: "POST" });
+      if (!res.ok) return setStatus("The setup could not be skipped, so the wizard would open again. Try again, or check the Shoko Server log.", "error");
+      close();
+    };
+    // Open by itself on a new install
+    refreshSetup().then((setup) => setup?.Required && openSetupWizard());
+  }
+  // #endregion
+
+  // #region Global Exports
+  Object.assign(window._sr, { openSetupWizard });
+  // #endregion
+})();
@@ -93,6 +93,42 @@
   }
   // #endregion
 
+  // #region Shoko: Pending Rebuild
+  const rebuildBanner = el("rebuild-banner");
+
+  /**
+   * Shows the settings that need a VFS rebuild since the last full clean build, or hides the banner when there are none.
+   * @returns {Promise<void>}
+   */
+  async function refreshRebuildState() {
+    if (!rebuildBanner) return;
+    const res = await fetchJson(`${configUrl}/rebuild`);
+    if (!res.ok) return;
+    const { BuiltAt, Changes = [] } = getData(res) || {};
+    rebuildBanner.hidden = !Changes.length;
+    if (!Changes.length) return;
+
+    const text = el("rebuild-banner-text");
+    text.textContent = `Changed since the last full build (${new Date(BuiltAt).toLocaleString()}): `;
+    Changes.forEach((c, i) => {
+      const name = document.createElement("span");
+      name.textContent = c.Display;
+      name.title = `${c.From ?? "—"} → ${c.To ?? "—"}`;
+      text.append(i ? ", " : "", name);
+    });
+  }
+
+  // Run a full clean build through the Generate button so it shows the task state, whatever its filter and clean toggle are set to.
+  if (rebuildBanner) {
+    el("rebuild-banner-run").onclick = () => {
+      const btn = el(window._sr.tasks.vfsBuild);
+      if (btn) window._sr.runAction(btn, (b) => window._sr.callEndpoint(b, { params: "filter=&clean=true" }));
+    };
+  }
+
+  window._sr.refreshRebuildState = refreshRebuildState;
+  // #endregion
+
   // #region Shoko: Automation
   const syncUsersSelect = el("sync-users");
 
@@ -151,7 +187,7 @@
       const performSync = async (isDryRun) => {
         const targetBtn = isDryRun ? dryBtn : startBtn;
         setButtonLoading(targetBtn, true);
-        const startToast = showToast(`Sync: Plex ${dirImport ? "←" : "→"} Shoko${isDryRun ? " (Dry Run)" : ""}...`, "info", 0);
+        const startToast = showToast(`Sync: Plex ${dirImport ? "←" : "→"} Shoko${isDryRun ? " (Dry Run)" : ""}...`, "info", 0, { record: false });
 
         const ps = new URLSearchParams({
           dryRun: isDryRun,
@@ -167,11 +203,9 @@
         if (libName) ps.set("libraryName", libName);
         if (dirImport) ps.set("import", "true");
 
-        const res = await fetchJson(`${base}/sync-watched?${ps}`);
+        const res = await window._sr.trackTaskRequest(window._sr.tasks.shokoSyncWatched, () => fetchJson(`${base}/sync-watched?${ps}`));
         startToast?.remove();
         setButtonLoading(targetBtn, false);
-
-        await fetch(`${base}/tasks/clear/shoko-sync-watched`, { method: "POST" }); // Clear the task immediately on the server to prevent the background poller from firing a duplicate toast
         if (res.ok) {
           const d = getData(res);
 
@@ -179,6 +213,11 @@
           const summary = (summarizeResult(res).text || `processed ${d.Processed ?? 0}`) + (d.VotesFound ? `, votes: ${d.VotesFound}` : "");
 
           toastOperation(res, "Sync", { summary, hideOnSucceed: 0 });
+          if (isDryRun) {
+            ps.delete("dryRun");
+            close();
+            window._sr.showDryRunPreview?.("sync-watched", res, ps);
+          }
         } else {
           toastOperation(res, "Sync", { hideOnSucceed: 0 });
         }
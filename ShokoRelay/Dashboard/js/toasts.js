@@ -0,0 +1,235 @@
+/**
+ * @file toasts.js
+ * @description Notification centre drawer that keeps a persistent history of toasts, grouping repeats from the same task.
+ */
+(() => {
+  const { el, registerShortcuts } = window._sr;
+
+  const STORAGE_KEY = "notification-centre";
+  const MAX_ENTRIES = 200;
+  const MAX_HISTORY = 20;
+  const SEVERITIES = ["info", "success", "warning", "error"];
+
+  const drawer = el("notify-centre");
+  const list = el("notify-centre-list");
+  const badge = el("notify-centre-badge");
+  const severityFilter = el("notify-centre-severity");
+  const sourceFilter = el("notify-centre-source");
+
+  /**
+   * A recorded toast group. Toasts from the same source are merged into one entry that keeps the latest message and the earlier ones.
+   * Until the entry is read its severity is the worst of the merged toasts, so a failure stays visible behind a later success.
+   * @typedef {{id: string, source: string, type: string, text: string, logUrl: ?string, time: number, count: number, read: boolean, history: {type: string, text: string, time: number}[]}} CentreEntry
+   */
+
+  /** @type {CentreEntry[]} */
+  let entries = load();
+
+  // #region Persistence
+  /**
+   * Reads the stored entries, discarding anything unreadable.
+   * @returns {CentreEntry[]} The stored entries, newest first.
+   */
+  function load() {
+    try {
+      const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+      return Array.isArray(data) ? data : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Stores the entries and refreshes the drawer and badge.
+   * @returns {void}
+   */
+  function save() {
+    entries = entries.slice(0, MAX_ENTRIES);
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    } catch {}
+    render();
+  }
+  // #endregion
+
+  // #region Recording
+  /**
+   * Returns the more severe of two toast types.
+   * @param {string} a - The first type.
+   * @param {string} b - The second type.
+   * @returns {string} The type further along SEVERITIES.
+   */
+  function worstSeverity(a, b) {
+    return SEVERITIES.indexOf(a) >= SEVERITIES.indexOf(b) ? a : b;
+  }
+
+  /**
+   * Records a toast, merging it into the entry from the same source.
+   * @param {{message: string, type: string, source: string}} toast - The toast that was shown.
+   * @returns {void}
+   */
+  function recordToast({ message, type, source }) {
+    const html = document.createElement("div");
+    html.innerHTML = message;
+    const logUrl = html.querySelector("a.log-link")?.getAttribute("href") || null;
+    html.querySelectorAll("a.log-link").forEach((a) => a.remove());
+    const text = html.textContent.replace(/\[\s*\]/g, "").trim();
+    const now = Date.now();
+
+    const existing = source ? entries.find((e) => e.source === source) : null;
+    if (existing) {
+      existing.history = [{ type: existing.type, text: existing.text, time: existing.time }, ...existing.history].slice(0, MAX_HISTORY);
+      Object.assign(existing, { type: existing.read ? type : worstSeverity(existing.type, type), text, logUrl: logUrl || existing.logUrl, time: now, count: existing.count + 1, read: false });
+      entries = [existing, ...entries.filter((e) => e !== existing)];
+    } else entries.unshift({ id: `${now}-${Math.random().toString(36).slice(2, 8)}`, source, type, text, logUrl, time: now, count: 1, read: false, history: [] });
+    save();
+  }
+  // #endregion
+
+  // #region Rendering
+  /**
+   * Returns the entries matching the current severity and source filters.
+   * @returns {CentreEntry[]} The visible entries.
+   */
+  function filtered() {
+    return entries.filter((e) => (!severityFilter.value || e.type === severityFilter.value) && (!sourceFilter.value || e.source === sourceFilter.value));
+  }
+
+  /**
+   * Rebuilds the source filter options, keeping the current selection while it still has entries.
+   * @returns {void}
+   */
+  function renderSourceFilter() {
+    const sources = [...new Set(entries.map((e) => e.source).filter(Boolean))].sort();
+    const current = sourceFilter.value;
+    sourceFilter.replaceChildren(new Option("All Tasks", ""), ...sources.map((s) => new Option(s, s)));
+    sourceFilter.value = sources.includes(current) ? current : "";
+  }
+
+  /**
+   * Builds the list item for an entry, with its earlier messages in a collapsible list.
+   * @param {CentreEntry} entry - The entry to render.
+   * @returns {HTMLLIElement} The list item.
+   */
+  function renderEntry(entry) {
+    const li = document.createElement("li");
+    li.className = `notify-entry ${entry.type}${entry.read ? "" : " unread"}`;
+
+    const head = document.createElement("div");
+    head.className = "notify-entry-head";
+    const time = document.createElement("small");
+    time.textContent = new Date(entry.time).toLocaleString();
+    head.appendChild(time);
+    if (entry.count > 1) {
+      const count = document.createElement("small");
+      count.className = "notify-entry-count";
+      count.textContent = `×${entry.count}`;
+      head.appendChild(count);
+    }
+    if (entry.logUrl) {
+      const link = document.createElement("a");
+      link.href = entry.logUrl;
+      link.target = "_blank";
+      link.rel = "noopener noreferrer";
+      link.className = "log-link";
+      link.textContent = "view log";
+      head.appendChild(link);
+    }
+    if (!entry.read) {
+      const read = document.createElement("button");
+      read.type = "button";
+      read.className = "img-btn notify-entry-read";
+      read.title = "Mark as Read";
+      read.setAttribute("aria-label", "Mark as Read");
+      read.innerHTML = '<svg class="icon-svg"><use href="img/icons.svg#checkbox-marked-circle-outline"></use></svg>';
+      read.onclick = () => {
+        entry.read = true;
+        save();
+      };
+      head.appendChild(read);
+    }
+
+    const text = document.createElement("div");
+    text.className = "notify-entry-text";
+    text.textContent = entry.text;
+    li.append(head, text);
+
+    if (entry.history.length) {
+      const earlier = document.createElement("details");
+      earlier.innerHTML = `<summary><small>${entry.history.length} earlier</small></summary>`;
+      const ul = document.createElement("ul");
+      entry.history.forEach((h) => {
+        const item = document.createElement("li");
+        item.className = `notify-history ${h.type}`;
+        item.textContent = `${new Date(h.time).toLocaleTimeString()} · ${h.text}`;
+        ul.appendChild(item);
+      });
+      earlier.appendChild(ul);
+      li.appendChild(earlier);
+    }
+    return li;
+  }
+
+  /**
+   * Renders the filtered entries and updates the unread badge.
+   * @returns {void}
+   */
+  function render() {
+    const unread = entries.filter((e) => !e.read).length;
+    if (badge) {
+      badge.textContent = unread > 99 ? "99+" : String(unread);
+      badge.hidden = unread === 0;
+    }
+    if (!drawer) return;
+    renderSourceFilter();
+    const visible = filtered();
+    list.replaceChildren(...visible.map(renderEntry));
+    if (!visible.length) list.innerHTML = `<li class="placeholder">${entries.length ? "No notifications match the filters." : "No notifications yet."}</li>`;
+  }
+  // #endregion
+
+  // #region Drawer
+  /**
+   * Opens or closes the drawer.
+   * @param {boolean} open - Whether the drawer should be open.
+   * @returns {void}
+   */
+  function setOpen(open) {
+    drawer.classList.toggle("open", open);
+    drawer.setAttribute("aria-hidden", String(!open));
+    el("notify-centre-toggle").setAttribute("aria-expanded", String(open));
+    if (open) render();
+  }
+  // #endregion
+
+  // #region Event Wiring
+  if (drawer) {
+    severityFilter.replaceChildren(new Option("All Severities", ""), ...SEVERITIES.map((s) => new Option(s[0].toUpperCase() + s.slice(1), s)));
+    el("notify-centre-toggle").onclick = () => setOpen(!drawer.classList.contains("open"));
+    registerShortcuts([{ id: "dashboard.notificationCentre", label: "Notification Centre", group: "Dashboard", keys: ["N"], run: () => setOpen(!drawer.classList.contains("open")) }]);
+    el("notify-centre-close").onclick = () => setOpen(false);
+    severityFilter.onchange = sourceFilter.onchange = render;
+    el("notify-centre-read").onclick = () => {
+      filtered().forEach((e) => (e.read = true));
+      save();
+    };
+    el("notify-centre-clear").onclick = () => {
+      const hidden = new Set(filtered());
+      entries = entries.filter((e) => !hidden.has(e));
+      save();
+    };
+    document.addEventListener("keydown", (e) => e.key === "Escape" && drawer.classList.contains("open") && setOpen(false));
+    // Keep tabs in sync when another dashboard tab records a toast
+    window.addEventListener("storage", (e) => {
+      if (e.key !== STORAGE_KEY) return;
+      entries = load();
+      render();
+    });
+  }
+  render();
+  // #endregion
+
+  // #region Global Exports
+  Object.assign(window._sr, { recordToast });
+  // #endregion
+})();
@@ -0,0 +1,232 @@
+/**
+ * @file transfer.js
+ * @description Settings export and import modal that previews an imported file field by field and applies only the chosen sections.
+ */
+(() => {
+  const { configUrl, el, fetchJson, getData, openModal, showToast, toastOperation, TOAST_MS } = window._sr;
+
+  /** Friendly names for the import sections reported by the server. */
+  const SECTION_NAMES = {
+    General: "Provider Settings",
+    Automation: "Automation",
+    Playback: "Playback",
+    Dashboard: "Dashboard",
+    Advanced: "Advanced Settings",
+    Overrides: "VFS Overrides",
+    PlexToken: "Plex Token",
+  };
+
+  /** Sections left unselected until they are explicitly chosen. */
+  const OPT_IN_SECTIONS = ["PlexToken"];
+
+  const modal = el("config-transfer-modal");
+  const fileInput = el("config-import-file");
+  const preview = el("config-import-preview");
+  const note = el("config-import-note");
+  const applyBtn = el("config-import-apply");
+
+  /**
+   * The changes an import would make to one section of the settings.
+   * @typedef {{Name: string, Changes: {Path: string, Display: string, From: ?string, To: ?string, Rebuild: boolean}[]}} ImportSection
+   */
+
+  /** @type {{file: ?string, sections: ImportSection[], close: ?Function}} */
+  const state = { file: null, sections: [], close: null };
+
+  // #region Export
+  /**
+   * Downloads the current settings as a JSON export file.
+   * @returns {Promise<void>}
+   */
+  async function exportConfig() {
+    try {
+      const res = await fetch(`${configUrl}/export?includeSecrets=${el("config-export-secrets").checked}`);
+      if (!res.ok) return showToast("Settings Export: Failed to build the export file.", "error");
+      const fileName = res.headers.get("Content-Disposition")?.match(/filename="?([^";]+)"?/)?.[1] || "config.json";
+      const url = URL.createObjectURL(await res.blob());
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = fileName;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch {
+      showToast("Settings Export: Failed to build the export file.", "error");
+    }
+  }
+  // #endregion
+
+  // #region Preview
+  /**
+   * Formats a setting value for the preview table.
+   * @param {?string} value - The formatted server value.
+   * @returns {string} The display text.
+   */
+  const formatValue = (value) => (value == null ? "—" : value === "" ? "(empty)" : value);
+
+  /**
+   * Returns the sections whose checkbox is ticked.
+   * @returns {string[]} The selected section names.
+   */
+  const selectedSections = () => [...preview.querySelectorAll("input[data-section]:checked")].map((box) => box.dataset.section);
+
+  /**
+   * Returns the display names of the selected settings that require a VFS rebuild.
+   * @param {string[]} selected - The selected section names.
+   * @returns {string[]} The setting names.
+   */
+  const rebuildSettings = (selected) => state.sections.filter((s) => selected.includes(s.Name)).flatMap((s) => s.Changes.filter((c) => c.Rebuild).map((c) => c.Display));
+
+  /**
+   * Notes the selected settings that need a VFS rebuild and enables the import button while anything is selected.
+   * @returns {void}
+   */
+  function updateSelection() {
+    const selected = selectedSections();
+    const rebuild = rebuildSettings(selected);
+    applyBtn.disabled = !selected.length;
+    note.textContent = rebuild.length ? `These settings require a VFS rebuild afterwards: ${rebuild.join(", ")}` : "";
+  }
+
+  /**
+   * Builds the table row for a changed setting.
+   * @param {{Path: string, Display: string, From: ?string, To: ?string, Rebuild: boolean}} change - The change.
+   * @param {string} [error] - The validation error for the imported value, if any.
+   * @returns {HTMLTableRowElement} The row.
+   */
+  function renderChange(change, error) {
+    const tr = document.createElement("tr");
+    [`${change.Display}${change.Rebuild ? " ⟳" : ""}`, formatValue(change.From), formatValue(change.To)].forEach((text) => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    tr.firstChild.title = change.Path;
+    tr.dataset.configPath = change.Path;
+    if (error) markError(tr, error);
+    return tr;
+  }
+
+  /**
+   * Marks a preview row as invalid with the server's error message.
+   * @param {HTMLTableRowElement} tr - The setting's row.
+   * @param {string} message - The error message.
+   * @returns {void}
+   */
+  function markError(tr, message) {
+    tr.classList.add("invalid");
+    const error = document.createElement("small");
+    error.className = "field-error";
+    error.textContent = message;
+    tr.lastChild.appendChild(error);
+  }
+
+  /**
+   * Renders one checkbox and change table per import section, marking the settings that would be invalid.
+   * @param {{Version: number, ExportedAt: string, Sections: ImportSection[], Errors: Object<string, string>}} data - The import preview.
+   * @returns {void}
+   */
+  function renderPreview(data) {
+    state.sections = data.Sections || [];
+    preview.replaceChildren();
+    if (!state.sections.length) {
+      preview.innerHTML = '<small class="placeholder">The file matches the current settings.</small>';
+      updateSelection();
+      return;
+    }
+    state.sections.forEach((section) => {
+      const block = document.createElement("div");
+      block.className = "import-section";
+      block.innerHTML = `<label class="shoko-checkbox"><input type="checkbox" />
+          <span class="shoko-checkbox-icon" aria-hidden="true"><svg class="unchecked"><use href="img/icons.svg#checkbox-blank-circle-outline"></use></svg><svg class="checked"><use href="img/icons.svg#checkbox-marked-circle-outline"></use></svg></span>
+          <span class="shoko-checkbox-text"><span class="shoko-checkbox-title"></span></span></label>
+        <table class="history-table config-diff-table"><thead><tr><th>Setting</th><th>Current</th><th>Imported</th></tr></thead><tbody></tbody></table>`;
+      const box = block.querySelector("input");
+      box.dataset.section = section.Name;
+      box.checked = !OPT_IN_SECTIONS.includes(section.Name);
+      box.onchange = updateSelection;
+      block.querySelector(".shoko-checkbox-title").textContent = `${SECTION_NAMES[section.Name] || section.Name} (${section.Changes.length} change${section.Changes.length === 1 ? "" : "s"})`;
+      block.querySelector("tbody").replaceChildren(...section.Changes.map((c) => renderChange(c, data.Errors?.[c.Path])));
+      preview.appendChild(block);
+    });
+    updateSelection();
+  }
+
+  /**
+   * Reads the chosen file and previews the changes it would make.
+   * @returns {Promise<void>}
+   */
+  async function loadFile() {
+    const file = fileInput.files?.[0];
+    fileInput.value = "";
+    if (!file) return;
+    el("config-import-name").textContent = file.name;
+    state.file = await file.text();
+    state.sections = [];
+    preview.innerHTML = '<small class="placeholder">Loading...</small>';
+    const res = await fetchJson(`${configUrl}/import/preview`, { method: "POST", headers: { "Content-Type": "application/json" }, body: state.file });
+    if (!res.ok) {
+      state.file = null;
+      preview.replaceChildren();
+      updateSelection();
+      toastOperation(res, "Settings Import");
+      return;
+    }
+    renderPreview(getData(res) || {});
+  }
+  // #endregion
+
+  // #region Import
+  /**
+   * Applies the selected sections of the loaded file, then reloads the settings form and Plex state.
+   * @returns {Promise<void>}
+   */
+  async function importConfig() {
+    const selected = selectedSections();
+    if (!state.file || !selected.length) return;
+    const rebuild = rebuildSettings(selected);
+    const res = await fetchJson(`${configUrl}/import?sections=${encodeURIComponent(selected.join(","))}`, { method: "POST", headers: { "Content-Type": "application/json" }, body: state.file });
+    if (!res.ok) {
+      Object.entries(res.data?.errors || {}).forEach(([path, message]) => {
+        const tr = preview.querySelector(`tr[data-config-path="${CSS.escape(path)}"]`);
+        if (tr && !tr.classList.contains("invalid")) markError(tr, message);
+      });
+      toastOperation(res, "Settings Import");
+      return;
+    }
+
+    const imported = selected.map((s) => SECTION_NAMES[s] || s).join(", ");
+    if (rebuild.length) toastOperation(res, "Settings Import", { summary: `Imported ${imported}. Rebuild the VFS to apply: ${rebuild.join(", ")}`, type: "warning", hideOnSucceed: 0 });
+    else showToast(`Settings Import: Imported ${imported}.`, "success", TOAST_MS);
+    state.close?.();
+    await window._sr.loadConfig?.();
+    await window._sr.refreshPlexState?.();
+    // Rediscover the Plex servers and libraries available to an imported token
+    if (getData(res)?.tokenImported) document.querySelector('[data-relay-endpoint="/plex/auth/refresh"]')?.click();
+  }
+  // #endregion
+
+  // #region Modal
+  /**
+   * Opens the modal with any previous import preview cleared.
+   * @returns {void}
+   */
+  function openTransfer() {
+    Object.assign(state, { file: null, sections: [] });
+    preview.replaceChildren();
+    el("config-import-name").textContent = "No file selected.";
+    updateSelection();
+    state.close = openModal(modal);
+    el("config-transfer-close").onclick = state.close;
+  }
+  // #endregion
+
+  // #region Event Wiring
+  if (modal) {
+    el("config-transfer-open").onclick = openTransfer;
+    el("config-export").onclick = exportConfig;
+    el("config-import-choose").onclick = () => fileInput.click();
+    fileInput.onchange = loadFile;
+    applyBtn.onclick = importConfig;
+  }
+  // #endregion
+})();
@@ -58,14 +58,8 @@
       };
     }
 
-    // Global Key Listener for search focus (shared across browser and player)
-    window.addEventListener("keydown", (e) => {
-      if (document.activeElement.tagName === "INPUT" || document.activeElement.tagName === "TEXTAREA") return;
-      if (e.key === "/") {
-        e.preventDefault();
-        input.focus();
-      }
-    });
+    // Search focus shortcut (shared across browser and player)
+    window._sr.registerShortcuts([{ id: "tree.focusFilter", label: "Focus", group: "Filter", keys: ["/"], run: () => input.focus() }]);
   };
 
   /**
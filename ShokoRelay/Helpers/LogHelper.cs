@@ -1,4 +1,7 @@
+using System.Globalization;
+using System.IO.Compression;
 using System.Text;
+using System.Text.RegularExpressions;
 using ShokoRelay.AnimeThemes;
 using ShokoRelay.Controllers;
 using ShokoRelay.Services;
@@ -12,6 +15,18 @@ public static class LogHelper
 {
     private static readonly Logger s_logger = LogManager.GetCurrentClassLogger();
 
+    /// <summary>Matches report filenames, capturing the task name and the timestamp suffix added when an older report is archived.</summary>
+    private static readonly Regex s_reportNameRegex = new(@"^(?<task>[a-z0-9-]+?)-report(?:-(?<stamp>\d{8}-\d{6}(?:\d{3})?))?\.log$", RegexOptions.IgnoreCase | RegexOptions.Compiled);
+
+    /// <summary>Timestamp added to archived reports. Milliseconds keep runs finishing within the same second apart.</summary>
+    private const string ReportStampFormat = "yyyyMMdd-HHmmssfff";
+
+    /// <summary>Stamp formats accepted when reading archive names, including the second-precision names of earlier versions.</summary>
+    private static readonly string[] s_reportStampFormats = [ReportStampFormat, "yyyyMMdd-HHmmss"];
+
+    /// <summary>Archived reports kept per task. Matches the task history limit, so every recorded run can still open its report.</summary>
+    private const int MaxArchivedReportsPerTask = 100;
+
     #region Logging Interface
 
     /// <summary>Write content to a log file inside the plugin's logs directory.</summary>
@@ -40,6 +55,7 @@ public static class LogHelper
         {
             var sb = new StringBuilder();
             builder(sb, data);
+            ArchiveReport(Path.Combine(pluginDir, "logs", fileName));
             WriteLog(pluginDir, fileName, sb.ToString());
         }
         catch (Exception ex)
@@ -50,6 +66,139 @@ public static class LogHelper
 
     #endregion
 
+    #region Report Files
+
+    /// <summary>Lists every report in the plugin's logs directory, newest first.</summary>
+    /// <param name="pluginDir">Root plugin directory.</param>
+    /// <returns>Metadata for each report file, including archived copies of earlier runs.</returns>
+    public static List<LogReport> ListReports(string pluginDir)
+    {
+        string dir = Path.Combine(pluginDir, "logs");
+        if (!Directory.Exists(dir))
+            return [];
+
+        var reports = new List<LogReport>();
+        foreach (var file in new DirectoryInfo(dir).EnumerateFiles("*-report*.log"))
+        {
+            var match = s_reportNameRegex.Match(file.Name);
+            if (!match.Success)
+                continue;
+
+            var stamp = match.Groups["stamp"];
+            var date = stamp.Success && DateTime.TryParseExact(stamp.Value, s_reportStampFormats, CultureInfo.InvariantCulture, DateTimeStyles.None, out var parsed) ? parsed : file.LastWriteTime;
+            reports.Add(new LogReport(file.Name, match.Groups["task"].Value, date, file.Length));
+        }
+        return [.. reports.OrderByDescending(r => r.Date).ThenBy(r => r.Name, StringComparer.Ordinal)];
+    }
+
+    /// <summary>Resolves a report filename to its absolute path, rejecting anything that is not a report inside the logs directory.</summary>
+    /// <param name="pluginDir">Root plugin directory.</param>
+    /// <param name="fileName">The report filename.</param>
+    /// <returns>The absolute path of an existing report, or <c>null</c> if the name is invalid or the file does not exist.</returns>
+    public static string? ResolveReportPath(string pluginDir, string fileName)
+    {
+        if (string.IsNullOrWhiteSpace(fileName) || !string.Equals(Path.GetFileName(fileName), fileName, StringComparison.Ordinal) || !s_reportNameRegex.IsMatch(fileName))
+            return null;
+        string path = Path.Combine(pluginDir, "logs", fileName);
+        return File.Exists(path) ? path : null;
+    }
+
+    /// <summary>Returns the name a report will be given when it is archived by the next run of its task.</summary>
+    /// <param name="pluginDir">Root plugin directory.</param>
+    /// <param name="fileName">The current report filename (e.g. <c>shoko-vfs-build-report.log</c>).</param>
+    /// <returns>The timestamped archive name, or null if the report does not exist.</returns>
+    public static string? GetArchivedReportName(string pluginDir, string fileName)
+    {
+        string path = Path.Combine(pluginDir, "logs", fileName);
+        return File.Exists(path) ? $"{Path.GetFileNameWithoutExtension(fileName)}-{File.GetLastWriteTime(path).ToString(ReportStampFormat, CultureInfo.InvariantCulture)}.log" : null;
+    }
+
+    /// <summary>Finds the report belonging to a specific run, which is either still the task's latest report or has since been archived.</summary>
+    /// <param name="pluginDir">Root plugin directory.</param>
+    /// <param name="archivedName">The archive name recorded for the run (see <see cref="GetArchivedReportName"/>).</param>
+    /// <returns>The current filename of the run's report, or null if it has been deleted.</returns>
+    public static string? FindRunReport(string pluginDir, string archivedName)
+    {
+        if (ResolveReportPath(pluginDir, archivedName) != null)
+            return archivedName;
+        var match = s_reportNameRegex.Match(archivedName);
+        if (!match.Success || !match.Groups["stamp"].Success)
+            return null;
+        string latest = $"{match.Groups["task"].Value}-report.log";
+        return GetArchivedReportName(pluginDir, latest) == archivedName ? latest : null;
+    }
+
+    /// <summary>Deletes reports whose date is older than the given number of days.</summary>
+    /// <param name="pluginDir">Root plugin directory.</param>
+    /// <param name="days">Reports older than this many days are removed.</param>
+    /// <returns>The filenames that were deleted.</returns>
+    public static List<string> DeleteReportsOlderThan(string pluginDir, int days)
+    {
+        var cutoff = DateTime.Now.AddDays(-days);
+        var deleted = new List<string>();
+        foreach (var report in ListReports(pluginDir).Where(r => r.Date < cutoff))
+        {
+            try
+            {
+                File.Delete(Path.Combine(pluginDir, "logs", report.Name));
+                deleted.Add(report.Name);
+            }
+            catch (Exception ex)
+            {
+                s_logger.Warn(ex, "LogHelper: Failed to delete {FileName}", report.Name);
+            }
+        }
+        return deleted;
+    }
+
+    /// <summary>Packs the given report files into a single zip archive.</summary>
+    /// <param name="paths">Absolute paths of the reports to include.</param>
+    /// <returns>The archive contents.</returns>
+    public static byte[] BuildReportArchive(IEnumerable<string> paths)
+    {
+        using var ms = new MemoryStream();
+        using (var zip = new ZipArchive(ms, ZipArchiveMode.Create, leaveOpen: true))
+        {
+            foreach (var path in paths)
+                zip.CreateEntryFromFile(path, Path.GetFileName(path), CompressionLevel.Optimal);
+        }
+        return ms.ToArray();
+    }
+
+    /// <summary>Renames an existing report to a timestamped copy so the next run does not overwrite it, then prunes the oldest copies beyond the per-task limit.</summary>
+    /// <param name="path">Absolute path of the report about to be written.</param>
+    private static void ArchiveReport(string path)
+    {
+        var match = s_reportNameRegex.Match(Path.GetFileName(path));
+        if (!File.Exists(path) || !match.Success)
+            return;
+        string dir = Path.GetDirectoryName(path)!;
+        try
+        {
+            string archived = Path.Combine(dir, $"{Path.GetFileNameWithoutExtension(path)}-{File.GetLastWriteTime(path).ToString(ReportStampFormat, CultureInfo.InvariantCulture)}.log");
+            File.Move(path, archived);
+        }
+        catch (Exception ex)
+        {
+            s_logger.Warn(ex, "LogHelper: Failed to archive previous report {Path}", path);
+        }
+
+        string task = match.Groups["task"].Value;
+        foreach (var report in ListReports(Path.GetDirectoryName(dir)!).Where(r => r.Task == task && r.Name != Path.GetFileName(path)).Skip(MaxArchivedReportsPerTask))
+        {
+            try
+            {
+                File.Delete(Path.Combine(dir, report.Name));
+            }
+            catch (Exception ex)
+            {
+                s_logger.Warn(ex, "LogHelper: Failed to delete {FileName}", report.Name);
+            }
+        }
+    }
+
+    #endregion
+
     #region Generic Builder
 
     /// <summary>Builds a standardized report with a header, a aligned stats block, and an optional list of details.</summary>
@@ -74,6 +223,27 @@ public static class LogHelper
         }
     }
 
+    /// <summary>Builds the report for a task that was cancelled before it could produce a result.</summary>
+    /// <param name="sb">Target builder.</param>
+    /// <param name="taskName">The unique identifier for the cancelled task.</param>
+    public static void BuildCancelledReport(StringBuilder sb, string taskName)
+    {
+        AppendHeader(sb, $"{TagHelper.TitleCase(taskName.Replace("-", " ", StringComparison.Ordinal))} Report");
+        sb.AppendLine("  Status                   : Cancelled");
+        sb.AppendLine().AppendLine("CANCELLED: The task was stopped before it completed. No results were recorded.");
+    }
+
+    /// <summary>Runs a task's report builder and flags the output as partial because the task was cancelled part way through.</summary>
+    /// <typeparam name="T">The type of data being reported.</typeparam>
+    /// <param name="builder">The task's normal report builder.</param>
+    /// <param name="sb">Target builder.</param>
+    /// <param name="data">The partial result data.</param>
+    public static void AppendCancelledNote<T>(Action<StringBuilder, T> builder, StringBuilder sb, T data)
+    {
+        builder(sb, data);
+        sb.AppendLine().AppendLine("CANCELLED: The task was stopped before it completed. The results above are partial.");
+    }
+
     /// <summary>Appends a standardized header to a report string builder.</summary>
     /// <param name="sb">The string builder to append to.</param>
     /// <param name="title">The title for the report header.</param>
@@ -552,3 +722,10 @@ public static class LogHelper
 
     #endregion
 }
+
+/// <summary>Metadata describing a task report stored in the plugin's logs directory.</summary>
+/// <param name="Name">The report filename.</param>
+/// <param name="Task">The task identifier the report belongs to.</param>
+/// <param name="Date">When the report was written.</param>
+/// <param name="Size">The report size in bytes.</param>
+public record LogReport(string Name, string Task, DateTime Date, long Size);
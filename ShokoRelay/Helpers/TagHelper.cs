@@ -50,20 +50,30 @@ public static class TagHelper
     /// <param name="series">The Shoko series metadata.</param>
     /// <returns>An array of tag metadata objects.</returns>
     public static object[] GetFilteredTags(ISeries series)
+    {
+        var settings = Settings;
+        var userBlacklist = settings.TagBlacklist.Split(',', StringSplitOptions.TrimEntries | StringSplitOptions.RemoveEmptyEntries);
+        return [.. FilterAndFormat(GetSourceTagNames(series, settings), userBlacklist)];
+    }
+
+    /// <summary>Collects the raw tag names of a series from the tag sources selected in <paramref name="settings"/>.</summary>
+    /// <param name="series">The Shoko series metadata.</param>
+    /// <param name="settings">The settings providing the tag sources and minimum AniDB tag weight.</param>
+    /// <returns>The unfiltered tag names; empty if the series has no Shoko tags.</returns>
+    private static IEnumerable<string> GetSourceTagNames(ISeries series, RelayConfig settings)
     {
         var shokoSeries = series as IShokoSeries;
         var shokoTags = shokoSeries?.Tags;
         if (shokoTags == null)
             return [];
-        var userBlacklist = Settings.TagBlacklist.Split(',', StringSplitOptions.TrimEntries | StringSplitOptions.RemoveEmptyEntries);
-        var sourceSetting = Settings.TagSources;
+        var sourceSetting = settings.TagSources;
         var shokoNames = shokoTags.Select(t => t.Name).Where(n => !string.IsNullOrWhiteSpace(n));
 
         if (sourceSetting == TagSources.UserOnly)
-            return [.. FilterAndFormat(shokoNames, userBlacklist)];
+            return shokoNames;
 
         IEnumerable<string> anidbNames = [];
-        int minWeight = (int)Settings.MinimumTagWeight;
+        int minWeight = (int)settings.MinimumTagWeight;
         if ((sourceSetting == TagSources.Combined || sourceSetting == TagSources.AniDB) && shokoSeries?.AnidbAnime?.Tags is IReadOnlyList<IAnidbTagForAnime> anidbTags)
             anidbNames = anidbTags.Where(t => !string.IsNullOrWhiteSpace(t.Name) && (minWeight <= 0 || t.Weight >= minWeight)).Select(t => t.Name);
 
@@ -71,7 +81,7 @@ public static class TagHelper
         if ((sourceSetting == TagSources.Combined || sourceSetting == TagSources.TMDB) && shokoSeries?.TmdbShows?.FirstOrDefault() is { } tmdb)
             tmdbNames = (tmdb.Keywords ?? []).Concat(tmdb.Genres ?? []).Where(k => !string.IsNullOrWhiteSpace(k));
 
-        return [.. FilterAndFormat(anidbNames.Concat(tmdbNames).Concat(shokoNames), userBlacklist)];
+        return anidbNames.Concat(tmdbNames).Concat(shokoNames);
     }
 
     /// <summary>Filters the raw tag strings against the user blacklist, deduplicates, and normalizes them into title case.</summary>
@@ -85,6 +95,26 @@ public static class TagHelper
             .Distinct(StringComparer.OrdinalIgnoreCase)
             .Select(tagName => new { tag = TitleCase(tagName) });
 
+    /// <summary>Counts how many series carry each tag with the current tag sources, before the user blacklist is applied. AniDB helper tags are left out as they are always removed.</summary>
+    /// <param name="series">The series to count tags across.</param>
+    /// <returns>The number of series per title-cased tag name, compared case-insensitively.</returns>
+    public static Dictionary<string, int> GetTagUsage(IEnumerable<ISeries> series)
+    {
+        var settings = Settings;
+        var usage = new Dictionary<string, int>(StringComparer.OrdinalIgnoreCase);
+        foreach (var s in series)
+        {
+            var names = GetSourceTagNames(s, settings)
+                .Select(tagName => s_tagCleanupRegex.Replace(tagName, "").Trim())
+                .Where(tagName => !string.IsNullOrWhiteSpace(tagName) && !s_tagBlacklistAniDBHelpers.Contains(tagName))
+                .Select(TitleCase)
+                .Distinct(StringComparer.OrdinalIgnoreCase);
+            foreach (var name in names)
+                usage[name] = usage.GetValueOrDefault(name) + 1;
+        }
+        return usage;
+    }
+
     #endregion
 
     #region Title Casing Logic
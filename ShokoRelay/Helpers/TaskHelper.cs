@@ -1,7 +1,90 @@
 using System.Collections.Concurrent;
+using NLog.Config;
+using NLog.Targets;
 
 namespace ShokoRelay.Helpers;
 
+/// <summary>A single task lifecycle notification pushed to dashboard subscribers.</summary>
+/// <param name="Type">The lifecycle stage (<c>started</c>, <c>progress</c>, <c>cancelling</c>, <c>finished</c>, <c>completed</c>, <c>cleared</c> or <c>recorded</c>).</param>
+/// <param name="TaskName">The unique identifier for the task.</param>
+/// <param name="Active">A snapshot of the task identifiers that were running when the event was raised.</param>
+/// <param name="Cancellable">The subset of <paramref name="Active"/> that can be cancelled.</param>
+/// <param name="Result">The stored result object for <c>completed</c> events, or the <see cref="TaskProgress"/> snapshot for <c>progress</c> events; otherwise null.</param>
+public record TaskEvent(string Type, string TaskName, IReadOnlyCollection<string> Active, IReadOnlyCollection<string> Cancellable, object? Result = null);
+
+/// <summary>A point-in-time progress snapshot for a running task.</summary>
+/// <param name="Processed">Number of items processed so far.</param>
+/// <param name="Total">Number of items known to be in scope (may grow for paged sources).</param>
+/// <param name="CurrentItem">Display name of the item currently being processed.</param>
+/// <param name="ElapsedSeconds">Seconds since the task started.</param>
+/// <param name="EtaSeconds">Estimated seconds remaining, or null when it cannot be estimated yet.</param>
+public record TaskProgress(int Processed, int Total, string? CurrentItem, double ElapsedSeconds, double? EtaSeconds);
+
+/// <summary>Thread-safe progress counter handed to long-running services so they can report processed/total counts for a tracked task.</summary>
+/// <param name="taskName">The unique identifier for the task being reported on.</param>
+public sealed class TaskProgressTracker(string taskName)
+{
+    private static readonly TimeSpan s_publishInterval = TimeSpan.FromMilliseconds(500);
+    private readonly Lock _lock = new();
+    private int _processed;
+    private int _total;
+    private string? _currentItem;
+    private DateTime _lastPublishUtc = DateTime.MinValue;
+
+    /// <summary>Sets the number of items in scope.</summary>
+    /// <param name="total">The total item count.</param>
+    public void SetTotal(int total)
+    {
+        lock (_lock)
+            _total = Math.Max(total, 0);
+        Publish(force: true);
+    }
+
+    /// <summary>Grows the number of items in scope, used when the total is only discovered page by page.</summary>
+    /// <param name="count">The number of newly discovered items.</param>
+    public void AddToTotal(int count)
+    {
+        lock (_lock)
+            _total += Math.Max(count, 0);
+        Publish(force: true);
+    }
+
+    /// <summary>Marks one more item as processed and records its name as the current item.</summary>
+    /// <param name="currentItem">Display name of the item being processed.</param>
+    public void Advance(string? currentItem = null)
+    {
+        bool isLast;
+        lock (_lock)
+        {
+            _processed++;
+            if (currentItem != null)
+                _currentItem = currentItem;
+            isLast = _processed >= _total;
+            if (currentItem != null)
+                TaskHelper.AppendLiveLog(taskName, $"[{_processed}/{_total}] {currentItem}");
+        }
+        Publish(force: isLast);
+    }
+
+    /// <summary>Pushes the current snapshot to <see cref="TaskHelper"/>, throttled so parallel loops don't flood subscribers.</summary>
+    /// <param name="force">Whether to bypass the throttle interval.</param>
+    private void Publish(bool force)
+    {
+        int processed,
+            total;
+        string? currentItem;
+        lock (_lock)
+        {
+            var now = DateTime.UtcNow;
+            if (!force && now - _lastPublishUtc < s_publishInterval)
+                return;
+            _lastPublishUtc = now;
+            (processed, total, currentItem) = (_processed, _total, _currentItem);
+        }
+        TaskHelper.ReportProgress(taskName, processed, total, currentItem);
+    }
+}
+
 /// <summary>Provides a centralized way to track long-running manual tasks for UI feedback.</summary>
 public static class TaskHelper
 {
@@ -13,29 +96,315 @@ public static class TaskHelper
     /// <summary>Stores the results of completed tasks so the UI can retrieve them after a refresh.</summary>
     public static readonly ConcurrentDictionary<string, object> TaskResults = new();
 
+    /// <summary>Latest progress snapshots for running tasks that report progress.</summary>
+    public static readonly ConcurrentDictionary<string, TaskProgress> Progress = new();
+
+    /// <summary>How many callers have started each running task. Services nested inside a tracked controller task start and finish it under the same name.</summary>
+    private static readonly Dictionary<string, int> s_taskDepth = [];
+
+    /// <summary>Guards <see cref="s_taskDepth"/>.</summary>
+    private static readonly Lock s_depthLock = new();
+
+    /// <summary>Cancellation sources for running tasks that observe their token, keyed by task name.</summary>
+    private static readonly ConcurrentDictionary<string, CancellationTokenSource> s_cancellationSources = new();
+
+    /// <summary>Maximum number of live log lines kept per task; older lines are dropped first.</summary>
+    private const int LiveLogCapacity = 2000;
+
+    /// <summary>Rolling live log buffers for running (and the most recently finished) tasks, keyed by task name.</summary>
+    private static readonly ConcurrentDictionary<string, LiveLog> s_liveLogs = new();
+
+    /// <summary>The task the current async flow belongs to, so log output written while it runs reaches its live log.</summary>
+    private static readonly AsyncLocal<string?> s_currentTask = new();
+
+    /// <summary>Name of the NLog target that copies plugin log output into live logs.</summary>
+    private const string LiveLogTargetName = "ShokoRelayLiveLog";
+
+    /// <summary>Raised whenever a task starts, finishes, completes with a result or has its result cleared.</summary>
+    public static event Action<TaskEvent>? TaskChanged;
+
     #endregion
 
     #region Task Lifecycle
 
-    /// <summary>Registers a task as active.</summary>
+    /// <summary>Registers a task as active. Re-registering a task that is already running (e.g. a service nested inside a tracked controller task) only counts the nested caller, keeping the outer caller's state and cancellation source.</summary>
     /// <param name="taskName">The unique identifier for the task.</param>
-    public static void StartTask(string taskName)
+    /// <param name="cancellable">Whether the caller observes the returned token. Only these tasks can be cancelled from the dashboard.</param>
+    /// <returns>A token that is cancelled when <see cref="CancelTask"/> is called for this task, or <see cref="CancellationToken.None"/> if it cannot be cancelled.</returns>
+    public static CancellationToken StartTask(string taskName, bool cancellable = false)
     {
-        TaskResults.TryRemove(taskName, out _);
-        ActiveTasks.TryAdd(taskName, DateTime.UtcNow);
+        bool outer;
+        lock (s_depthLock)
+        {
+            s_taskDepth[taskName] = s_taskDepth.GetValueOrDefault(taskName) + 1;
+            outer = s_taskDepth[taskName] == 1;
+        }
+        if (outer)
+        {
+            TaskResults.TryRemove(taskName, out _);
+            Progress.TryRemove(taskName, out _);
+            ActiveTasks[taskName] = DateTime.UtcNow;
+            if (cancellable)
+                s_cancellationSources[taskName] = new CancellationTokenSource();
+            s_liveLogs[taskName] = new LiveLog();
+            AppendLiveLog(taskName, "Task started");
+            Publish("started", taskName);
+        }
+        s_currentTask.Value = taskName;
+        return s_cancellationSources.TryGetValue(taskName, out var cts) ? cts.Token : CancellationToken.None;
     }
 
-    /// <summary>Unregisters an active task without saving a result.</summary>
+    /// <summary>Unregisters an active task without saving a result. A nested caller only releases its own registration, leaving the task running for the outer caller.</summary>
     /// <param name="taskName">The unique identifier for the task.</param>
-    public static void FinishTask(string taskName) => ActiveTasks.TryRemove(taskName, out _);
+    public static void FinishTask(string taskName)
+    {
+        if (!ReleaseDepth(taskName, all: false))
+            return;
+        Progress.TryRemove(taskName, out _);
+        ReleaseCancellation(taskName);
+        if (ActiveTasks.TryRemove(taskName, out _))
+        {
+            AppendLiveLog(taskName, "Task finished");
+            Publish("finished", taskName);
+        }
+    }
 
     /// <summary>Moves a task from active to completed and stores the result object.</summary>
     /// <param name="taskName">The unique identifier for the task.</param>
     /// <param name="result">The result data to be displayed in the UI toast.</param>
     public static void CompleteTask(string taskName, object result)
     {
+        ReleaseDepth(taskName, all: true);
         ActiveTasks.TryRemove(taskName, out _);
+        Progress.TryRemove(taskName, out _);
+        ReleaseCancellation(taskName);
         TaskResults[taskName] = result;
+        AppendLiveLog(taskName, "Task completed, report written");
+        Publish("completed", taskName, result);
+    }
+
+    /// <summary>Requests cancellation of a running task. The task itself decides how quickly it can stop and reports a <c>cancelled</c> status when it does.</summary>
+    /// <param name="taskName">The unique identifier for the task.</param>
+    /// <returns>True if the task was running, can be cancelled and cancellation was requested; otherwise false.</returns>
+    public static bool CancelTask(string taskName)
+    {
+        if (!ActiveTasks.ContainsKey(taskName) || !s_cancellationSources.TryGetValue(taskName, out var cts))
+            return false;
+        try
+        {
+            if (!cts.IsCancellationRequested)
+            {
+                cts.Cancel();
+                AppendLiveLog(taskName, "Cancellation requested");
+                Publish("cancelling", taskName);
+            }
+        }
+        catch (ObjectDisposedException)
+        {
+            // The task ended while the request was being handled
+            return false;
+        }
+        return true;
+    }
+
+    /// <summary>Returns whether a running task observes its cancellation token.</summary>
+    /// <param name="taskName">The unique identifier for the task.</param>
+    /// <returns>True if the task can be cancelled.</returns>
+    public static bool IsCancellable(string taskName) => s_cancellationSources.ContainsKey(taskName);
+
+    /// <summary>Returns whether cancellation has been requested for a running task.</summary>
+    /// <param name="taskName">The unique identifier for the task.</param>
+    /// <returns>True if the task is being cancelled.</returns>
+    public static bool IsCancelling(string taskName) => s_cancellationSources.TryGetValue(taskName, out var cts) && cts.IsCancellationRequested;
+
+    /// <summary>Notifies subscribers that a run of the task was added to the task history.</summary>
+    /// <param name="taskName">The unique identifier for the task.</param>
+    public static void NotifyRecorded(string taskName) => Publish("recorded", taskName);
+
+    /// <summary>Acknowledges and removes a stored task result so it isn't displayed again.</summary>
+    /// <param name="taskName">The unique identifier for the task.</param>
+    public static void ClearTask(string taskName)
+    {
+        if (TaskResults.TryRemove(taskName, out _))
+            Publish("cleared", taskName);
+    }
+
+    #endregion
+
+    #region Progress
+
+    /// <summary>Creates a progress tracker bound to a task and flags the task's live log as reporting progress.</summary>
+    /// <param name="taskName">The unique identifier for the task.</param>
+    /// <returns>A new <see cref="TaskProgressTracker"/>.</returns>
+    public static TaskProgressTracker TrackProgress(string taskName)
+    {
+        if (s_liveLogs.TryGetValue(taskName, out var log))
+            log.ReportsProgress = true;
+        return new(taskName);
+    }
+
+    /// <summary>Stores and broadcasts a progress snapshot for a running task. Reports for tasks that are not active are ignored.</summary>
+    /// <param name="taskName">The unique identifier for the task.</param>
+    /// <param name="processed">Number of items processed so far.</param>
+    /// <param name="total">Number of items in scope.</param>
+    /// <param name="currentItem">Display name of the item currently being processed.</param>
+    public static void ReportProgress(string taskName, int processed, int total, string? currentItem = null)
+    {
+        if (!ActiveTasks.TryGetValue(taskName, out var startedUtc))
+            return;
+
+        double elapsed = (DateTime.UtcNow - startedUtc).TotalSeconds;
+        double? eta = processed > 0 && total >= processed ? elapsed / processed * (total - processed) : null;
+        var progress = new TaskProgress(processed, total, currentItem, Math.Round(elapsed, 1), eta.HasValue ? Math.Round(eta.Value, 1) : null);
+        Progress[taskName] = progress;
+        Publish("progress", taskName, progress);
+    }
+
+    #endregion
+
+    #region Live Log
+
+    /// <summary>Copies the plugin's own log output into the live log of the task it is written from, so the dashboard can follow what a task is doing and not just its progress.</summary>
+    public static void RegisterLiveLogTarget()
+    {
+        AddLiveLogRule(LogManager.Configuration);
+        LogManager.ConfigurationChanged += (_, e) => AddLiveLogRule(e.ActivatedConfiguration); // Shoko may replace the configuration after the plugin loads
+    }
+
+    /// <summary>Appends a timestamped line to a task's live log so the dashboard can tail it before the final report is written.</summary>
+    /// <param name="taskName">The unique identifier for the task.</param>
+    /// <param name="line">The line to append.</param>
+    public static void AppendLiveLog(string taskName, string line)
+    {
+        if (s_liveLogs.TryGetValue(taskName, out var log))
+            log.Append($"{DateTime.Now:HH:mm:ss} {line}");
+    }
+
+    /// <summary>Reads the live log lines of a task starting from a given sequence number.</summary>
+    /// <param name="taskName">The unique identifier for the task.</param>
+    /// <param name="since">The sequence number of the first line to return. Lines that have already been dropped are skipped.</param>
+    /// <returns>The lines and the sequence number to request next.</returns>
+    public static (IReadOnlyList<string> Lines, int Next) ReadLiveLog(string taskName, int since) => s_liveLogs.TryGetValue(taskName, out var log) ? log.Read(since) : ([], 0);
+
+    /// <summary>Checks whether the current (or most recent) run of a task reports progress, so its live log gets a line per processed item.</summary>
+    /// <param name="taskName">The unique identifier for the task.</param>
+    /// <returns>True if the run created a progress tracker.</returns>
+    public static bool ReportsProgress(string taskName) => s_liveLogs.TryGetValue(taskName, out var log) && log.ReportsProgress;
+
+    /// <summary>Adds the live log target to a logging configuration for every plugin logger, unless it is already there.</summary>
+    /// <param name="config">The active configuration.</param>
+    private static void AddLiveLogRule(LoggingConfiguration? config)
+    {
+        if (config == null || config.FindTargetByName(LiveLogTargetName) != null)
+            return;
+        config.AddRule(LogLevel.Info, LogLevel.Fatal, new LiveLogTarget { Name = LiveLogTargetName }, "ShokoRelay.*");
+        LogManager.ReconfigExistingLoggers();
+    }
+
+    /// <summary>NLog target appending log events to the live log of the running task they were written from. Events outside a task are ignored.</summary>
+    private sealed class LiveLogTarget : Target
+    {
+        /// <inheritdoc/>
+        protected override void Write(LogEventInfo logEvent)
+        {
+            if (s_currentTask.Value is not { } taskName || !ActiveTasks.ContainsKey(taskName))
+                return;
+            string level = logEvent.Level >= LogLevel.Error ? "ERROR " : logEvent.Level == LogLevel.Warn ? "WARN " : "";
+            string error = logEvent.Exception != null ? $" ({logEvent.Exception.Message})" : "";
+            AppendLiveLog(taskName, $"{level}{logEvent.FormattedMessage}{error}");
+        }
+    }
+
+    /// <summary>A bounded, thread-safe list of live log lines with a running sequence number.</summary>
+    private sealed class LiveLog
+    {
+        private readonly Lock _lock = new();
+        private readonly List<string> _lines = [];
+        private int _dropped;
+
+        /// <summary>Whether the run created a progress tracker. Runs without one only log their start and end.</summary>
+        public bool ReportsProgress { get; set; }
+
+        /// <summary>Appends a line, dropping the oldest one when the capacity is exceeded.</summary>
+        /// <param name="line">The line to append.</param>
+        public void Append(string line)
+        {
+            lock (_lock)
+            {
+                _lines.Add(line);
+                if (_lines.Count <= LiveLogCapacity)
+                    return;
+                _lines.RemoveAt(0);
+                _dropped++;
+            }
+        }
+
+        /// <summary>Returns all lines from a sequence number onwards.</summary>
+        /// <param name="since">The sequence number of the first line to return.</param>
+        /// <returns>The lines and the next sequence number.</returns>
+        public (IReadOnlyList<string> Lines, int Next) Read(int since)
+        {
+            lock (_lock)
+            {
+                int start = Math.Clamp(since - _dropped, 0, _lines.Count);
+                return (_lines.GetRange(start, _lines.Count - start), _dropped + _lines.Count);
+            }
+        }
+    }
+
+    #endregion
+
+    #region Internal Helpers
+
+    /// <summary>Releases callers' registrations of a task.</summary>
+    /// <param name="taskName">The unique identifier for the task.</param>
+    /// <param name="all">True to release every registration, as the outer caller completing the task does.</param>
+    /// <returns>True if no caller is left and the task has ended.</returns>
+    private static bool ReleaseDepth(string taskName, bool all)
+    {
+        lock (s_depthLock)
+        {
+            int depth = all ? 0 : s_taskDepth.GetValueOrDefault(taskName) - 1;
+            if (depth > 0)
+            {
+                s_taskDepth[taskName] = depth;
+                return false;
+            }
+            s_taskDepth.Remove(taskName);
+            return true;
+        }
+    }
+
+    /// <summary>Removes and disposes the cancellation source of a task that has ended. Tokens already handed out keep reporting their final state.</summary>
+    /// <param name="taskName">The unique identifier for the task.</param>
+    private static void ReleaseCancellation(string taskName)
+    {
+        if (s_cancellationSources.TryRemove(taskName, out var cts))
+            cts.Dispose();
+    }
+
+    /// <summary>Notifies all subscribers of a lifecycle change. Subscriber failures are isolated so a dropped stream cannot break a running task.</summary>
+    /// <param name="type">The lifecycle stage.</param>
+    /// <param name="taskName">The unique identifier for the task.</param>
+    /// <param name="result">The optional result or progress payload.</param>
+    private static void Publish(string type, string taskName, object? result = null)
+    {
+        var handlers = TaskChanged;
+        if (handlers == null)
+            return;
+
+        var evt = new TaskEvent(type, taskName, ActiveTasks.Keys.ToArray(), s_cancellationSources.Keys.ToArray(), result);
+        foreach (var handler in handlers.GetInvocationList().Cast<Action<TaskEvent>>())
+        {
+            try
+            {
+                handler(evt);
+            }
+            catch
+            {
+                // Ignore subscriber errors
+            }
+        }
     }
 
     #endregion
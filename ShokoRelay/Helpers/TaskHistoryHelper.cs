@@ -0,0 +1,228 @@
+using System.Text.Json;
+
+namespace ShokoRelay.Helpers;
+
+/// <summary>A single recorded run of a managed task.</summary>
+/// <param name="TaskName">The unique identifier for the task.</param>
+/// <param name="Trigger">How the run was started (<c>manual</c>, <c>scheduled</c> or <c>webhook</c>).</param>
+/// <param name="StartedAt">When the run started (UTC).</param>
+/// <param name="EndedAt">When the run ended (UTC).</param>
+/// <param name="Status">The outcome of the run (<c>ok</c>, <c>error</c>, <c>cancelled</c> ...).</param>
+/// <param name="Counts">Summary counts (processed, created, marked, skipped, errors, uploaded) extracted from the result.</param>
+/// <param name="Message">An optional result or error message.</param>
+/// <param name="LogFile">The name the run's report will have once it is archived, or null if the run wrote no report.</param>
+public record TaskRun(string TaskName, string Trigger, DateTime StartedAt, DateTime EndedAt, string Status, Dictionary<string, int> Counts, string? Message = null, string? LogFile = null)
+{
+    /// <summary>Run duration in seconds.</summary>
+    public double DurationSeconds => Math.Round((EndedAt - StartedAt).TotalSeconds, 2);
+}
+
+/// <summary>Keeps a persistent history of managed task runs so durations and outcomes can be reviewed after the result toast is dismissed.</summary>
+public static class TaskHistoryHelper
+{
+    #region Setup
+
+    private static readonly Logger s_logger = LogManager.GetCurrentClassLogger();
+    private static readonly JsonSerializerOptions s_options = new() { WriteIndented = true };
+    private static readonly Lock s_lock = new();
+    private static List<TaskRun>? s_runs;
+
+    /// <summary>Maximum number of runs kept per task; older runs are dropped first.</summary>
+    private const int MaxRunsPerTask = 100;
+
+    /// <summary>Result fields counted for each summary label, in priority order. Mirrors <c>summarizeResult</c> in the dashboard's script.js.</summary>
+    private static readonly (string Label, string[] Aliases)[] s_countAliases =
+    [
+        ("processed", ["SeriesProcessed", "Processed", "ScannedCount", "ProcessedShows"]),
+        ("created", ["LinksCreated", "Created", "UpdatedShows"]),
+        ("marked", ["Marked", "MarkedWatched", "UpdatedEpisodes"]),
+        ("skipped", ["Skipped", "SkippedCount"]),
+        ("errors", ["Errors", "ErrorsList"]),
+        ("uploaded", ["Uploaded"]),
+    ];
+
+    private static string HistoryPath => Path.Combine(ConfigDirectory, ShokoRelayConstants.FileTaskHistory);
+
+    #endregion
+
+    #region Recording
+
+    /// <summary>Records a finished task run, persists the history and notifies dashboard subscribers.</summary>
+    /// <param name="taskName">The unique identifier for the task.</param>
+    /// <param name="trigger">How the run was started.</param>
+    /// <param name="startedAt">When the run started (UTC).</param>
+    /// <param name="result">The response or result object the run produced; its status, message and counts are extracted.</param>
+    /// <param name="logFile">The archived name of the run's report, if it wrote one.</param>
+    public static void Record(string taskName, string trigger, DateTime startedAt, object? result, string? logFile = null)
+    {
+        var (status, message, counts) = Summarize(result);
+        var run = new TaskRun(taskName, trigger, startedAt, DateTime.UtcNow, status, counts, message, logFile);
+        lock (s_lock)
+        {
+            var runs = Load();
+            runs.Add(run);
+            int excess = runs.Count(r => r.TaskName == taskName) - MaxRunsPerTask;
+            if (excess > 0)
+                runs.RemoveAll(r => r.TaskName == taskName && excess-- > 0);
+            Save(runs);
+        }
+        TaskHelper.NotifyRecorded(taskName);
+    }
+
+    /// <summary>Runs an operation that is not tracked by a controller (e.g. a scheduled automation) and records it in the history.</summary>
+    /// <typeparam name="T">The type of the result data.</typeparam>
+    /// <param name="taskName">The unique identifier for the task.</param>
+    /// <param name="trigger">How the run was started.</param>
+    /// <param name="action">The operation to run.</param>
+    /// <returns>The operation's result. Exceptions are recorded and rethrown.</returns>
+    public static async Task<T> TrackAsync<T>(string taskName, string trigger, Func<Task<T>> action)
+    {
+        var startedAt = DateTime.UtcNow;
+        try
+        {
+            T result = await action().ConfigureAwait(false);
+            Record(taskName, trigger, startedAt, result);
+            return result;
+        }
+        catch (OperationCanceledException)
+        {
+            Record(taskName, trigger, startedAt, new { status = "cancelled", message = "Task was cancelled." });
+            throw;
+        }
+        catch (Exception ex)
+        {
+            Record(taskName, trigger, startedAt, new { status = "error", message = ex.Message });
+            throw;
+        }
+    }
+
+    /// <summary>Returns recorded runs, newest first.</summary>
+    /// <param name="taskName">Optional task identifier to filter by.</param>
+    /// <returns>A snapshot of the matching runs.</returns>
+    public static List<TaskRun> GetRuns(string? taskName = null)
+    {
+        lock (s_lock)
+            return [.. Load().Where(r => string.IsNullOrEmpty(taskName) || r.TaskName == taskName).OrderByDescending(r => r.StartedAt)];
+    }
+
+    #endregion
+
+    #region Internal Helpers
+
+    /// <summary>Extracts the status, message and summary counts from a task result. Response envelopes are unwrapped to their <c>Data</c> payload first.</summary>
+    /// <param name="result">The response or result object.</param>
+    /// <returns>The run status, optional message and counts.</returns>
+    private static (string Status, string? Message, Dictionary<string, int> Counts) Summarize(object? result)
+    {
+        var counts = new Dictionary<string, int>();
+        if (result == null)
+            return ("ok", null, counts);
+
+        JsonElement root;
+        try
+        {
+            root = JsonSerializer.SerializeToElement(result, result.GetType());
+        }
+        catch (Exception ex)
+        {
+            s_logger.Debug(ex, "TaskHistory: Failed to serialize result of type {Type}", result.GetType().Name);
+            return ("ok", null, counts);
+        }
+        if (root.ValueKind != JsonValueKind.Object)
+            return ("ok", null, counts);
+
+        string status = TryGetProperty(root, "Status", out var s) && s.ValueKind == JsonValueKind.String ? s.GetString()! : "ok";
+        string? message = TryGetProperty(root, "Message", out var m) && m.ValueKind == JsonValueKind.String ? m.GetString() : null;
+        var data = TryGetProperty(root, "Data", out var d) && d.ValueKind == JsonValueKind.Object ? d : root;
+
+        AddCounts(data, counts);
+        // Composite results (e.g. Plex automation) only carry counts on their nested results, so total those instead
+        if (counts.Count == 0)
+        {
+            foreach (var nested in data.EnumerateObject().Where(p => p.Value.ValueKind == JsonValueKind.Object))
+                AddCounts(nested.Value, counts);
+        }
+        if (status == "error" && !counts.ContainsKey("errors"))
+            counts["errors"] = 1;
+        return (status, message, counts);
+    }
+
+    /// <summary>Adds the first matching alias of each summary label found on an object to the running counts.</summary>
+    /// <param name="obj">The JSON object to read.</param>
+    /// <param name="counts">The counts to add to.</param>
+    private static void AddCounts(JsonElement obj, Dictionary<string, int> counts)
+    {
+        foreach (var (label, aliases) in s_countAliases)
+        {
+            foreach (var alias in aliases)
+            {
+                if (!TryGetProperty(obj, alias, out var v))
+                    continue;
+                int? n = v.ValueKind switch
+                {
+                    JsonValueKind.Number => v.TryGetInt32(out var i) ? i : null,
+                    JsonValueKind.Array when label == "errors" => v.GetArrayLength(),
+                    _ => null,
+                };
+                if (n.HasValue)
+                {
+                    counts[label] = counts.GetValueOrDefault(label) + n.Value;
+                    break;
+                }
+            }
+        }
+    }
+
+    /// <summary>Looks up a property by name, ignoring case, since results mix PascalCase records and camelCase anonymous objects.</summary>
+    /// <param name="obj">The JSON object to search.</param>
+    /// <param name="name">The property name.</param>
+    /// <param name="value">The property value when found.</param>
+    /// <returns>True if the property exists.</returns>
+    private static bool TryGetProperty(JsonElement obj, string name, out JsonElement value)
+    {
+        foreach (var p in obj.EnumerateObject())
+        {
+            if (string.Equals(p.Name, name, StringComparison.OrdinalIgnoreCase))
+            {
+                value = p.Value;
+                return true;
+            }
+        }
+        value = default;
+        return false;
+    }
+
+    /// <summary>Loads the history from disk on first use. Must be called while holding <see cref="s_lock"/>.</summary>
+    /// <returns>The cached run list.</returns>
+    private static List<TaskRun> Load()
+    {
+        if (s_runs != null)
+            return s_runs;
+        try
+        {
+            s_runs = File.Exists(HistoryPath) ? JsonSerializer.Deserialize<List<TaskRun>>(File.ReadAllText(HistoryPath), s_options) ?? [] : [];
+        }
+        catch (Exception ex)
+        {
+            s_logger.Warn(ex, "TaskHistory: Failed to read {Path}, starting a new history", HistoryPath);
+            s_runs = [];
+        }
+        return s_runs;
+    }
+
+    /// <summary>Writes the history to disk. Must be called while holding <see cref="s_lock"/>.</summary>
+    /// <param name="runs">The runs to persist.</param>
+    private static void Save(List<TaskRun> runs)
+    {
+        try
+        {
+            File.WriteAllText(HistoryPath, JsonSerializer.Serialize(runs, s_options));
+        }
+        catch (Exception ex)
+        {
+            s_logger.Warn(ex, "TaskHistory: Failed to write {Path}", HistoryPath);
+        }
+    }
+
+    #endregion
+}
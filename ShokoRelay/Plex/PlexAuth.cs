@@ -97,11 +97,13 @@ public class PlexAuth(HttpClient httpClient, PlexAuthConfig config)
     /// <summary>Retrieve the status for a specific Plex PIN from the v2 API.</summary>
     /// <param name="pinId">The PIN identifier.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
-    /// <returns>A pin response with current status and optional token.</returns>
-    public async Task<PlexPinResponse> GetPinAsync(string pinId, CancellationToken cancellationToken = default)
+    /// <returns>A pin response with current status and optional token, or <see langword="null"/> if Plex no longer knows the PIN (it expired).</returns>
+    public async Task<PlexPinResponse?> GetPinAsync(string pinId, CancellationToken cancellationToken = default)
     {
         using var request = CreateRequest(HttpMethod.Get, new Uri($"{BaseUrl}/api/v2/pins/{Uri.EscapeDataString(pinId)}"));
         using var response = await httpClient.SendAsync(request, cancellationToken).ConfigureAwait(false);
+        if (response.StatusCode == HttpStatusCode.NotFound)
+            return null;
         return await ReadJsonAsync<PlexPinResponse>(response, cancellationToken).ConfigureAwait(false) ?? throw new InvalidOperationException("Plex pin response was empty.");
     }
 
@@ -449,6 +451,16 @@ public class PlexPinResponse
     /// <summary>The resolved authentication token.</summary>
     [JsonIgnore]
     public string? AuthToken => AuthTokenSnake ?? AuthTokenCamel;
+
+    /// <summary>The lifetime of the PIN in seconds, as reported when it was created.</summary>
+    public int? ExpiresIn { get; set; }
+
+    /// <summary>The time after which the PIN can no longer be claimed.</summary>
+    public DateTimeOffset? ExpiresAt { get; set; }
+
+    /// <summary>Whether the PIN has passed its expiry time.</summary>
+    [JsonIgnore]
+    public bool IsExpired => ExpiresAt <= DateTimeOffset.UtcNow;
 }
 
 /// <summary>Custom converter to handle Plex IDs which can be returned as either integers or strings.</summary>
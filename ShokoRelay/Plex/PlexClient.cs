@@ -16,7 +16,7 @@ public class PlexClient(HttpClient httpClient, ConfigProvider configProvider)
     private string ClientIdentifier => configProvider.GetPlexClientIdentifier();
     private IReadOnlyList<PlexAvailableLibrary> DiscoveredLibraries => configProvider.GetPlexDiscoveredLibraries();
 
-    /// <summary>True when a Plex token exists and at least one library target has been discovered.</summary>
+    /// <summary>True when a Plex token exists and at least one enabled library target has been discovered.</summary>
     public bool IsEnabled => !string.IsNullOrWhiteSpace(Token) && GetConfiguredTargets().Count > 0;
 
     /// <summary>Expose the configuration setting controlling automatic library scans.</summary>
@@ -38,6 +38,21 @@ public class PlexClient(HttpClient httpClient, ConfigProvider configProvider)
 
     #region Library & Section
 
+    /// <summary>Request Plex to scan an entire library section for new and changed files.</summary>
+    /// <param name="target">The target server/section.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>True if Plex accepted the refresh request.</returns>
+    public async Task<bool> RefreshSectionAsync(PlexLibraryTarget target, CancellationToken cancellationToken = default)
+    {
+        using var req = CreateRequest(HttpMethod.Get, $"/library/sections/{target.SectionId}/refresh", target.ServerUrl);
+        using var resp = await HttpClient.SendAsync(req, cancellationToken).ConfigureAwait(false);
+        if (resp.IsSuccessStatusCode)
+            s_logger.Debug("PlexClient: library refresh triggered for -> {0}:{1}", target.ServerUrl, target.SectionId);
+        else
+            s_logger.Warn("PlexClient: library refresh failed ({0}) for section {1}", resp.StatusCode, target.SectionId);
+        return resp.IsSuccessStatusCode;
+    }
+
     /// <summary>Request Plex to refresh a specific filesystem path, optimized to matching sections with an automatic path mapping fallback.</summary>
     /// <param name="path">The Shoko-side filesystem path.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
@@ -324,29 +339,51 @@ public class PlexClient(HttpClient httpClient, ConfigProvider configProvider)
 
     #region Target Discovery
 
-    /// <summary>Returns a list of library targets based on discovered configuration.</summary>
+    /// <summary>Returns a list of library targets based on discovered configuration, leaving out the libraries disabled in <see cref="AutomationConfig.PlexDisabledLibraries"/>.</summary>
     /// <returns>A read-only list of configured library targets.</returns>
-    public IReadOnlyList<PlexLibraryTarget> GetConfiguredTargets() =>
+    public IReadOnlyList<PlexLibraryTarget> GetConfiguredTargets()
+    {
+        var disabled = GetDisabledLibraries();
+        return
         [
-            .. DiscoveredLibraries.Select(l => new PlexLibraryTarget
-            {
-                SectionId = l.Id,
-                Title = l.Title,
-                Type = l.Type,
-                Uuid = l.Uuid,
-                ServerId = l.ServerId,
-                ServerName = l.ServerName,
-                ServerUrl = l.ServerUrl,
-                LibraryType = (l.Type ?? "").ToLowerInvariant() switch
+            .. DiscoveredLibraries
+                .Where(l => !disabled.Contains(l.Uuid))
+                .Select(l => new PlexLibraryTarget
                 {
-                    "movie" => PlexLibraryType.Movie,
-                    "artist" => PlexLibraryType.Music,
-                    "photo" => PlexLibraryType.Photo,
-                    _ => PlexLibraryType.Show,
-                },
-                Locations = l.Locations ?? [],
-            }),
+                    SectionId = l.Id,
+                    Title = l.Title,
+                    Type = l.Type,
+                    Uuid = l.Uuid,
+                    ServerId = l.ServerId,
+                    ServerName = l.ServerName,
+                    ServerUrl = l.ServerUrl,
+                    LibraryType = (l.Type ?? "").ToLowerInvariant() switch
+                    {
+                        "movie" => PlexLibraryType.Movie,
+                        "artist" => PlexLibraryType.Music,
+                        "photo" => PlexLibraryType.Photo,
+                        _ => PlexLibraryType.Show,
+                    },
+                    Locations = l.Locations ?? [],
+                }),
         ];
+    }
+
+    /// <summary>Checks whether a Plex library section was disabled as a target, e.g. for an incoming webhook.</summary>
+    /// <param name="serverId">The Plex server UUID.</param>
+    /// <param name="sectionId">The library section ID on that server.</param>
+    /// <returns>True if the section matches a discovered library that is disabled; sections that were not discovered are not considered disabled.</returns>
+    public bool IsSectionDisabled(string? serverId, int? sectionId)
+    {
+        if (string.IsNullOrWhiteSpace(serverId) || sectionId == null)
+            return false;
+        var disabled = GetDisabledLibraries();
+        return disabled.Count > 0 && DiscoveredLibraries.Any(l => l.Id == sectionId && string.Equals(l.ServerId, serverId, StringComparison.OrdinalIgnoreCase) && disabled.Contains(l.Uuid));
+    }
+
+    /// <summary>Parses the section UUIDs of the disabled Plex libraries from the settings.</summary>
+    /// <returns>The disabled section UUIDs.</returns>
+    private static HashSet<string> GetDisabledLibraries() => new(Settings.Automation.PlexDisabledLibraries.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries), StringComparer.OrdinalIgnoreCase);
 
     #endregion
 
@@ -540,30 +577,60 @@ public class PlexClient(HttpClient httpClient, ConfigProvider configProvider)
                 _shokoToPlexMappings.Clear();
                 _plexToShokoMappings.Clear();
 
-                var pairs = currentMappings.Select(m => new { Shoko = TextHelper.NormalizePathForPlex(m.Key), Plex = TextHelper.NormalizePathForPlex(m.Value) }).ToList();
-
-                _shokoToPlexMappings.AddRange(pairs.Select(p => (p.Shoko, p.Plex)).OrderByDescending(p => p.Shoko.Length));
-
-                _plexToShokoMappings.AddRange(pairs.Select(p => (p.Plex, p.Shoko)).OrderByDescending(p => p.Plex.Length));
+                _shokoToPlexMappings.AddRange(OrderMappings(currentMappings, true));
+                _plexToShokoMappings.AddRange(OrderMappings(currentMappings, false));
 
                 _lastCachedMappings = currentMappings;
             }
             list = shokoToPlex ? _shokoToPlexMappings : _plexToShokoMappings;
         }
 
+        return ApplyMapping(path, list, shokoToPlex, out _);
+    }
+
+    /// <summary>Normalizes mapping pairs into the direction being mapped, ordered so the longest (most specific) prefix is tried first.</summary>
+    /// <param name="mappings">Shoko base paths mapped to Plex base paths.</param>
+    /// <param name="shokoToPlex">True if mapping from Shoko-to-Plex; false for Plex-to-Shoko.</param>
+    /// <returns>The prioritized input and output prefixes.</returns>
+    private static IEnumerable<(string In, string Out)> OrderMappings(IEnumerable<KeyValuePair<string, string>> mappings, bool shokoToPlex) =>
+        mappings
+            .Select(m => (Shoko: TextHelper.NormalizePathForPlex(m.Key), Plex: TextHelper.NormalizePathForPlex(m.Value)))
+            .Select(m => shokoToPlex ? (In: m.Shoko, Out: m.Plex) : (In: m.Plex, Out: m.Shoko))
+            .OrderByDescending(m => m.In.Length);
+
+    /// <summary>Translates a path with the first matching prefix of a prioritized mapping list.</summary>
+    /// <param name="path">The path to translate.</param>
+    /// <param name="list">The prioritized mappings.</param>
+    /// <param name="shokoToPlex">True if mapping from Shoko-to-Plex; false for Plex-to-Shoko.</param>
+    /// <param name="matchIn">The input prefix of the mapping that applied, or null if none did.</param>
+    /// <returns>The mapped path, or the original path if no mapping applied.</returns>
+    private static string ApplyMapping(string path, IReadOnlyList<(string In, string Out)> list, bool shokoToPlex, out string? matchIn)
+    {
+        matchIn = null;
         if (list.Count == 0)
             return path;
 
         string input = TextHelper.NormalizePathForPlex(path);
-        var (matchIn, matchOut) = list.FirstOrDefault(m => input.StartsWith(m.In, StringComparison.OrdinalIgnoreCase));
-        if (matchIn == null)
+        var (mIn, mOut) = list.FirstOrDefault(m => input.StartsWith(m.In, StringComparison.OrdinalIgnoreCase));
+        if (mIn == null)
             return path;
 
-        string remainder = input.Length > matchIn.Length ? input[matchIn.Length..].TrimStart('/') : "";
-        string result = string.IsNullOrEmpty(remainder) ? matchOut : $"{matchOut.TrimEnd('/')}/{remainder}";
+        matchIn = mIn;
+        string remainder = input.Length > mIn.Length ? input[mIn.Length..].TrimStart('/') : "";
+        string result = string.IsNullOrEmpty(remainder) ? mOut : $"{mOut.TrimEnd('/')}/{remainder}";
 
         return shokoToPlex ? result : result.Replace('/', Path.DirectorySeparatorChar);
     }
 
+    /// <summary>Maps a Shoko path to the Plex path with the supplied mappings instead of the saved ones, reporting which mapping applied.</summary>
+    /// <param name="mappings">Shoko base paths mapped to Plex base paths, normalized as they would be when saved.</param>
+    /// <param name="path">Input Shoko path.</param>
+    /// <returns>The Shoko base path of the mapping that applied (null if none did) and the mapped path.</returns>
+    public static (string? ShokoBasePath, string Result) TestShokoPathMapping(IReadOnlyDictionary<string, string> mappings, string path)
+    {
+        string result = ApplyMapping(path, [.. OrderMappings(mappings, true)], true, out string? matchIn);
+        return (matchIn == null ? null : mappings.Keys.FirstOrDefault(k => TextHelper.NormalizePathForPlex(k) == matchIn), result);
+    }
+
     #endregion
 }
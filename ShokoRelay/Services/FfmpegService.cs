@@ -76,6 +76,19 @@ public sealed class FfmpegService(string pluginDirectory, string applicationPath
         await RunProcessAsync(_ffmpegPath, args, null, null, ct, workingDir).ConfigureAwait(false);
     }
 
+    /// <summary>Run FFmpeg or FFprobe with <c>-version</c> to confirm the resolved binary can be started.</summary>
+    /// <param name="ffprobe">True to check FFprobe instead of FFmpeg.</param>
+    /// <param name="ct">Cancellation token.</param>
+    /// <returns>The resolved binary path and the first line of its version output.</returns>
+    /// <exception cref="System.ComponentModel.Win32Exception">Thrown if the binary cannot be found or started.</exception>
+    public async Task<(string Path, string Version)> GetVersionAsync(bool ffprobe, CancellationToken ct)
+    {
+        EnsureFfmpegConfigured();
+        string path = ffprobe ? _ffprobePath : _ffmpegPath;
+        string output = await RunProcessCaptureAsync(path, ["-version"], ct).ConfigureAwait(false);
+        return (path, output.Split('\n', 2)[0].Trim());
+    }
+
     #endregion
 
     #region Configuration Logic
@@ -0,0 +1,380 @@
+using System.Collections.Concurrent;
+using System.Text.Json;
+using Shoko.Abstractions.Video.Services;
+using ShokoRelay.Vfs;
+
+namespace ShokoRelay.Services;
+
+#region Data Models
+
+/// <summary>Status values reported by a <see cref="HealthCheck"/>, ordered from best to worst.</summary>
+public static class HealthStatus
+{
+    /// <summary>The check found nothing wrong.</summary>
+    public const string Pass = "pass";
+
+    /// <summary>The check found something that limits a feature but does not stop Shoko Relay from working.</summary>
+    public const string Warn = "warn";
+
+    /// <summary>The check found something that stops Shoko Relay, or Plex using it, from working.</summary>
+    public const string Fail = "fail";
+
+    /// <summary>Returns the worse of two statuses.</summary>
+    /// <param name="a">The first status.</param>
+    /// <param name="b">The second status.</param>
+    /// <returns>The worse status.</returns>
+    public static string Worst(string a, string b) => a == Fail || b == Fail ? Fail : a == Warn || b == Warn ? Warn : Pass;
+}
+
+/// <summary>The outcome of a single diagnostics check.</summary>
+/// <param name="Id">A stable identifier for the check.</param>
+/// <param name="Name">The display name of the check.</param>
+/// <param name="Status">One of the <see cref="HealthStatus"/> values.</param>
+/// <param name="Details">What the check found.</param>
+/// <param name="Fix">A suggested fix when the check did not pass.</param>
+public record HealthCheck(string Id, string Name, string Status, string Details, string? Fix = null);
+
+/// <summary>The result of running every diagnostics check.</summary>
+/// <param name="Status">The worst status of all checks.</param>
+/// <param name="CheckedAt">When the checks were run (UTC).</param>
+/// <param name="Version">The Shoko Relay version that ran the checks.</param>
+/// <param name="Checks">The individual check results.</param>
+public record HealthReport(string Status, DateTime CheckedAt, string Version, List<HealthCheck> Checks);
+
+/// <summary>The result of calling Shoko Relay through a Shoko server URL.</summary>
+/// <param name="Url">The URL that was checked.</param>
+/// <param name="Reachable">Whether Shoko Relay answered at the URL.</param>
+/// <param name="Version">The Shoko Relay version that answered, if any.</param>
+/// <param name="Message">A description of the result.</param>
+public record ShokoUrlTest(string Url, bool Reachable, string? Version, string Message);
+
+#endregion
+
+#region Interface
+
+/// <summary>Service that checks everything Shoko Relay depends on: the Shoko server URL Plex uses, the Plex token and servers, FFmpeg and the VFS roots.</summary>
+public interface IHealthService
+{
+    /// <summary>Run every diagnostics check.</summary>
+    /// <param name="ct">Cancellation token.</param>
+    /// <returns>The report with one result per check.</returns>
+    Task<HealthReport> CheckAsync(CancellationToken ct = default);
+
+    /// <summary>Call Shoko Relay through a Shoko server URL, the way Plex will reach it.</summary>
+    /// <param name="baseUrl">The Shoko server URL, without a trailing slash.</param>
+    /// <param name="ct">Cancellation token.</param>
+    /// <returns>Whether the URL answered with this plugin's provider descriptor, and the version it reported.</returns>
+    Task<ShokoUrlTest> TestShokoUrlAsync(string baseUrl, CancellationToken ct = default);
+}
+
+#endregion
+
+/// <summary>Default implementation of <see cref="IHealthService"/>.</summary>
+public class HealthService(ConfigProvider configProvider, HttpClient httpClient, PlexAuth plexAuth, PlexClient plexClient, FfmpegService ffmpegService, IVideoService videoService) : IHealthService
+{
+    #region Setup
+
+    private static readonly Logger s_logger = LogManager.GetCurrentClassLogger();
+
+    /// <summary>How long a network check waits for an answer.</summary>
+    private static readonly TimeSpan s_requestTimeout = TimeSpan.FromSeconds(10);
+
+    /// <summary>Free space below which a VFS root is reported as a warning.</summary>
+    private const long LowDiskSpaceBytes = 1L << 30;
+
+    /// <summary>How long a passed write test is trusted before the directory is tested again.</summary>
+    private static readonly TimeSpan s_writeProbeInterval = TimeSpan.FromHours(1);
+
+    /// <summary>When each directory last passed a write test. Failures are not cached, so a fixed permission shows up on the next check.</summary>
+    private readonly ConcurrentDictionary<string, DateTime> _writableSince = new(VfsShared.PathComparer);
+
+    /// <summary>The status each check reported last, so only changes are logged.</summary>
+    private readonly ConcurrentDictionary<string, string> _lastStatus = new();
+
+    #endregion
+
+    #region Report
+
+    /// <inheritdoc />
+    public async Task<HealthReport> CheckAsync(CancellationToken ct = default)
+    {
+        List<HealthCheck> checks = [await CheckShokoAsync(ct).ConfigureAwait(false), .. await CheckPlexAsync(ct).ConfigureAwait(false), await CheckFfmpegAsync(ct).ConfigureAwait(false), CheckConfigDirectory()];
+        checks.AddRange(CheckVfsRoots());
+
+        string status = checks.Aggregate(HealthStatus.Pass, (s, c) => HealthStatus.Worst(s, c.Status));
+        foreach (var c in checks)
+        {
+            // The dashboard refreshes the checks every few minutes, so only a change of status is worth a log line
+            string? previous = _lastStatus.TryGetValue(c.Id, out var last) ? last : null;
+            _lastStatus[c.Id] = c.Status;
+            if (c.Status == previous || (previous == null && c.Status == HealthStatus.Pass))
+                continue;
+            if (c.Status == HealthStatus.Pass)
+                s_logger.Info("HealthService: {0} -> {1}", c.Name, c.Status);
+            else
+                s_logger.Warn("HealthService: {0} -> {1}: {2}", c.Name, c.Status, c.Details);
+        }
+        return new HealthReport(status, DateTime.UtcNow, ShokoRelayConstants.Version, checks);
+    }
+
+    #endregion
+
+    #region Shoko
+
+    /// <inheritdoc />
+    public async Task<ShokoUrlTest> TestShokoUrlAsync(string baseUrl, CancellationToken ct = default)
+    {
+        using var cts = CancellationTokenSource.CreateLinkedTokenSource(ct);
+        cts.CancelAfter(s_requestTimeout);
+        try
+        {
+            using var resp = await httpClient.GetAsync($"{baseUrl}{ShokoRelayConstants.BasePath}", cts.Token).ConfigureAwait(false);
+            if (!resp.IsSuccessStatusCode)
+                return new ShokoUrlTest(baseUrl, false, null, $"The server answered with {(int)resp.StatusCode} {resp.ReasonPhrase}.");
+
+            using var doc = JsonDocument.Parse(await resp.Content.ReadAsStringAsync(cts.Token).ConfigureAwait(false));
+            if (!doc.RootElement.TryGetProperty("MediaProvider", out var provider) || !provider.TryGetProperty("identifier", out var id) || id.GetString() != ShokoRelayConstants.AgentScheme)
+                return new ShokoUrlTest(baseUrl, false, null, "The server answered, but not as Shoko Relay.");
+
+            string? version = provider.TryGetProperty("version", out var v) ? v.GetString() : null;
+            return new ShokoUrlTest(baseUrl, true, version, $"Shoko Relay {version} answered.");
+        }
+        catch (Exception ex) when (ex is HttpRequestException or JsonException or InvalidOperationException || (ex is OperationCanceledException && !ct.IsCancellationRequested))
+        {
+            string reason = ex is OperationCanceledException ? $"No answer within {s_requestTimeout.TotalSeconds:0} seconds." : ex.Message;
+            return new ShokoUrlTest(baseUrl, false, null, reason);
+        }
+    }
+
+    /// <summary>Checks that Shoko Relay answers at the Shoko server URL given to Plex.</summary>
+    /// <param name="ct">Cancellation token.</param>
+    /// <returns>The check result.</returns>
+    private async Task<HealthCheck> CheckShokoAsync(CancellationToken ct)
+    {
+        const string name = "Shoko Server";
+        string baseUrl = configProvider.ServerBaseUrl;
+        var test = await TestShokoUrlAsync(baseUrl, ct).ConfigureAwait(false);
+        if (!test.Reachable)
+            return new HealthCheck("shoko", name, HealthStatus.Fail, $"{baseUrl}: {test.Message}", "Set Shoko Server URL in Advanced Settings to an address of this server that Plex can reach.");
+
+        bool configured = !string.IsNullOrWhiteSpace(configProvider.GetSettings().Advanced.ShokoServerUrl);
+        bool local = Uri.TryCreate(baseUrl, UriKind.Absolute, out var uri) && uri.IsLoopback;
+        if (!configured && local)
+            return new HealthCheck("shoko", name, HealthStatus.Warn, $"{baseUrl}: {test.Message} The URL was detected from this browser and only works when Plex runs on the same machine.", "Set Shoko Server URL in Advanced Settings to the LAN address of this server.");
+        return new HealthCheck("shoko", name, HealthStatus.Pass, $"{baseUrl}: {test.Message}");
+    }
+
+    #endregion
+
+    #region Plex
+
+    /// <summary>Checks the saved Plex token with plex.tv and that every server holding a discovered library answers.</summary>
+    /// <param name="ct">Cancellation token.</param>
+    /// <returns>The token check followed by the server check.</returns>
+    private async Task<List<HealthCheck>> CheckPlexAsync(CancellationToken ct)
+    {
+        const string tokenName = "Plex Token";
+        const string serversName = "Plex Servers";
+        string token = configProvider.GetPlexToken();
+        if (string.IsNullOrWhiteSpace(token))
+        {
+            return
+            [
+                new HealthCheck("plex-token", tokenName, HealthStatus.Warn, "No Plex account is linked, so nothing is synced with Plex.", "Link a Plex account in the Plex section."),
+                new HealthCheck("plex-servers", serversName, HealthStatus.Warn, "Skipped until a Plex account is linked."),
+            ];
+        }
+
+        HealthCheck tokenCheck;
+        using (var cts = CancellationTokenSource.CreateLinkedTokenSource(ct))
+        {
+            cts.CancelAfter(s_requestTimeout);
+            try
+            {
+                var account = await plexAuth.GetAccountInfoAsync(token, cts.Token).ConfigureAwait(false);
+                tokenCheck =
+                    account == null
+                        ? new HealthCheck("plex-token", tokenName, HealthStatus.Fail, "plex.tv rejected the saved token.", "Unlink Plex in the Plex section and link the account again.")
+                        : new HealthCheck("plex-token", tokenName, HealthStatus.Pass, $"Linked to {account.Username ?? account.Title ?? "a Plex account"}.");
+            }
+            catch (Exception ex) when (ex is HttpRequestException or JsonException || (ex is OperationCanceledException && !ct.IsCancellationRequested))
+            {
+                tokenCheck = new HealthCheck("plex-token", tokenName, HealthStatus.Warn, $"plex.tv could not be reached to check the token: {ex.Message}", "Check that this server has internet access.");
+            }
+        }
+
+        var servers = plexClient.GetConfiguredTargets().GroupBy(t => t.ServerUrl, StringComparer.OrdinalIgnoreCase).ToList();
+        if (servers.Count == 0 && configProvider.GetPlexDiscoveredLibraries().Count > 0)
+            return [tokenCheck, new HealthCheck("plex-servers", serversName, HealthStatus.Warn, "Every discovered Plex library is disabled, so no Plex tasks run.", "Enable at least one library under Libraries in the Plex section.")];
+        if (servers.Count == 0)
+            return [tokenCheck, new HealthCheck("plex-servers", serversName, HealthStatus.Warn, "No Plex libraries using the Shoko Relay agent have been discovered.", "Click Refresh Plex Libraries in the Plex section after adding a library that uses the Shoko Relay agent.")];
+
+        List<string> unreachable = [];
+        foreach (var server in servers)
+        {
+            using var cts = CancellationTokenSource.CreateLinkedTokenSource(ct);
+            cts.CancelAfter(s_requestTimeout);
+            try
+            {
+                using var req = plexClient.CreateRequest(HttpMethod.Get, "/identity", server.Key);
+                using var resp = await httpClient.SendAsync(req, cts.Token).ConfigureAwait(false);
+                if (!resp.IsSuccessStatusCode)
+                    unreachable.Add($"{server.First().ServerName} ({server.Key}) answered with {(int)resp.StatusCode}");
+            }
+            catch (Exception ex) when (ex is HttpRequestException or ArgumentException or UriFormatException || (ex is OperationCanceledException && !ct.IsCancellationRequested))
+            {
+                unreachable.Add($"{server.First().ServerName} ({server.Key}) did not answer");
+            }
+        }
+
+        int libraries = servers.Sum(s => s.Count());
+        var serversCheck =
+            unreachable.Count == 0
+                ? new HealthCheck("plex-servers", serversName, HealthStatus.Pass, $"{servers.Count} server{(servers.Count == 1 ? "" : "s")} with {libraries} Shoko Relay librar{(libraries == 1 ? "y" : "ies")} answered.")
+                : new HealthCheck(
+                    "plex-servers",
+                    serversName,
+                    unreachable.Count == servers.Count ? HealthStatus.Fail : HealthStatus.Warn,
+                    $"{string.Join("; ", unreachable)}.",
+                    "Check that the Plex server is running, then click Refresh Plex Libraries in the Plex section to update its addresses."
+                );
+        return [tokenCheck, serversCheck];
+    }
+
+    #endregion
+
+    #region FFmpeg
+
+    /// <summary>Checks that FFmpeg and FFprobe can be started, as the AnimeThemes MP3 generator needs both.</summary>
+    /// <param name="ct">Cancellation token.</param>
+    /// <returns>The check result.</returns>
+    private async Task<HealthCheck> CheckFfmpegAsync(CancellationToken ct)
+    {
+        const string name = "FFmpeg";
+        List<string> found = [];
+        List<string> missing = [];
+        foreach (bool ffprobe in new[] { false, true })
+        {
+            string binary = ffprobe ? "FFprobe" : "FFmpeg";
+            using var cts = CancellationTokenSource.CreateLinkedTokenSource(ct);
+            cts.CancelAfter(s_requestTimeout);
+            try
+            {
+                var (path, version) = await ffmpegService.GetVersionAsync(ffprobe, cts.Token).ConfigureAwait(false);
+                found.Add($"{version} ({path})");
+            }
+            catch (Exception ex) when (ex is not OperationCanceledException || !ct.IsCancellationRequested)
+            {
+                missing.Add($"{binary}: {ex.Message}");
+            }
+        }
+
+        return missing.Count == 0
+            ? new HealthCheck("ffmpeg", name, HealthStatus.Pass, string.Join("; ", found))
+            : new HealthCheck(
+                "ffmpeg",
+                name,
+                HealthStatus.Warn,
+                $"AnimeThemes MP3 generation is unavailable. {string.Join("; ", missing)}",
+                "Install FFmpeg (which includes FFprobe), or set FFmpeg Path in Advanced Settings to the folder holding both binaries."
+            );
+    }
+
+    #endregion
+
+    #region Storage
+
+    /// <summary>Checks that the configuration directory can be written to.</summary>
+    /// <returns>The check result.</returns>
+    private HealthCheck CheckConfigDirectory()
+    {
+        const string name = "Config Directory";
+        string? error = TryWrite(configProvider.ConfigDirectory);
+        return error == null
+            ? new HealthCheck("config-directory", name, HealthStatus.Pass, $"{configProvider.ConfigDirectory} is writable.")
+            : new HealthCheck("config-directory", name, HealthStatus.Fail, $"{configProvider.ConfigDirectory}: {error}", "Give the Shoko Server user write access to the directory, or settings and the Plex token cannot be saved.");
+    }
+
+    /// <summary>Checks that every VFS root (or the managed folder it will be created in) can be written to and has free space.</summary>
+    /// <returns>One result per VFS-enabled managed folder.</returns>
+    private List<HealthCheck> CheckVfsRoots()
+    {
+        var folders = (videoService.GetAllManagedFolders() ?? []).Where(VfsShared.IsVfsEnabledFolder).Select(f => f.Path).Where(p => !string.IsNullOrWhiteSpace(p)).Distinct(VfsShared.PathComparer).ToList();
+        if (folders.Count == 0)
+        {
+            return
+            [
+                new HealthCheck(
+                    "vfs-roots",
+                    "VFS Roots",
+                    HealthStatus.Fail,
+                    "No managed folder is enabled for the VFS.",
+                    "Add a managed folder of type Destination in Shoko, or remove it from Managed Folder Exclusions in Advanced Settings."
+                ),
+            ];
+        }
+
+        string[] rootNames = [VfsShared.ResolveRootFolderName(), VfsShared.ResolveMovieRootFolderName()];
+        return [.. folders.Select(folder => CheckVfsRoot(folder, [.. rootNames.Distinct(StringComparer.OrdinalIgnoreCase).Select(n => Path.Combine(folder, n))]))];
+    }
+
+    /// <summary>Checks the VFS roots inside one managed folder.</summary>
+    /// <param name="folder">The managed folder path.</param>
+    /// <param name="roots">The VFS root paths inside the folder.</param>
+    /// <returns>The check result.</returns>
+    private HealthCheck CheckVfsRoot(string folder, List<string> roots)
+    {
+        string id = $"vfs-root:{folder}";
+        string name = $"VFS Root: {folder}";
+        if (!Directory.Exists(folder))
+            return new HealthCheck(id, name, HealthStatus.Fail, "The managed folder does not exist on this server.", "Check that the drive or network share holding the folder is mounted.");
+
+        // Roots that have not been generated yet are created inside the managed folder, so test that instead
+        List<string> errors = [];
+        foreach (string path in roots.Select(r => Directory.Exists(r) ? r : folder).Distinct(VfsShared.PathComparer))
+            if (TryWrite(path) is string error)
+                errors.Add($"{path}: {error}");
+        if (errors.Count > 0)
+            return new HealthCheck(id, name, HealthStatus.Fail, string.Join("; ", errors), "Give the Shoko Server user write access to the folder so the VFS can be generated.");
+
+        string existing = string.Join(", ", roots.Where(Directory.Exists).Select(r => Path.GetFileName(r)));
+        string details = existing.Length > 0 ? $"{existing} writable." : "Writable; the VFS has not been generated here yet.";
+        try
+        {
+            long free = new DriveInfo(folder).AvailableFreeSpace;
+            details += $" {free / (double)(1L << 30):0.#} GB free.";
+            if (free < LowDiskSpaceBytes)
+                return new HealthCheck(id, name, HealthStatus.Warn, details, "Free up space on the drive; the VFS, collection posters and AnimeThemes files are written here.");
+        }
+        catch (Exception ex) when (ex is ArgumentException or IOException or UnauthorizedAccessException)
+        {
+            s_logger.Debug(ex, "HealthService: Could not read free space for {0}", folder);
+        }
+        return new HealthCheck(id, name, HealthStatus.Pass, details);
+    }
+
+    /// <summary>Creates and deletes a temporary file to confirm a directory can be written to. A pass is reused for <see cref="s_writeProbeInterval"/> so each refresh does not touch every managed folder.</summary>
+    /// <param name="directory">The directory to test.</param>
+    /// <returns>Null if the directory is writable; otherwise the error message.</returns>
+    private string? TryWrite(string directory)
+    {
+        if (_writableSince.TryGetValue(directory, out var passedAt) && DateTime.UtcNow - passedAt < s_writeProbeInterval)
+            return null;
+
+        string probe = Path.Combine(directory, $".shokorelay-health-{Guid.NewGuid():N}.tmp");
+        try
+        {
+            File.WriteAllText(probe, "");
+            File.Delete(probe);
+            _writableSince[directory] = DateTime.UtcNow;
+            return null;
+        }
+        catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+        {
+            _writableSince.TryRemove(directory, out _);
+            return ex.Message;
+        }
+    }
+
+    #endregion
+}
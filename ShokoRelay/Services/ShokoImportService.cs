@@ -14,8 +14,9 @@ public interface IShokoImportService
 
     /// <summary>Scan for video file entries whose physical file has disappeared or is now in an ignored location, and optionally remove those records.</summary>
     /// <param name="dryRun">When <c>true</c>, list missing files without deleting them.</param>
+    /// <param name="onlyPaths">Optional file paths to restrict the purge to (e.g. the rows selected from a dry run preview). Paths that are no longer missing are left alone.</param>
     /// <returns>A read-only list of paths for files that were identified as missing or ignored.</returns>
-    Task<IReadOnlyList<string>> PurgeMissingFilesAsync(bool dryRun = false);
+    Task<IReadOnlyList<string>> PurgeMissingFilesAsync(bool dryRun = false, IReadOnlyCollection<string>? onlyPaths = null);
 }
 
 #endregion
@@ -65,8 +66,9 @@ public class ShokoImportService(IVideoService videoService, IVideoReleaseService
 
     /// <summary>Scan for video file entries whose physical file has disappeared or is now in an ignored location, and optionally remove those records.</summary>
     /// <param name="dryRun">When <c>true</c>, list missing files without deleting them.</param>
+    /// <param name="onlyPaths">Optional file paths to restrict the purge to (e.g. the rows selected from a dry run preview). Paths that are no longer missing are left alone.</param>
     /// <returns>A read-only list of paths for files that were identified as missing or ignored.</returns>
-    public async Task<IReadOnlyList<string>> PurgeMissingFilesAsync(bool dryRun = false)
+    public async Task<IReadOnlyList<string>> PurgeMissingFilesAsync(bool dryRun = false, IReadOnlyCollection<string>? onlyPaths = null)
     {
         const string TaskName = ShokoRelayConstants.TaskShokoPurgeMissing;
         if (!dryRun)
@@ -81,6 +83,11 @@ public class ShokoImportService(IVideoService videoService, IVideoReleaseService
 
             // A file is considered "missing" if it doesn't exist on disk OR if its path is now blocked by Relay ignore rules.
             var toDelete = all.Where(f => !File.Exists(f.Path) || VfsShared.IsPathIgnored(f.Path, ignoredNames)).ToList();
+            if (onlyPaths != null)
+            {
+                var selected = new HashSet<string>(onlyPaths, StringComparer.Ordinal);
+                toDelete = [.. toDelete.Where(f => selected.Contains(f.Path))];
+            }
 
             if (!dryRun && toDelete.Count > 0)
             {
@@ -1,4 +1,5 @@
-﻿using Microsoft.AspNetCore.Http;
+﻿using System.Globalization;
+using Microsoft.AspNetCore.Http;
 using Microsoft.Extensions.DependencyInjection;
 using Microsoft.Extensions.Hosting;
 using Shoko.Abstractions.Core.Services;
@@ -22,6 +23,7 @@ public class ServiceRegistration : IPluginServiceRegistration
     /// <param name="applicationPaths">Host provided paths.</param>
     public static void RegisterServices(IServiceCollection serviceCollection, IApplicationPaths applicationPaths)
     {
+        TaskHelper.RegisterLiveLogTarget();
         serviceCollection.AddHttpContextAccessor();
 
         string clientName = ShokoRelayConstants.Name.Replace(" ", "");
@@ -49,6 +51,7 @@ public class ServiceRegistration : IPluginServiceRegistration
         serviceCollection.AddSingleton<VfsWatcher>();
         serviceCollection.AddSingleton<ICollectionService, CollectionService>();
         serviceCollection.AddSingleton<ICriticRatingService, CriticRatingService>();
+        serviceCollection.AddSingleton<IHealthService, HealthService>();
         serviceCollection.AddSingleton<IImageSyncService, ImageSyncService>();
         serviceCollection.AddSingleton<IShokoImportService, ShokoImportService>();
         serviceCollection.AddSingleton<SourceLinkService>();
@@ -257,6 +260,106 @@ public class ShokoRelay : BackgroundService
         return (lastScheduled, lastScheduled.AddHours(frequencyHours));
     }
 
+    /// <summary>Parses a time-of-day window in the form <c>HH:mm-HH:mm</c>. Windows that end before they start span midnight.</summary>
+    /// <param name="window">The window text.</param>
+    /// <param name="start">The window start as a time of day.</param>
+    /// <param name="end">The window end as a time of day.</param>
+    /// <returns>True if the window is valid; empty or invalid windows place no restriction on the schedule.</returns>
+    private static bool TryParseWindow(string? window, out TimeSpan start, out TimeSpan end)
+    {
+        start = end = TimeSpan.Zero;
+        var parts = window?.Split('-', 2, StringSplitOptions.TrimEntries);
+        return parts?.Length == 2
+            && parts.All(p => p.Contains(':'))
+            && TimeSpan.TryParse(parts[0], CultureInfo.InvariantCulture, out start)
+            && TimeSpan.TryParse(parts[1], CultureInfo.InvariantCulture, out end)
+            && start < TimeSpan.FromDays(1)
+            && end < TimeSpan.FromDays(1)
+            && start != end;
+    }
+
+    /// <summary>Returns the earliest time at or after <paramref name="utc"/> that falls within a job's time-of-day window.</summary>
+    /// <param name="utc">The candidate time (UTC).</param>
+    /// <param name="offsetHours">The schedule's offset from UTC, which the window times are relative to.</param>
+    /// <param name="window">The job's window, or empty for no restriction.</param>
+    /// <returns>The candidate itself if it is inside the window, otherwise the next window opening.</returns>
+    private static DateTime NextWindowTime(DateTime utc, int offsetHours, string? window)
+    {
+        if (!TryParseWindow(window, out var start, out var end))
+            return utc;
+        var time = utc.AddHours(offsetHours).TimeOfDay;
+        bool inside = start < end ? time >= start && time < end : time >= start || time < end;
+        if (inside)
+            return utc;
+        var wait = start - time;
+        return utc + (wait < TimeSpan.Zero ? wait + TimeSpan.FromDays(1) : wait);
+    }
+
+    /// <summary>Decides whether a scheduled job should run now and adds the time the loop next needs to wake up for it.</summary>
+    /// <param name="name">Job name used for logging.</param>
+    /// <param name="now">Current time (UTC).</param>
+    /// <param name="offsetHours">The schedule anchor offset from UTC midnight.</param>
+    /// <param name="frequencyHours">How often the job runs.</param>
+    /// <param name="paused">Whether the job is paused; paused slots are skipped rather than caught up on resume.</param>
+    /// <param name="window">The job's time-of-day window.</param>
+    /// <param name="lastRunUtc">The last slot the job ran (or was skipped) for; updated when a paused slot is skipped.</param>
+    /// <param name="nextRuns">Wake-up times for the loop.</param>
+    /// <param name="slot">The slot to record once the job has run.</param>
+    /// <returns>True if the job is due and inside its window.</returns>
+    private static bool IsScheduledRunDue(string name, DateTime now, int offsetHours, int frequencyHours, bool paused, string? window, ref DateTime? lastRunUtc, List<DateTime> nextRuns, out DateTime slot)
+    {
+        var (lastSched, next) = ComputeSchedule(now, offsetHours, frequencyHours);
+        slot = lastSched;
+        if (lastRunUtc != null && lastRunUtc >= lastSched)
+        {
+            nextRuns.Add(NextWindowTime(next, offsetHours, window));
+            return false;
+        }
+        if (paused)
+        {
+            s_logger.Info("Automation: skipping scheduled {0} (paused)", name);
+            lastRunUtc = lastSched;
+            nextRuns.Add(next);
+            return false;
+        }
+        var windowOpen = NextWindowTime(now, offsetHours, window);
+        if (windowOpen > now)
+        {
+            nextRuns.Add(windowOpen);
+            return false;
+        }
+        nextRuns.Add(NextWindowTime(next, offsetHours, window));
+        return true;
+    }
+
+    /// <summary>Returns the state of each scheduled automation job for the dashboard.</summary>
+    /// <returns>One entry per job with its last run, last result and next scheduled run.</returns>
+    public static List<ScheduledJobStatus> GetAutomationSchedule()
+    {
+        var auto = Settings.Automation;
+        var now = DateTime.UtcNow;
+        int offset = Math.Clamp(auto.UtcOffsetHours, -12, 14);
+
+        ScheduledJobStatus Describe(string taskName, string name, int frequencyHours, bool paused, string window, DateTime? lastRunUtc)
+        {
+            DateTime? nextRun = null;
+            if (frequencyHours > 0 && !paused)
+            {
+                var (lastSched, next) = ComputeSchedule(now, offset, frequencyHours);
+                nextRun = NextWindowTime(lastRunUtc == null || lastRunUtc < lastSched ? now : next, offset, window);
+            }
+            var lastRun = TaskHistoryHelper.GetRuns(taskName).FirstOrDefault();
+            return new ScheduledJobStatus(taskName, name, frequencyHours, paused, window, TryParseWindow(window, out _, out _), lastRun?.EndedAt, lastRun?.Status, lastRun?.Message, lastRun?.Counts, nextRun);
+        }
+
+        return
+        [
+            Describe(ShokoRelayConstants.TaskShokoImport, "Shoko Import", auto.ShokoImportFrequencyHours, auto.ShokoImportPaused, auto.ShokoImportWindow, s_lastImportRunUtc),
+            Describe(ShokoRelayConstants.TaskShokoSyncWatched, "Watched State Sync", auto.ShokoSyncWatchedFrequencyHours, auto.ShokoSyncWatchedPaused, auto.ShokoSyncWatchedWindow, s_lastSyncWatchedUtc),
+            Describe(ShokoRelayConstants.TaskPlexAutomationRun, "Plex Automation", auto.PlexAutomationFrequencyHours, auto.PlexAutomationPaused, auto.PlexAutomationWindow, s_lastPlexAutomationUtc),
+        ];
+    }
+
     /// <summary>The main automation loop that evaluates schedules and triggers background tasks.</summary>
     /// <param name="ct">Cancellation token.</param>
     /// <returns>A task representing the long-running loop.</returns>
@@ -267,77 +370,92 @@ public class ShokoRelay : BackgroundService
             try
             {
                 var settings = Settings;
+                var auto = settings.Automation;
                 var now = DateTime.UtcNow;
-                int offset = Math.Clamp(settings.Automation.UtcOffsetHours, -12, 14);
+                int offset = Math.Clamp(auto.UtcOffsetHours, -12, 14);
                 List<DateTime> nextRuns = [];
-                int importFreq = settings.Automation.ShokoImportFrequencyHours;
-                if (importFreq > 0 && _shokoImportService != null)
+                int importFreq = auto.ShokoImportFrequencyHours;
+                if (
+                    importFreq > 0
+                    && _shokoImportService != null
+                    && IsScheduledRunDue("Shoko import", now, offset, importFreq, auto.ShokoImportPaused, auto.ShokoImportWindow, ref s_lastImportRunUtc, nextRuns, out var importSlot)
+                )
                 {
-                    var (lastSched, next) = ComputeSchedule(now, offset, importFreq);
-                    nextRuns.Add(next);
-                    if (s_lastImportRunUtc == null || s_lastImportRunUtc < lastSched)
+                    s_logger.Info("Automation: triggering scheduled Shoko import ({0}h)", importFreq);
+                    await TaskHistoryHelper
+                        .TrackAsync(ShokoRelayConstants.TaskShokoImport, ShokoRelayConstants.TriggerScheduled, async () => new { ScannedCount = (await _shokoImportService.TriggerImportAsync().ConfigureAwait(false)).Count })
+                        .ConfigureAwait(false);
+                    s_lastImportRunUtc = importSlot;
+                }
+                int syncFreq = auto.ShokoSyncWatchedFrequencyHours;
+                if (
+                    syncFreq > 0
+                    && _watchedSyncService != null
+                    && IsScheduledRunDue("watched-state sync", now, offset, syncFreq, auto.ShokoSyncWatchedPaused, auto.ShokoSyncWatchedWindow, ref s_lastSyncWatchedUtc, nextRuns, out var syncSlot)
+                )
+                {
+                    s_logger.Info("Automation: triggering scheduled Plex->Shoko sync ({0}h)", syncFreq);
+
+                    // Background tasks should wait for the lock to become available
+                    await SyncHelper.SyncLock.WaitAsync(ct).ConfigureAwait(false);
+                    try
+                    {
+                        await TaskHistoryHelper
+                            .TrackAsync(ShokoRelayConstants.TaskShokoSyncWatched, ShokoRelayConstants.TriggerScheduled, () => _watchedSyncService.SyncWatchedAsync(false, syncFreq + 1, cancellationToken: ct))
+                            .ConfigureAwait(false);
+                    }
+                    finally
                     {
-                        s_logger.Info("Automation: triggering scheduled Shoko import ({0}h)", importFreq);
-                        await _shokoImportService.TriggerImportAsync().ConfigureAwait(false);
-                        s_lastImportRunUtc = lastSched;
+                        SyncHelper.SyncLock.Release();
                     }
+                    s_lastSyncWatchedUtc = syncSlot;
                 }
-                int syncFreq = settings.Automation.ShokoSyncWatchedFrequencyHours;
-                if (syncFreq > 0 && _watchedSyncService != null)
+                int plexFreq = auto.PlexAutomationFrequencyHours;
+                if (
+                    plexFreq > 0
+                    && (_collectionService != null || _criticRatingService != null)
+                    && IsScheduledRunDue("Plex automation", now, offset, plexFreq, auto.PlexAutomationPaused, auto.PlexAutomationWindow, ref s_lastPlexAutomationUtc, nextRuns, out var plexSlot)
+                )
                 {
-                    var (lastSched, next) = ComputeSchedule(now, offset, syncFreq);
-                    nextRuns.Add(next);
-                    if (s_lastSyncWatchedUtc == null || s_lastSyncWatchedUtc < lastSched)
+                    s_logger.Info("Automation: triggering scheduled Plex Collection/Rating update ({0}h)", plexFreq);
+                    var allSeries = _metadataService.GetAllShokoSeries()?.Cast<IShokoSeries?>().ToList();
+                    if (allSeries?.Count > 0)
                     {
-                        s_logger.Info("Automation: triggering scheduled Plex->Shoko sync ({0}h)", syncFreq);
-
-                        // Background tasks should wait for the lock to become available
                         await SyncHelper.SyncLock.WaitAsync(ct).ConfigureAwait(false);
                         try
                         {
-                            await _watchedSyncService.SyncWatchedAsync(false, syncFreq + 1, cancellationToken: ct).ConfigureAwait(false);
+                            await TaskHistoryHelper
+                                .TrackAsync(
+                                    ShokoRelayConstants.TaskPlexAutomationRun,
+                                    ShokoRelayConstants.TriggerScheduled,
+                                    async () =>
+                                    {
+                                        BuildCollectionsResult? collections = null;
+                                        ApplyRatingsResult? ratings = null;
+                                        ImageSyncResult? images = null;
+                                        if (_collectionService != null)
+                                            collections = await _collectionService.BuildCollectionsAsync(allSeries, cancellationToken: ct).ConfigureAwait(false);
+                                        if (_criticRatingService != null)
+                                            ratings = await _criticRatingService.ApplyRatingsAsync(null, ct).ConfigureAwait(false);
+                                        if (settings.Advanced.EnableImageSync && _imageSyncService != null)
+                                            images = await _imageSyncService.SyncImagesAsync(cancellationToken: ct).ConfigureAwait(false);
+                                        int threshold = settings.Advanced.EmptyPlexTrashThreshold;
+                                        if (threshold > 0 && _plexClient != null)
+                                        {
+                                            foreach (var target in _plexClient.GetConfiguredTargets())
+                                                await _plexClient.EmptyTrashWithSafetyAsync(target, threshold, false, ct).ConfigureAwait(false);
+                                        }
+                                        return new { Collections = collections, Ratings = ratings, ImageSync = images };
+                                    }
+                                )
+                                .ConfigureAwait(false);
                         }
                         finally
                         {
                             SyncHelper.SyncLock.Release();
                         }
-                        s_lastSyncWatchedUtc = lastSched;
-                    }
-                }
-                int plexFreq = settings.Automation.PlexAutomationFrequencyHours;
-                if (plexFreq > 0 && (_collectionService != null || _criticRatingService != null))
-                {
-                    var (lastSched, next) = ComputeSchedule(now, offset, plexFreq);
-                    nextRuns.Add(next);
-                    if (s_lastPlexAutomationUtc == null || s_lastPlexAutomationUtc < lastSched)
-                    {
-                        s_logger.Info("Automation: triggering scheduled Plex Collection/Rating update ({0}h)", plexFreq);
-                        var allSeries = _metadataService.GetAllShokoSeries()?.Cast<IShokoSeries?>().ToList();
-                        if (allSeries?.Count > 0)
-                        {
-                            await SyncHelper.SyncLock.WaitAsync(ct).ConfigureAwait(false);
-                            try
-                            {
-                                if (_collectionService != null)
-                                    await _collectionService.BuildCollectionsAsync(allSeries, cancellationToken: ct).ConfigureAwait(false);
-                                if (_criticRatingService != null)
-                                    await _criticRatingService.ApplyRatingsAsync(null, ct).ConfigureAwait(false);
-                                if (settings.Advanced.EnableImageSync && _imageSyncService != null)
-                                    await _imageSyncService.SyncImagesAsync(cancellationToken: ct).ConfigureAwait(false);
-                                int threshold = settings.Advanced.EmptyPlexTrashThreshold;
-                                if (threshold > 0 && _plexClient != null)
-                                {
-                                    foreach (var target in _plexClient.GetConfiguredTargets())
-                                        await _plexClient.EmptyTrashWithSafetyAsync(target, threshold, false, ct).ConfigureAwait(false);
-                                }
-                            }
-                            finally
-                            {
-                                SyncHelper.SyncLock.Release();
-                            }
-                        }
-                        s_lastPlexAutomationUtc = lastSched;
                     }
+                    s_lastPlexAutomationUtc = plexSlot;
                 }
                 double delayMs = nextRuns.Any() ? (nextRuns.Min() - DateTime.UtcNow).TotalMilliseconds : 60000;
                 await Task.Delay(TimeSpan.FromMilliseconds(Math.Clamp(delayMs, 1000, 300000)), ct).ConfigureAwait(false);
@@ -356,3 +474,33 @@ public class ShokoRelay : BackgroundService
 
     #endregion
 }
+
+#region Automation Models
+
+/// <summary>State of a scheduled automation job as shown on the dashboard.</summary>
+/// <param name="TaskName">The task identifier the job's runs are recorded under.</param>
+/// <param name="Name">Display name of the job.</param>
+/// <param name="FrequencyHours">How often the job runs; 0 when it is disabled.</param>
+/// <param name="Paused">Whether scheduled runs are paused.</param>
+/// <param name="Window">The configured time-of-day window (may be empty).</param>
+/// <param name="HasWindow">Whether <paramref name="Window"/> is a valid window that restricts the schedule.</param>
+/// <param name="LastRunAt">When the most recent run (scheduled or manual) ended, if any.</param>
+/// <param name="LastStatus">The status of the most recent run.</param>
+/// <param name="LastMessage">The message of the most recent run.</param>
+/// <param name="LastCounts">Summary counts of the most recent run.</param>
+/// <param name="NextRunAt">When the next scheduled run will start (UTC), or null when disabled or paused.</param>
+public record ScheduledJobStatus(
+    string TaskName,
+    string Name,
+    int FrequencyHours,
+    bool Paused,
+    string Window,
+    bool HasWindow,
+    DateTime? LastRunAt,
+    string? LastStatus,
+    string? LastMessage,
+    Dictionary<string, int>? LastCounts,
+    DateTime? NextRunAt
+);
+
+#endregion
@@ -85,6 +85,21 @@ public static class ShokoRelayConstants
     /// <summary>Filename for the VFS structure blueprint cache.</summary>
     public const string FileVfsBlueprintCache = "vfs_blueprint.cache";
 
+    /// <summary>Filename for the persisted task run history.</summary>
+    public const string FileTaskHistory = "task_history.json";
+
+    /// <summary>Filename for the saved dashboard task pipelines.</summary>
+    public const string FileTaskPipelines = "task_pipelines.json";
+
+    /// <summary>Filename for the saved configuration revisions.</summary>
+    public const string FileConfigHistory = "config_history.json";
+
+    /// <summary>Filename for the settings the VFS was last fully rebuilt with.</summary>
+    public const string FileVfsBuildState = "vfs_build_state.json";
+
+    /// <summary>Filename recording when the first-run setup wizard was finished or skipped.</summary>
+    public const string FileSetupState = "setup_state.json";
+
     #endregion
 
     #region Task Names
@@ -131,8 +146,27 @@ public static class ShokoRelayConstants
     /// <summary>Task name for synchronizing watched state between Plex and Shoko.</summary>
     public const string TaskShokoSyncWatched = "shoko-sync-watched";
 
+    /// <summary>Task name for Shoko import scans (recorded in the task history only).</summary>
+    public const string TaskShokoImport = "shoko-import";
+
     /// <summary>Task name for processing manual source folder symlinks.</summary>
     public const string TaskMapSymlinks = "shoko-map-symlinks";
 
     #endregion
+
+    #region Task Triggers
+
+    /// <summary>Request header the dashboard sends so task runs it starts are recorded as manual.</summary>
+    public const string HeaderTaskTrigger = "X-Relay-Trigger";
+
+    /// <summary>Trigger for task runs started from the dashboard.</summary>
+    public const string TriggerManual = "manual";
+
+    /// <summary>Trigger for task runs started by the automation schedule.</summary>
+    public const string TriggerScheduled = "scheduled";
+
+    /// <summary>Trigger for task runs started by an external caller of the API.</summary>
+    public const string TriggerWebhook = "webhook";
+
+    #endregion
 }
@@ -42,7 +42,11 @@ public record PlexWatchedChange(
     string? Reason = null,
     double? PlexUserRating = null,
     double? ShokoUserRating = null
-);
+)
+{
+    /// <summary>Identifies the change so it can be selected for a later live run (see <see cref="SyncHelper.ChangeKey"/>).</summary>
+    public string Key => SyncHelper.ChangeKey(PlexUser, LibraryName, RatingKey);
+}
 
 /// <summary>Aggregate result of a sync run.</summary>
 /// <param name="Direction">Sync direction.</param>
@@ -133,6 +137,13 @@ public static class SyncHelper
         list.Add(change);
     }
 
+    /// <summary>Builds the key that identifies a change for selective runs.</summary>
+    /// <param name="plexUser">Plex username.</param>
+    /// <param name="libraryName">Plex library section title.</param>
+    /// <param name="ratingKey">Plex rating key.</param>
+    /// <returns>The change key.</returns>
+    public static string ChangeKey(string plexUser, string? libraryName, string? ratingKey) => $"{plexUser}|{libraryName}|{ratingKey}";
+
     /// <summary>Factory for watched changes.</summary>
     public static PlexWatchedChange MakeChange(
         string plexUser,
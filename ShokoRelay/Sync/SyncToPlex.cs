@@ -20,6 +20,7 @@ public class SyncToPlex(PlexClient plexClient, IMetadataService metadataService,
     /// <param name="includeVotes">Include user ratings.</param>
     /// <param name="userTypeOverride">Optional override for the sync users configuration.</param>
     /// <param name="libraryName">Optional filter to restrict sync to a specific Plex library.</param>
+    /// <param name="onlyChanges">Optional change keys (see <see cref="SyncHelper.ChangeKey"/>) to restrict the sync to, e.g. the rows selected from a dry run preview.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>Execution result.</returns>
     public async Task<PlexWatchedSyncResult> SyncWatchedAsync(
@@ -28,6 +29,7 @@ public class SyncToPlex(PlexClient plexClient, IMetadataService metadataService,
         bool? includeVotes = null,
         SyncUserType? userTypeOverride = null,
         string? libraryName = null,
+        IReadOnlySet<string>? onlyChanges = null,
         CancellationToken cancellationToken = default
     )
     {
@@ -106,6 +108,9 @@ public class SyncToPlex(PlexClient plexClient, IMetadataService metadataService,
 
                     foreach (var plexItem in plexItems.DistinctBy(i => i.RatingKey))
                     {
+                        if (onlyChanges?.Contains(SyncHelper.ChangeKey(uName, target.Title, plexItem.RatingKey)) == false)
+                            continue;
+
                         if (!dryRun)
                         {
                             using var req = plexClient.CreateRequest(HttpMethod.Get, $"/:/scrobble?identifier=com.plexapp.plugins.library&key={plexItem.RatingKey}", target.ServerUrl, uToken);
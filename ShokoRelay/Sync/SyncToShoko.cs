@@ -22,6 +22,7 @@ public class SyncToShoko(PlexClient plexClient, IMetadataService metadataService
     /// <param name="includeProgress">Include playback progress.</param>
     /// <param name="userTypeOverride">Optional override for the sync users configuration.</param>
     /// <param name="libraryName">Optional filter to restrict sync to a specific Plex library.</param>
+    /// <param name="onlyChanges">Optional change keys (see <see cref="SyncHelper.ChangeKey"/>) to restrict the sync to, e.g. the rows selected from a dry run preview.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>Execution result.</returns>
     public async Task<PlexWatchedSyncResult> SyncWatchedAsync(
@@ -31,6 +32,7 @@ public class SyncToShoko(PlexClient plexClient, IMetadataService metadataService
         bool? includeProgress = null,
         SyncUserType? userTypeOverride = null,
         string? libraryName = null,
+        IReadOnlySet<string>? onlyChanges = null,
         CancellationToken cancellationToken = default
     )
     {
@@ -106,7 +108,7 @@ public class SyncToShoko(PlexClient plexClient, IMetadataService metadataService
                         episodeCache[item.Guid] = ep;
                     }
 
-                    if (ep == null || appliedIds.Contains(ep.ID))
+                    if (ep == null || appliedIds.Contains(ep.ID) || onlyChanges?.Contains(SyncHelper.ChangeKey(uName, target.Title, item.RatingKey)) == false)
                         continue;
 
                     var epUserData = userDataService.GetEpisodeUserData(ep, defaultUser);
@@ -141,7 +143,7 @@ public class SyncToShoko(PlexClient plexClient, IMetadataService metadataService
                         episodeCache[item.Guid] = ep;
                     }
 
-                    if (ep == null || appliedIds.Contains(ep.ID))
+                    if (ep == null || appliedIds.Contains(ep.ID) || onlyChanges?.Contains(SyncHelper.ChangeKey(uName, target.Title, item.RatingKey)) == false)
                     {
                         result = SyncHelper.IncSkipped(result, result.PerUser, uName);
                         continue;
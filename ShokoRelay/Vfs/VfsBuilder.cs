@@ -23,14 +23,19 @@ public class VfsBuilder(IMetadataService metadataService, VfsAssetLinker assetLi
     /// <summary>Build or clean VFS for a single series ID.</summary>
     /// <param name="seriesId">Optional single series ID to process.</param>
     /// <param name="cleanRoot">Whether to delete existing VFS folders before building.</param>
+    /// <param name="progress">Optional tracker that receives per-series progress.</param>
+    /// <param name="ct">Cancellation token.</param>
     /// <returns>A result object containing statistics and details for the log report.</returns>
-    public VfsBuildResult Build(int? seriesId = null, bool cleanRoot = true) => BuildInternal(seriesId.HasValue ? [seriesId.Value] : null, cleanRoot);
+    public VfsBuildResult Build(int? seriesId = null, bool cleanRoot = true, TaskProgressTracker? progress = null, CancellationToken ct = default) =>
+        BuildInternal(seriesId.HasValue ? [seriesId.Value] : null, cleanRoot, progress, ct);
 
     /// <summary>Build or clean VFS for multiple series IDs.</summary>
     /// <param name="seriesIds">Collection of series IDs to process.</param>
     /// <param name="cleanRoot">Whether to delete existing VFS folders before building.</param>
+    /// <param name="progress">Optional tracker that receives per-series progress.</param>
+    /// <param name="ct">Cancellation token.</param>
     /// <returns>A result object containing statistics and details for the log report.</returns>
-    public VfsBuildResult Build(IReadOnlyCollection<int> seriesIds, bool cleanRoot = true) => BuildInternal(seriesIds, cleanRoot);
+    public VfsBuildResult Build(IReadOnlyCollection<int> seriesIds, bool cleanRoot = true, TaskProgressTracker? progress = null, CancellationToken ct = default) => BuildInternal(seriesIds, cleanRoot, progress, ct);
 
     /// <summary>Audits the VFS to find and remove orphaned series folders and broken symlinks.</summary>
     /// <param name="ct">Cancellation token.</param>
@@ -172,8 +177,10 @@ public class VfsBuilder(IMetadataService metadataService, VfsAssetLinker assetLi
     /// <summary>Internal core logic for orchestrating a VFS build or clean run.</summary>
     /// <param name="seriesIds">Optional collection of series IDs to process.</param>
     /// <param name="cleanRoot">Whether to delete existing VFS folders before building.</param>
+    /// <param name="progress">Optional tracker that receives per-series progress.</param>
+    /// <param name="ct">Cancellation token. Series already being processed finish before the build stops.</param>
     /// <returns>A result object containing statistics and details for the log report.</returns>
-    private VfsBuildResult BuildInternal(IReadOnlyCollection<int>? seriesIds, bool cleanRoot)
+    private VfsBuildResult BuildInternal(IReadOnlyCollection<int>? seriesIds, bool cleanRoot, TaskProgressTracker? progress, CancellationToken ct)
     {
         var rootName = VfsShared.ResolveRootFolderName();
         var overlapping = videoService
@@ -245,12 +252,15 @@ public class VfsBuilder(IMetadataService metadataService, VfsAssetLinker assetLi
             consolidatedCount = totalInScope - seriesList.Count();
         }
 
+        progress?.SetTotal(seriesList.Count());
+
         // Process series in parallel
         Parallel.ForEach(
             seriesList,
-            DefaultParallelOptions(),
+            DefaultParallelOptions(ct),
             series =>
             {
+                progress?.Advance(series.GetDisplayTitle() ?? series.ID.ToString());
                 try
                 {
                     var seriesSw = Stopwatch.StartNew();
@@ -294,6 +294,36 @@ internal static class VfsShared
         return plexLocalExtras && VfsHelper.IsLocalExtraFile(Path.GetFileNameWithoutExtension(path.AsSpan()));
     }
 
+    /// <summary>Finds the folders and files that each folder exclusion entry matches, comparing path segments the same way as <see cref="IsPathIgnored"/>.</summary>
+    /// <param name="paths">Absolute file paths to check.</param>
+    /// <param name="names">The folder exclusion entries.</param>
+    /// <returns>For each entry (compared case-insensitively), the distinct folders it matches and the number of files inside them.</returns>
+    public static Dictionary<string, (HashSet<string> Folders, int Files)> FindExcludedPaths(IEnumerable<string> paths, IEnumerable<string> names)
+    {
+        var folders = names.Where(n => !string.IsNullOrWhiteSpace(n)).Distinct(StringComparer.OrdinalIgnoreCase).ToDictionary(n => n, _ => new HashSet<string>(PathComparer), StringComparer.OrdinalIgnoreCase);
+        var files = new Dictionary<string, int>(StringComparer.OrdinalIgnoreCase);
+        if (folders.Count == 0)
+            return [];
+
+        foreach (var path in paths)
+        {
+            if (string.IsNullOrEmpty(path))
+                continue;
+            var segments = path.Split([Path.DirectorySeparatorChar, Path.AltDirectorySeparatorChar]);
+            var matched = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+            for (int i = 0; i < segments.Length; i++)
+            {
+                if (!folders.TryGetValue(segments[i], out var found))
+                    continue;
+                if (i < segments.Length - 1) // The last segment is the file name itself
+                    found.Add(string.Join(Path.DirectorySeparatorChar, segments[..(i + 1)]));
+                if (matched.Add(segments[i]))
+                    files[segments[i]] = files.GetValueOrDefault(segments[i]) + 1;
+            }
+        }
+        return folders.ToDictionary(f => f.Key, f => (f.Value, files.GetValueOrDefault(f.Key)), StringComparer.OrdinalIgnoreCase);
+    }
+
     #endregion
 
     #region Blueprint Cache